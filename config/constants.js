@@ -9,22 +9,246 @@ export const CONFIG = {
     HEALTH_CHECK_PATH: '/health'
   },
   DATABASE: {
-    SSL_ENABLED_IN_PRODUCTION: true
+    SSL_ENABLED_IN_PRODUCTION: true,
+    // Repository implementation (server/repositories): 'supabase' or 'memory' (offline, nothing persisted)
+    BACKENDS: ['supabase', 'memory'],
+    DEFAULT_BACKEND: 'supabase',
+    MEMORY_POOL_BALANCE: 10000 // Starting liquidity pool for the in-memory backend, in dollars
+  },
+  PRICING: {
+    QUOTE_TTL_MS: 5 * 60 * 1000, // Quotes expire after 5 minutes
+    AI_TIMEOUT_MS: 15000, // Fall back to the rule-based engine after this
+    // Multipliers applied to the naive (independent) probability per extra correlated leg
+    CORRELATION_FACTORS: {
+      SAME_EVENT: 1.25,
+      SAME_SERIES: 1.08
+    },
+    // Payout percentage of the naive payout, by number of legs (first matching tier wins)
+    MARGIN_TIERS: [
+      { maxLegs: 2, payoutPercentage: 92 },
+      { maxLegs: 4, payoutPercentage: 90 },
+      { maxLegs: 6, payoutPercentage: 87 },
+      { maxLegs: Infinity, payoutPercentage: 85 }
+    ],
+    CORRELATED_MARGIN_PENALTY: 2, // Extra percentage points taken when correlated legs are detected
+    // Orderbook-aware leg pricing (percentage-point penalties come off recommendedPayoutPercentage)
+    ORDERBOOK: {
+      HEDGE_SIZE_RATIO: 0.40, // Size fills for the largest hedge bucket (40% of stake)
+      WIDE_SPREAD_CENTS: 3, // Spreads wider than this widen the margin
+      SPREAD_PENALTY_PER_CENT: 0.5, // Per cent of spread beyond WIDE_SPREAD_CENTS
+      THIN_BOOK_PENALTY: 3, // Book can't fill the full hedge size
+      MISSING_BOOK_PENALTY: 2, // No orderbook available - priced from the ask alone
+      MAX_LIQUIDITY_PENALTY: 15
+    }
+  },
+  HEDGING: {
+    STRATEGIES: ['variance_reduction', 'delta'],
+    DEFAULT_STRATEGY: 'variance_reduction',
+    DELTA_HEDGE_RATIO: 0.35 // Fraction of each leg's delta bought on Kalshi (design doc: 30-40%)
+  },
+  // Hedge order lifecycle (poller in hedgeOrderService)
+  HEDGE_ORDERS: {
+    POLL_INTERVAL_MS: 30 * 1000,
+    RESTING_TIMEOUT_MS: 2 * 60 * 1000, // Cancel orders still resting after this
+    PRICE_TOLERANCE_CENTS: 2, // Retry unfilled quantity up to this many cents above the original limit
+    MAX_RETRIES: 2,
+    UNWIND_LOCK_MS: 5 * 60 * 1000 // An unwind holding its lock longer than this is presumed dead and can be taken over
+  },
+  // Shared Kalshi HTTP transport (kalshiTransport)
+  KALSHI_HTTP: {
+    TIMEOUT_MS: 10000,
+    MAX_RETRIES: 3, // Idempotent requests only
+    BACKOFF_BASE_MS: 250,
+    BACKOFF_MAX_MS: 5000,
+    READ_RATE_PER_SEC: 10, // Below Kalshi's basic tier limits
+    WRITE_RATE_PER_SEC: 5,
+    BURST: 10
+  },
+  // Kalshi WebSocket market data feed (kalshiMarketFeed)
+  MARKET_FEED: {
+    TICKER_REFRESH_MS: 60 * 1000, // Reload tickers from slips and pending purchases
+    RECONNECT_BASE_MS: 1000,
+    RECONNECT_MAX_MS: 60 * 1000
+  },
+  // Market data cache (server/cache)
+  MARKET_CACHE: {
+    TTL_MS: {
+      market: 30 * 1000,
+      settled_market: 60 * 60 * 1000, // Settled markets no longer change
+      event: 60 * 1000,
+      series: 60 * 1000,
+      orderbook: 2 * 1000
+    },
+    MAX_ENTRIES: 5000,
+    KEY_PREFIX: 'kalshi:'
+  },
+  // Portfolio hedge netting (hedgeNettingService), used when HEDGE_EXECUTION_MODE=netted
+  HEDGE_NETTING: {
+    EXECUTION_MODES: ['immediate', 'netted'],
+    DEFAULT_EXECUTION_MODE: 'immediate',
+    INTERVAL_MS: 5 * 60 * 1000,
+    MIN_NET_CONTRACTS: 1 // Skip net differences smaller than this
+  },
+  // Round-robin and flex ("n of m") parlays (parlayTypes)
+  PARLAY_TYPES: {
+    TYPES: ['standard', 'round_robin', 'flex'],
+    MIN_LEGS: 3, // Fewer legs leave nothing between a single bet and a standard parlay
+    MAX_LEGS: 8, // Priced by enumerating every outcome (2^legs) and combination
+    FLEX_TIER_RATIO: 0.5 // Each missed leg halves a flex parlay's payout
+  },
+  // Scenario engine (hedged/unhedged outcome distributions)
+  SCENARIOS: {
+    EXACT_MAX_LEGS: 10, // Enumerate 2^n outcomes up to this many independent legs, simulate above
+    SIMULATIONS: 20000, // Monte Carlo paths
+    SEED: 42, // Fixed seed so a quote's metrics are reproducible
+    CONFIDENCE: 0.95, // VaR / CVaR level
+    SAME_EVENT_RHO: 0.6, // Gaussian copula correlation between legs of the same event
+    SAME_SERIES_RHO: 0.2, // ...and between legs of the same series
+    MAX_RHO: 0.95, // Cap when calibrating a uniform correlation from the AI correlationFactor
+    CALIBRATION_SAMPLES: 4000
+  },
+  // USDC withdrawals to user-supplied Solana addresses (withdrawalService)
+  WITHDRAWALS: {
+    MIN_AMOUNT: 1,
+    MAX_AMOUNT: 10000,
+    MAX_ATTEMPTS: 3, // Transfer attempts before the hold is reversed
+    RETRY_BASE_MS: 60 * 1000, // Doubles after each failed attempt
+    RETRY_MAX_MS: 30 * 60 * 1000,
+    POLL_INTERVAL_MS: 60 * 1000,
+    STALE_PROCESSING_MS: 10 * 60 * 1000 // Attempts stuck in processing this long are flagged for review
+  },
+  // On-chain USDC deposit detection for user CDP wallets (depositWatcher)
+  DEPOSITS: {
+    POLL_INTERVAL_MS: 60 * 1000,
+    SIGNATURE_PAGE_SIZE: 100,
+    MAX_SIGNATURES_PER_SCAN: 1000, // Transactions read per wallet per poll, oldest first (newer ones wait for the next poll)
+    COMMITMENT: 'finalized', // Only credit transactions that can't be rolled back
+    MIN_AMOUNT: 0.01 // Ignore dust below a cent
+  },
+  // Database vs ledger vs on-chain balance checks (reconciliationService)
+  RECONCILIATION: {
+    INTERVAL_MS: 15 * 60 * 1000,
+    TOLERANCE: 0.01 // Differences up to a cent are rounding, not discrepancies
+  },
+  // Winnings claims (claimService): transfer retries and the opt-in auto-claim job
+  CLAIMS: {
+    AUTO_CLAIM_INTERVAL_MS: 60 * 1000,
+    AUTO_CLAIM_MAX_AMOUNT: 1000, // Larger wins are left for the user to claim
+    MAX_ATTEMPTS: 5, // Failed transfers before the job stops retrying (manual claims still work)
+    RETRY_BASE_MS: 60 * 1000, // Doubles after each failed transfer
+    RETRY_MAX_MS: 60 * 60 * 1000,
+    STALE_PROCESSING_MS: 10 * 60 * 1000 // Transfers in flight this long are flagged for review
+  },
+  // Cash-out offers on pending parlays (cashOutService)
+  CASH_OUT: {
+    OFFER_TTL_MS: 15 * 1000, // Live prices move; offers must be accepted quickly
+    MARGIN: 0.05, // House margin taken off the fair value
+    MIN_AMOUNT: 0.01 // No offer below a cent
+  },
+  // Background job scheduler (jobScheduler): leases, retries and run history
+  JOBS: {
+    TICK_MS: 5 * 1000, // How often each instance looks for due jobs
+    LEASE_MS: 2 * 60 * 1000, // Renewed while a job runs; another instance takes over once it expires
+    MAX_ATTEMPTS: 5, // Consecutive failed runs before waiting for the next regular interval
+    BACKOFF_MS: 10 * 1000, // Retry delay after the first failure, doubled each time
+    MAX_BACKOFF_MS: 10 * 60 * 1000,
+    RUN_RETENTION_DAYS: 14 // job_runs older than this are pruned daily
+  },
+  // Parlay settlement job (checkDueParlays): each parlay is checked on its own schedule
+  SETTLEMENT: {
+    JOB_INTERVAL_MS: 60 * 1000,
+    BATCH_SIZE: 100, // Parlays checked per run, most overdue first
+    CONCURRENCY: 4, // Parlays checked in parallel
+    CLOSED_INTERVAL_MS: 2 * 60 * 1000, // A leg's market has closed and is awaiting its result
+    CLOSING_SOON_MS: 6 * 60 * 60 * 1000, // A leg closes within this window...
+    CLOSING_SOON_INTERVAL_MS: 5 * 60 * 1000, // ...so check this often
+    DEFAULT_INTERVAL_MS: 15 * 60 * 1000
+  },
+  // Server-Sent Events stream of parlay status changes (/api/parlay-events)
+  PARLAY_EVENTS: {
+    HEARTBEAT_MS: 25 * 1000 // Comment line sent on idle streams so proxies don't close them
+  },
+  // Limits on open liability (promised payout minus stake) across pending parlays
+  RISK: {
+    MAX_MARKET_LIABILITY: 2500, // Per Kalshi ticker
+    MAX_EVENT_LIABILITY: 5000, // Per event (ticker prefix, e.g. KXNFLGAME-25NOV16SEALA)
+    MAX_PARLAY_LIABILITY: 1000, // Any single parlay
+    MAX_POOL_DRAWDOWN_PCT: 50, // Total open liability as a % of platform_liquidity_pool
+    LOCK_LEASE_MS: 30 * 1000, // Exposure lock held from the limit re-check until the purchase is saved
+    LOCK_WAIT_MS: 5 * 1000, // How long a placement waits for another on the same market/event
+    LOCK_RETRY_MS: 50
   }
 };
 
 export const ERROR_MESSAGES = {
   KALSHI: {
     MARKET_NOT_FOUND: 'Market not found'
+  },
+  PARLAY: {
+    INVALID_BETS: 'At least one bet is required',
+    INVALID_STAKE: 'Stake must be greater than zero',
+    INVALID_TYPE: 'Parlay type must be standard, round_robin or flex',
+    INVALID_ROUND_ROBIN_SIZE: 'Round robin size must be at least 2 and less than the number of legs',
+    INVALID_FLEX_MIN_HITS: 'Flex minimum hits must be at least 2 and less than the number of legs'
+  },
+  PAYMENT: {
+    USER_ID_REQUIRED: 'User ID is required',
+    QUOTE_FAILED: 'Failed to generate quote'
+  },
+  QUOTE: {
+    QUOTE_ID_REQUIRED: 'Quote ID is required',
+    NOT_FOUND: 'Quote not found',
+    INVALID_SIGNATURE: 'Quote signature is invalid',
+    USER_MISMATCH: 'Quote was issued to a different user',
+    EXPIRED: 'Quote has expired. Please request a new quote',
+    ALREADY_USED: 'Quote has already been used',
+    LEGS_MISMATCH: 'Parlay legs do not match the quote',
+    STAKE_MISMATCH: 'Stake does not match the quote'
+  },
+  CLAIM: {
+    NOT_FOUND: 'Parlay not found',
+    NOT_WON: 'Parlay has not won or is not yet settled',
+    ALREADY_CLAIMED: 'Winnings already claimed',
+    IN_PROGRESS: 'A transfer for these winnings is already in progress',
+    TRANSFER_UNCONFIRMED: 'The winnings transfer could not be confirmed - it will be checked before anything is sent again',
+    INVALID_IDEMPOTENCY_KEY: 'Idempotency-Key must be 1-255 characters'
+  },
+  CASH_OUT: {
+    OFFER_ID_REQUIRED: 'Offer ID is required',
+    NOT_FOUND: 'Parlay not found',
+    NOT_PENDING: 'Only pending parlays can be cashed out',
+    NO_OPEN_LEGS: 'Every leg has settled - the parlay can no longer be cashed out',
+    NO_PRICE: 'No live price for an open leg - try again shortly',
+    NO_VALUE: 'This parlay has no cash-out value right now',
+    OFFER_NOT_FOUND: 'Cash-out offer not found',
+    OFFER_EXPIRED: 'Cash-out offer has expired. Please request a new one',
+    OFFER_USED: 'Cash-out offer has already been accepted',
+    OFFER_STALE: 'A leg has settled since the offer was made. Please request a new one'
+  },
+  WITHDRAWAL: {
+    INVALID_AMOUNT: 'Withdrawal amount must be greater than zero',
+    INVALID_ADDRESS: 'Destination must be a valid Solana wallet address',
+    INSUFFICIENT_BALANCE: 'Insufficient balance for this withdrawal'
+  },
+  RISK: {
+    LIMIT_EXCEEDED: 'Stake exceeds the maximum we can accept for this parlay right now',
+    BUSY: 'Too many parlays are being placed on these markets right now. Please try again'
   }
 };
 
 export const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   BAD_REQUEST: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
   NOT_FOUND: 404,
-  INTERNAL_SERVER_ERROR: 500
+  CONFLICT: 409,
+  GONE: 410,
+  UNPROCESSABLE_ENTITY: 422,
+  INTERNAL_SERVER_ERROR: 500,
+  SERVICE_UNAVAILABLE: 503
 };
 
 
@@ -12,7 +12,9 @@ dotenv.config();
  * @throws {Error} If required environment variables are missing
  */
 export function validateEnvironment() {
-  const required = [
+  // The in-memory repository needs no database credentials
+  const dataBackend = getEnv('DATA_BACKEND', 'supabase').toLowerCase();
+  const required = dataBackend === 'memory' ? [] : [
     'SUPABASE_URL',
     'SUPABASE_SERVICE_ROLE_KEY',
   ];
@@ -34,8 +36,22 @@ export function validateEnvironment() {
     'KALSHI_DEMO_API_KEY',
     'KALSHI_DEMO_PRIVATE_KEY',
     'OPENAI_API_KEY',
+    'QUOTE_SIGNING_SECRET',
   ];
 
+  // Quotes are signed with this secret - production must not fall back to a per-process key
+  if (getEnv('ENVIRONMENT', 'demo').toLowerCase() === 'production' && !process.env.QUOTE_SIGNING_SECRET) {
+    throw new Error('QUOTE_SIGNING_SECRET must be set in production');
+  }
+
+  if (!['supabase', 'memory'].includes(dataBackend)) {
+    throw new Error(`DATA_BACKEND must be 'supabase' or 'memory' (got '${dataBackend}')`);
+  }
+  // Nothing in the memory backend survives a restart
+  if (dataBackend === 'memory' && getEnv('ENVIRONMENT', 'demo').toLowerCase() === 'production') {
+    throw new Error('DATA_BACKEND=memory cannot be used in production');
+  }
+
   const missingRecommended = recommended.filter(key => !process.env[key]);
 
   if (missingRecommended.length > 0) {
@@ -81,6 +97,19 @@ export function getEnvInt(key, defaultValue = undefined) {
   return isNaN(parsed) ? defaultValue : parsed;
 }
 
+/**
+ * Get float environment variable
+ * @param {string} key - Environment variable key
+ * @param {number} defaultValue - Default value if not set
+ * @returns {number} Float value
+ */
+export function getEnvFloat(key, defaultValue = undefined) {
+  const value = process.env[key];
+  if (value === undefined) return defaultValue;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? defaultValue : parsed;
+}
+
 // Export commonly used environment variables
 export const ENV = {
   NODE_ENV: getEnv('NODE_ENV', 'development'),
@@ -99,12 +128,26 @@ export const ENV = {
   SUPABASE_ANON_KEY: getEnv('SUPABASE_ANON_KEY'),
   DATABASE_URL: getEnv('DATABASE_URL'), // Optional - can use Supabase connection string
   
+  // Repository backend: 'supabase' (default) or 'memory' (offline development and tests)
+  DATA_BACKEND: getEnv('DATA_BACKEND', 'supabase').toLowerCase(),
+  MEMORY_SEED_FILE: getEnv('MEMORY_SEED_FILE'), // JSON file of { table: [rows] } loaded into the memory backend
+  
   // Kalshi API configuration
   KALSHI_API_KEY: getEnv('KALSHI_API_KEY'),
   KALSHI_DEMO_API_KEY: getEnv('KALSHI_DEMO_API_KEY'),
   KALSHI_DEMO_PRIVATE_KEY: getEnv('KALSHI_DEMO_PRIVATE_KEY'),
   KALSHI_PRIVATE_KEY: getEnv('KALSHI_PRIVATE_KEY'),
   KALSHI_API_BASE_URL: getEnv('KALSHI_API_BASE_URL'), // Will be set based on environment if not provided
+  KALSHI_TIMEOUT_MS: getEnvInt('KALSHI_TIMEOUT_MS'), // Overrides CONFIG.KALSHI_HTTP.TIMEOUT_MS
+  KALSHI_MAX_RETRIES: getEnvInt('KALSHI_MAX_RETRIES'),
+  KALSHI_READ_RATE_PER_SEC: getEnvFloat('KALSHI_READ_RATE_PER_SEC'),
+  KALSHI_WRITE_RATE_PER_SEC: getEnvFloat('KALSHI_WRITE_RATE_PER_SEC'),
+  KALSHI_WS_URL: getEnv('KALSHI_WS_URL'), // Derived from KALSHI_API_BASE_URL if not set
+  KALSHI_MARKET_FEED: getEnvBool('KALSHI_MARKET_FEED', true),
+  
+  // Market data cache: 'memory' (default) or 'redis' (requires REDIS_URL and the redis package)
+  MARKET_CACHE_BACKEND: getEnv('MARKET_CACHE_BACKEND', 'memory').toLowerCase(),
+  REDIS_URL: getEnv('REDIS_URL'),
   
   // Backend URL
   BACKEND_BASE_URL: getEnv('BACKEND_BASE_URL'),
@@ -112,11 +155,70 @@ export const ENV = {
   // OpenAI configuration
   OPENAI_API_KEY: getEnv('OPENAI_API_KEY'),
   
+  // Quote pricing
+  QUOTE_AI_TIMEOUT_MS: getEnvInt('QUOTE_AI_TIMEOUT_MS'), // Overrides CONFIG.PRICING.AI_TIMEOUT_MS
+  PRICING_SAME_EVENT_FACTOR: getEnvFloat('PRICING_SAME_EVENT_FACTOR'), // Overrides CONFIG.PRICING.CORRELATION_FACTORS.SAME_EVENT
+  PRICING_SAME_SERIES_FACTOR: getEnvFloat('PRICING_SAME_SERIES_FACTOR'), // Overrides CONFIG.PRICING.CORRELATION_FACTORS.SAME_SERIES
+  
+  // Hedging: 'variance_reduction' (probability buckets) or 'delta'
+  HEDGING_STRATEGY: getEnv('HEDGING_STRATEGY', 'variance_reduction').toLowerCase(),
+  HEDGE_DELTA_RATIO: getEnvFloat('HEDGE_DELTA_RATIO'), // Overrides CONFIG.HEDGING.DELTA_HEDGE_RATIO
+  
+  // Hedge order lifecycle (override CONFIG.HEDGE_ORDERS)
+  HEDGE_ORDER_TIMEOUT_MS: getEnvInt('HEDGE_ORDER_TIMEOUT_MS'),
+  HEDGE_PRICE_TOLERANCE_CENTS: getEnvInt('HEDGE_PRICE_TOLERANCE_CENTS'),
+  HEDGE_MAX_RETRIES: getEnvInt('HEDGE_MAX_RETRIES'),
+  
+  // Hedge execution: 'immediate' (per placement) or 'netted' (portfolio netting on a schedule)
+  HEDGE_EXECUTION_MODE: getEnv('HEDGE_EXECUTION_MODE', 'immediate').toLowerCase(),
+  HEDGE_NETTING_INTERVAL_MS: getEnvInt('HEDGE_NETTING_INTERVAL_MS'), // Overrides CONFIG.HEDGE_NETTING.INTERVAL_MS
+  
+  // Scenario engine (override CONFIG.SCENARIOS)
+  SCENARIO_EXACT_MAX_LEGS: getEnvInt('SCENARIO_EXACT_MAX_LEGS'),
+  SCENARIO_SIMULATIONS: getEnvInt('SCENARIO_SIMULATIONS'),
+  
+  // Risk limits (override CONFIG.RISK)
+  RISK_MAX_MARKET_LIABILITY: getEnvFloat('RISK_MAX_MARKET_LIABILITY'),
+  RISK_MAX_EVENT_LIABILITY: getEnvFloat('RISK_MAX_EVENT_LIABILITY'),
+  RISK_MAX_PARLAY_LIABILITY: getEnvFloat('RISK_MAX_PARLAY_LIABILITY'),
+  RISK_MAX_POOL_DRAWDOWN_PCT: getEnvFloat('RISK_MAX_POOL_DRAWDOWN_PCT'),
+  
+  // Withdrawals (override CONFIG.WITHDRAWALS)
+  WITHDRAWAL_MAX_AMOUNT: getEnvFloat('WITHDRAWAL_MAX_AMOUNT'),
+  WITHDRAWAL_MAX_ATTEMPTS: getEnvInt('WITHDRAWAL_MAX_ATTEMPTS'),
+  
+  // Quote signing (HMAC key for server-issued quotes)
+  QUOTE_SIGNING_SECRET: getEnv('QUOTE_SIGNING_SECRET'),
+  
   // Coinbase CDP configuration
   COINBASE_CDP_API_KEY_ID: getEnv('COINBASE_CDP_API_KEY_ID') || getEnv('CDP_API_KEY_ID'),
   COINBASE_CDP_API_KEY_SECRET: getEnv('COINBASE_CDP_API_KEY_SECRET') || getEnv('CDP_API_KEY_SECRET'),
   COINBASE_CDP_WALLET_SECRET: getEnv('COINBASE_CDP_WALLET_SECRET') || getEnv('CDP_WALLET_SECRET'),
   
+  // Solana network overrides (e.g. a local validator); default to the public devnet/mainnet RPC and USDC mint
+  SOLANA_RPC_URL: getEnv('SOLANA_RPC_URL'),
+  SOLANA_USDC_MINT: getEnv('SOLANA_USDC_MINT'),
+  
+  // On-chain deposit watcher (override CONFIG.DEPOSITS)
+  DEPOSIT_WATCHER: getEnvBool('DEPOSIT_WATCHER', true),
+  DEPOSIT_POLL_INTERVAL_MS: getEnvInt('DEPOSIT_POLL_INTERVAL_MS'),
+  DEPOSIT_SWEEP: getEnvBool('DEPOSIT_SWEEP', false), // Move credited USDC from user wallets to the platform wallet
+
+  // Balance reconciliation (override CONFIG.RECONCILIATION)
+  RECONCILIATION_INTERVAL_MS: getEnvInt('RECONCILIATION_INTERVAL_MS'),
+  RECONCILIATION_BLOCK_CLAIMS: getEnvBool('RECONCILIATION_BLOCK_CLAIMS', false), // Refuse claims while the latest run finds the platform under-collateralized
+  
+  // Auto-claim of winnings for users who opt in (override CONFIG.CLAIMS)
+  AUTO_CLAIM: getEnvBool('AUTO_CLAIM', true),
+  AUTO_CLAIM_MAX_AMOUNT: getEnvFloat('AUTO_CLAIM_MAX_AMOUNT'),
+  
+  // Cash-out offers (override CONFIG.CASH_OUT)
+  CASH_OUT_MARGIN: getEnvFloat('CASH_OUT_MARGIN'),
+  
+  // Background jobs: set JOB_SCHEDULER=false on instances that should only serve requests
+  JOB_SCHEDULER: getEnvBool('JOB_SCHEDULER', true),
+  SETTLEMENT_CONCURRENCY: getEnvInt('SETTLEMENT_CONCURRENCY'), // Overrides CONFIG.SETTLEMENT.CONCURRENCY
+  
   // Feature flags
   KALSHI_DRY_RUN: getEnvBool('KALSHI_DRY_RUN', true),
   VERBOSE_HEDGING: getEnvBool('VERBOSE_HEDGING', false),
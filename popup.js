@@ -7,6 +7,9 @@
 // Using inline constants for now
 let BACKEND_BASE_URL = "http://localhost:4000"; // Will be updated from config
 const MIN_BETS_FOR_PARLAY = 2;
+// Round robins and flex parlays (mirrors CONFIG.PARLAY_TYPES on the server)
+const PARLAY_TYPE_MIN_LEGS = 3;
+const PARLAY_TYPE_MAX_LEGS = 8;
 
 // Supabase configuration - loaded from backend config endpoint
 let SUPABASE_URL = null;
@@ -1108,6 +1111,9 @@ function showBetOverlay() {
     payoutEl.textContent = "Get quote to see payout";
   }
   
+  // Round robin / flex options only make sense for 3+ legs
+  setupParlayTypeOptions(parlayBets.length);
+  
   // Disable get quote button initially
   const getQuoteBtn = document.getElementById("get-quote-btn");
   if (getQuoteBtn) {
@@ -1225,6 +1231,94 @@ function calculatePayout() {
   getQuoteBtn.disabled = false;
 }
 
+function setupParlayTypeOptions(legCount) {
+  const section = document.getElementById("parlay-type-section");
+  const typeSelect = document.getElementById("parlay-type-select");
+  if (!section || !typeSelect) return;
+  
+  section.classList.toggle("hidden", legCount < PARLAY_TYPE_MIN_LEGS || legCount > PARLAY_TYPE_MAX_LEGS);
+  typeSelect.value = "standard";
+  section.dataset.legCount = legCount;
+  updateParlayTypeSizeOptions();
+  
+  if (!typeSelect.hasListener) {
+    typeSelect.addEventListener("change", () => {
+      updateParlayTypeSizeOptions();
+      resetQuote();
+    });
+    document.getElementById("parlay-type-size")?.addEventListener("change", resetQuote);
+    typeSelect.hasListener = true;
+  }
+}
+
+// Round robin: k-leg combinations ("By 2s"); flex: how many legs must win ("2 of 3")
+function updateParlayTypeSizeOptions() {
+  const type = document.getElementById("parlay-type-select")?.value || "standard";
+  const sizeSelect = document.getElementById("parlay-type-size");
+  const legCount = parseInt(document.getElementById("parlay-type-section")?.dataset.legCount, 10) || 0;
+  if (!sizeSelect) return;
+  
+  sizeSelect.innerHTML = "";
+  sizeSelect.classList.toggle("hidden", type === "standard");
+  if (type === "standard") return;
+  
+  const choose = (n, k) => (k === 0 ? 1 : (n * choose(n - 1, k - 1)) / k);
+  for (let size = legCount - 1; size >= 2; size--) {
+    const option = document.createElement("option");
+    option.value = size;
+    option.textContent = type === "round_robin"
+      ? `By ${size}s (${choose(legCount, size)} parlays)`
+      : `${size} of ${legCount} must win`;
+    sizeSelect.appendChild(option);
+  }
+}
+
+function getSelectedParlayType() {
+  const type = document.getElementById("parlay-type-select")?.value || "standard";
+  const size = parseInt(document.getElementById("parlay-type-size")?.value, 10);
+  if (type === "round_robin") return { type, size };
+  if (type === "flex") return { type, minHits: size };
+  return "standard";
+}
+
+// A quote is for one parlay type - changing it means quoting again
+function resetQuote() {
+  const getQuoteBtn = document.getElementById("get-quote-btn");
+  if (getQuoteBtn && getQuoteBtn.textContent === "Place Parlay") {
+    getQuoteBtn.textContent = "Get Quote";
+    getQuoteBtn.onclick = getQuote;
+  }
+  document.getElementById("payout-table")?.classList.add("hidden");
+  calculatePayout();
+}
+
+// Payout per combination (round robin) or per number of winning legs (flex)
+function renderPayoutTable(table) {
+  const container = document.getElementById("payout-table");
+  if (!container) return;
+  container.innerHTML = "";
+  if (!table || table.type === "standard") {
+    container.classList.add("hidden");
+    return;
+  }
+  
+  table.rows.forEach(row => {
+    const line = document.createElement("div");
+    line.className = "payout-table-row";
+    const label = document.createElement("span");
+    label.textContent = row.legs
+      ? `Legs ${row.legs.join(" + ")} ($${row.stake.toFixed(2)})`
+      : `${row.hits} of ${table.legCount} win`;
+    const amount = document.createElement("span");
+    amount.className = "payout-amount";
+    amount.textContent = `$${row.payout.toFixed(2)}`;
+    line.appendChild(label);
+    line.appendChild(amount);
+    container.appendChild(line);
+  });
+  container.classList.remove("hidden");
+}
+
 async function getQuote() {
   const stakeInput = document.getElementById("stake-input");
   const stake = parseFloat(stakeInput?.value) || 0;
@@ -1247,31 +1341,57 @@ async function getQuote() {
     
     console.log("[Quote] Getting quote for stake:", stake);
     
+    const uid = await getUserId(currentEnvironment);
+    
     // Call the AI quote endpoint (silent - user doesn't see analysis)
+    // Ticker and side identify each leg - the server binds the quote to them
     const res = await authenticatedFetch(`${BACKEND_BASE_URL}/api/quote`, {
       method: 'POST',
       body: JSON.stringify({
+        userId: uid,
         bets: parlayBets.map(bet => ({
           marketTitle: bet.marketTitle,
           optionLabel: bet.optionLabel,
-          prob: bet.prob
+          prob: bet.prob,
+          ticker: bet.ticker,
+          side: bet.side,
+          marketId: bet.marketId,
+          optionId: bet.optionId,
+          marketUrl: bet.marketUrl
         })),
-        stake: stake
+        stake: stake,
+        parlayType: getSelectedParlayType()
       })
     });
     
     if (!res.ok) {
       const error = await res.json().catch(() => ({}));
-      throw new Error(error.details || `Failed to get quote: ${res.status}`);
+      throw new Error(error.details || error.error || `Failed to get quote: ${res.status}`);
     }
     
     const result = await res.json();
     console.log("[Quote] Received quote:", result);
-    
+
+    // Stake is above what our exposure limits allow - ask for a smaller one
+    if (result.quote.risk && !result.quote.risk.withinLimits) {
+      const maxStake = result.quote.maxAllowedStake || 0;
+      showBetError(maxStake > 0
+        ? `❌ Stake Too Large\n\nThe maximum stake for this parlay right now is $${maxStake.toFixed(2)}.`
+        : `❌ Parlay Unavailable\n\nWe can't accept more bets on these markets right now.`);
+      if (getQuoteBtn) {
+        getQuoteBtn.textContent = originalText;
+        getQuoteBtn.disabled = false;
+      }
+      return;
+    }
+
     // Update payout display
     if (potentialPayoutSpan && result.quote.payout) {
-      potentialPayoutSpan.textContent = `$${result.quote.payout.adjustedPayout}`;
+      // Round robins and flex parlays quote the most they can pay; the table has the rest
+      const upTo = result.quote.parlayType?.type && result.quote.parlayType.type !== 'standard';
+      potentialPayoutSpan.textContent = `${upTo ? 'Up to ' : ''}$${result.quote.payout.adjustedPayout}`;
     }
+    renderPayoutTable(result.quote.payoutTable);
     
     // Change button to "Place Parlay" and enable payment
     if (getQuoteBtn) {
@@ -1337,7 +1457,7 @@ async function placeParlayOrder(quote) {
           environment: currentEnvironment,
           stake: quote.stake,
           parlayBets: parlayBets.map(bet => ({ ...bet, environment: currentEnvironment })),
-          quote: quote
+          quoteId: quote.quoteId
         })
       });
       
@@ -1724,8 +1844,8 @@ function setupAuthUI() {
         if (user && profileEmail) {
           profileEmail.textContent = user.email || 'Not available';
         }
-        // Load wallet balance for profile display
-        await loadWalletBalance();
+        // Load wallet balance and settings for profile display
+        await Promise.all([loadWalletBalance(), loadUserSettings()]);
         // Show main profile view
         showProfileMainView();
       } finally {
@@ -1748,6 +1868,11 @@ function setupAuthUI() {
     });
   }
   
+  const autoClaimToggle = document.getElementById('profile-auto-claim-toggle');
+  if (autoClaimToggle) {
+    autoClaimToggle.addEventListener('change', () => saveAutoClaimSetting(autoClaimToggle));
+  }
+  
   if (profileLogoutBtn) {
     profileLogoutBtn.addEventListener('click', async () => {
       try {
@@ -2394,32 +2519,6 @@ async function loadParlayHistory() {
       return;
     }
     
-    // Check status for pending parlays automatically
-    const pendingParlays = filteredParlays.filter(p => {
-      const status = p.parlay_status || 'pending';
-      return status === 'pending';
-    });
-    
-    // Check status for pending parlays in parallel
-    if (pendingParlays.length > 0) {
-      console.log(`Checking status for ${pendingParlays.length} pending parlays...`);
-      await Promise.allSettled(
-        pendingParlays.map(parlay => checkParlayStatusAndRefresh(parlay.session_id))
-      );
-      // Reload history after status checks
-      const res = await authenticatedFetch(`${BACKEND_BASE_URL}/api/parlay-history/${uid}`);
-      if (res.ok) {
-        const data = await res.json();
-        const updatedParlays = data.parlays || [];
-        const filteredUpdated = updatedParlays.filter(p => {
-          const parlayData = typeof p.parlay_data === 'string' ? JSON.parse(p.parlay_data) : p.parlay_data || [];
-          return parlayData.length > 0 && parlayData[0].environment === currentEnvironment;
-        });
-        filteredParlays.length = 0;
-        filteredParlays.push(...filteredUpdated);
-      }
-    }
-    
     container.innerHTML = '';
     
     filteredParlays.forEach(parlay => {
@@ -2433,29 +2532,83 @@ async function loadParlayHistory() {
   }
 }
 
-// Helper function to check parlay status and refresh UI
-async function checkParlayStatusAndRefresh(sessionId) {
+// Parlay status stream (Server-Sent Events from /api/parlay-events)
+// EventSource can't send the Authorization header, so the stream is read with fetch
+let parlayEventsController = null;
+let parlayEventsRefreshTimer = null;
+const PARLAY_EVENTS_RECONNECT_MS = 5000;
+const PARLAY_EVENTS_REFRESH_DELAY_MS = 500;
+
+// Parse one Server-Sent Events message into { type, data }
+function parseServerSentEvent(message) {
+  let type = 'message';
+  const dataLines = [];
+  message.split('\n').forEach(line => {
+    if (line.startsWith('event:')) type = line.slice(6).trim();
+    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+  });
+  if (dataLines.length === 0) return null; // Heartbeat comment
   try {
-    console.log(`Checking status for parlay ${sessionId}...`);
-    const res = await authenticatedFetch(`${BACKEND_BASE_URL}/api/parlay-status/${sessionId}`);
-    if (res.ok) {
-      const data = await res.json();
-      console.log(`Status check for ${sessionId}:`, data);
+    return { type, data: JSON.parse(dataLines.join('\n')) };
+  } catch (err) {
+    console.warn("Ignoring malformed parlay event:", message);
+    return null;
+  }
+}
+
+// Subscribe to the user's parlay events and call reload (debounced) when a leg or parlay changes
+// The server re-checks pending parlays when the stream opens, so there's no need to poll
+async function watchParlayEvents(reload) {
+  closeParlayEventStream();
+  const controller = new AbortController();
+  parlayEventsController = controller;
+  
+  try {
+    const uid = await getUserId(currentEnvironment);
+    const res = await authenticatedFetch(`${BACKEND_BASE_URL}/api/parlay-events/${uid}`, {
+      signal: controller.signal
+    });
+    if (!res.ok || !res.body) {
+      throw new Error(`Failed to open parlay event stream: ${res.status}`);
+    }
+    
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
       
-      // If status changed from pending, log it
-      if (data.status && data.status !== 'pending') {
-        console.log(`✅ Parlay ${sessionId} status updated to: ${data.status}`);
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const event = parseServerSentEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        if (event && ['leg', 'status', 'claimed'].includes(event.type)) {
+          console.log(`Parlay ${event.data.sessionId} ${event.type} update:`, event.data);
+          clearTimeout(parlayEventsRefreshTimer);
+          parlayEventsRefreshTimer = setTimeout(reload, PARLAY_EVENTS_REFRESH_DELAY_MS);
+        }
       }
-      
-      return data;
-    } else {
-      const errorData = await res.json().catch(() => ({}));
-      console.error(`Failed to check status for ${sessionId}:`, res.status, errorData);
-      throw new Error(`Status check failed: ${res.status}`);
     }
   } catch (err) {
-    console.error(`Error checking status for parlay ${sessionId}:`, err);
-    throw err;
+    if (err.name === 'AbortError') return;
+    console.error("Parlay event stream error:", err);
+  }
+  
+  // Stream dropped (server restart, network) - reconnect while the view is still open
+  if (parlayEventsController === controller) {
+    setTimeout(() => {
+      if (parlayEventsController === controller) watchParlayEvents(reload);
+    }, PARLAY_EVENTS_RECONNECT_MS);
+  }
+}
+
+function closeParlayEventStream() {
+  clearTimeout(parlayEventsRefreshTimer);
+  if (parlayEventsController) {
+    parlayEventsController.abort();
+    parlayEventsController = null;
   }
 }
 
@@ -2472,7 +2625,8 @@ function createParlayHistoryCard(parlay) {
   // Status badge
   const statusBadge = document.createElement("div");
   statusBadge.className = `parlay-status-badge status-${status}`;
-  statusBadge.textContent = status.toUpperCase();
+  const statusLabels = { void: 'REFUNDED', cashed_out: 'CASHED OUT' };
+  statusBadge.textContent = statusLabels[status] || status.toUpperCase();
   
   // Header
   const header = document.createElement("div");
@@ -2489,45 +2643,21 @@ function createParlayHistoryCard(parlay) {
   const stake = document.createElement("div");
   stake.className = "parlay-history-stake";
   stake.textContent = `Stake: $${parseFloat(parlay.stake).toFixed(2)}`;
+  const payoutTable = typeof parlay.payout_table === 'string' ? JSON.parse(parlay.payout_table) : parlay.payout_table;
+  if (parlay.parlay_type === 'round_robin' && payoutTable) {
+    stake.textContent += ` · Round robin by ${payoutTable.size}s`;
+  } else if (parlay.parlay_type === 'flex' && payoutTable) {
+    stake.textContent += ` · Flex ${payoutTable.minHits} of ${payoutTable.legCount}`;
+  }
   
   headerLeft.appendChild(date);
   headerLeft.appendChild(stake);
   
-  // Header right - status badge and refresh button
+  // Header right - status badge (pending parlays update live from the parlay event stream)
   const headerRight = document.createElement("div");
   headerRight.className = "parlay-history-header-right";
   headerRight.appendChild(statusBadge);
   
-  // Refresh button for pending parlays - add to header right
-  if (status === 'pending') {
-    const refreshBtn = document.createElement("button");
-    refreshBtn.className = "refresh-status-btn";
-    
-    // Create icon element
-    const icon = document.createElement("img");
-    icon.src = "public/refresh.svg";
-    icon.alt = "Refresh";
-    icon.className = "refresh-icon";
-    
-    refreshBtn.appendChild(icon);
-    
-    refreshBtn.onclick = async () => {
-      refreshBtn.disabled = true;
-      try {
-        await checkParlayStatusAndRefresh(parlay.session_id);
-        // Reload the parlay history to show updated status
-        await loadParlayHistory();
-      } catch (err) {
-        console.error("Error refreshing status:", err);
-        alert("Failed to refresh status. Please try again.");
-      } finally {
-        refreshBtn.disabled = false;
-      }
-    };
-    
-    headerRight.appendChild(refreshBtn);
-  }
-  
   header.appendChild(headerLeft);
   header.appendChild(headerRight);
   
@@ -2605,8 +2735,12 @@ function createParlayHistoryCard(parlay) {
     const legStatusIcon = document.createElement("div");
     legStatusIcon.className = "parlay-history-leg-status";
     if (legSettled) {
-      legStatusIcon.textContent = legStatus === 'win' ? '✓' : '✗';
-      legStatusIcon.classList.add(legStatus === 'win' ? 'status-win' : 'status-loss');
+      // Void legs are pushes; partial legs paid part of their value
+      const legIcons = { win: '✓', loss: '✗', void: '↺', partial: '½' };
+      legStatusIcon.textContent = legIcons[legStatus] || '✗';
+      legStatusIcon.classList.add(`status-${legIcons[legStatus] ? legStatus : 'loss'}`);
+      if (legStatus === 'void') legStatusIcon.title = 'Market voided - leg removed from the parlay';
+      if (legStatus === 'partial') legStatusIcon.title = `Settled at ${legOutcome.settlement_price}¢ - paid partially`;
     } else {
       legStatusIcon.textContent = '⏳';
       legStatusIcon.classList.add('status-pending');
@@ -2626,14 +2760,14 @@ function createParlayHistoryCard(parlay) {
   const payoutInfo = document.createElement("div");
   payoutInfo.className = "parlay-history-payout";
   payoutInfo.innerHTML = `
-    <span>Potential Payout:</span>
+    <span>${payoutTable && parlay.parlay_type !== 'standard' ? 'Max Payout:' : 'Potential Payout:'}</span>
     <span class="payout-amount">$${parseFloat(parlay.payout).toFixed(2)}</span>
   `;
   
   footer.appendChild(payoutInfo);
   
-  // Claim button (if won and not claimed)
-  if (status === 'won' && claimableAmount > 0 && !claimed) {
+  // Claim button (if won, not claimed and no transfer in flight)
+  if (status === 'won' && claimableAmount > 0 && !claimed && parlay.claim_status !== 'transferring') {
     const claimBtn = document.createElement("button");
     claimBtn.className = "claim-winnings-btn";
     const claimText = `Claim $${claimableAmount.toFixed(2)}`;
@@ -2641,11 +2775,27 @@ function createParlayHistoryCard(parlay) {
     claimBtn.setAttribute('data-original-text', claimText); // Store original text for error recovery
     claimBtn.onclick = () => claimWinnings(parlay.session_id, claimableAmount);
     footer.appendChild(claimBtn);
+  } else if (status === 'won' && !claimed && parlay.claim_status === 'transferring') {
+    const transferBadge = document.createElement("div");
+    transferBadge.className = "claimed-badge";
+    transferBadge.textContent = "⏳ Transfer in progress";
+    footer.appendChild(transferBadge);
   } else if (status === 'won' && claimed) {
     const claimedBadge = document.createElement("div");
     claimedBadge.className = "claimed-badge";
     claimedBadge.textContent = "✓ Claimed";
     footer.appendChild(claimedBadge);
+  } else if (status === 'pending') {
+    const cashOutBtn = document.createElement("button");
+    cashOutBtn.className = "cash-out-btn";
+    cashOutBtn.textContent = "Cash Out";
+    cashOutBtn.onclick = () => cashOutParlay(parlay.session_id, cashOutBtn);
+    footer.appendChild(cashOutBtn);
+  } else if (status === 'cashed_out') {
+    const cashedOutBadge = document.createElement("div");
+    cashedOutBadge.className = "claimed-badge";
+    cashedOutBadge.textContent = `✓ Cashed out $${parseFloat(parlay.cash_out_amount || 0).toFixed(2)}`;
+    footer.appendChild(cashedOutBadge);
   }
   
   // Assemble card
@@ -2656,6 +2806,10 @@ function createParlayHistoryCard(parlay) {
   return card;
 }
 
+// Idempotency-Key per parlay, kept until its claim succeeds so a retry after a timeout or
+// error resumes the same claim on the server instead of starting another one
+const claimIdempotencyKeys = new Map();
+
 async function claimWinnings(sessionId, amount) {
   // Find and disable the specific claim button for this parlay to prevent double-claiming
   const claimButtons = document.querySelectorAll('.claim-winnings-btn');
@@ -2669,8 +2823,12 @@ async function claimWinnings(sessionId, amount) {
   });
   
   try {
+    if (!claimIdempotencyKeys.has(sessionId)) {
+      claimIdempotencyKeys.set(sessionId, crypto.randomUUID());
+    }
     const res = await authenticatedFetch(`${BACKEND_BASE_URL}/api/claim-winnings/${sessionId}`, {
-      method: 'POST'
+      method: 'POST',
+      headers: { 'Idempotency-Key': claimIdempotencyKeys.get(sessionId) }
     });
     
     if (!res.ok) {
@@ -2679,6 +2837,13 @@ async function claimWinnings(sessionId, amount) {
     }
     
     const data = await res.json();
+    if (data.claimStatus === 'transferring') {
+      // An earlier attempt's transfer is still going through; the history updates when it's done
+      showNotification('⏳ Your winnings transfer is in progress.', 'info');
+      await loadParlayHistory();
+      return;
+    }
+    claimIdempotencyKeys.delete(sessionId);
     showNotification(`✅ Success! $${amount.toFixed(2)} has been added to your account balance.`, 'success');
     
     // Immediately reload parlay history to refresh with latest database data
@@ -2701,6 +2866,68 @@ async function claimWinnings(sessionId, amount) {
   }
 }
 
+// Cash-out is two clicks: the first fetches an offer and turns the button into
+// "Accept $X (Ns)" until the offer expires; the second accepts it
+async function cashOutParlay(sessionId, button) {
+  const offer = button._cashOutOffer;
+  button.disabled = true;
+  
+  try {
+    if (!offer) {
+      button.textContent = 'Pricing...';
+      const res = await authenticatedFetch(`${BACKEND_BASE_URL}/api/cash-out/${sessionId}/offer`, { method: 'POST' });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        throw new Error(data.error || `Failed to get a cash-out offer: ${res.status}`);
+      }
+      showCashOutOffer(button, data.offer);
+      return;
+    }
+    
+    clearInterval(button._cashOutTimer);
+    button.textContent = 'Cashing out...';
+    const res = await authenticatedFetch(`${BACKEND_BASE_URL}/api/cash-out/${sessionId}/accept`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ offerId: offer.offerId })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error(data.error || `Failed to cash out: ${res.status}`);
+    }
+    
+    showNotification(`✅ Cashed out! $${data.amount.toFixed(2)} has been added to your account balance.`, 'success');
+    await loadParlayHistory();
+    await loadWalletBalance();
+  } catch (err) {
+    console.error("Failed to cash out:", err);
+    showNotification(`❌ ${err.message}`, 'error');
+    resetCashOutButton(button);
+  }
+}
+
+function showCashOutOffer(button, offer) {
+  button._cashOutOffer = offer;
+  button.disabled = false;
+  const expiresAt = new Date(offer.expiresAt).getTime();
+  const render = () => {
+    const secondsLeft = Math.ceil((expiresAt - Date.now()) / 1000);
+    if (secondsLeft <= 0) {
+      resetCashOutButton(button);
+      return;
+    }
+    button.textContent = `Accept $${offer.amount.toFixed(2)} (${secondsLeft}s)`;
+  };
+  render();
+  button._cashOutTimer = setInterval(render, 1000);
+}
+
+function resetCashOutButton(button) {
+  clearInterval(button._cashOutTimer);
+  button._cashOutOffer = null;
+  button.disabled = false;
+  button.textContent = 'Cash Out';
+}
 
 async function loadWalletBalance() {
   try {
@@ -2760,6 +2987,48 @@ async function loadWalletBalance() {
   }
 }
 
+async function loadUserSettings() {
+  const toggle = document.getElementById("profile-auto-claim-toggle");
+  const hint = document.getElementById("profile-auto-claim-hint");
+  try {
+    const uid = await getUserId(currentEnvironment);
+    const res = await authenticatedFetch(`${BACKEND_BASE_URL}/api/settings/${uid}`);
+    if (!res.ok) throw new Error(`Failed to load settings: ${res.status}`);
+    const { settings } = await res.json();
+    if (toggle) toggle.checked = !!settings.autoClaim;
+    if (hint) {
+      hint.textContent = `Won parlays up to $${Number(settings.autoClaimMaxAmount).toFixed(2)} are paid to your wallet automatically.`;
+    }
+    return settings;
+  } catch (err) {
+    console.error("Failed to load settings:", err);
+    return null;
+  }
+}
+
+async function saveAutoClaimSetting(toggle) {
+  const autoClaim = toggle.checked;
+  toggle.disabled = true;
+  try {
+    const uid = await getUserId(currentEnvironment);
+    const res = await authenticatedFetch(`${BACKEND_BASE_URL}/api/settings/${uid}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ autoClaim })
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || `Failed to save settings: ${res.status}`);
+    }
+  } catch (err) {
+    console.error("Failed to save auto-claim setting:", err);
+    toggle.checked = !autoClaim;
+    showNotification(`❌ Failed to update auto-claim: ${err.message}`, 'error');
+  } finally {
+    toggle.disabled = false;
+  }
+}
+
 // Profile overlay view management
 function showProfileMainView() {
   const profileContent = document.getElementById("profile-content");
@@ -2845,6 +3114,10 @@ function showProfileWithdrawView() {
   if (amountInput) {
     amountInput.value = "";
   }
+  const addressInput = document.getElementById("profile-withdraw-address-input");
+  if (addressInput) {
+    addressInput.value = "";
+  }
   
   // Reset button
   if (withdrawBtn) {
@@ -2872,6 +3145,8 @@ function showMenuMainView() {
   if (menuParlayHistoryContent) menuParlayHistoryContent.style.display = "none";
   if (menuBackBtn) menuBackBtn.style.display = "none";
   if (menuHeaderTitle) menuHeaderTitle.textContent = "Menu";
+  
+  closeParlayEventStream();
 }
 
 function showMenuCurrentParlaysView() {
@@ -2889,6 +3164,7 @@ function showMenuCurrentParlaysView() {
   
   // Load and render current parlays
   loadAndRenderCurrentParlays();
+  watchParlayEvents(loadAndRenderCurrentParlays);
 }
 
 function showMenuParlayHistoryView() {
@@ -2906,10 +3182,16 @@ function showMenuParlayHistoryView() {
   
   // Load and render parlay history
   loadAndRenderMenuParlayHistory();
+  watchParlayEvents(loadAndRenderMenuParlayHistory);
 }
 
-// Helper function to check if a parlay has any pending legs
+// Helper function to check if a parlay is still open (has pending legs and isn't resolved)
 function hasPendingLegs(parlay) {
+  // A lost leg resolves the parlay even while its other legs are still open
+  if ((parlay.parlay_status || 'pending') !== 'pending') {
+    return false;
+  }
+  
   const legOutcomes = parlay.legOutcomes || [];
   const parlayData = typeof parlay.parlay_data === 'string' ? JSON.parse(parlay.parlay_data) : parlay.parlay_data || [];
   
@@ -3038,6 +3320,10 @@ function showWithdrawOverlay() {
   if (amountInput) {
     amountInput.value = "";
   }
+  const addressInput = document.getElementById("withdraw-address-input");
+  if (addressInput) {
+    addressInput.value = "";
+  }
   
   // Reset button
   const confirmBtn = document.getElementById("confirm-withdraw-btn");
@@ -3059,6 +3345,7 @@ function closeWithdrawOverlay() {
 async function handleWithdraw() {
   const amountInput = document.getElementById("withdraw-amount-input");
   const amount = parseFloat(amountInput?.value) || 0;
+  const destinationAddress = document.getElementById("withdraw-address-input")?.value.trim() || "";
   const confirmBtn = document.getElementById("confirm-withdraw-btn");
   const errorMessage = document.getElementById("withdraw-error-message");
   
@@ -3075,6 +3362,14 @@ async function handleWithdraw() {
     return;
   }
   
+  if (!destinationAddress) {
+    if (errorMessage) {
+      errorMessage.textContent = "Please enter the Solana address to send USDC to";
+      errorMessage.classList.remove("hidden");
+    }
+    return;
+  }
+  
   try {
     const uid = await getUserId(currentEnvironment);
     const balance = await loadWalletBalance();
@@ -3119,7 +3414,7 @@ async function handleWithdraw() {
     // Call withdrawal API
     const res = await authenticatedFetch(`${BACKEND_BASE_URL}/api/withdraw/${uid}`, {
       method: 'POST',
-      body: JSON.stringify({ amount })
+      body: JSON.stringify({ amount, destinationAddress })
     });
     
     if (!res.ok) {
@@ -3298,6 +3593,7 @@ async function handleProfileBuyCredits() {
 async function handleProfileWithdraw() {
   const amountInput = document.getElementById("profile-withdraw-amount-input");
   const amount = parseFloat(amountInput?.value) || 0;
+  const destinationAddress = document.getElementById("profile-withdraw-address-input")?.value.trim() || "";
   const confirmBtn = document.getElementById("profile-confirm-withdraw-btn");
   const errorMessage = document.getElementById("profile-withdraw-error-message");
   
@@ -3314,6 +3610,14 @@ async function handleProfileWithdraw() {
     return;
   }
   
+  if (!destinationAddress) {
+    if (errorMessage) {
+      errorMessage.textContent = "Please enter the Solana address to send USDC to";
+      errorMessage.classList.remove("hidden");
+    }
+    return;
+  }
+  
   try {
     const uid = await getUserId(currentEnvironment);
     const balance = await loadWalletBalance();
@@ -3339,7 +3643,7 @@ async function handleProfileWithdraw() {
     // Call withdrawal API
     const res = await authenticatedFetch(`${BACKEND_BASE_URL}/api/withdraw/${uid}`, {
       method: 'POST',
-      body: JSON.stringify({ amount })
+      body: JSON.stringify({ amount, destinationAddress })
     });
     
     if (!res.ok) {
@@ -0,0 +1,86 @@
+/**
+ * Script to reconcile balances
+ * Compares wallet and pool balances with the ledger, with what purchases, claims, deposits and
+ * withdrawals imply, and with the USDC held on-chain and the Kalshi cash balance.
+ *
+ * Usage: npm run reconcile [-- --json] [-- --users]
+ * Exits with status 1 when there are discrepancies or the platform is under-collateralized.
+ */
+
+import { runReconciliation } from '../server/reconciliationService.js';
+
+const args = process.argv.slice(2);
+const money = amount => (amount === null || amount === undefined ? 'N/A' : `$${amount.toFixed(2)}`);
+
+function printReport(report) {
+  const { totals, collateral } = report;
+
+  console.log('\n🧾 BALANCE RECONCILIATION\n');
+  console.log('='.repeat(60));
+  console.log(`Generated: ${new Date(report.generatedAt).toLocaleString()}`);
+
+  console.log('\n\n📒 DATABASE vs LEDGER:');
+  console.log('-'.repeat(60));
+  console.log(`User Wallet Balances: ${money(totals.userBalances)} (ledger ${money(totals.ledgerUserBalances)})`);
+  console.log(`Liquidity Pool: ${money(totals.pool)} (ledger ${money(totals.ledgerPool)})`);
+  console.log(`Unclaimed Winnings: ${money(totals.unclaimedWinnings)}`);
+
+  console.log('\n\n⛓️  ON-CHAIN & KALSHI:');
+  console.log('-'.repeat(60));
+  if (totals.onChain) {
+    console.log(`Platform Wallet USDC: ${money(totals.onChain.platform)}`);
+    console.log(`User Wallets USDC: ${money(totals.onChain.users)}`);
+    console.log(`Total On-Chain: ${money(totals.onChain.total)} (expected ${money(totals.userBalances + totals.pool)})`);
+  } else {
+    console.log('On-chain balances not checked.');
+  }
+  console.log(`Kalshi Cash: ${money(totals.kalshiCash)} (ledger ${money(totals.ledgerKalshi)}, difference is open positions and hedge P&L)`);
+
+  console.log('\n\n🏦 COLLATERAL:');
+  console.log('-'.repeat(60));
+  console.log(`Assets (on-chain + Kalshi cash): ${money(collateral.assets)}`);
+  console.log(`Liabilities (balances + unclaimed winnings): ${money(collateral.liabilities)}`);
+  if (collateral.underCollateralized === null) {
+    console.log('\n⚠️  Collateral unknown without on-chain balances');
+  } else if (collateral.underCollateralized) {
+    console.log(`\n❌ Under-collateralized by ${money(Math.abs(collateral.surplus))}`);
+  } else {
+    console.log(`\n✅ Surplus of ${money(collateral.surplus)}`);
+  }
+
+  if (args.includes('--users')) {
+    console.log('\n\n👥 USERS:');
+    console.log('-'.repeat(60));
+    report.users.forEach((user, index) => {
+      console.log(`\n${index + 1}. User: ${user.userId}`);
+      console.log(`   Balance: ${money(user.balance)}  Ledger: ${money(user.ledgerBalance)}  Expected: ${money(user.expectedBalance)}  On-chain: ${money(user.onChain)}`);
+    });
+  }
+
+  console.log('\n\n🔍 DISCREPANCIES:');
+  console.log('-'.repeat(60));
+  if (report.discrepancies.length === 0) {
+    console.log('None.');
+  }
+  report.discrepancies.forEach((d, index) => {
+    console.log(`\n${index + 1}. ${d.check}${d.userId ? ` (user ${d.userId})` : ''}`);
+    console.log(`   Expected: ${money(d.expected)}  Actual: ${money(d.actual)}  Difference: ${money(d.difference)}`);
+  });
+
+  report.warnings.forEach(warning => console.log(`\n⚠️  ${warning}`));
+  console.log('\n' + '='.repeat(60) + '\n');
+}
+
+runReconciliation()
+  .then(report => {
+    if (args.includes('--json')) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+    process.exit(report.discrepancies.length > 0 || report.collateral.underCollateralized ? 1 : 0);
+  })
+  .catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(2);
+  });
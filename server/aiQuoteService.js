@@ -1,11 +1,48 @@
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { ENV } from '../config/env.js';
+import { CONFIG } from '../config/constants.js';
+import { buildParlayQuote, generateRuleBasedQuote } from './pricingEngine.js';
+import { logWarn } from './utils/logger.js';
 
 dotenv.config();
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Lazy initialization - the OpenAI constructor throws when no API key is set
+let openai = null;
+
+function getOpenAIClient() {
+  if (!openai && process.env.OPENAI_API_KEY) {
+    openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+    });
+  }
+  return openai;
+}
+
+/**
+ * Check that the model returned usable numbers
+ * @param {Object} aiResponse - Parsed JSON from the model
+ * @param {number} naiveCombinedProb - Independent combined probability (0-1)
+ * @throws {Error} If the response is missing fields or violates pricing constraints
+ */
+function validateAiResponse(aiResponse, naiveCombinedProb) {
+  const adjusted = Number(aiResponse?.adjustedProbability);
+  const percentage = Number(aiResponse?.recommendedPayoutPercentage);
+
+  if (!Number.isFinite(adjusted) || adjusted <= 0 || adjusted > 1) {
+    throw new Error(`Invalid adjustedProbability from model: ${aiResponse?.adjustedProbability}`);
+  }
+  if (!Number.isFinite(percentage) || percentage <= 0 || percentage > 100) {
+    throw new Error(`Invalid recommendedPayoutPercentage from model: ${aiResponse?.recommendedPayoutPercentage}`);
+  }
+  // Allow for rounding in the model's output, but never better than independent odds
+  if (adjusted < naiveCombinedProb * 0.999) {
+    throw new Error(`Model adjustedProbability ${adjusted} is below naive probability ${naiveCombinedProb}`);
+  }
+
+  aiResponse.adjustedProbability = adjusted;
+  aiResponse.recommendedPayoutPercentage = percentage;
+}
 
 /**
  * Analyzes a parlay for event correlation and generates a smart payout percentage
@@ -114,8 +151,13 @@ If naive probability is 10% (naive payout $100):
 - Positively correlated: adjustedProbability = 0.12, correlationFactor = 1.2, recommend 85% payout ($85) ✅
 - WRONG: adjustedProbability = 0.08, correlationFactor = 0.8, payout would be $112 ❌ NEVER DO THIS`;
 
+  const client = getOpenAIClient();
+  if (!client) {
+    throw new Error('Failed to generate AI quote: OPENAI_API_KEY is not set');
+  }
+
   try {
-    const completion = await openai.chat.completions.create({
+    const completion = await client.chat.completions.create({
       model: "gpt-4o-mini",
       messages: [
         {
@@ -129,48 +171,17 @@ If naive probability is 10% (naive payout $100):
       ],
       response_format: { type: "json_object" },
       temperature: 0.3, // Lower temperature for more consistent analysis
+    }, {
+      timeout: ENV.QUOTE_AI_TIMEOUT_MS ?? CONFIG.PRICING.AI_TIMEOUT_MS,
+      maxRetries: 0 // The rule-based engine is the retry
     });
 
     const aiResponse = JSON.parse(completion.choices[0].message.content);
-
-    // Calculate adjusted payout
-    const adjustedPayout = naivePayout * (aiResponse.recommendedPayoutPercentage / 100);
-    const potentialProfit = adjustedPayout - stake;
-    const effectiveOdds = adjustedPayout / stake;
+    validateAiResponse(aiResponse, naiveCombinedProb);
 
     return {
       success: true,
-      quote: {
-        stake: stake,
-        bets: bets.map(b => ({
-          market: b.marketTitle,
-          option: b.optionLabel,
-          probability: b.prob,
-          ticker: b.ticker || null,
-          marketId: b.marketId || null,
-          side: b.side || null,
-          marketUrl: b.marketUrl || null,
-          imageUrl: b.imageUrl || null
-        })),
-        analysis: {
-          naiveCombinedProbability: (naiveCombinedProb * 100).toFixed(2) + '%',
-          adjustedProbability: (aiResponse.adjustedProbability * 100).toFixed(2) + '%',
-          correlationFactor: aiResponse.correlationFactor,
-          correlationAnalysis: aiResponse.correlationAnalysis,
-          reasoning: aiResponse.reasoning,
-          riskAssessment: aiResponse.riskAssessment,
-          confidenceLevel: aiResponse.confidenceLevel
-        },
-        payout: {
-          naivePayout: naivePayout.toFixed(2),
-          recommendedPayoutPercentage: aiResponse.recommendedPayoutPercentage,
-          adjustedPayout: adjustedPayout.toFixed(2),
-          potentialProfit: potentialProfit.toFixed(2),
-          effectiveOdds: effectiveOdds.toFixed(2)
-        },
-        timestamp: new Date().toISOString(),
-        expiresAt: new Date(Date.now() + 5 * 60 * 1000).toISOString() // 5 minutes
-      }
+      quote: buildParlayQuote(bets, stake, aiResponse, 'openai')
     };
   } catch (error) {
     console.error('OpenAI API Error:', error);
@@ -178,4 +189,21 @@ If naive probability is 10% (naive payout $100):
   }
 }
 
-
+/**
+ * Generate a parlay quote, falling back to the rule-based engine
+ * Any OpenAI failure (missing key, timeout, network error, junk response) is
+ * answered by generateRuleBasedQuote so the betting flow keeps working.
+ * @param {Array} bets - Array of bet objects with marketTitle, optionLabel, prob, ticker
+ * @param {number} stake - The stake amount in dollars
+ * @returns {Object} Quote with quote.pricingEngine set to 'openai' or 'rule_based'
+ */
+export async function generateParlayQuoteWithFallback(bets, stake) {
+  try {
+    return await generateParlayQuote(bets, stake);
+  } catch (error) {
+    logWarn(`[Quote] OpenAI pricing unavailable, using rule-based engine: ${error.message}`);
+    const result = generateRuleBasedQuote(bets, stake);
+    result.quote.fallbackReason = error.message;
+    return result;
+  }
+}
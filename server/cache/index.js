@@ -0,0 +1,172 @@
+/**
+ * Market Data Cache
+ * Caches Kalshi market, event, series and orderbook responses
+ *
+ * Each type has its own TTL (CONFIG.MARKET_CACHE.TTL_MS); settled markets no longer
+ * change, so they are kept much longer. Concurrent misses for the same key share one
+ * upstream request. The backend is in-memory by default, or Redis with
+ * MARKET_CACHE_BACKEND=redis - falling back to memory if Redis is unavailable.
+ */
+
+import { ENV } from '../../config/env.js';
+import { CONFIG } from '../../config/constants.js';
+import { createMemoryBackend } from './memoryBackend.js';
+import { createRedisBackend } from './redisBackend.js';
+import { logInfo, logWarn } from '../utils/logger.js';
+
+export const CACHE_TYPES = ['market', 'event', 'series', 'orderbook'];
+
+const SETTLED_STATUSES = ['settled', 'finalized', 'determined'];
+
+let backendPromise = null;
+const inFlight = new Map();
+const stats = { hits: 0, misses: 0, coalesced: 0 };
+
+/**
+ * Get the configured backend, connecting on first use
+ * @returns {Promise<Object>} Cache backend
+ */
+function getBackend() {
+  if (!backendPromise) {
+    backendPromise = (async () => {
+      const settings = CONFIG.MARKET_CACHE;
+      if (ENV.MARKET_CACHE_BACKEND === 'redis') {
+        if (!ENV.REDIS_URL) {
+          logWarn('[cache] MARKET_CACHE_BACKEND=redis but REDIS_URL is not set - using in-memory cache');
+        } else {
+          try {
+            const backend = await createRedisBackend({ url: ENV.REDIS_URL, keyPrefix: settings.KEY_PREFIX });
+            logInfo('[cache] Market data cache using Redis');
+            return backend;
+          } catch (err) {
+            logWarn(`[cache] Redis unavailable (${err.message}) - using in-memory cache`);
+          }
+        }
+      }
+      return createMemoryBackend({ maxEntries: settings.MAX_ENTRIES });
+    })();
+  }
+  return backendPromise;
+}
+
+/**
+ * Use a specific backend instead of the configured one (tests, mock server)
+ * @param {Object} backend - Object implementing get, set, del, delPrefix and clear
+ */
+export function setCacheBackend(backend) {
+  backendPromise = Promise.resolve(backend);
+  inFlight.clear();
+}
+
+function cacheKey(type, key) {
+  return `${type}:${String(key).toUpperCase()}`;
+}
+
+/**
+ * TTL for a value of the given type
+ * @param {string} type - Cache type
+ * @param {*} value - Value being stored
+ * @returns {number} TTL in milliseconds
+ */
+function ttlFor(type, value) {
+  const ttls = CONFIG.MARKET_CACHE.TTL_MS;
+  if (type === 'market') {
+    const status = (value?.market?.status || '').toLowerCase();
+    if (SETTLED_STATUSES.includes(status)) return ttls.settled_market;
+  }
+  return ttls[type];
+}
+
+/**
+ * Read through the cache
+ * Loader errors are not cached and propagate to every caller waiting on the same key.
+ * @param {string} type - One of CACHE_TYPES
+ * @param {string} key - Ticker or query identifying the response
+ * @param {Function} loader - Async function fetching the value on a miss
+ * @returns {Promise<*>} Cached or freshly loaded value
+ */
+export async function cached(type, key, loader) {
+  if (!CACHE_TYPES.includes(type)) {
+    throw new Error(`Unknown cache type "${type}"`);
+  }
+
+  const fullKey = cacheKey(type, key);
+  const backend = await getBackend();
+
+  let value;
+  try {
+    value = await backend.get(fullKey);
+  } catch (err) {
+    logWarn(`[cache] Read failed for ${fullKey}: ${err.message}`);
+  }
+  if (value !== undefined) {
+    stats.hits++;
+    return value;
+  }
+
+  if (inFlight.has(fullKey)) {
+    stats.coalesced++;
+    return inFlight.get(fullKey);
+  }
+
+  stats.misses++;
+  const request = (async () => {
+    try {
+      const loaded = await loader();
+      if (loaded !== undefined && loaded !== null) {
+        await backend.set(fullKey, loaded, ttlFor(type, loaded)).catch(err => {
+          logWarn(`[cache] Write failed for ${fullKey}: ${err.message}`);
+        });
+      }
+      return loaded;
+    } finally {
+      inFlight.delete(fullKey);
+    }
+  })();
+
+  inFlight.set(fullKey, request);
+  return request;
+}
+
+/**
+ * Drop one cached response
+ * @param {string} type - One of CACHE_TYPES
+ * @param {string} key - Ticker or query
+ * @returns {Promise<void>}
+ */
+export async function invalidate(type, key) {
+  const backend = await getBackend();
+  await backend.del(cacheKey(type, key));
+}
+
+/**
+ * Drop everything cached for a market ticker (market details and orderbook)
+ * @param {string} ticker - Market ticker
+ * @returns {Promise<void>}
+ */
+export async function invalidateTicker(ticker) {
+  await Promise.all([invalidate('market', ticker), invalidate('orderbook', ticker)]);
+}
+
+/**
+ * Drop all cached responses, or all of one type
+ * @param {string} type - Optional cache type
+ * @returns {Promise<void>}
+ */
+export async function clearCache(type = null) {
+  const backend = await getBackend();
+  if (type) {
+    await backend.delPrefix(`${type}:`);
+  } else {
+    await backend.clear();
+  }
+}
+
+/**
+ * Hit/miss counters since startup
+ * @returns {Object} { backend, hits, misses, coalesced }
+ */
+export async function getCacheStats() {
+  const backend = await getBackend();
+  return { backend: backend.name, ...stats };
+}
@@ -0,0 +1,58 @@
+/**
+ * In-Memory Cache Backend
+ * Per-process key/value store with TTLs, evicting the least recently used entry when full
+ */
+
+/**
+ * Create an in-memory cache backend
+ * @param {Object} options
+ * @param {number} options.maxEntries - Entries kept before the oldest are evicted
+ * @returns {Object} Backend with async get, set, del, delPrefix and clear
+ */
+export function createMemoryBackend({ maxEntries = 5000 } = {}) {
+  // Map iteration order doubles as recency order: entries are re-inserted on read
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      // Callers get their own copy so mutating a response can't corrupt the cache
+      return structuredClone(entry.value);
+    },
+
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async del(key) {
+      entries.delete(key);
+    },
+
+    async delPrefix(prefix) {
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) entries.delete(key);
+      }
+    },
+
+    async clear() {
+      entries.clear();
+    },
+
+    size() {
+      return entries.size;
+    }
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * Redis Cache Backend
+ * Shares cached market data across server instances (design doc: Redis for market snapshots)
+ *
+ * `redis` is an optional dependency: if it failed to install (or was skipped with --omit=optional),
+ * the cache falls back to memory.
+ */
+
+import { logError } from '../utils/logger.js';
+
+/**
+ * Connect to Redis and create a cache backend
+ * Values are stored as JSON with a millisecond expiry.
+ * @param {Object} options
+ * @param {string} options.url - Redis connection URL (redis://host:port)
+ * @param {string} options.keyPrefix - Namespace for keys written by this backend
+ * @returns {Promise<Object>} Backend with async get, set, del, delPrefix and clear
+ * @throws {Error} If the redis package is missing or the connection fails
+ */
+export async function createRedisBackend({ url, keyPrefix = '' }) {
+  let redis;
+  try {
+    redis = await import('redis');
+  } catch {
+    throw new Error('The redis package is not installed - run `npm install redis` to use the Redis cache backend');
+  }
+
+  const client = redis.createClient({ url });
+  client.on('error', err => {
+    logError('[cache] Redis error', err);
+  });
+  await client.connect();
+
+  const scanDelete = async (pattern) => {
+    for await (const keys of client.scanIterator({ MATCH: pattern, COUNT: 500 })) {
+      // node-redis v5 yields batches, v4 yields single keys
+      const batch = Array.isArray(keys) ? keys : [keys];
+      if (batch.length > 0) await client.del(batch);
+    }
+  };
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const raw = await client.get(keyPrefix + key);
+      return raw === null ? undefined : JSON.parse(raw);
+    },
+
+    async set(key, value, ttlMs) {
+      await client.set(keyPrefix + key, JSON.stringify(value), { PX: Math.max(1, Math.round(ttlMs)) });
+    },
+
+    async del(key) {
+      await client.del(keyPrefix + key);
+    },
+
+    async delPrefix(prefix) {
+      await scanDelete(`${keyPrefix}${prefix}*`);
+    },
+
+    async clear() {
+      await scanDelete(`${keyPrefix}*`);
+    },
+
+    async quit() {
+      await client.quit();
+    }
+  };
+}
@@ -0,0 +1,262 @@
+/**
+ * Cash-Out Service
+ * Prices pending parlays for early exit and settles accepted offers
+ *
+ * An offer is worth what the parlay would pay if every open leg won (settled legs graded
+ * as at settlement: void legs re-priced out, partial legs scaled) times the live probability
+ * of each open leg, less the house margin. Round robins and flex parlays can still pay when
+ * an open leg loses, so they're valued over every win/loss outcome of the open legs instead.
+ * Offers live for CONFIG.CASH_OUT.OFFER_TTL_MS and are only good while no further leg has
+ * settled.
+ *
+ * Accepting moves the purchase from pending to cashed_out (a compare-and-set, so it loses
+ * to a settlement or another offer), credits the wallet through the ledger and unwinds the
+ * parlay's hedges. Each step can be repeated: retrying an accepted offer finishes whatever
+ * an interrupted accept didn't.
+ */
+
+import crypto from 'crypto';
+import { ENV } from '../config/env.js';
+import { CONFIG, ERROR_MESSAGES, HTTP_STATUS } from '../config/constants.js';
+import {
+  getCompletedPurchase,
+  saveCashOutOffer,
+  getCashOutOffer,
+  markCashOutOfferAccepted,
+  cashOutPurchase
+} from './db.js';
+import { getMarketDetails } from './kalshiClient.js';
+import { getLivePrice } from './kalshiMarketFeed.js';
+import { checkParlayStatus, settleParlay } from './parlayStatusService.js';
+import { enumerateLegOutcomes } from './hedgingService.js';
+import { unwindParlayHedges } from './hedgeUnwindService.js';
+import { recordCashOut } from './ledgerService.js';
+import { publishParlayEvent } from './parlayEvents.js';
+import { logInfo, logError } from './utils/logger.js';
+
+/**
+ * A cash-out that can't go ahead, with the HTTP status to answer with
+ */
+export class CashOutError extends Error {
+  constructor(message, status = HTTP_STATUS.BAD_REQUEST) {
+    super(message);
+    this.name = 'CashOutError';
+    this.status = status;
+  }
+}
+
+const roundCents = amount => Math.round(amount * 100) / 100;
+const cents = value => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+
+/**
+ * Live probability (0-1) of the side the user took on an open leg
+ * Uses the market feed's mid when it has the market, otherwise Kalshi's quoted bid/ask.
+ * @param {Object} leg - parlay_data leg ({ ticker, side })
+ * @returns {Promise<number|null>} Probability, or null without a usable price
+ */
+export async function getLegLiveProbability(leg) {
+  const side = (leg.side || 'yes').toLowerCase();
+  const live = getLivePrice(leg.ticker, side);
+  let mid = live?.mid ?? null;
+
+  if (mid === null) {
+    const market = await getMarketDetails(leg.ticker);
+    const yesBid = cents(market?.yes_bid);
+    const yesAsk = cents(market?.yes_ask);
+    const bid = side === 'no' ? (yesAsk !== null ? 100 - yesAsk : null) : yesBid;
+    const ask = side === 'no' ? (yesBid !== null ? 100 - yesBid : null) : yesAsk;
+    mid = bid !== null && ask !== null ? (bid + ask) / 2 : bid ?? ask;
+  }
+
+  return mid !== null && mid > 0 && mid < 100 ? mid / 100 : null;
+}
+
+/**
+ * Price a pending parlay from its leg outcomes and the open legs' probabilities
+ * @param {Object} purchase - completed_purchases row
+ * @param {Array} legs - parlay_data legs
+ * @param {Array} outcomes - Leg outcomes from checkParlayStatus
+ * @param {Map<number, number>} probabilities - legNumber → live probability (0-1) of each open leg
+ * @param {number} margin - House margin (fraction of the fair value)
+ * @returns {Object} { fairValue, amount }
+ */
+export function priceCashOut(purchase, legs, outcomes, probabilities, margin) {
+  const openLegs = outcomes.filter(o => !o.settled);
+  // The open legs graded as they might settle, with the settled legs graded as they settled
+  const valueIf = openResults => settleParlay(purchase, legs, outcomes.map(o => {
+    if (o.settled) return o;
+    const wins = openResults[openLegs.indexOf(o)];
+    return { ...o, settled: true, outcome: wins ? 'win' : 'loss', value: wins ? 1 : 0 };
+  })).claimableAmount;
+
+  let fairValue;
+  if ((purchase.parlay_type || 'standard') === 'standard') {
+    // Only pays if every open leg wins
+    fairValue = openLegs.reduce((value, o) => value * probabilities.get(o.legNumber), valueIf(openLegs.map(() => true)));
+  } else {
+    const openBets = openLegs.map(o => ({ prob: probabilities.get(o.legNumber) * 100 }));
+    fairValue = enumerateLegOutcomes(openBets).reduce((value, { legResults, probability }) => value + probability * valueIf(legResults), 0);
+  }
+  return { fairValue: roundCents(fairValue), amount: roundCents(fairValue * (1 - margin)) };
+}
+
+/**
+ * Issue a cash-out offer for a pending parlay
+ * Re-checks the legs first so the offer reflects every settlement so far.
+ * @param {string} sessionId - Purchase session ID
+ * @param {Object} options - { userToken } (JWT of the parlay's owner)
+ * @returns {Promise<Object>} { offerId, sessionId, amount, fairValue, payout, margin, expiresAt, legs }
+ * @throws {CashOutError} If the parlay can't be cashed out now
+ */
+export async function createCashOutOffer(sessionId, { userToken = null } = {}) {
+  const purchase = await getCompletedPurchase(sessionId, userToken);
+  if (!purchase) {
+    throw new CashOutError(ERROR_MESSAGES.CASH_OUT.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+  if ((purchase.parlay_status || 'pending') !== 'pending') {
+    throw new CashOutError(ERROR_MESSAGES.CASH_OUT.NOT_PENDING, HTTP_STATUS.CONFLICT);
+  }
+
+  const { status, outcomes } = await checkParlayStatus(sessionId);
+  if (status !== 'pending') {
+    throw new CashOutError(ERROR_MESSAGES.CASH_OUT.NOT_PENDING, HTTP_STATUS.CONFLICT);
+  }
+  const openLegs = outcomes.filter(o => !o.settled);
+  if (openLegs.length === 0) {
+    throw new CashOutError(ERROR_MESSAGES.CASH_OUT.NO_OPEN_LEGS, HTTP_STATUS.CONFLICT);
+  }
+
+  const legs = typeof purchase.parlay_data === 'string' ? JSON.parse(purchase.parlay_data) : purchase.parlay_data || [];
+  const probabilities = new Map();
+  for (const o of openLegs) {
+    const probability = await getLegLiveProbability(legs[o.legNumber - 1] || {});
+    if (probability === null) {
+      throw new CashOutError(ERROR_MESSAGES.CASH_OUT.NO_PRICE, HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+    probabilities.set(o.legNumber, probability);
+  }
+
+  const margin = ENV.CASH_OUT_MARGIN ?? CONFIG.CASH_OUT.MARGIN;
+  const { fairValue, amount } = priceCashOut(purchase, legs, outcomes, probabilities, margin);
+  if (amount < CONFIG.CASH_OUT.MIN_AMOUNT) {
+    throw new CashOutError(ERROR_MESSAGES.CASH_OUT.NO_VALUE, HTTP_STATUS.UNPROCESSABLE_ENTITY);
+  }
+
+  const legPrices = openLegs.map(o => ({
+    legNumber: o.legNumber,
+    ticker: legs[o.legNumber - 1]?.ticker || null,
+    side: (legs[o.legNumber - 1]?.side || 'yes').toLowerCase(),
+    probability: Math.round(probabilities.get(o.legNumber) * 10000) / 10000
+  }));
+  const offer = await saveCashOutOffer({
+    id: `cashout_${crypto.randomUUID()}`,
+    session_id: sessionId,
+    user_uuid: purchase.user_uuid,
+    amount,
+    fair_value: fairValue,
+    margin,
+    settled_legs: outcomes.filter(o => o.settled).map(o => o.legNumber),
+    leg_prices: legPrices,
+    expires_at: new Date(Date.now() + CONFIG.CASH_OUT.OFFER_TTL_MS).toISOString()
+  });
+
+  logInfo(`[CashOut] Offered $${amount.toFixed(2)} for ${sessionId} (fair value $${fairValue.toFixed(2)}, ${openLegs.length} open legs)`);
+  return {
+    offerId: offer.id,
+    sessionId,
+    amount,
+    fairValue,
+    payout: parseFloat(purchase.payout),
+    margin,
+    expiresAt: offer.expires_at,
+    legs: outcomes.map(o => ({
+      legNumber: o.legNumber,
+      settled: !!o.settled,
+      outcome: o.outcome,
+      probability: probabilities.has(o.legNumber) ? legPrices.find(p => p.legNumber === o.legNumber).probability : null
+    }))
+  };
+}
+
+/**
+ * Credit the wallet, mark the offer and unwind hedges for a parlay cashed out with an offer
+ * @param {Object} purchase - completed_purchases row (before the cash-out)
+ * @param {Object} offer - Accepted cash_out_offers row
+ * @param {Array} outcomes - Current leg outcomes (open legs get their hedges sold)
+ */
+async function completeCashOut(purchase, offer, outcomes) {
+  // Keyed on the session, so a retried accept can't pay twice
+  await recordCashOut(purchase.user_id, offer.session_id, parseFloat(offer.amount));
+  await markCashOutOfferAccepted(offer.id);
+
+  try {
+    await unwindParlayHedges(purchase, outcomes);
+  } catch (error) {
+    logError(`[CashOut] Error unwinding hedges for ${offer.session_id}`, error);
+  }
+}
+
+/**
+ * Accept a cash-out offer
+ * @param {string} sessionId - Purchase session ID (must match the offer)
+ * @param {string} offerId - Offer ID
+ * @param {Object} options - { userToken } (JWT of the parlay's owner)
+ * @returns {Promise<Object>} { sessionId, userId, offerId, amount }
+ * @throws {CashOutError} If the offer can't be accepted
+ */
+export async function acceptCashOutOffer(sessionId, offerId, { userToken = null } = {}) {
+  if (!offerId) {
+    throw new CashOutError(ERROR_MESSAGES.CASH_OUT.OFFER_ID_REQUIRED);
+  }
+  const purchase = await getCompletedPurchase(sessionId, userToken);
+  if (!purchase) {
+    throw new CashOutError(ERROR_MESSAGES.CASH_OUT.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+  const offer = await getCashOutOffer(offerId);
+  if (!offer || offer.session_id !== sessionId || offer.user_uuid !== purchase.user_uuid) {
+    throw new CashOutError(ERROR_MESSAGES.CASH_OUT.OFFER_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+  const amount = parseFloat(offer.amount);
+
+  // Already cashed out with this offer: finish anything an interrupted accept left undone
+  if (purchase.parlay_status === 'cashed_out' && purchase.cash_out_offer_id === offerId) {
+    // The legs no longer grade a cashed-out parlay; unwind what was open when it was priced
+    const legs = typeof purchase.parlay_data === 'string' ? JSON.parse(purchase.parlay_data) : purchase.parlay_data || [];
+    const settledLegs = offer.settled_legs || [];
+    const outcomes = legs.map((_, i) => ({ legNumber: i + 1, settled: settledLegs.includes(i + 1) }));
+    await completeCashOut(purchase, offer, outcomes);
+    return { sessionId, userId: purchase.user_id, offerId, amount };
+  }
+  if (offer.accepted_at) {
+    throw new CashOutError(ERROR_MESSAGES.CASH_OUT.OFFER_USED, HTTP_STATUS.CONFLICT);
+  }
+  if (new Date(offer.expires_at).getTime() <= Date.now()) {
+    throw new CashOutError(ERROR_MESSAGES.CASH_OUT.OFFER_EXPIRED, HTTP_STATUS.GONE);
+  }
+  if ((purchase.parlay_status || 'pending') !== 'pending') {
+    throw new CashOutError(ERROR_MESSAGES.CASH_OUT.NOT_PENDING, HTTP_STATUS.CONFLICT);
+  }
+
+  // The offer priced the legs settled at the time; any settlement since changes its value
+  const { status, outcomes } = await checkParlayStatus(sessionId);
+  if (status !== 'pending') {
+    throw new CashOutError(ERROR_MESSAGES.CASH_OUT.NOT_PENDING, HTTP_STATUS.CONFLICT);
+  }
+  const settledLegs = outcomes.filter(o => o.settled).map(o => o.legNumber).sort((a, b) => a - b);
+  const offeredLegs = [...(offer.settled_legs || [])].sort((a, b) => a - b);
+  if (settledLegs.join(',') !== offeredLegs.join(',')) {
+    throw new CashOutError(ERROR_MESSAGES.CASH_OUT.OFFER_STALE, HTTP_STATUS.CONFLICT);
+  }
+
+  // Loses to a settlement or another accepted offer that got there first
+  const cashedOut = await cashOutPurchase(sessionId, { amount, offerId });
+  if (!cashedOut) {
+    throw new CashOutError(ERROR_MESSAGES.CASH_OUT.NOT_PENDING, HTTP_STATUS.CONFLICT);
+  }
+
+  await completeCashOut(purchase, offer, outcomes);
+  publishParlayEvent(purchase.user_uuid, { type: 'status', sessionId, status: 'cashed_out', claimableAmount: 0, cashOutAmount: amount });
+  logInfo(`[CashOut] ${sessionId} cashed out for $${amount.toFixed(2)} (user ${purchase.user_id})`);
+
+  return { sessionId, userId: purchase.user_id, offerId, amount };
+}
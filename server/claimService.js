@@ -0,0 +1,214 @@
+/**
+ * Claim Service
+ * Pays out won parlays: USDC transfer from the platform wallet, ledger payout, then claimed_at
+ *
+ * Manual claims (POST /api/claim-winnings) and the auto-claim job both go through
+ * claimWinnings, which moves the parlay's claim_status through
+ *   (null) → transferring → transferred → credited
+ *   transferring → requested → transferring   (a transfer that was never sent, then its retry)
+ * (see migrations/add_claim_state_machine.sql):
+ *   - the transfer only starts once beginClaimTransfer has taken the claim lock, moving the
+ *     claim to 'transferring' under a row lock - a second request finds it taken and stops;
+ *   - the transfer's signature is stored with the move to 'transferred', and a transferred
+ *     claim never transfers again - a retry just finishes the payout;
+ *   - the payout is keyed on the session in the ledger, and 'credited' is set with claimed_at.
+ * A transfer that failed before anything was sent (TransferNotSentError) goes back to
+ * 'requested' with a retry scheduled; it never sets claimed_at. Any other transfer error
+ * (a timeout, a dropped RPC response) leaves the claim in 'transferring', like a server that
+ * stopped mid-transfer: it is not retried automatically - the USDC may have been sent - and
+ * is flagged for manual review instead, like stuck withdrawals.
+ *
+ * Requests can carry an idempotency key (the Idempotency-Key header). A retry with the key
+ * that took the claim lock resumes that claim: it gets the original result once credited,
+ * or the claim's progress while the transfer is still in flight.
+ */
+
+import { ENV } from '../config/env.js';
+import { CONFIG, ERROR_MESSAGES, HTTP_STATUS } from '../config/constants.js';
+import {
+  getCompletedPurchase,
+  claimParlayWinnings,
+  beginClaimTransfer,
+  advanceClaim,
+  getAutoClaimCandidates,
+  getStaleClaimTransfers
+} from './db.js';
+import { transferUsdcFromPlatform, TransferNotSentError } from './coinbaseCdpService.js';
+import { recordPayout } from './ledgerService.js';
+import { getClaimBlockReason } from './reconciliationService.js';
+import { publishParlayEvent } from './parlayEvents.js';
+import { logInfo, logWarn, logError } from './utils/logger.js';
+
+/**
+ * A claim that can't go ahead, with the HTTP status to answer with
+ */
+export class ClaimError extends Error {
+  constructor(message, status = HTTP_STATUS.BAD_REQUEST) {
+    super(message);
+    this.name = 'ClaimError';
+    this.status = status;
+  }
+}
+
+/**
+ * Delay before the auto-claim job retries a failed transfer
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+function retryDelayMs(attempts) {
+  return Math.min(CONFIG.CLAIMS.RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), CONFIG.CLAIMS.RETRY_MAX_MS);
+}
+
+/**
+ * What a claim request returns
+ * @param {Object} purchase - completed_purchases row
+ * @param {Object} extra - Fields to add (e.g. replayed)
+ * @returns {Object} { sessionId, userId, amount, status, transactionSignature }
+ */
+function claimResult(purchase, extra = {}) {
+  return {
+    sessionId: purchase.session_id,
+    userId: purchase.user_id,
+    amount: parseFloat(purchase.claimable_amount),
+    status: purchase.claim_status,
+    transactionSignature: purchase.claim_tx_signature || null,
+    ...extra
+  };
+}
+
+/**
+ * Claim a won parlay's winnings
+ * @param {string} sessionId - Purchase session ID
+ * @param {Object} options
+ * @param {string} options.userToken - JWT of the user claiming (omit for the auto-claim job)
+ * @param {string} options.idempotencyKey - Idempotency-Key of the request; a retry with the same key resumes its claim
+ * @param {Function} options.transfer - (userId, amountUsd) => { transactionSignature }; defaults to the CDP transfer.
+ *   It must throw TransferNotSentError for failures that are safe to retry
+ * @returns {Promise<Object>} { sessionId, userId, amount, status, transactionSignature, replayed? };
+ *   status is 'credited', or 'transferring' when a retry finds its transfer still in flight
+ * @throws {ClaimError} If the parlay can't be claimed or the transfer failed
+ */
+export async function claimWinnings(sessionId, { userToken = null, idempotencyKey = null, transfer = transferUsdcFromPlatform } = {}) {
+  const purchase = await getCompletedPurchase(sessionId, userToken);
+  if (!purchase) {
+    throw new ClaimError(ERROR_MESSAGES.CLAIM.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+  const sameRequest = !!idempotencyKey && purchase.claim_idempotency_key === idempotencyKey;
+
+  if (purchase.claimed_at) {
+    if (sameRequest) {
+      return claimResult(purchase, { replayed: true });
+    }
+    throw new ClaimError(ERROR_MESSAGES.CLAIM.ALREADY_CLAIMED);
+  }
+  if (purchase.parlay_status !== 'won') {
+    throw new ClaimError(ERROR_MESSAGES.CLAIM.NOT_WON);
+  }
+  if (purchase.claim_status === 'transferring') {
+    if (sameRequest) {
+      return claimResult(purchase, { replayed: true });
+    }
+    throw new ClaimError(ERROR_MESSAGES.CLAIM.IN_PROGRESS, HTTP_STATUS.CONFLICT);
+  }
+
+  let amount = parseFloat(purchase.claimable_amount);
+  let transactionSignature = purchase.claim_tx_signature || null;
+
+  if (purchase.claim_status !== 'transferred') {
+    // Don't send money while the last reconciliation says we can't cover what we owe
+    const claimBlockReason = await getClaimBlockReason();
+    if (claimBlockReason) {
+      logWarn(`[Claims] Claim refused for session ${sessionId}: ${claimBlockReason}`);
+      throw new ClaimError(claimBlockReason, HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+
+    const locked = await beginClaimTransfer(sessionId, idempotencyKey);
+    if (!locked) {
+      throw new ClaimError(ERROR_MESSAGES.CLAIM.IN_PROGRESS, HTTP_STATUS.CONFLICT);
+    }
+    // Pay what the row says now that it's locked, not what it said when first read
+    amount = parseFloat(locked.claimable_amount);
+
+    logInfo(`[Claims] Transferring $${amount.toFixed(2)} to user ${purchase.user_id} for session ${sessionId} (attempt ${locked.claim_attempts})`);
+    let result;
+    try {
+      result = await transfer(purchase.user_id, amount);
+    } catch (err) {
+      if (!(err instanceof TransferNotSentError)) {
+        // The transaction may have gone out: keep the lock so nothing sends again before a review
+        await advanceClaim(sessionId, 'transferring', { claim_last_error: err.message });
+        logError(`[Claims] Transfer for session ${sessionId} failed with an unknown outcome - left for review`, err);
+        throw new ClaimError(ERROR_MESSAGES.CLAIM.TRANSFER_UNCONFIRMED, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+      }
+      await advanceClaim(sessionId, 'transferring', {
+        claim_status: 'requested',
+        claim_processing_at: null,
+        claim_last_error: err.message,
+        claim_next_attempt_at: new Date(Date.now() + retryDelayMs(locked.claim_attempts)).toISOString()
+      });
+      throw new ClaimError(`Failed to transfer winnings: ${err.message}`, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+
+    transactionSignature = result.transactionSignature;
+    await advanceClaim(sessionId, 'transferring', {
+      claim_status: 'transferred',
+      claim_tx_signature: transactionSignature,
+      claim_processing_at: null,
+      claim_last_error: null,
+      claim_next_attempt_at: null
+    });
+    logInfo(`[Claims] Transfer for session ${sessionId} succeeded: ${transactionSignature}`);
+  }
+
+  // Pool → wallet payout (keyed on the session, so finishing an interrupted claim can't pay twice)
+  await recordPayout(purchase.user_id, sessionId, amount);
+  await claimParlayWinnings(sessionId, userToken);
+  publishParlayEvent(purchase.user_uuid, { type: 'claimed', sessionId, amount });
+
+  return claimResult({ ...purchase, claimable_amount: amount, claim_status: 'credited', claim_tx_signature: transactionSignature });
+}
+
+/**
+ * Claim won parlays for users who opted in to auto-claim (the auto-claim job)
+ * Claims above the auto-claim limit are left for the user. Failed transfers are retried on
+ * later runs with a backoff, up to CONFIG.CLAIMS.MAX_ATTEMPTS, and transferred claims whose
+ * payout didn't finish are completed whatever their amount.
+ * @param {Object} options
+ * @param {Function} options.transfer - Passed to claimWinnings
+ * @returns {Promise<Object>} { claimed, failed, skipped, stale, blocked }
+ */
+export async function autoClaimWinnings({ transfer } = {}) {
+  const summary = { claimed: 0, failed: 0, skipped: 0, stale: 0, blocked: false };
+
+  const claimBlockReason = await getClaimBlockReason();
+  if (claimBlockReason) {
+    logWarn(`[Claims] Auto-claim paused: ${claimBlockReason}`);
+    return { ...summary, blocked: true };
+  }
+
+  const maxAmount = ENV.AUTO_CLAIM_MAX_AMOUNT ?? CONFIG.CLAIMS.AUTO_CLAIM_MAX_AMOUNT;
+  const candidates = await getAutoClaimCandidates(CONFIG.CLAIMS.MAX_ATTEMPTS);
+  for (const purchase of candidates) {
+    if (purchase.claim_status !== 'transferred' && parseFloat(purchase.claimable_amount) > maxAmount) {
+      summary.skipped++;
+      continue;
+    }
+    try {
+      const { amount } = await claimWinnings(purchase.session_id, { transfer });
+      logInfo(`[Claims] Auto-claimed $${amount.toFixed(2)} for user ${purchase.user_id}, session ${purchase.session_id}`);
+      summary.claimed++;
+    } catch (err) {
+      const attempts = (purchase.claim_attempts || 0) + 1;
+      logWarn(`[Claims] Auto-claim of session ${purchase.session_id} failed (attempt ${attempts}/${CONFIG.CLAIMS.MAX_ATTEMPTS}): ${err.message}`);
+      summary.failed++;
+    }
+  }
+
+  const staleBefore = new Date(Date.now() - CONFIG.CLAIMS.STALE_PROCESSING_MS).toISOString();
+  for (const purchase of await getStaleClaimTransfers(staleBefore)) {
+    logWarn(`[Claims] Transfer for session ${purchase.session_id} has been in flight since ${purchase.claim_processing_at} - check user ${purchase.user_id}'s wallet on-chain, then move the claim to 'transferred' (with its signature) or back to 'requested'`);
+    summary.stale++;
+  }
+
+  return summary;
+}
@@ -13,6 +13,7 @@ import {
 } from "@solana/web3.js";
 import {
   getAssociatedTokenAddress,
+  createAssociatedTokenAccountIdempotentInstruction,
   createTransferInstruction,
   TOKEN_PROGRAM_ID,
 } from "@solana/spl-token";
@@ -20,6 +21,18 @@ import { Buffer } from "buffer";
 
 let serviceRoleClient = null;
 
+/**
+ * A transfer that failed before its transaction was handed to CDP, so no USDC moved
+ * Any other error from a transfer may have come after the transaction was broadcast.
+ */
+export class TransferNotSentError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'TransferNotSentError';
+    this.cause = cause;
+  }
+}
+
 // Lazy initialization of CDP client
 let cdpClient = null;
 
@@ -72,6 +85,14 @@ function getCdpClient() {
   }
 }
 
+/**
+ * Whether CDP credentials are configured
+ * @returns {boolean}
+ */
+export function isCdpConfigured() {
+  return !!getCdpClient();
+}
+
 /**
  * Get or create a Solana wallet for a user
  * @param {string} userId - User UUID
@@ -411,18 +432,22 @@ export async function getUserWalletWithBalance(userId, userToken = null) {
 // Platform wallet account name (constant)
 const PLATFORM_WALLET_NAME = 'platform-main-wallet';
 
-// Solana network configuration
-function getSolanaNetworkConfig() {
+/**
+ * Solana network configuration
+ * SOLANA_RPC_URL / SOLANA_USDC_MINT override the defaults (e.g. for a local validator)
+ * @returns {{rpcUrl: string, network: string, usdcMint: string}}
+ */
+export function getSolanaNetworkConfig() {
   const isProduction = ENV.IS_PRODUCTION;
   
   const config = {
-    rpcUrl: isProduction 
+    rpcUrl: ENV.SOLANA_RPC_URL || (isProduction 
       ? 'https://api.mainnet-beta.solana.com' 
-      : 'https://api.devnet.solana.com',
+      : 'https://api.devnet.solana.com'),
     network: isProduction ? 'solana-mainnet' : 'solana-devnet',
-    usdcMint: isProduction
+    usdcMint: ENV.SOLANA_USDC_MINT || (isProduction
       ? 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v' // Mainnet USDC
-      : '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU' // Devnet USDC
+      : '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU') // Devnet USDC
   };
   
   // Log network configuration on first call (for debugging)
@@ -477,9 +502,11 @@ export async function getOrCreatePlatformWallet() {
  * @param {string} fromAddress - Sender's Solana address
  * @param {string} toAddress - Recipient's Solana address  
  * @param {number} amountUsd - Amount in USD
+ * @param {Object} options
+ * @param {boolean} options.createRecipientAccount - Create the recipient's USDC token account if it doesn't exist (sender pays)
  * @returns {Promise<string>} Base64-encoded transaction
  */
-export async function createAndEncodeUsdcTransaction(fromAddress, toAddress, amountUsd) {
+export async function createAndEncodeUsdcTransaction(fromAddress, toAddress, amountUsd, { createRecipientAccount = false } = {}) {
   const networkConfig = getSolanaNetworkConfig();
   const connection = new Connection(networkConfig.rpcUrl);
   const usdcMint = new PublicKey(networkConfig.usdcMint);
@@ -504,8 +531,22 @@ export async function createAndEncodeUsdcTransaction(fromAddress, toAddress, amo
   // Get recent blockhash
   const { blockhash } = await connection.getLatestBlockhash();
   
-  // Create transaction with USDC transfer instruction
-  const transaction = new Transaction().add(
+  const transaction = new Transaction();
+  
+  // External addresses may never have held USDC
+  if (createRecipientAccount) {
+    transaction.add(
+      createAssociatedTokenAccountIdempotentInstruction(
+        fromPubkey,     // payer
+        toTokenAccount,
+        toPubkey,       // owner
+        usdcMint
+      )
+    );
+  }
+  
+  // USDC transfer instruction
+  transaction.add(
     createTransferInstruction(
       fromTokenAccount, // source
       toTokenAccount,   // destination
@@ -529,54 +570,147 @@ export async function createAndEncodeUsdcTransaction(fromAddress, toAddress, amo
 }
 
 /**
- * Transfer USDC from platform wallet to user's CDP wallet (server-side)
+ * Transfer USDC from the platform wallet to any Solana address (server-side)
  * Uses CDP SDK to sign and send transaction
+ * @param {string} toAddress - Recipient's Solana address
+ * @param {number} amountUsd - Amount in USD
+ * @returns {Promise<{transactionSignature: string, success: boolean}>}
+ * @throws {TransferNotSentError} If it failed before sending; other errors leave the outcome unknown
+ */
+export async function transferUsdcToAddress(toAddress, amountUsd) {
+  const cdp = getCdpClient();
+  if (!cdp) {
+    throw new TransferNotSentError('Coinbase CDP is not configured');
+  }
+
+  let platformWallet;
+  let networkConfig;
+  let transaction;
+  try {
+    platformWallet = await getOrCreatePlatformWallet();
+    
+    networkConfig = getSolanaNetworkConfig();
+    logInfo(`[Transfer] Transferring ${amountUsd} USD from platform wallet to ${toAddress} on ${networkConfig.network}`);
+    
+    // Build the transaction (following CDP pattern)
+    transaction = await createAndEncodeUsdcTransaction(
+      platformWallet.address,
+      toAddress,
+      amountUsd,
+      { createRecipientAccount: true }
+    );
+  } catch (err) {
+    logError('[Transfer] Error preparing USDC transfer from platform', err);
+    throw new TransferNotSentError(err.message, err);
+  }
+
+  try {
+    // Send transaction using CDP SDK (server-side equivalent of useSendSolanaTransaction)
+    const result = await cdp.solana.sendTransaction({
+      transaction,
+      solanaAccount: platformWallet.accountName, // Use account name, not address
+      network: networkConfig.network,
+    });
+    
+    logInfo(`[Transfer] Transfer successful on ${networkConfig.network}: ${result.transactionSignature}`);
+    
+    return {
+      transactionSignature: result.transactionSignature,
+      success: true
+    };
+  } catch (err) {
+    // A timeout or dropped response here doesn't mean the transaction wasn't broadcast
+    logError('[Transfer] Error transferring USDC from platform', err);
+    throw err;
+  }
+}
+
+/**
+ * Transfer USDC from platform wallet to user's CDP wallet (server-side)
  * @param {string} userId - User UUID
  * @param {number} amountUsd - Amount in USD
  * @returns {Promise<{transactionSignature: string, success: boolean}>}
+ * @throws {TransferNotSentError} If it failed before sending (see transferUsdcToAddress)
  */
 export async function transferUsdcFromPlatform(userId, amountUsd) {
+  let userWallet;
+  try {
+    userWallet = await getOrCreateUserWallet(userId);
+  } catch (err) {
+    throw new TransferNotSentError(err.message, err);
+  }
+  return transferUsdcToAddress(userWallet.address, amountUsd);
+}
+
+/**
+ * Sweep USDC from a user's CDP wallet to the platform wallet (server-side)
+ * The user wallet pays the network fee, so it needs a little SOL.
+ * @param {string} userId - User UUID (CDP account name)
+ * @param {number} amountUsd - Amount in USD
+ * @returns {Promise<{transactionSignature: string, success: boolean}>}
+ */
+export async function sweepUsdcFromUser(userId, amountUsd) {
   const cdp = getCdpClient();
   if (!cdp) {
     throw new Error('Coinbase CDP is not configured');
   }
 
   try {
-    // Get user wallet
     const userWallet = await getOrCreateUserWallet(userId);
-    
-    // Get platform wallet
     const platformWallet = await getOrCreatePlatformWallet();
-    
     const networkConfig = getSolanaNetworkConfig();
-    logInfo(`[Transfer] Transferring ${amountUsd} USD from platform wallet to user ${userId} on ${networkConfig.network}`);
+    logInfo(`[Sweep] Moving ${amountUsd} USD from user ${userId} to platform wallet on ${networkConfig.network}`);
     
-    // Build the transaction (following CDP pattern)
     const transaction = await createAndEncodeUsdcTransaction(
-      platformWallet.address,
       userWallet.address,
+      platformWallet.address,
       amountUsd
     );
     
-    // Send transaction using CDP SDK (server-side equivalent of useSendSolanaTransaction)
     const result = await cdp.solana.sendTransaction({
       transaction,
-      solanaAccount: platformWallet.accountName, // Use account name, not address
+      solanaAccount: userId.replace(/[^a-zA-Z0-9-]/g, '-').substring(0, 36), // Same account name as getOrCreateUserWallet
       network: networkConfig.network,
     });
     
-    logInfo(`[Transfer] Transfer successful on ${networkConfig.network}: ${result.transactionSignature}`);
+    logInfo(`[Sweep] Sweep successful on ${networkConfig.network}: ${result.transactionSignature}`);
     
     return {
       transactionSignature: result.transactionSignature,
       success: true
     };
   } catch (err) {
-    logError('[Transfer] Error transferring USDC from platform', err);
+    logError('[Sweep] Error sweeping USDC to platform wallet', err);
     throw err;
   }
 }
 
+/**
+ * USDC held by any Solana address (all of its USDC token accounts)
+ * @param {string} address - Wallet address
+ * @returns {Promise<number>} Balance in USD
+ */
+export async function getUsdcBalance(address) {
+  const networkConfig = getSolanaNetworkConfig();
+  const connection = new Connection(networkConfig.rpcUrl);
+  const tokenAccounts = await connection.getParsedTokenAccountsByOwner(new PublicKey(address), {
+    mint: new PublicKey(networkConfig.usdcMint),
+  });
+  return tokenAccounts.value.reduce(
+    (sum, account) => sum + (account.account.data.parsed.info.tokenAmount.uiAmount || 0),
+    0
+  );
+}
+
+/**
+ * USDC balance of the platform wallet
+ * @returns {Promise<{address: string, balance: number}>} Balance in USD
+ */
+export async function getPlatformUsdcBalance() {
+  const platformWallet = await getOrCreatePlatformWallet();
+  return { address: platformWallet.address, balance: await getUsdcBalance(platformWallet.address) };
+}
+
 /**
  * Get transaction for user to sign (for parlay placement)
  * Returns the base64 transaction that frontend will sign via CDP hooks
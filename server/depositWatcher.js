@@ -0,0 +1,251 @@
+/**
+ * Deposit Watcher
+ * Credits USDC that arrives in users' CDP Solana wallets (e.g. from the ZKP2P onramp)
+ *
+ * Each poll lists the signatures on every user's USDC token account that are newer than the
+ * last one processed (user_wallet.deposit_cursor), reads each finalized transaction's token
+ * balance change for the wallet, oldest first, and credits increases through the ledger.
+ * A wallet with more new signatures than one poll reads is caught up over several polls. The ledger key is
+ * deposit:solana:<signature>, so a transaction is credited once however often it is seen.
+ * USDC sent by the platform wallet (claimed winnings) is already on the user's balance and
+ * is skipped. With DEPOSIT_SWEEP on, credited USDC is then moved to the platform wallet.
+ *
+ * The RPC client is anything with getSignaturesForAddress and getParsedTransaction - a
+ * @solana/web3.js Connection to SOLANA_RPC_URL by default, so a local validator or a stub
+ * can stand in.
+ */
+
+import { Connection, PublicKey } from '@solana/web3.js';
+import { getAssociatedTokenAddressSync } from '@solana/spl-token';
+import { ENV } from '../config/env.js';
+import { CONFIG } from '../config/constants.js';
+import {
+  getDepositWatchWallets,
+  updateDepositCursor,
+  saveChainDeposit,
+  updateChainDeposit,
+  getChainDepositsToSweep
+} from './db.js';
+import {
+  getSolanaNetworkConfig,
+  isCdpConfigured,
+  getOrCreatePlatformWallet,
+  sweepUsdcFromUser
+} from './coinbaseCdpService.js';
+import { recordDeposit } from './ledgerService.js';
+import { logInfo, logWarn, logError } from './utils/logger.js';
+
+const USDC_DECIMALS = 6;
+
+let rpcClient = null;
+let platformAddress = null;
+
+function getDepositRpc() {
+  if (!rpcClient) {
+    rpcClient = new Connection(getSolanaNetworkConfig().rpcUrl, CONFIG.DEPOSITS.COMMITMENT);
+  }
+  return rpcClient;
+}
+
+/**
+ * Platform wallet address, or null when CDP isn't configured (then no platform transfers exist)
+ */
+async function resolvePlatformAddress() {
+  if (platformAddress) return platformAddress;
+  if (!isCdpConfigured()) return null;
+  platformAddress = (await getOrCreatePlatformWallet()).address;
+  return platformAddress;
+}
+
+/**
+ * Change in an owner's token balance within one transaction
+ * @param {Object} transaction - Parsed transaction (getParsedTransaction result)
+ * @param {string} owner - Wallet address owning the token account
+ * @param {string} mint - Token mint
+ * @returns {number} Change in whole tokens (negative when the owner sent tokens)
+ */
+export function getTokenBalanceChange(transaction, owner, mint) {
+  const total = balances => (balances || [])
+    .filter(balance => balance.owner === owner && balance.mint === mint)
+    .reduce((sum, balance) => sum + BigInt(balance.uiTokenAmount.amount), 0n);
+  const change = total(transaction.meta?.postTokenBalances) - total(transaction.meta?.preTokenBalances);
+  return Number(change) / 10 ** USDC_DECIMALS;
+}
+
+/**
+ * All signatures on an address newer than the cursor, oldest first
+ * Pages all the way back to the cursor: the oldest new signatures have to be read first,
+ * or the cursor would move past deposits that were never seen.
+ * @param {Object} rpc - RPC client
+ * @param {PublicKey} address - Token account
+ * @param {string|null} cursor - Newest signature already processed
+ * @returns {Promise<Array>} getSignaturesForAddress entries
+ */
+async function listNewSignatures(rpc, address, cursor) {
+  const signatures = [];
+  let before;
+  for (;;) {
+    const page = await rpc.getSignaturesForAddress(address, {
+      before,
+      until: cursor || undefined,
+      limit: CONFIG.DEPOSITS.SIGNATURE_PAGE_SIZE
+    }, CONFIG.DEPOSITS.COMMITMENT);
+    signatures.push(...page);
+    if (page.length < CONFIG.DEPOSITS.SIGNATURE_PAGE_SIZE) {
+      return signatures.reverse();
+    }
+    before = page[page.length - 1].signature;
+  }
+}
+
+/**
+ * Credit one detected deposit (safe to repeat for the same signature)
+ * @param {Object} wallet - { user_uuid, crypto_wallet_address }
+ * @param {Object} signatureInfo - getSignaturesForAddress entry
+ * @param {number} amount - USDC received, in dollars
+ * @param {Object} transaction - Parsed transaction
+ * @returns {Promise<boolean>} Whether the ledger posting was new
+ */
+async function creditDeposit(wallet, signatureInfo, amount, transaction) {
+  const blockTime = transaction.blockTime ?? signatureInfo.blockTime;
+  const deposit = await saveChainDeposit({
+    signature: signatureInfo.signature,
+    user_uuid: wallet.user_uuid,
+    wallet_address: wallet.crypto_wallet_address,
+    amount,
+    slot: transaction.slot ?? signatureInfo.slot ?? null,
+    block_time: blockTime ? new Date(blockTime * 1000).toISOString() : null,
+    sweep_status: ENV.DEPOSIT_SWEEP ? 'pending' : 'not_required'
+  });
+
+  const result = await recordDeposit(wallet.user_uuid, parseFloat(deposit.amount), {
+    type: 'solana',
+    id: signatureInfo.signature
+  });
+  if (!deposit.ledger_transaction_id) {
+    await updateChainDeposit(deposit.id, { ledger_transaction_id: result.transactionId });
+  }
+  if (result.applied) {
+    logInfo(`[Deposits] Credited $${parseFloat(deposit.amount).toFixed(2)} to user ${wallet.user_uuid} (${signatureInfo.signature})`);
+  }
+  return result.applied;
+}
+
+/**
+ * Scan one wallet for new incoming USDC and credit it
+ * Reads at most CONFIG.DEPOSITS.MAX_SIGNATURES_PER_SCAN transactions, oldest first, and
+ * stops at the first one it can't read yet; the cursor only moves past signatures that
+ * were fully handled, so the rest are picked up by the next poll.
+ * @param {Object} wallet - { user_uuid, crypto_wallet_address, deposit_cursor }
+ * @param {Object} options - { rpc, mint, platformAddress }
+ * @returns {Promise<Object>} { credited, amount }
+ */
+export async function scanWallet(wallet, { rpc, mint, platformAddress: excluded }) {
+  const owner = wallet.crypto_wallet_address;
+  const tokenAccount = getAssociatedTokenAddressSync(new PublicKey(mint), new PublicKey(owner));
+  const newSignatures = await listNewSignatures(rpc, tokenAccount, wallet.deposit_cursor);
+  const signatures = newSignatures.slice(0, CONFIG.DEPOSITS.MAX_SIGNATURES_PER_SCAN);
+  if (newSignatures.length > signatures.length) {
+    logInfo(`[Deposits] ${newSignatures.length} new signatures on ${tokenAccount.toBase58()} - reading the oldest ${signatures.length}, the rest on the next poll`);
+  }
+  const summary = { credited: 0, amount: 0 };
+  let cursor = wallet.deposit_cursor;
+
+  try {
+    for (const signatureInfo of signatures) {
+      if (!signatureInfo.err) {
+        const transaction = await rpc.getParsedTransaction(signatureInfo.signature, {
+          commitment: CONFIG.DEPOSITS.COMMITMENT,
+          maxSupportedTransactionVersion: 0
+        });
+        if (!transaction) {
+          break;
+        }
+
+        const received = Math.round(getTokenBalanceChange(transaction, owner, mint) * 100) / 100;
+        const fromPlatform = excluded && getTokenBalanceChange(transaction, excluded, mint) < 0;
+        if (!transaction.meta?.err && !fromPlatform && received >= CONFIG.DEPOSITS.MIN_AMOUNT) {
+          if (await creditDeposit(wallet, signatureInfo, received, transaction)) {
+            summary.credited++;
+            summary.amount += received;
+          }
+        }
+      }
+      cursor = signatureInfo.signature;
+    }
+  } finally {
+    if (cursor && cursor !== wallet.deposit_cursor) {
+      await updateDepositCursor(wallet.user_uuid, cursor);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Move credited deposits' USDC from user wallets to the platform wallet
+ * Failed sweeps stay in chain_deposits and are retried on the next poll.
+ * @param {Object} options
+ * @param {Function} options.sweep - (userId, amountUsd) => { transactionSignature }; defaults to the CDP sweep
+ * @returns {Promise<number>} Deposits swept
+ */
+export async function sweepDeposits({ sweep = sweepUsdcFromUser } = {}) {
+  let swept = 0;
+  for (const deposit of await getChainDepositsToSweep()) {
+    try {
+      const result = await sweep(deposit.user_uuid, parseFloat(deposit.amount));
+      await updateChainDeposit(deposit.id, {
+        sweep_status: 'swept',
+        sweep_signature: result.transactionSignature,
+        sweep_error: null,
+        swept_at: new Date().toISOString()
+      });
+      swept++;
+    } catch (err) {
+      logWarn(`[Deposits] Sweep of deposit ${deposit.signature} failed: ${err.message}`);
+      await updateChainDeposit(deposit.id, { sweep_status: 'failed', sweep_error: err.message });
+    }
+  }
+  return swept;
+}
+
+/**
+ * Scan every user wallet for new deposits, then sweep if DEPOSIT_SWEEP is on
+ * @param {Object} options
+ * @param {Object} options.rpc - RPC client; defaults to a Connection to SOLANA_RPC_URL
+ * @param {string|null} options.platformAddress - Platform wallet whose outgoing transfers aren't deposits; resolved via CDP by default
+ * @param {Function} options.sweep - Passed to sweepDeposits
+ * @returns {Promise<Object>} { wallets, credited, amount, swept }
+ */
+export async function pollDeposits({ rpc, platformAddress: excluded, sweep } = {}) {
+  const wallets = await getDepositWatchWallets();
+  const summary = { wallets: wallets.length, credited: 0, amount: 0, swept: 0 };
+  if (wallets.length === 0) {
+    return summary;
+  }
+
+  const options = {
+    rpc: rpc || getDepositRpc(),
+    mint: getSolanaNetworkConfig().usdcMint,
+    platformAddress: excluded === undefined ? await resolvePlatformAddress() : excluded
+  };
+
+  for (const wallet of wallets) {
+    try {
+      const result = await scanWallet(wallet, options);
+      summary.credited += result.credited;
+      summary.amount += result.amount;
+    } catch (err) {
+      logError(`[Deposits] Error scanning wallet of user ${wallet.user_uuid}`, err);
+    }
+  }
+
+  if (ENV.DEPOSIT_SWEEP) {
+    summary.swept = await sweepDeposits({ sweep });
+  }
+
+  if (summary.credited > 0) {
+    logInfo(`[Deposits] Credited ${summary.credited} deposit(s), $${summary.amount.toFixed(2)} total`);
+  }
+  return summary;
+}
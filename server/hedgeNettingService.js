@@ -0,0 +1,234 @@
+/**
+ * Hedge Netting Service
+ * Hedges the book as a whole instead of one placement at a time
+ *
+ * With HEDGE_EXECUTION_MODE=netted, /api/place-parlay stores the hedging strategy but
+ * places no orders. On a schedule this service adds up the hedge contracts every pending
+ * parlay wants per ticker and side, compares that target with our Kalshi positions, and
+ * places only the difference. Two users parlaying the same leg then cost one spread, and
+ * hedges of parlays that are settled or unwound drop out of the target and get netted off.
+ * Netting orders are recorded in hedge_orders without a purchase, so the hedge order poller
+ * follows their fills and posts them to the ledger.
+ */
+
+import { ENV } from '../config/env.js';
+import { CONFIG } from '../config/constants.js';
+import { getMarketOrderbook } from './kalshiClient.js';
+import {
+  placeKalshiOrder,
+  cancelKalshiOrder,
+  getKalshiPositions,
+  getRestingKalshiOrders
+} from './kalshiTradeClient.js';
+import { getPendingParlayHedges, getParlayBetOutcomes } from './db.js';
+import { recordPlacedOrder } from './hedgeOrderService.js';
+import { computeFillPrice } from './orderbookPricing.js';
+import { logInfo, logWarn, logError, logSection } from './utils/logger.js';
+
+// Client order ID prefix that marks orders placed by the netting engine
+const NETTING_ORDER_PREFIX = 'n_';
+
+/**
+ * Get the active hedge execution mode
+ * @returns {string} 'immediate' or 'netted'
+ */
+export function getHedgeExecutionMode() {
+  const mode = ENV.HEDGE_EXECUTION_MODE || CONFIG.HEDGE_NETTING.DEFAULT_EXECUTION_MODE;
+  if (!CONFIG.HEDGE_NETTING.EXECUTION_MODES.includes(mode)) {
+    logWarn(`Unknown hedge execution mode "${mode}" - using ${CONFIG.HEDGE_NETTING.DEFAULT_EXECUTION_MODE}`);
+    return CONFIG.HEDGE_NETTING.DEFAULT_EXECUTION_MODE;
+  }
+  return mode;
+}
+
+/**
+ * Contracts a stored hedge bet asks for
+ * Same sizing as executeHedgingStrategy: delta hedges carry contracts, others are sized from the hedge amount.
+ * @param {Object} hedge - Hedge bet from a stored hedging strategy
+ * @returns {number} Contract count
+ */
+function hedgeContracts(hedge) {
+  if (hedge.contracts !== undefined) return Math.max(0, Math.floor(hedge.contracts));
+  const price = (hedge.probability || 0) / 100;
+  if (price <= 0) return 0;
+  return Math.max(1, Math.floor((hedge.hedgeAmount || 0) / price));
+}
+
+/**
+ * Aggregate the desired hedge contracts per ticker and side across pending parlays
+ * Parlays whose hedges were unwound and legs that already settled contribute nothing,
+ * but their tickers stay in the universe so any leftover position is netted off.
+ * @param {Array} purchases - Rows from getPendingParlayHedges, each with settledLegs (Set of leg numbers)
+ * @returns {Object} { desired: Map "ticker:side" → { ticker, side, contracts, parlays }, tickers: Set }
+ */
+export function aggregateDesiredHedges(purchases) {
+  const desired = new Map();
+  const tickers = new Set();
+
+  (purchases || []).forEach(purchase => {
+    const parlayData = typeof purchase.parlay_data === 'string'
+      ? JSON.parse(purchase.parlay_data)
+      : purchase.parlay_data || [];
+    const strategy = typeof purchase.hedging_strategy === 'string'
+      ? JSON.parse(purchase.hedging_strategy)
+      : purchase.hedging_strategy;
+    const settledLegs = purchase.settledLegs || new Set();
+
+    parlayData.forEach((leg, i) => {
+      if (leg.ticker && !settledLegs.has(i + 1)) tickers.add(leg.ticker.toUpperCase());
+    });
+
+    if (purchase.hedge_unwound_at || !strategy?.needsHedging) return;
+
+    (strategy.hedgeBets || []).forEach(hedge => {
+      if (settledLegs.has(hedge.leg)) return;
+      const ticker = (hedge.ticker || parlayData[hedge.leg - 1]?.ticker)?.toUpperCase();
+      if (!ticker) return;
+
+      // Hedges buy the outcome in the ticker, as in executeHedgingStrategy
+      const side = hedge.side || 'yes';
+      const contracts = hedgeContracts(hedge);
+      if (contracts <= 0) return;
+
+      const key = `${ticker}:${side}`;
+      const entry = desired.get(key) || { ticker, side, contracts: 0, parlays: 0 };
+      entry.contracts += contracts;
+      entry.parlays += 1;
+      desired.set(key, entry);
+      tickers.add(ticker);
+    });
+  });
+
+  return { desired, tickers };
+}
+
+/**
+ * Compute the orders that move our positions to the desired hedge
+ * Kalshi nets YES against NO in a market, so the target per ticker is YES - NO contracts
+ * and the difference is bought on whichever side closes the gap.
+ * @param {Map} desired - From aggregateDesiredHedges
+ * @param {Set} tickers - Tickers to net (desired plus open legs of pending parlays)
+ * @param {Array} positions - [{ ticker, position }] from getKalshiPositions
+ * @param {number} minContracts - Smallest difference worth trading
+ * @returns {Array} [{ ticker, side, count, target, current }]
+ */
+export function computeNetOrders(desired, tickers, positions, minContracts = CONFIG.HEDGE_NETTING.MIN_NET_CONTRACTS) {
+  const targets = new Map();
+  desired.forEach(({ ticker, side, contracts }) => {
+    targets.set(ticker, (targets.get(ticker) || 0) + (side === 'no' ? -contracts : contracts));
+  });
+
+  const current = new Map((positions || []).map(p => [p.ticker.toUpperCase(), p.position]));
+  const orders = [];
+
+  tickers.forEach(ticker => {
+    const target = targets.get(ticker) || 0;
+    const held = current.get(ticker) || 0;
+    const diff = target - held;
+    if (Math.abs(diff) < Math.max(1, minContracts)) return;
+    orders.push({
+      ticker,
+      side: diff > 0 ? 'yes' : 'no',
+      count: Math.abs(diff),
+      target,
+      current: held
+    });
+  });
+
+  return orders;
+}
+
+/**
+ * Cancel netting orders still resting from the previous run
+ * Their fills show up in positions; the unfilled rest is re-priced this run.
+ * @returns {Promise<boolean>} false if resting orders could not be listed
+ */
+async function cancelRestingNettingOrders() {
+  const resting = await getRestingKalshiOrders();
+  if (!resting.success) {
+    logError(`[Netting] Could not list resting orders: ${resting.message}`);
+    return false;
+  }
+
+  for (const order of resting.orders) {
+    if (!order.clientOrderId?.startsWith(NETTING_ORDER_PREFIX)) continue;
+    const cancel = await cancelKalshiOrder(order.orderId);
+    if (!cancel.success) {
+      logWarn(`[Netting] Failed to cancel resting order ${order.orderId}: ${cancel.message}`);
+    }
+  }
+  return true;
+}
+
+/**
+ * Run one netting pass: aggregate, compare with positions, place the net difference
+ * @returns {Promise<Object>} { orders, placed, failed, skipped }
+ */
+export async function runHedgeNetting() {
+  const summary = { orders: 0, placed: 0, failed: 0, skipped: 0 };
+
+  const purchases = await getPendingParlayHedges();
+  for (const purchase of purchases) {
+    const outcomes = await getParlayBetOutcomes(purchase.id);
+    purchase.settledLegs = new Set(
+      outcomes.filter(o => o.market_status === 'settled').map(o => o.leg_number)
+    );
+  }
+
+  const { desired, tickers } = aggregateDesiredHedges(purchases);
+  if (tickers.size === 0) return summary;
+
+  if (!(await cancelRestingNettingOrders())) return summary;
+
+  const positionResult = await getKalshiPositions();
+  if (!positionResult.success) {
+    logError(`[Netting] Could not fetch Kalshi positions: ${positionResult.message}`);
+    return summary;
+  }
+
+  const netOrders = computeNetOrders(desired, tickers, positionResult.positions);
+  summary.orders = netOrders.length;
+  if (netOrders.length === 0) return summary;
+
+  logSection('HEDGE NETTING');
+  logInfo(`[Netting] ${purchases.length} pending parlays, ${desired.size} hedged ticker/sides, ${netOrders.length} net orders`);
+
+  for (const net of netOrders) {
+    const orderbook = (await getMarketOrderbook(net.ticker))?.orderbook;
+    const fill = orderbook ? computeFillPrice(orderbook, net.side, net.count) : null;
+    if (!fill?.fillPrice) {
+      logWarn(`[Netting] No asks for ${net.ticker} ${net.side.toUpperCase()} - skipping ${net.count} contracts`);
+      summary.skipped++;
+      continue;
+    }
+
+    const price = Math.min(99, Math.max(1, Math.ceil(fill.fillPrice)));
+    const orderParams = {
+      ticker: net.ticker,
+      side: net.side,
+      action: 'buy',
+      count: net.count,
+      type: 'limit',
+      ...(net.side === 'yes' ? { yes_price: price } : { no_price: price }),
+      clientOrderId: `${NETTING_ORDER_PREFIX}${net.ticker.substring(0, 16)}_${Date.now()}`
+    };
+
+    logInfo(`[Netting] ${net.ticker}: target ${net.target}, held ${net.current} - buying ${net.count} ${net.side.toUpperCase()} at ${price}¢`);
+    const result = await placeKalshiOrder(orderParams);
+    try {
+      await recordPlacedOrder(null, null, orderParams, result);
+    } catch (err) {
+      // The order is live at Kalshi either way; the next run nets against its fills
+      logError(`[Netting] Failed to record order for ${net.ticker}`, err);
+    }
+    if (result.success) {
+      summary.placed++;
+    } else {
+      summary.failed++;
+      logError(`[Netting] Order failed for ${net.ticker}: ${result.message}`);
+    }
+  }
+
+  logInfo(`[Netting] Placed ${summary.placed}, failed ${summary.failed}, skipped ${summary.skipped}`);
+  return summary;
+}
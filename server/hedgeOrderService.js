@@ -0,0 +1,515 @@
+/**
+ * Hedge Order Service
+ * Records Kalshi hedge orders and follows them until they are filled or given up on
+ *
+ * Lifecycle of a hedge order row:
+ *   pending/resting → partially_filled → filled
+ *                   → canceled (resting past the timeout) → retry row for the unfilled quantity
+ *   failed   - Kalshi rejected the order
+ *   dry_run  - KALSHI_DRY_RUN was on, nothing was sent
+ *
+ * A purchase's hedge_status is derived from the fills of all its hedge orders. Every fill
+ * is also posted to the ledger: buys move pool cash to Kalshi, sells move it back.
+ *
+ * Portfolio netting orders (HEDGE_EXECUTION_MODE=netted) are rows with no purchase or leg.
+ * They are polled and posted to the ledger the same way, but never retried here: the next
+ * netting run re-prices whatever is still missing.
+ */
+
+import { ENV } from '../config/env.js';
+import { CONFIG } from '../config/constants.js';
+import {
+  insertHedgeOrders,
+  updateHedgeOrder,
+  getOpenHedgeOrders,
+  getHedgeOrdersForPurchase,
+  getNettingHedgeOrders,
+  updatePurchaseHedgeStatus,
+  updatePurchaseHedgeUnwind,
+  getCompletedPurchase,
+  getParlayBetOutcomes
+} from './db.js';
+import { placeKalshiOrder, getKalshiOrder, cancelKalshiOrder, normalizeKalshiOrder } from './kalshiTradeClient.js';
+import { recordHedgeCost, recordHedgeProceeds } from './ledgerService.js';
+import { logInfo, logWarn, logError } from './utils/logger.js';
+
+export const OPEN_STATUSES = ['pending', 'resting', 'partially_filled'];
+
+function getHedgeOrderSettings() {
+  return {
+    restingTimeoutMs: ENV.HEDGE_ORDER_TIMEOUT_MS ?? CONFIG.HEDGE_ORDERS.RESTING_TIMEOUT_MS,
+    priceToleranceCents: ENV.HEDGE_PRICE_TOLERANCE_CENTS ?? CONFIG.HEDGE_ORDERS.PRICE_TOLERANCE_CENTS,
+    maxRetries: ENV.HEDGE_MAX_RETRIES ?? CONFIG.HEDGE_ORDERS.MAX_RETRIES
+  };
+}
+
+/**
+ * Map a Kalshi order status and fill count to our hedge order status
+ * @param {Object} order - Order normalized by normalizeKalshiOrder
+ * @param {number} requestedCount - Contracts requested
+ * @returns {string} Hedge order status
+ */
+function toHedgeOrderStatus(order, requestedCount) {
+  if (!order) return 'pending';
+  if (order.filledCount >= requestedCount || order.status === 'executed') return 'filled';
+  if (order.status === 'canceled') return 'canceled';
+  if (order.filledCount > 0) return 'partially_filled';
+  return order.status === 'resting' ? 'resting' : 'pending';
+}
+
+/**
+ * Build a hedge_orders row from a placeKalshiOrder result
+ * @param {string|null} sessionId - Purchase session ID (null for netting orders)
+ * @param {number|null} legNumber - Parlay leg (1-indexed, null for netting orders)
+ * @param {Object} orderParams - Params passed to placeKalshiOrder
+ * @param {Object} result - placeKalshiOrder result
+ * @param {Object} retryOf - Parent row when this is a retry
+ * @returns {Object} hedge_orders row
+ */
+function buildHedgeOrderRow(sessionId, legNumber, orderParams, result, retryOf = null) {
+  const order = result.success && !result.dryRun ? normalizeKalshiOrder(result.order) : null;
+  const requestedCount = orderParams?.count || 0;
+
+  let status;
+  if (!result.success) {
+    status = 'failed';
+  } else if (result.dryRun) {
+    status = 'dry_run';
+  } else {
+    status = toHedgeOrderStatus(order, requestedCount);
+  }
+
+  return {
+    purchase_session_id: sessionId,
+    leg_number: legNumber,
+    ticker: orderParams?.ticker || null,
+    side: orderParams?.side || 'yes',
+    action: orderParams?.action || 'buy',
+    client_order_id: orderParams?.clientOrderId || null,
+    kalshi_order_id: order?.orderId || null,
+    status,
+    requested_count: requestedCount,
+    filled_count: order?.filledCount || 0,
+    avg_fill_price: order?.avgFillPrice ?? null,
+    limit_price: orderParams?.yes_price ?? orderParams?.no_price ?? null,
+    attempt: retryOf ? retryOf.attempt + 1 : 1,
+    parent_order_id: retryOf ? retryOf.id : null,
+    error: result.success ? null : (result.message || 'Order placement failed')
+  };
+}
+
+/**
+ * Persist a single order placed outside executeHedgingStrategy (an unwind sell or a netting order)
+ * @param {string|null} sessionId - Purchase session ID (null for netting orders)
+ * @param {number|null} legNumber - Parlay leg (1-indexed, null for netting orders)
+ * @param {Object} orderParams - Params passed to placeKalshiOrder
+ * @param {Object} result - placeKalshiOrder result
+ * @returns {Promise<Object>} Inserted hedge_orders row
+ */
+export async function recordPlacedOrder(sessionId, legNumber, orderParams, result) {
+  const [inserted] = await insertHedgeOrders([buildHedgeOrderRow(sessionId, legNumber, orderParams, result)]);
+  await postFillsToLedger(inserted);
+  return inserted;
+}
+
+/**
+ * Persist the orders placed by executeHedgingStrategy and derive the purchase's hedge status
+ * @param {string} sessionId - Purchase session ID
+ * @param {Object} hedgeResult - Result of executeHedgingStrategy
+ * @returns {Promise<string>} Derived hedge status
+ */
+export async function recordHedgeOrders(sessionId, hedgeResult) {
+  const rows = (hedgeResult?.results || []).map(result =>
+    buildHedgeOrderRow(sessionId, result.hedge?.leg ?? result.hedgeBet, result.orderParams, result)
+  );
+
+  const inserted = await insertHedgeOrders(rows);
+  logInfo(`[Hedge Orders] Recorded ${rows.length} hedge orders for ${sessionId}`);
+  for (const row of inserted) {
+    await postFillsToLedger(row);
+  }
+
+  return refreshPurchaseHedgeStatus(sessionId);
+}
+
+/**
+ * Derive a purchase's hedge status from its hedge orders
+ * Each leg's target is the quantity of its original order; retries only top it up.
+ * @param {Array} orders - hedge_orders rows for one purchase
+ * @returns {string} none, pending, filled, partial, failed or dry_run
+ */
+export function deriveHedgeStatus(orders) {
+  const buys = (orders || []).filter(order => order.action === 'buy');
+  if (buys.length === 0) return 'none';
+  if (buys.every(order => order.status === 'dry_run')) return 'dry_run';
+  if (buys.some(order => OPEN_STATUSES.includes(order.status))) return 'pending';
+
+  const legs = new Map();
+  buys.forEach(order => {
+    const leg = legs.get(order.leg_number) || { target: 0, filled: 0 };
+    if (order.attempt === 1) leg.target += order.requested_count;
+    leg.filled += order.filled_count || 0;
+    legs.set(order.leg_number, leg);
+  });
+
+  const legList = [...legs.values()];
+  if (legList.every(leg => leg.filled >= leg.target)) return 'filled';
+  if (legList.some(leg => leg.filled > 0)) return 'partial';
+  return 'failed';
+}
+
+/**
+ * Recompute and store a purchase's hedge status
+ * @param {string} sessionId - Purchase session ID
+ * @returns {Promise<string>} Derived hedge status
+ */
+export async function refreshPurchaseHedgeStatus(sessionId) {
+  const orders = await getHedgeOrdersForPurchase(sessionId);
+  const hedgeStatus = deriveHedgeStatus(orders);
+  await updatePurchaseHedgeStatus(sessionId, hedgeStatus);
+  return hedgeStatus;
+}
+
+/**
+ * Average price (cents) an order filled at, falling back to its limit price
+ */
+function fillPrice(order) {
+  return parseFloat(order.avg_fill_price ?? order.limit_price ?? 0);
+}
+
+/**
+ * Post the cash movement for contracts an order filled since it was last recorded
+ * The key includes the cumulative fill count, so each increment is posted once no matter
+ * how often the order is polled. Ledger failures are logged, never thrown: a fill has
+ * already happened at Kalshi and must not break order tracking.
+ * @param {Object} order - hedge_orders row with its new fill count and average price
+ * @param {Object} previous - The row before this update (omit for a new order)
+ * @returns {Promise<void>}
+ */
+export async function postFillsToLedger(order, previous = null) {
+  const filled = order?.filled_count || 0;
+  const before = previous?.filled_count || 0;
+  if (!order?.id || filled <= before) return;
+
+  const amount = (filled * fillPrice(order) - (before > 0 ? before * fillPrice(previous) : 0)) / 100;
+  if (amount <= 0) return;
+
+  const idempotencyKey = `hedge:${order.id}:${filled}`;
+  const details = {
+    sessionId: order.purchase_session_id,
+    orderId: order.id,
+    ticker: order.ticker,
+    contracts: filled - before
+  };
+  try {
+    if (order.action === 'sell') {
+      await recordHedgeProceeds(idempotencyKey, amount, details);
+    } else {
+      await recordHedgeCost(idempotencyKey, amount, details);
+    }
+  } catch (err) {
+    logError(`[Hedge Orders] Failed to post fill of order ${order.id} to the ledger`, err);
+  }
+}
+
+/**
+ * What Kalshi pays per contract still held when a leg settles, in dollars
+ * Winning contracts pay $1 and losing ones nothing. A partial settlement pays the settlement
+ * value of the side held, and a void market returns what the contracts cost.
+ * @param {Object} leg - Position from summarizeHedgePositions
+ * @param {string} outcome - Leg outcome ('win', 'loss', 'partial' or 'void')
+ * @param {number|null} settlementPrice - YES settlement value in cents (partial legs)
+ * @returns {number} Dollars per contract
+ */
+export function settledContractValue(leg, outcome, settlementPrice = null) {
+  if (outcome === 'win') return 1;
+  if (outcome === 'void') return leg.bought > 0 ? leg.buyCost / leg.bought : 0;
+  if (outcome === 'partial' && settlementPrice !== null) {
+    const yesValue = parseFloat(settlementPrice) / 100;
+    return (leg.side || 'yes').toLowerCase() === 'no' ? 1 - yesValue : yesValue;
+  }
+  return 0;
+}
+
+/**
+ * Post Kalshi's settlement for hedge contracts still held on a settled leg
+ * @param {string} sessionId - Purchase session ID
+ * @param {number} legNumber - Settled leg (1-indexed)
+ * @param {string} outcome - Leg outcome ('win', 'loss', 'partial' or 'void')
+ * @param {number|null} settlementPrice - YES settlement value in cents
+ * @returns {Promise<void>}
+ */
+export async function postSettlementToLedger(sessionId, legNumber, outcome, settlementPrice = null) {
+  if (outcome === 'loss') return;
+  try {
+    const leg = summarizeHedgePositions(await getHedgeOrdersForPurchase(sessionId)).get(legNumber);
+    if (!leg || leg.position <= 0) return;
+    const amount = Math.round(leg.position * settledContractValue(leg, outcome, settlementPrice) * 100) / 100;
+    if (amount <= 0) return;
+    await recordHedgeProceeds(`hedge_settlement:${sessionId}:${legNumber}`, amount, {
+      sessionId,
+      legNumber,
+      ticker: leg.ticker,
+      contracts: leg.position,
+      outcome
+    });
+  } catch (err) {
+    logError(`[Hedge Orders] Failed to post settlement of ${sessionId} leg ${legNumber} to the ledger`, err);
+  }
+}
+
+/**
+ * Post Kalshi's settlement for netting contracts held on a settled market
+ * Netting holds either side of a ticker, so each side is valued on its own: the side the
+ * leg was graded on gets the leg's outcome and the other side the opposite. Posted once per
+ * ticker and side, however many parlays had a leg on it.
+ * @param {string} ticker - Settled market
+ * @param {string} legSide - Side the outcome was graded for ('yes' or 'no')
+ * @param {string} outcome - Leg outcome ('win', 'loss', 'partial' or 'void')
+ * @param {number|null} settlementPrice - YES settlement value in cents
+ * @returns {Promise<void>}
+ */
+export async function postNettingSettlementToLedger(ticker, legSide, outcome, settlementPrice = null) {
+  try {
+    const orders = (await getNettingHedgeOrders(ticker)).filter(order => order.action === 'buy');
+    for (const side of ['yes', 'no']) {
+      const [leg] = summarizeHedgePositions(orders.filter(order => order.side === side)).values();
+      if (!leg || leg.position <= 0) continue;
+
+      const flipped = { win: 'loss', loss: 'win' };
+      const sideOutcome = side === (legSide || 'yes').toLowerCase() ? outcome : (flipped[outcome] || outcome);
+      const amount = Math.round(leg.position * settledContractValue(leg, sideOutcome, settlementPrice) * 100) / 100;
+      if (amount <= 0) continue;
+
+      await recordHedgeProceeds(`hedge_settlement:netting:${ticker}:${side}`, amount, {
+        sessionId: null,
+        ticker,
+        contracts: leg.position,
+        outcome: sideOutcome
+      });
+    }
+  } catch (err) {
+    logError(`[Hedge Orders] Failed to post netting settlement of ${ticker} to the ledger`, err);
+  }
+}
+
+/**
+ * Net contracts held per leg, from hedge order fills
+ * @param {Array} orders - hedge_orders rows for one purchase
+ * @returns {Map<number, Object>} legNumber → { ticker, side, position, bought, buyCost, sold, sellProceeds, openSells }
+ */
+export function summarizeHedgePositions(orders) {
+  const legs = new Map();
+  (orders || []).forEach(order => {
+    const leg = legs.get(order.leg_number) || {
+      ticker: order.ticker,
+      side: order.side,
+      position: 0,
+      bought: 0,
+      buyCost: 0,
+      sold: 0,
+      sellProceeds: 0,
+      openSells: 0
+    };
+    const filled = order.filled_count || 0;
+    if (order.action === 'sell') {
+      leg.sold += filled;
+      leg.sellProceeds += filled * fillPrice(order) / 100;
+      if (OPEN_STATUSES.includes(order.status)) leg.openSells += order.requested_count - filled;
+    } else {
+      leg.bought += filled;
+      leg.buyCost += filled * fillPrice(order) / 100;
+    }
+    leg.position = leg.bought - leg.sold;
+    legs.set(order.leg_number, leg);
+  });
+  return legs;
+}
+
+/**
+ * Realized hedge PnL for a purchase
+ * Settled legs: sell proceeds + the settlement value of contracts still held (see
+ * settledContractValue), minus the cost of everything bought. Unsettled legs: only contracts
+ * already sold count, at the average buy cost.
+ * Contracts still held on unsettled legs are unrealized and reported separately.
+ * @param {Array} orders - hedge_orders rows
+ * @param {Array} outcomes - parlay_bet_outcomes rows (leg_number, market_status, outcome, settlement_price)
+ * @returns {Object} { realizedPnl, openContracts }
+ */
+export function computeHedgePnl(orders, outcomes) {
+  let realizedPnl = 0;
+  let openContracts = 0;
+
+  summarizeHedgePositions(orders).forEach((leg, legNumber) => {
+    const outcome = (outcomes || []).find(o => o.leg_number === legNumber);
+    if (outcome && outcome.market_status === 'settled') {
+      realizedPnl += leg.sellProceeds - leg.buyCost + leg.position * settledContractValue(leg, outcome.outcome, outcome.settlement_price);
+    } else {
+      const avgBuy = leg.bought > 0 ? leg.buyCost / leg.bought : 0;
+      realizedPnl += leg.sellProceeds - leg.sold * avgBuy;
+      openContracts += Math.max(0, leg.position);
+    }
+  });
+
+  return { realizedPnl: parseFloat(realizedPnl.toFixed(2)), openContracts };
+}
+
+/**
+ * Recompute and store the realized hedge PnL of a purchase
+ * Used after unwind sells that rested fill later.
+ * @param {string} sessionId - Purchase session ID
+ * @returns {Promise<Object>} { realizedPnl, openContracts }
+ */
+export async function recalculateHedgePnl(sessionId) {
+  const purchase = await getCompletedPurchase(sessionId);
+  if (!purchase) {
+    throw new Error('Purchase not found');
+  }
+  const [orders, outcomes] = await Promise.all([
+    getHedgeOrdersForPurchase(sessionId),
+    getParlayBetOutcomes(purchase.id)
+  ]);
+  const pnl = computeHedgePnl(orders, outcomes);
+  await updatePurchaseHedgeUnwind(sessionId, { hedgePnl: pnl.realizedPnl });
+  return pnl;
+}
+
+/**
+ * Place a new order for the unfilled quantity of a canceled hedge order
+ * The first retry moves the limit price by the configured tolerance (up for buys, down for
+ * sells); later retries keep it.
+ * @param {Object} order - Canceled hedge_orders row (with final fill count)
+ * @returns {Promise<Object|null>} Inserted retry row, or null if no retry was placed
+ */
+async function retryUnfilledQuantity(order) {
+  const settings = getHedgeOrderSettings();
+  const remaining = order.requested_count - (order.filled_count || 0);
+  if (remaining <= 0 || !order.purchase_session_id) return null;
+
+  if (order.attempt > settings.maxRetries) {
+    logWarn(`[Hedge Orders] Giving up on ${order.ticker} leg ${order.leg_number} for ${order.purchase_session_id}: ${remaining} contracts unfilled after ${order.attempt} attempts`);
+    return null;
+  }
+
+  const basePrice = order.limit_price || 0;
+  const direction = order.action === 'sell' ? -1 : 1;
+  const retryPrice = Math.min(99, Math.max(1,
+    order.attempt === 1 ? basePrice + direction * settings.priceToleranceCents : basePrice
+  ));
+  const orderParams = {
+    ticker: order.ticker,
+    side: order.side,
+    action: order.action,
+    count: remaining,
+    type: 'limit',
+    ...(order.side === 'yes' ? { yes_price: retryPrice } : { no_price: retryPrice }),
+    clientOrderId: `${order.client_order_id || `h_${order.id}`}_r${order.attempt}`
+  };
+
+  logInfo(`[Hedge Orders] Retrying ${remaining} contracts of ${order.ticker} at ${retryPrice}¢ (attempt ${order.attempt + 1})`);
+  const result = await placeKalshiOrder(orderParams);
+  const [inserted] = await insertHedgeOrders([
+    buildHedgeOrderRow(order.purchase_session_id, order.leg_number, orderParams, result, order)
+  ]);
+  await postFillsToLedger(inserted);
+  return inserted;
+}
+
+/**
+ * Poll one open hedge order: record fills, cancel it if it rested too long, retry the rest
+ * @param {Object} order - Open hedge_orders row
+ * @returns {Promise<void>}
+ */
+async function pollHedgeOrder(order) {
+  const settings = getHedgeOrderSettings();
+  const now = new Date();
+
+  if (!order.kalshi_order_id) {
+    // Never acknowledged by Kalshi - nothing to poll
+    await updateHedgeOrder(order.id, { status: 'failed', error: 'No Kalshi order ID', last_polled_at: now.toISOString() });
+    return;
+  }
+
+  const lookup = await getKalshiOrder(order.kalshi_order_id);
+  if (!lookup.success) {
+    logWarn(`[Hedge Orders] Could not fetch order ${order.kalshi_order_id}: ${lookup.message}`);
+    await updateHedgeOrder(order.id, { last_polled_at: now.toISOString() });
+    return;
+  }
+
+  let kalshiOrder = lookup.order;
+  let status = toHedgeOrderStatus(kalshiOrder, order.requested_count);
+  const updates = {
+    status,
+    filled_count: kalshiOrder.filledCount,
+    avg_fill_price: kalshiOrder.avgFillPrice,
+    last_polled_at: now.toISOString()
+  };
+
+  const restingFor = now.getTime() - new Date(order.placed_at).getTime();
+  if (OPEN_STATUSES.includes(status) && restingFor >= settings.restingTimeoutMs) {
+    const cancel = await cancelKalshiOrder(order.kalshi_order_id);
+    if (!cancel.success) {
+      logWarn(`[Hedge Orders] Failed to cancel ${order.kalshi_order_id}: ${cancel.message}`);
+      await updateHedgeOrder(order.id, updates);
+      await postFillsToLedger({ ...order, ...updates }, order);
+      return;
+    }
+
+    // The cancel response carries the final fill count
+    if (cancel.order) {
+      kalshiOrder = cancel.order;
+      updates.filled_count = kalshiOrder.filledCount;
+      updates.avg_fill_price = kalshiOrder.avgFillPrice;
+    }
+    updates.status = updates.filled_count >= order.requested_count ? 'filled' : 'canceled';
+    updates.canceled_at = now.toISOString();
+    logInfo(`[Hedge Orders] Canceled ${order.kalshi_order_id} after ${Math.round(restingFor / 1000)}s (${updates.filled_count}/${order.requested_count} filled)`);
+  }
+
+  await updateHedgeOrder(order.id, updates);
+  await postFillsToLedger({ ...order, ...updates }, order);
+
+  if (updates.status === 'canceled') {
+    await retryUnfilledQuantity({ ...order, ...updates });
+  }
+}
+
+/**
+ * Poll all open hedge orders and refresh the hedge status of affected purchases
+ * @returns {Promise<Object>} { polled, purchases }
+ */
+export async function pollHedgeOrders() {
+  const openOrders = await getOpenHedgeOrders();
+  if (openOrders.length === 0) {
+    return { polled: 0, purchases: 0 };
+  }
+
+  const sessionIds = new Set();
+  for (const order of openOrders) {
+    try {
+      await pollHedgeOrder(order);
+      if (order.purchase_session_id) sessionIds.add(order.purchase_session_id);
+    } catch (err) {
+      logError(`[Hedge Orders] Error polling hedge order ${order.id}`, err);
+    }
+  }
+
+  // Unwind sells that fill after the unwind change the purchase's realized PnL
+  const sellSessions = new Set(openOrders.filter(order => order.action === 'sell').map(order => order.purchase_session_id));
+
+  for (const sessionId of sessionIds) {
+    try {
+      const hedgeStatus = await refreshPurchaseHedgeStatus(sessionId);
+      logInfo(`[Hedge Orders] ${sessionId} hedge status: ${hedgeStatus}`);
+      if (sellSessions.has(sessionId)) {
+        const { realizedPnl } = await recalculateHedgePnl(sessionId);
+        logInfo(`[Hedge Orders] ${sessionId} realized hedge PnL: $${realizedPnl.toFixed(2)}`);
+      }
+    } catch (err) {
+      logError(`[Hedge Orders] Error refreshing hedge status for ${sessionId}`, err);
+    }
+  }
+
+  return { polled: openOrders.length, purchases: sessionIds.size };
+}
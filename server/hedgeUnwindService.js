@@ -0,0 +1,152 @@
+/**
+ * Hedge Unwind Service
+ * Closes our hedge positions once a parlay can no longer win
+ *
+ * When a leg settles as a loss a standard parlay is dead (a round robin or flex
+ * parlay once too many legs have lost), but contracts we bought to hedge its
+ * other legs are still open on Kalshi as naked directional bets. The
+ * unwind cancels any resting hedge buys, sells the filled contracts on every
+ * unsettled leg at the best bid, and records the realized hedge PnL on the purchase.
+ *
+ * An unwind only runs under the purchase's unwind lock (beginHedgeUnwind), so concurrent
+ * status checks can't both sell the same position. The purchase is marked unwound once no
+ * contracts are left on open legs; after a failed cancel or sell, a leg without a bid, or
+ * a sell still resting, the lock is released and the next status check tries again.
+ */
+
+import { CONFIG } from '../config/constants.js';
+import { getMarketOrderbook } from './kalshiClient.js';
+import { placeKalshiOrder, cancelKalshiOrder } from './kalshiTradeClient.js';
+import {
+  getHedgeOrdersForPurchase,
+  updateHedgeOrder,
+  beginHedgeUnwind,
+  updatePurchaseHedgeUnwind
+} from './db.js';
+import { recordPlacedOrder, postFillsToLedger, summarizeHedgePositions, computeHedgePnl, OPEN_STATUSES } from './hedgeOrderService.js';
+import { computeFillPrice } from './orderbookPricing.js';
+import { logInfo, logWarn, logError, logSection } from './utils/logger.js';
+
+/**
+ * Unwind the hedges of a lost parlay
+ * Safe to call on every status check: purchases already unwound, or being unwound by
+ * another check, are skipped.
+ * @param {Object} purchase - completed_purchases row
+ * @param {Array} outcomes - Leg outcomes from checkParlayStatus ({ legNumber, settled, outcome })
+ * @returns {Promise<Object>} { unwound, sells, realizedPnl, openContracts } - unwound is false
+ *   (with a reason) when nothing ran, or while contracts are still left to sell
+ */
+export async function unwindParlayHedges(purchase, outcomes) {
+  const sessionId = purchase.session_id;
+
+  if (purchase.hedge_unwound_at) {
+    return { unwound: false, reason: 'already_unwound' };
+  }
+  const staleBefore = new Date(Date.now() - CONFIG.HEDGE_ORDERS.UNWIND_LOCK_MS).toISOString();
+  const locked = await beginHedgeUnwind(sessionId, staleBefore);
+  if (!locked) {
+    // Another check holds the lock, or finished the unwind since this row was read
+    return { unwound: false, reason: 'in_progress' };
+  }
+
+  try {
+    return await unwindLocked(sessionId, outcomes);
+  } catch (err) {
+    await updatePurchaseHedgeUnwind(sessionId, { unwindingAt: null });
+    throw err;
+  }
+}
+
+/**
+ * Cancel resting buys and sell open positions, holding the unwind lock
+ * Releases the lock, setting hedge_unwound_at only if nothing is left open.
+ */
+async function unwindLocked(sessionId, outcomes) {
+  const orders = await getHedgeOrdersForPurchase(sessionId);
+  if (orders.length === 0) {
+    await updatePurchaseHedgeUnwind(sessionId, { hedgePnl: 0, openContracts: 0, unwoundAt: new Date().toISOString(), unwindingAt: null });
+    return { unwound: true, sells: 0, realizedPnl: 0, openContracts: 0 };
+  }
+
+  logSection(`UNWINDING HEDGES FOR ${sessionId}`);
+  let failures = 0;
+
+  // Stop any hedge buys that are still working
+  for (const order of orders) {
+    if (order.action !== 'buy' || !OPEN_STATUSES.includes(order.status) || !order.kalshi_order_id) continue;
+    const cancel = await cancelKalshiOrder(order.kalshi_order_id);
+    if (cancel.success) {
+      const updates = { status: 'canceled', canceled_at: new Date().toISOString() };
+      if (cancel.order) {
+        updates.filled_count = cancel.order.filledCount;
+        updates.avg_fill_price = cancel.order.avgFillPrice;
+      }
+      await updateHedgeOrder(order.id, updates);
+      await postFillsToLedger({ ...order, ...updates }, order);
+      Object.assign(order, updates);
+    } else {
+      failures++;
+      logWarn(`[Unwind] Failed to cancel resting hedge ${order.kalshi_order_id}: ${cancel.message}`);
+    }
+  }
+
+  const unsettledLegs = new Set(outcomes.filter(o => !o.settled).map(o => o.legNumber));
+  const positions = summarizeHedgePositions(orders);
+  let sells = 0;
+
+  for (const [legNumber, leg] of positions) {
+    const toSell = leg.position - leg.openSells;
+    if (!unsettledLegs.has(legNumber) || toSell <= 0 || !leg.ticker) continue;
+
+    const orderbook = (await getMarketOrderbook(leg.ticker))?.orderbook;
+    // Selling our side hits the best bid on that side
+    const bestBid = orderbook ? computeFillPrice(orderbook, leg.side, toSell).bestBid : null;
+    if (!bestBid) {
+      failures++;
+      logWarn(`[Unwind] No bid for ${leg.ticker} ${leg.side.toUpperCase()} - leaving ${toSell} contracts open until the next check`);
+      continue;
+    }
+
+    const orderParams = {
+      ticker: leg.ticker,
+      side: leg.side,
+      action: 'sell',
+      count: toSell,
+      type: 'limit',
+      ...(leg.side === 'yes' ? { yes_price: bestBid } : { no_price: bestBid }),
+      clientOrderId: `u_${sessionId.substring(0, 8)}_${legNumber}_${Date.now()}`
+    };
+
+    logInfo(`[Unwind] Selling ${toSell} ${leg.ticker} ${leg.side.toUpperCase()} at ${bestBid}¢ (leg ${legNumber})`);
+    const result = await placeKalshiOrder(orderParams);
+    const row = await recordPlacedOrder(sessionId, legNumber, orderParams, result);
+
+    if (row) orders.push(row);
+    if (result.success) {
+      sells++;
+    } else {
+      failures++;
+      logError(`[Unwind] Sell failed for ${leg.ticker}: ${result.message}`);
+    }
+  }
+
+  const outcomeRows = outcomes.map(o => ({
+    leg_number: o.legNumber,
+    market_status: o.settled ? 'settled' : 'open',
+    outcome: o.outcome,
+    settlement_price: o.settlementPrice ?? null
+  }));
+  const { realizedPnl, openContracts } = computeHedgePnl(orders, outcomeRows);
+
+  // Sells still resting leave contracts open too: the purchase stays due until they fill
+  const unwound = failures === 0 && openContracts === 0;
+  await updatePurchaseHedgeUnwind(sessionId, {
+    hedgePnl: realizedPnl,
+    openContracts,
+    unwindingAt: null,
+    ...(unwound ? { unwoundAt: new Date().toISOString() } : {})
+  });
+  logInfo(`[Unwind] ${sessionId}: ${sells} sell orders, realized hedge PnL $${realizedPnl.toFixed(2)}${openContracts > 0 ? `, ${openContracts} contracts still open` : ''}${unwound ? '' : ' - will retry'}`);
+
+  return { unwound, sells, realizedPnl, openContracts };
+}
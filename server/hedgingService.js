@@ -1,7 +1,35 @@
 import dotenv from 'dotenv';
+import { ENV } from '../config/env.js';
+import { CONFIG } from '../config/constants.js';
+import { analyzeScenarios, buildCorrelationMatrix } from './scenarioEngine.js';
 
 dotenv.config();
 
+/**
+ * Calculate the hedging strategy for a parlay
+ * Dispatches to the strategy selected by HEDGING_STRATEGY ('variance_reduction' or 'delta').
+ * 
+ * @param {Array} bets - Array of bet objects with marketTitle, optionLabel, prob
+ * @param {number} userStake - The amount user is betting
+ * @param {number} adjustedPayout - Payout promised to the user
+ * @param {number} adjustedProbability - AI-adjusted probability (accounts for correlation)
+ * @param {Object} aiAnalysis - Full AI analysis for logging
+ * @param {string} strategy - Strategy name (defaults to HEDGING_STRATEGY)
+ * @returns {Object} Hedging strategy details, with `strategy` set to the strategy used
+ */
+export function calculateHedgingStrategy(bets, userStake, adjustedPayout, adjustedProbability, aiAnalysis = {}, strategy = ENV.HEDGING_STRATEGY) {
+  let selected = strategy || CONFIG.HEDGING.DEFAULT_STRATEGY;
+  if (!CONFIG.HEDGING.STRATEGIES.includes(selected)) {
+    console.warn(`⚠️  Unknown hedging strategy "${selected}" - using ${CONFIG.HEDGING.DEFAULT_STRATEGY}`);
+    selected = CONFIG.HEDGING.DEFAULT_STRATEGY;
+  }
+  
+  if (selected === 'delta') {
+    return calculateDeltaHedgingStrategy(bets, userStake, adjustedPayout, adjustedProbability, aiAnalysis);
+  }
+  return calculateVarianceReductionStrategy(bets, userStake, adjustedPayout, adjustedProbability, aiAnalysis);
+}
+
 /**
  * Variance Reduction Hedging Strategy
  * 
@@ -18,7 +46,7 @@ dotenv.config();
  * @param {Object} aiAnalysis - Full AI analysis for logging
  * @returns {Object} Hedging strategy details
  */
-export function calculateHedgingStrategy(bets, userStake, adjustedPayout, adjustedProbability, aiAnalysis = {}) {
+function calculateVarianceReductionStrategy(bets, userStake, adjustedPayout, adjustedProbability, aiAnalysis = {}) {
   // Reduced logging - only show summary unless debugging
   const verboseLogging = process.env.VERBOSE_HEDGING === 'true';
   
@@ -190,10 +218,12 @@ export function calculateHedgingStrategy(bets, userStake, adjustedPayout, adjust
     console.log("\n" + "=".repeat(80) + "\n");
     
     return {
+      strategy: 'variance_reduction',
       needsHedging: false,
       unhedgedEV: unhedgedEV,
       unhedgedEdge: unhedgedEdge,
       unhedgedStdDev: unhedgedStdDev,
+      riskMetrics: analyzePosition(bets, userStake, adjustedPayout, [], aiAnalysis),
       reasoning: "No high-probability legs to hedge"
     };
   }
@@ -206,12 +236,11 @@ export function calculateHedgingStrategy(bets, userStake, adjustedPayout, adjust
     console.log("   Calculating all possible outcomes...");
   }
   
-  const scenarios = calculateAllScenarios(bets, userStake, adjustedPayout, hedgeBets);
+  const riskMetrics = analyzePosition(bets, userStake, adjustedPayout, hedgeBets, aiAnalysis);
+  const scenarios = listScenarios(bets, userStake, adjustedPayout, hedgeBets);
   
   // Show key scenarios (only if verbose)
   if (verboseLogging) {
-    scenarios.sort((a, b) => b.probability - a.probability);
-    
     console.log("\n   Top scenarios by probability:");
     scenarios.slice(0, 5).forEach((scenario, i) => {
       console.log(`\n   ${i + 1}. ${scenario.description} (${(scenario.probability * 100).toFixed(2)}% chance)`);
@@ -220,33 +249,32 @@ export function calculateHedgingStrategy(bets, userStake, adjustedPayout, adjust
     });
   }
   
-  // Calculate hedged EV and variance
-  const hedgedEV = scenarios.reduce((sum, s) => sum + (s.net * s.probability), 0);
-  const hedgedEdge = (hedgedEV / userStake) * 100;
-  
-  const hedgedVariance = scenarios.reduce((sum, s) => {
-    return sum + (Math.pow(s.net - hedgedEV, 2) * s.probability);
-  }, 0);
-  const hedgedStdDev = Math.sqrt(hedgedVariance);
+  // Hedged and unhedged distributions come from the scenario engine (correlation-aware)
+  const unhedged = summarizePosition(riskMetrics.unhedged, userStake);
+  const hedged = summarizePosition(riskMetrics.hedged, userStake);
+  const hedgedEV = hedged.ev;
+  const hedgedEdge = hedged.edge;
+  const hedgedStdDev = hedged.stdDev;
   
-  const varianceReduction = ((unhedgedStdDev - hedgedStdDev) / unhedgedStdDev) * 100;
-  const evChange = ((hedgedEV - unhedgedEV) / Math.abs(unhedgedEV)) * 100;
+  const varianceReduction = ((unhedged.stdDev - hedgedStdDev) / unhedged.stdDev) * 100;
+  const evChange = ((hedgedEV - unhedged.ev) / Math.abs(unhedged.ev)) * 100;
   
   // Always log summary (concise)
-  console.log(`\n🛡️ Hedging: ${hedgeBets.length} bets, $${totalHedgeCost.toFixed(2)} cost, ${varianceReduction.toFixed(1)}% variance reduction`);
+  console.log(`\n🛡️ Hedging: ${hedgeBets.length} bets, $${totalHedgeCost.toFixed(2)} cost, ${varianceReduction.toFixed(1)}% variance reduction (${riskMetrics.method})`);
   
   if (verboseLogging) {
     console.log("\n📊 HEDGED POSITION:");
     console.log(`   Expected value: $${hedgedEV.toFixed(2)}`);
     console.log(`   Edge: ${hedgedEdge.toFixed(2)}%`);
     console.log(`   Standard deviation: $${hedgedStdDev.toFixed(2)}`);
+    console.log(`   VaR ${(riskMetrics.confidence * 100).toFixed(0)}%: $${hedged.var.toFixed(2)}, CVaR: $${hedged.cvar.toFixed(2)}, worst case: $${hedged.worstCase.toFixed(2)}`);
     
     console.log("\n✅ HEDGING IMPACT:");
     console.log(`   Variance reduction: ${varianceReduction.toFixed(1)}%`);
     console.log(`   EV change: ${evChange >= 0 ? '+' : ''}${evChange.toFixed(1)}%`);
-    console.log(`   Edge: ${unhedgedEdge.toFixed(2)}% → ${hedgedEdge.toFixed(2)}%`);
+    console.log(`   Edge: ${unhedged.edge.toFixed(2)}% → ${hedgedEdge.toFixed(2)}%`);
     
-    if (hedgedEV > unhedgedEV && varianceReduction > 0) {
+    if (hedgedEV > unhedged.ev && varianceReduction > 0) {
       console.log(`   🎊 WIN-WIN: Higher EV AND lower variance!`);
     } else if (varianceReduction > 0) {
       console.log(`   ✅ SUCCESS: Reduced variance while maintaining positive EV`);
@@ -258,21 +286,15 @@ export function calculateHedgingStrategy(bets, userStake, adjustedPayout, adjust
   }
   
   return {
+    strategy: 'variance_reduction',
     needsHedging: true,
     hedgingDecisions,
     hedgeBets,
     totalHedgeCost,
     scenarios: scenarios.slice(0, 10), // Top 10 scenarios
-    unhedged: {
-      ev: unhedgedEV,
-      edge: unhedgedEdge,
-      stdDev: unhedgedStdDev
-    },
-    hedged: {
-      ev: hedgedEV,
-      edge: hedgedEdge,
-      stdDev: hedgedStdDev
-    },
+    riskMetrics,
+    unhedged,
+    hedged,
     impact: {
       varianceReduction: varianceReduction,
       evChange: evChange
@@ -281,28 +303,222 @@ export function calculateHedgingStrategy(bets, userStake, adjustedPayout, adjust
 }
 
 /**
- * Calculate all possible scenarios for a parlay with hedging
+ * Delta Hedging Strategy
+ * 
+ * The parlay's value to the user is payout × ∏ p_j, so its sensitivity to leg i
+ * (the leg's delta) is payout × ∏_{j≠i} p_j dollars per unit of probability.
+ * A Kalshi YES contract pays $1, so delta_i is also the number of contracts
+ * that fully offsets leg i. We buy a configurable fraction of that.
+ * 
+ * Per-leg probabilities are scaled so their product matches the correlation-adjusted
+ * probability: p_i' = p_i × (adjusted / naive)^(1/n).
+ * 
+ * @param {Array} bets - Array of bet objects with marketTitle, optionLabel, prob
+ * @param {number} userStake - The amount user is betting
+ * @param {number} adjustedPayout - Payout promised to the user
+ * @param {number} adjustedProbability - Correlation-adjusted probability (0-1)
+ * @param {Object} aiAnalysis - Quote analysis (correlationFactor feeds the scenario engine)
+ * @param {number} hedgeRatio - Fraction of each delta to hedge
+ * @returns {Object} Hedging strategy details (same shape as variance reduction, plus deltas and residual exposure)
  */
-function calculateAllScenarios(bets, userStake, userPayout, hedgeBets) {
-  const scenarios = [];
+function calculateDeltaHedgingStrategy(bets, userStake, adjustedPayout, adjustedProbability, aiAnalysis = {}, hedgeRatio = ENV.HEDGE_DELTA_RATIO ?? CONFIG.HEDGING.DELTA_HEDGE_RATIO) {
+  const verboseLogging = process.env.VERBOSE_HEDGING === 'true';
+  
+  const naiveCombinedProb = bets.reduce((acc, bet) => acc * (bet.prob / 100), 1);
+  const scale = Math.pow(adjustedProbability / naiveCombinedProb, 1 / bets.length);
+  const legProbs = bets.map(bet => Math.min(0.99, (bet.prob / 100) * scale));
+  
+  // Unhedged position (same as variance reduction)
+  const userWinProb = adjustedProbability;
+  const userLoseProb = 1 - userWinProb;
+  const unhedgedEV = (userStake * userLoseProb) - (adjustedPayout * userWinProb);
+  const unhedgedEdge = (unhedgedEV / userStake) * 100;
+  const unhedgedStdDev = Math.sqrt(
+    Math.pow(adjustedPayout - userStake, 2) * userWinProb +
+    Math.pow(userStake, 2) * userLoseProb -
+    Math.pow(unhedgedEV, 2)
+  );
+  
+  const hedgingDecisions = [];
+  const hedgeBets = [];
+  
+  bets.forEach((bet, i) => {
+    const delta = adjustedPayout * legProbs.reduce((acc, p, j) => (j === i ? acc : acc * p), 1);
+    const contracts = Math.floor(delta * hedgeRatio);
+    const price = bet.prob / 100; // We buy at the quoted leg price
+    const cost = contracts * price;
+    
+    hedgingDecisions.push({
+      leg: i + 1,
+      market: bet.marketTitle,
+      option: bet.optionLabel,
+      probability: bet.prob,
+      adjustedProbability: parseFloat((legProbs[i] * 100).toFixed(2)),
+      delta: parseFloat(delta.toFixed(2)),
+      contracts,
+      decision: contracts > 0 ? "✅ HEDGE" : "❌ NO HEDGE",
+      hedgeAmount: cost,
+      reasoning: contracts > 0
+        ? `Delta ${delta.toFixed(2)} - buy ${contracts} contracts (${(hedgeRatio * 100).toFixed(0)}% of delta)`
+        : `Delta ${delta.toFixed(2)} too small for one contract at ${(hedgeRatio * 100).toFixed(0)}% hedge ratio`
+    });
+    
+    if (contracts > 0) {
+      hedgeBets.push({
+        leg: i + 1,
+        market: bet.marketTitle,
+        option: bet.optionLabel,
+        probability: bet.prob,
+        contracts,
+        delta,
+        hedgeAmount: cost,
+        potentialWin: contracts, // Each contract pays $1
+        cost,
+        ticker: bet.ticker || null,
+        marketId: bet.marketId || null
+      });
+    }
+    
+    if (verboseLogging) {
+      console.log(`\n   Leg ${i + 1}: ${bet.marketTitle} - ${bet.optionLabel} (${bet.prob}%, adjusted ${(legProbs[i] * 100).toFixed(2)}%)`);
+      console.log(`   Delta: ${delta.toFixed(2)} → ${contracts} contracts, cost $${cost.toFixed(2)}`);
+    }
+  });
+  
+  // Residual exposure: the part of each delta left unhedged, and the loss if the parlay hits
+  const legResiduals = hedgingDecisions.map(d => ({
+    leg: d.leg,
+    delta: d.delta,
+    hedgedContracts: d.contracts,
+    residualDelta: parseFloat((d.delta - d.contracts).toFixed(2))
+  }));
+  const totalHedgeCost = hedgeBets.reduce((sum, bet) => sum + bet.cost, 0);
+  const hedgeProfitIfAllWin = hedgeBets.reduce((sum, bet) => sum + bet.potentialWin - bet.cost, 0);
+  const residualExposure = {
+    legs: legResiduals,
+    totalResidualDelta: parseFloat(legResiduals.reduce((sum, leg) => sum + leg.residualDelta, 0).toFixed(2)),
+    lossIfParlayWins: parseFloat((adjustedPayout - userStake - hedgeProfitIfAllWin).toFixed(2))
+  };
+  
+  if (hedgeBets.length === 0) {
+    console.log(`\n📊 NO HEDGING NEEDED: deltas below one contract at ${(hedgeRatio * 100).toFixed(0)}% hedge ratio`);
+    return {
+      strategy: 'delta',
+      needsHedging: false,
+      hedgeRatio,
+      hedgingDecisions,
+      residualExposure,
+      unhedgedEV: unhedgedEV,
+      unhedgedEdge: unhedgedEdge,
+      unhedgedStdDev: unhedgedStdDev,
+      riskMetrics: analyzePosition(bets, userStake, adjustedPayout, [], aiAnalysis),
+      reasoning: "Leg deltas too small to hedge"
+    };
+  }
+  
+  const riskMetrics = analyzePosition(bets, userStake, adjustedPayout, hedgeBets, aiAnalysis);
+  const scenarios = listScenarios(bets, userStake, adjustedPayout, hedgeBets);
+  
+  const unhedged = summarizePosition(riskMetrics.unhedged, userStake);
+  const hedged = summarizePosition(riskMetrics.hedged, userStake);
+  const varianceReduction = ((unhedged.stdDev - hedged.stdDev) / unhedged.stdDev) * 100;
+  const evChange = ((hedged.ev - unhedged.ev) / Math.abs(unhedged.ev)) * 100;
+  
+  console.log(`\n🛡️ Delta hedging: ${hedgeBets.length} bets, $${totalHedgeCost.toFixed(2)} cost, ${varianceReduction.toFixed(1)}% variance reduction, $${residualExposure.lossIfParlayWins.toFixed(2)} residual if parlay wins`);
+  
+  return {
+    strategy: 'delta',
+    needsHedging: true,
+    hedgeRatio,
+    hedgingDecisions,
+    hedgeBets,
+    totalHedgeCost,
+    residualExposure,
+    scenarios: scenarios.slice(0, 10), // Top 10 scenarios
+    riskMetrics,
+    unhedged,
+    hedged,
+    impact: {
+      varianceReduction: varianceReduction,
+      evChange: evChange
+    }
+  };
+}
+
+/**
+ * Run the scenario engine on a position, correlating legs from tickers or the AI correlationFactor
+ * @returns {Object} Scenario engine result with correlationSource
+ */
+function analyzePosition(bets, userStake, adjustedPayout, hedgeBets, aiAnalysis = {}) {
+  const { matrix, source } = buildCorrelationMatrix(bets, aiAnalysis);
+  const metrics = analyzeScenarios({
+    bets,
+    stake: userStake,
+    payout: adjustedPayout,
+    hedgeBets,
+    correlation: matrix
+  });
+  return { ...metrics, correlationSource: source };
+}
+
+/**
+ * Position summary in the shape stored with the quote (ev, edge, stdDev plus tail metrics)
+ */
+function summarizePosition(metrics, userStake) {
+  return {
+    ev: metrics.ev,
+    edge: (metrics.ev / userStake) * 100,
+    stdDev: metrics.stdDev,
+    var: metrics.var,
+    cvar: metrics.cvar,
+    worstCase: metrics.worstCase
+  };
+}
+
+/**
+ * Itemized scenarios for logging - only for parlays small enough to enumerate
+ */
+function listScenarios(bets, userStake, userPayout, hedgeBets) {
+  const maxLegs = ENV.SCENARIO_EXACT_MAX_LEGS ?? CONFIG.SCENARIOS.EXACT_MAX_LEGS;
+  if (bets.length > maxLegs) return [];
+  const scenarios = calculateAllScenarios(bets, userStake, userPayout, hedgeBets);
+  return scenarios.sort((a, b) => b.probability - a.probability);
+}
+
+/**
+ * Every win/loss combination of a parlay's legs with its probability
+ * Independent legs only; also prices round-robin and flex parlays (parlayTypes.js).
+ * @param {Array} bets - Legs with prob (percent)
+ * @returns {Array<{outcome: string, legResults: Array<boolean>, probability: number}>} 2^n outcomes, leg 1 first in the outcome string
+ */
+export function enumerateLegOutcomes(bets) {
   const numLegs = bets.length;
-  const numOutcomes = Math.pow(2, numLegs);
+  const outcomes = [];
   
-  // Generate all possible combinations of wins/losses
-  for (let i = 0; i < numOutcomes; i++) {
+  for (let i = 0; i < Math.pow(2, numLegs); i++) {
     const outcome = i.toString(2).padStart(numLegs, '0');
     const legResults = outcome.split('').map(bit => bit === '1');
-    
+    const probability = legResults.reduce((acc, wins, idx) => {
+      const legProb = bets[idx].prob / 100;
+      return acc * (wins ? legProb : 1 - legProb);
+    }, 1);
+    outcomes.push({ outcome, legResults, probability });
+  }
+  
+  return outcomes;
+}
+
+/**
+ * Calculate all possible scenarios for a parlay with hedging
+ * Independent legs only - use the scenario engine for risk metrics
+ */
+function calculateAllScenarios(bets, userStake, userPayout, hedgeBets) {
+  const scenarios = [];
+  
+  for (const { outcome, legResults, probability } of enumerateLegOutcomes(bets)) {
     // Check if parlay wins (all legs must win)
     const parlayWins = legResults.every(result => result);
     
-    // Calculate probability of this outcome
-    let probability = 1;
-    legResults.forEach((wins, idx) => {
-      const legProb = bets[idx].prob / 100;
-      probability *= wins ? legProb : (1 - legProb);
-    });
-    
     // Calculate net result
     let net = userStake; // Start with user's stake
     
@@ -324,9 +540,9 @@ function calculateAllScenarios(bets, userStake, userPayout, hedgeBets) {
     hedgeBets.forEach((hedge) => {
       const hedgeLegIdx = hedge.leg - 1;
       if (legResults[hedgeLegIdx]) {
-        // Hedge bet wins
-        net += hedge.potentialWin;
-        breakdown.push(`Win ${hedge.market} hedge: +$${hedge.potentialWin.toFixed(2)}`);
+        // Hedge bet wins - potentialWin is the gross return, the cost was already paid
+        net += hedge.potentialWin - hedge.cost;
+        breakdown.push(`Win ${hedge.market} hedge: +$${(hedge.potentialWin - hedge.cost).toFixed(2)}`);
       } else {
         // Hedge bet loses
         net -= hedge.cost;
@@ -5,7 +5,7 @@
 
 import express from "express";
 import cors from "cors";
-import { getMarketById, getMarketDetails, getMarketOrderbook } from "./kalshiClient.js";
+import { getMarketById, getMarketDetails } from "./kalshiClient.js";
 import { 
   initializeDatabase, 
   getParlayBets, 
@@ -17,28 +17,42 @@ import {
   updatePaymentStatus,
   saveCompletedPurchase,
   getCompletedPurchase,
-  markHedgeExecuted,
   getUserPurchaseHistory,
   updateParlayBetOutcome,
   updateParlayStatus,
   getActiveParlays,
-  claimParlayWinnings,
   getParlayBetOutcomes,
   getUserWallet,
-  addUserBalance,
-  createWithdrawalRequest,
-  updateWithdrawalStatus,
-  getWithdrawalRequests,
+  getWithdrawalsByStatus,
   getLiquidityPoolBalance,
-  updateLiquidityPoolBalance
+  updatePurchaseHedgeStatus,
+  getRecentPurchases,
+  getJobLeases,
+  getJobRuns,
+  getUserSettings,
+  updateUserSettings,
+  getAuthClient
 } from "./db.js";
-import supabase from "./db.js";
-import { createClient } from '@supabase/supabase-js';
-import { checkParlayStatus, checkAllActiveParlays, checkMarketOutcome } from "./parlayStatusService.js";
-import { generateParlayQuote } from "./aiQuoteService.js";
+import { checkParlayStatus, checkDueParlays, checkMarketOutcome, settlementPriceForOutcome } from "./parlayStatusService.js";
+import { generateParlayQuoteWithFallback } from "./aiQuoteService.js";
+import { issueQuote, redeemQuote, releaseQuote, applyQuotedLegs } from "./quoteService.js";
+import { priceLegsFromOrderbooks, applyLiquidityMargin } from "./orderbookPricing.js";
+import { evaluateParlayRisk, acquireExposureLock, RiskLockError } from "./riskEngine.js";
 import { calculateHedgingStrategy } from "./hedgingService.js";
 import { executeHedgingStrategy } from "./kalshiTradeClient.js";
-import { transferUsdcFromPlatform, getUsdcTransferTransactionForUser } from "./coinbaseCdpService.js";
+import { recordHedgeOrders, pollHedgeOrders } from "./hedgeOrderService.js";
+import { getHedgeExecutionMode, runHedgeNetting } from "./hedgeNettingService.js";
+import { startMarketFeed, trackTickers, applyLivePrices } from "./kalshiMarketFeed.js";
+import { recordStake, recordRefund, getUserTransactions, InsufficientFundsError } from "./ledgerService.js";
+import { validateWithdrawal, requestWithdrawal, getUserWithdrawals, pollWithdrawals } from "./withdrawalService.js";
+import { pollDeposits } from "./depositWatcher.js";
+import { runScheduledReconciliation, RECONCILIATION_JOB } from "./reconciliationService.js";
+import { subscribeToParlayEvents, formatServerSentEvent } from "./parlayEvents.js";
+import { claimWinnings, autoClaimWinnings, ClaimError } from "./claimService.js";
+import { createCashOutOffer, acceptCashOutOffer, CashOutError } from "./cashOutService.js";
+import { parseParlayType, applyParlayType } from "./parlayTypes.js";
+import { registerJob, startScheduler, runJobNow, getSchedulerState } from "./jobScheduler.js";
+import { getUsdcTransferTransactionForUser, getPlatformUsdcBalance } from "./coinbaseCdpService.js";
 import { ENV, validateEnvironment } from "../config/env.js";
 import { CONFIG, ERROR_MESSAGES, HTTP_STATUS } from "../config/constants.js";
 import { logError, logInfo, logSection, logWarn, logDebug } from "./utils/logger.js";
@@ -63,11 +77,9 @@ try {
 const app = express();
 const PORT = ENV.PORT || CONFIG.SERVER.DEFAULT_PORT;
 
-// Initialize Supabase client for auth verification (using anon key for JWT verification)
-let supabaseAuth = null;
-if (ENV.SUPABASE_URL && ENV.SUPABASE_ANON_KEY) {
-  supabaseAuth = createClient(ENV.SUPABASE_URL, ENV.SUPABASE_ANON_KEY);
-} else {
+// Auth client for JWT verification (Supabase anon key, or the in-memory backend's token decoder)
+const supabaseAuth = getAuthClient();
+if (!supabaseAuth) {
   logWarn("Supabase auth not configured - authentication will be disabled");
 }
 
@@ -625,6 +637,7 @@ app.post("/api/parlay/:userId", async (req, res) => {
   try {
     const newBet = await addParlayBet(userId, bet, token);
     logInfo(`Successfully added bet: ${newBet.id}`);
+    trackTickers([bet.ticker]);
     res.json({ bet: newBet });
   } catch (err) {
     logError("Error adding bet to parlay", err);
@@ -721,73 +734,120 @@ app.get("/api/parlay-status/:sessionId", async (req, res) => {
   }
 });
 
+/**
+ * Stream a user's parlay status changes as Server-Sent Events
+ * Sends `leg` events when a leg settles and `status` events when a parlay is won, lost or
+ * voided. Pending parlays are re-checked when the stream opens, so a client catches up on
+ * anything it missed while disconnected. Live events need a single instance (see parlayEvents.js).
+ * @route GET /api/parlay-events/:userId
+ */
+app.get("/api/parlay-events/:userId", async (req, res) => {
+  const { userId } = req.params;
+  const token = req.headers.authorization?.substring(7); // Extract JWT token
+  
+  if (req.userId && userId !== req.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({ 
+      error: "Cannot stream another user's parlay events" 
+    });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(formatServerSentEvent({ type: 'ready', userId }));
+  
+  const unsubscribe = subscribeToParlayEvents(userId, event => {
+    res.write(formatServerSentEvent(event));
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), CONFIG.PARLAY_EVENTS.HEARTBEAT_MS);
+  
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+  
+  // Check pending parlays now rather than waiting for the scheduled checker; results arrive as events
+  try {
+    const purchases = await getUserPurchaseHistory(userId, token);
+    const pending = purchases.filter(p => (p.parlay_status || 'pending') === 'pending');
+    for (const purchase of pending) {
+      if (closed) break;
+      await checkParlayStatus(purchase.session_id).catch(err => {
+        logError(`Error checking parlay ${purchase.session_id} for event stream`, err);
+      });
+    }
+  } catch (err) {
+    logError("Error loading parlays for event stream", err);
+  }
+});
+
 /**
  * Claim winnings for a won parlay (adds to wallet balance)
  * @route POST /api/claim-winnings/:sessionId
+ * Send an Idempotency-Key header to make retries safe: a retry with the same key resumes the
+ * claim (202 with claimStatus "transferring" while its transfer is in flight) instead of
+ * starting a new one.
  */
 app.post("/api/claim-winnings/:sessionId", async (req, res) => {
   const { sessionId } = req.params;
   
   const token = req.headers.authorization?.substring(7); // Extract JWT token
+  const idempotencyKey = req.headers['idempotency-key'] || null; // Retries with the same key resume the claim
+  
+  if (idempotencyKey !== null && idempotencyKey.length > 255) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ 
+      error: ERROR_MESSAGES.CLAIM.INVALID_IDEMPOTENCY_KEY 
+    });
+  }
   
   try {
-    const purchase = await getCompletedPurchase(sessionId, token);
-    
-    if (!purchase) {
-      return res.status(HTTP_STATUS.NOT_FOUND).json({ 
-        error: "Parlay not found" 
-      });
-    }
-    
-    if (purchase.parlay_status !== 'won') {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({ 
-        error: "Parlay has not won or is not yet settled" 
-      });
-    }
-    
-    if (purchase.claimed_at) {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({ 
-        error: "Winnings already claimed" 
+    // Transfers USDC from the platform CDP wallet to the user's CDP wallet, then pays out and marks claimed
+    const claim = await claimWinnings(sessionId, { userToken: token, idempotencyKey });
+    
+    // A retry that found its transfer still in flight: nothing to do but wait
+    if (claim.status === 'transferring') {
+      return res.status(HTTP_STATUS.ACCEPTED).json({ 
+        success: true, 
+        claimStatus: claim.status,
+        message: "Your winnings transfer is in progress",
+        amount: claim.amount
       });
     }
     
-    const winningsAmount = purchase.claimable_amount;
-    
-    // Transfer USDC from platform CDP wallet to user's CDP wallet (server-side)
-    try {
-      logInfo(`[Transfer] Initiating USDC transfer from platform wallet to user ${purchase.user_id}...`);
-      const transferResult = await transferUsdcFromPlatform(purchase.user_id, winningsAmount);
-      logInfo(`[Transfer] ✅ Transfer successful: ${transferResult.transactionSignature}`);
-    } catch (transferError) {
-      logError(`[Transfer] ❌ Transfer failed:`, transferError);
-      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ 
-        error: `Failed to transfer winnings: ${transferError.message}` 
-      });
-    }
-    
-    // Mark as claimed first (idempotent)
-    await claimParlayWinnings(sessionId, token);
-    
-    // Update database balances (for tracking)
-    await addUserBalance(purchase.user_id, winningsAmount, token);
-    await updateLiquidityPoolBalance(-winningsAmount);
-    
     // Get updated balances for logging
-    const walletAfter = await getUserWallet(purchase.user_id, token);
+    const walletAfter = await getUserWallet(claim.userId, token);
     const poolData = await getLiquidityPoolBalance();
     
-    logInfo(`Winnings claimed: User ${purchase.user_id}, Amount: $${winningsAmount.toFixed(2)}, Session: ${sessionId}`);
-    logInfo(`User wallet balance: $${parseFloat(walletAfter.balance || 0).toFixed(2)}`);
-    logInfo(`Liquidity pool balance: $${parseFloat(poolData.balance || 0).toFixed(2)}`);
-    logInfo(`Note: USDC transferred from platform wallet to user's CDP wallet on-chain.`);
+    if (!claim.replayed) {
+      logInfo(`Winnings claimed: User ${claim.userId}, Amount: $${claim.amount.toFixed(2)}, Session: ${sessionId}`);
+      logInfo(`User wallet balance: $${parseFloat(walletAfter.balance || 0).toFixed(2)}`);
+      logInfo(`Liquidity pool balance: $${parseFloat(poolData.balance || 0).toFixed(2)}`);
+      logInfo(`Note: USDC transferred from platform wallet to user's CDP wallet on-chain (${claim.transactionSignature}).`);
+    }
     
     res.json({ 
       success: true, 
+      claimStatus: claim.status,
       message: "Winnings added to your wallet balance",
-      amount: winningsAmount,
+      amount: claim.amount,
+      transactionSignature: claim.transactionSignature,
       newBalance: parseFloat(walletAfter.balance || 0)
     });
   } catch (err) {
+    if (err instanceof ClaimError) {
+      if (err.status === HTTP_STATUS.INTERNAL_SERVER_ERROR) {
+        logError(`[Transfer] ❌ Transfer failed for session ${sessionId}:`, err);
+      }
+      return res.status(err.status).json({ 
+        error: err.message 
+      });
+    }
     logError("Error claiming winnings", err);
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ 
       error: "Failed to claim winnings", 
@@ -796,6 +856,67 @@ app.post("/api/claim-winnings/:sessionId", async (req, res) => {
   }
 });
 
+/**
+ * Get a cash-out offer for a pending parlay
+ * @route POST /api/cash-out/:sessionId/offer
+ * Priced from the settled legs and the live prices of the open ones, less the house margin.
+ * The offer expires after CONFIG.CASH_OUT.OFFER_TTL_MS or as soon as another leg settles.
+ */
+app.post("/api/cash-out/:sessionId/offer", async (req, res) => {
+  const { sessionId } = req.params;
+  const token = req.headers.authorization?.substring(7); // Extract JWT token
+  
+  try {
+    const offer = await createCashOutOffer(sessionId, { userToken: token });
+    res.json({ success: true, offer });
+  } catch (err) {
+    if (err instanceof CashOutError) {
+      return res.status(err.status).json({ 
+        error: err.message 
+      });
+    }
+    logError("Error creating cash-out offer", err);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ 
+      error: "Failed to price cash-out", 
+      details: err.message 
+    });
+  }
+});
+
+/**
+ * Accept a cash-out offer: settles the parlay as cashed_out and credits the wallet
+ * @route POST /api/cash-out/:sessionId/accept
+ * Body: { offerId }. Retrying an accepted offer is safe - the wallet is only credited once.
+ */
+app.post("/api/cash-out/:sessionId/accept", async (req, res) => {
+  const { sessionId } = req.params;
+  const { offerId } = req.body || {};
+  const token = req.headers.authorization?.substring(7); // Extract JWT token
+  
+  try {
+    const cashOut = await acceptCashOutOffer(sessionId, offerId, { userToken: token });
+    const walletAfter = await getUserWallet(cashOut.userId, token);
+    
+    res.json({ 
+      success: true, 
+      message: "Parlay cashed out to your wallet balance",
+      amount: cashOut.amount,
+      newBalance: parseFloat(walletAfter?.balance || 0)
+    });
+  } catch (err) {
+    if (err instanceof CashOutError) {
+      return res.status(err.status).json({ 
+        error: err.message 
+      });
+    }
+    logError("Error accepting cash-out offer", err);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ 
+      error: "Failed to cash out", 
+      details: err.message 
+    });
+  }
+});
+
 /**
  * Get user's parlay history with status
  * @route GET /api/parlay-history/:userId
@@ -834,6 +955,144 @@ app.get("/api/parlay-history/:userId", async (req, res) => {
   }
 });
 
+/**
+ * List a user's wallet transactions (ledger entries), newest first
+ * @route GET /api/transactions/:userId
+ * @param {number} limit - Optional page size (default 50, max 200)
+ * @param {string} before - Optional ISO timestamp; returns entries older than it
+ * @returns {Object} Object containing array of transactions
+ */
+app.get("/api/transactions/:userId", async (req, res) => {
+  const { userId } = req.params;
+  const token = req.headers.authorization?.substring(7); // Extract JWT token
+
+  if (req.userId && userId !== req.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      error: 'Forbidden',
+      message: 'User ID mismatch'
+    });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const before = req.query.before || null;
+  if (before && isNaN(Date.parse(before))) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      error: "before must be an ISO timestamp"
+    });
+  }
+
+  try {
+    const transactions = await getUserTransactions(userId, token, { limit, before });
+    res.json({ success: true, transactions });
+  } catch (err) {
+    logError("Error fetching transactions", err);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: "Failed to fetch transactions",
+      details: err.message
+    });
+  }
+});
+
+/**
+ * USDC the platform wallet can pay out right now (on-chain balance minus withdrawals in flight)
+ * @route GET /api/platform-balance
+ * @returns {Object} { available }
+ */
+app.get("/api/platform-balance", async (req, res) => {
+  try {
+    const { balance } = await getPlatformUsdcBalance();
+    const inFlight = (await getWithdrawalsByStatus(['pending', 'processing']))
+      .filter(row => row.hold_transaction_id)
+      .reduce((sum, row) => sum + parseFloat(row.amount), 0);
+    const available = Math.max(Math.round((balance - inFlight) * 100) / 100, 0);
+    res.json({ success: true, available });
+  } catch (err) {
+    logError("Error fetching platform balance", err);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: "Failed to fetch platform balance",
+      details: err.message
+    });
+  }
+});
+
+/**
+ * Withdraw wallet balance as USDC to a Solana address
+ * The amount is held immediately; the transfer is retried in the background if the first attempt fails.
+ * @route POST /api/withdraw/:userId
+ * @param {number} amount - Amount in dollars
+ * @param {string} destinationAddress - Solana wallet address to receive the USDC
+ * @returns {Object} { success, withdrawal }
+ */
+app.post("/api/withdraw/:userId", async (req, res) => {
+  const { userId } = req.params;
+  const token = req.headers.authorization?.substring(7); // Extract JWT token
+  const amount = parseFloat(req.body?.amount);
+  const { destinationAddress } = req.body || {};
+
+  if (req.userId && userId !== req.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      error: 'Forbidden',
+      message: 'User ID mismatch'
+    });
+  }
+
+  const validation = validateWithdrawal(amount, destinationAddress);
+  if (!validation.valid) {
+    return res.status(validation.status).json({ error: validation.error });
+  }
+
+  try {
+    const withdrawal = await requestWithdrawal(userId, amount, destinationAddress, token);
+    if (withdrawal.status === 'reversed') {
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: "Withdrawal transfer failed. The amount was returned to your balance.",
+        details: withdrawal.lastError,
+        withdrawal
+      });
+    }
+    res.json({ success: true, withdrawal });
+  } catch (err) {
+    if (err instanceof InsufficientFundsError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: ERROR_MESSAGES.WITHDRAWAL.INSUFFICIENT_BALANCE
+      });
+    }
+    logError("Error processing withdrawal", err);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: "Failed to process withdrawal",
+      details: err.message
+    });
+  }
+});
+
+/**
+ * List a user's withdrawals, newest first
+ * @route GET /api/withdrawals/:userId
+ * @returns {Object} Object containing array of withdrawals
+ */
+app.get("/api/withdrawals/:userId", async (req, res) => {
+  const { userId } = req.params;
+  const token = req.headers.authorization?.substring(7); // Extract JWT token
+
+  if (req.userId && userId !== req.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      error: 'Forbidden',
+      message: 'User ID mismatch'
+    });
+  }
+
+  try {
+    const withdrawals = await getUserWithdrawals(userId, token);
+    res.json({ success: true, withdrawals });
+  } catch (err) {
+    logError("Error fetching withdrawals", err);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: "Failed to fetch withdrawals",
+      details: err.message
+    });
+  }
+});
+
 /**
  * Get user wallet balance
  * @route GET /api/wallet/:userId
@@ -881,6 +1140,83 @@ app.get("/api/wallet/:userId", async (req, res) => {
   }
 });
 
+/**
+ * Get a user's settings
+ * @route GET /api/settings/:userId
+ * @returns {Object} { success, settings: { autoClaim, autoClaimMaxAmount } }
+ */
+app.get("/api/settings/:userId", async (req, res) => {
+  const { userId } = req.params;
+  const token = req.headers.authorization?.substring(7); // Extract JWT token
+
+  if (req.userId && userId !== req.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      error: 'Forbidden',
+      message: 'User ID mismatch'
+    });
+  }
+
+  try {
+    const settings = await getUserSettings(userId, token);
+    res.json({
+      success: true,
+      settings: {
+        autoClaim: !!settings.auto_claim,
+        autoClaimMaxAmount: ENV.AUTO_CLAIM_MAX_AMOUNT ?? CONFIG.CLAIMS.AUTO_CLAIM_MAX_AMOUNT
+      }
+    });
+  } catch (err) {
+    logError("Error fetching settings", err);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: "Failed to fetch settings",
+      details: err.message
+    });
+  }
+});
+
+/**
+ * Update a user's settings
+ * @route PUT /api/settings/:userId
+ * @param {boolean} autoClaim - Claim won parlays automatically (up to the auto-claim limit)
+ * @returns {Object} { success, settings }
+ */
+app.put("/api/settings/:userId", async (req, res) => {
+  const { userId } = req.params;
+  const token = req.headers.authorization?.substring(7); // Extract JWT token
+  const { autoClaim } = req.body || {};
+
+  if (req.userId && userId !== req.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      error: 'Forbidden',
+      message: 'User ID mismatch'
+    });
+  }
+
+  if (typeof autoClaim !== 'boolean') {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      error: "autoClaim must be true or false"
+    });
+  }
+
+  try {
+    const settings = await updateUserSettings(userId, { auto_claim: autoClaim }, token);
+    logInfo(`Auto-claim ${autoClaim ? 'enabled' : 'disabled'} for user ${userId}`);
+    res.json({
+      success: true,
+      settings: {
+        autoClaim: !!settings.auto_claim,
+        autoClaimMaxAmount: ENV.AUTO_CLAIM_MAX_AMOUNT ?? CONFIG.CLAIMS.AUTO_CLAIM_MAX_AMOUNT
+      }
+    });
+  } catch (err) {
+    logError("Error saving settings", err);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: "Failed to save settings",
+      details: err.message
+    });
+  }
+});
+
 /**
  * Get ZKP2P onramp URL for user
  * @route GET /api/zkp2p-onramp/:userId
@@ -958,10 +1294,10 @@ app.get("/api/zkp2p-onramp/:userId", async (req, res) => {
  * @route GET /api/zkp2p-callback
  */
 app.get("/api/zkp2p-callback", async (req, res) => {
-  // This endpoint can be used to handle successful onramp redirects
-  // For now, just redirect to a success page or return success
+  // Nothing is credited here: the deposit watcher credits the balance once the USDC
+  // transfer to the user's wallet is finalized on-chain
   logInfo("[ZKP2P] Callback received", req.query);
-  res.json({ success: true, message: "Onramp completed successfully" });
+  res.json({ success: true, message: "Onramp completed. Your balance updates once the deposit is confirmed on-chain." });
 });
 
 
@@ -998,7 +1334,7 @@ if (ENV.NODE_ENV === 'development' || ENV.NODE_ENV !== 'production') {
    */
   app.post("/api/test/set-leg-outcome/:sessionId/:legNumber", async (req, res) => {
     const { sessionId, legNumber } = req.params;
-    const { outcome, settlementPrice } = req.body; // outcome: 'win'|'loss', settlementPrice: 0-100
+    const { outcome, settlementPrice } = req.body; // outcome: 'win'|'loss'|'partial'|'void', settlementPrice: YES value 0-100 (required for partial)
     
     try {
       const purchase = await getCompletedPurchase(sessionId);
@@ -1022,7 +1358,7 @@ if (ENV.NODE_ENV === 'development' || ENV.NODE_ENV !== 'production') {
         leg.optionId || leg.ticker,
         'settled',
         outcome,
-        settlementPrice || (outcome === 'win' ? 100 : 0)
+        settlementPrice ?? settlementPriceForOutcome(outcome, leg.side)
       );
       
       // Recheck parlay status after updating leg
@@ -1066,7 +1402,7 @@ if (ENV.NODE_ENV === 'development' || ENV.NODE_ENV !== 'production') {
           leg.optionId || leg.ticker,
           'settled',
           'win',
-          100
+          settlementPriceForOutcome('win', leg.side)
         );
       }
       
@@ -1111,7 +1447,7 @@ if (ENV.NODE_ENV === 'development' || ENV.NODE_ENV !== 'production') {
           leg.optionId || leg.ticker,
           'settled',
           'loss',
-          0
+          settlementPriceForOutcome('loss', leg.side)
         );
       }
       
@@ -1135,17 +1471,8 @@ if (ENV.NODE_ENV === 'development' || ENV.NODE_ENV !== 'production') {
    */
   app.get("/api/test/list-sessions", async (req, res) => {
     try {
-      const { data, error } = await supabase
-        .from('completed_purchases')
-        .select('session_id, user_id, stake, payout, parlay_status, claimable_amount, completed_at')
-        .order('completed_at', { ascending: false })
-        .limit(50);
-      
-      if (error) {
-        throw error;
-      }
-      
-      res.json({ success: true, sessions: data || [] });
+      const sessions = await getRecentPurchases(50);
+      res.json({ success: true, sessions });
     } catch (err) {
       logError("Error listing sessions", err);
       res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ 
@@ -1227,7 +1554,7 @@ if (ENV.NODE_ENV === 'development' || ENV.NODE_ENV !== 'production') {
         }
 
         // Get detailed market outcome
-        const marketResult = await checkMarketOutcome(leg.ticker, leg.optionId || leg.ticker);
+        const marketResult = await checkMarketOutcome(leg.ticker, leg.optionId || leg.ticker, leg.side);
         
         // Also get raw market data for inspection
         let rawMarketData = null;
@@ -1275,6 +1602,48 @@ if (ENV.NODE_ENV === 'development' || ENV.NODE_ENV !== 'production') {
     }
   });
 
+  /**
+   * TESTING ENDPOINT: Scheduled jobs - leases (next run, failures) and recent run history
+   * @route GET /api/test/jobs
+   */
+  app.get("/api/test/jobs", async (req, res) => {
+    try {
+      const [leases, runs] = await Promise.all([
+        getJobLeases(),
+        getJobRuns({ jobName: req.query.job || null, limit: parseInt(req.query.limit, 10) || 50 })
+      ]);
+      res.json({ success: true, ...getSchedulerState(), leases, runs });
+    } catch (err) {
+      logError("Error listing jobs", err);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ 
+        error: "Failed to list jobs", 
+        details: err.message 
+      });
+    }
+  });
+
+  /**
+   * TESTING ENDPOINT: Run a scheduled job now
+   * @route POST /api/test/run-job/:name
+   */
+  app.post("/api/test/run-job/:name", async (req, res) => {
+    try {
+      const outcome = await runJobNow(req.params.name);
+      if (!outcome) {
+        return res.status(HTTP_STATUS.CONFLICT).json({ 
+          error: "Job is already running" 
+        });
+      }
+      res.json({ success: true, ...outcome });
+    } catch (err) {
+      logError("Error running job", err);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ 
+        error: "Failed to run job", 
+        details: err.message 
+      });
+    }
+  });
+
   logInfo("🧪 Testing endpoints enabled (development mode)");
 }
 
@@ -1322,13 +1691,31 @@ app.post("/api/get-transfer-transaction", async (req, res) => {
 
 /**
  * Generate AI-powered quote for a parlay
+ * The quote is persisted server-side and returned with a quoteId that
+ * /api/place-parlay redeems - the client never sends pricing data back.
  * @route POST /api/quote
- * @param {Array} bets - Array of bet objects
+ * @param {string} userId - User identifier (must match the authenticated user)
+ * @param {Array} bets - Array of bet objects (ticker and side identify each leg)
  * @param {number} stake - Stake amount in dollars
- * @returns {Object} Quote with analysis and payout information
+ * @param {string|Object} parlayType - Optional: 'standard' (default), { type: 'round_robin', size } or { type: 'flex', minHits }
+ * @returns {Object} Quote with quoteId, analysis, payout information and the payoutTable for the parlay type
  */
 app.post("/api/quote", async (req, res) => {
   const { bets, stake } = req.body;
+  const userId = req.userId || req.body.userId;
+  
+  if (!userId) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ 
+      error: ERROR_MESSAGES.PAYMENT.USER_ID_REQUIRED 
+    });
+  }
+  
+  if (req.userId && req.body.userId && req.body.userId !== req.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({ 
+      error: 'Forbidden', 
+      message: 'User ID mismatch' 
+    });
+  }
   
   if (!bets || !Array.isArray(bets) || bets.length === 0) {
     return res.status(HTTP_STATUS.BAD_REQUEST).json({ 
@@ -1342,20 +1729,40 @@ app.post("/api/quote", async (req, res) => {
     });
   }
   
+  const parlayTypeCheck = parseParlayType(req.body.parlayType, bets.length);
+  if (!parlayTypeCheck.valid) {
+    return res.status(parlayTypeCheck.status).json({ 
+      error: parlayTypeCheck.error 
+    });
+  }
+  
   try {
     const requestId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     logInfo(`Generating AI quote for ${bets.length} bets with $${stake} stake (Request ID: ${requestId})`);
     
-    const result = await generateParlayQuote(bets, stake);
+    // Slip probabilities were captured when each bet was added - use live mids where the feed has them,
+    // then reprice each leg at the depth-weighted fill for the expected hedge size
+    const { pricedBets, liquidity } = await priceLegsFromOrderbooks(applyLivePrices(bets), stake);
+    
+    // Falls back to the rule-based engine if OpenAI fails or times out
+    const result = await generateParlayQuoteWithFallback(pricedBets, stake);
+    logInfo(`Quote priced by ${result.quote?.pricingEngine} engine (Request ID: ${requestId})`);
     
     // Calculate hedging strategy (logged to console only)
     if (result.success && result.quote) {
+      // Wide spreads and thin books widen the margin
+      applyLiquidityMargin(result.quote, liquidity);
+      
+      // Round robins and flex parlays: payout table from the same margin; adjustedPayout becomes the
+      // most the ticket can pay, which hedging and the risk limits below are sized against
+      applyParlayType(result.quote, pricedBets, parlayTypeCheck.parlayType);
+      
       const adjustedProb = parseFloat(result.quote.analysis.adjustedProbability) / 100;
       const adjustedPayout = parseFloat(result.quote.payout.adjustedPayout);
       
       // Pass full AI analysis to hedging service for detailed logging
       const hedgingStrategy = calculateHedgingStrategy(
-        bets,
+        pricedBets,
         stake,
         adjustedPayout,
         adjustedProb,
@@ -1364,6 +1771,17 @@ app.post("/api/quote", async (req, res) => {
       
       // Store hedging strategy in the quote for later use
       result.quote.hedgingStrategy = hedgingStrategy;
+      
+      // Largest stake our exposure limits allow at this payout multiplier
+      const risk = await evaluateParlayRisk(pricedBets, stake, adjustedPayout);
+      result.quote.maxAllowedStake = risk.maxAllowedStake;
+      result.quote.risk = {
+        withinLimits: risk.withinLimits,
+        breaches: risk.breaches.map(({ limit, key }) => ({ limit, key }))
+      };
+      
+      // Persist the quote so placement can only redeem what the server priced
+      result.quote = await issueQuote(userId, pricedBets, stake, result.quote);
     }
     
     res.json(result);
@@ -1379,15 +1797,17 @@ app.post("/api/quote", async (req, res) => {
 
 /**
  * Place parlay bet using credits from wallet
+ * Payout and hedging data come from the stored quote, never from the request body.
  * @route POST /api/place-parlay
  * @param {string} userId - User identifier
- * @param {number} stake - Stake amount
- * @param {Array} parlayBets - Array of parlay bet objects
- * @param {Object} quote - Quote data from AI service
+ * @param {string} quoteId - Server-issued quote ID from /api/quote
+ * @param {number} stake - Optional stake (must match the quote if provided)
+ * @param {Array} parlayBets - Array of parlay bet objects (must match the quoted legs)
  * @returns {Object} Success status and purchase details
  */
 app.post("/api/place-parlay", async (req, res) => {
-  const { userId, stake, parlayBets, quote } = req.body;
+  const { userId, quoteId } = req.body;
+  let { parlayBets } = req.body;
   
   if (!userId) {
     return res.status(HTTP_STATUS.BAD_REQUEST).json({ 
@@ -1395,7 +1815,20 @@ app.post("/api/place-parlay", async (req, res) => {
     });
   }
   
-  if (!stake || stake <= 0) {
+  if (req.userId && userId !== req.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({ 
+      error: 'Forbidden', 
+      message: 'User ID mismatch' 
+    });
+  }
+  
+  if (!quoteId) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ 
+      error: ERROR_MESSAGES.QUOTE.QUOTE_ID_REQUIRED 
+    });
+  }
+  
+  if (req.body.stake !== undefined && (!req.body.stake || req.body.stake <= 0)) {
     return res.status(HTTP_STATUS.BAD_REQUEST).json({ 
       error: ERROR_MESSAGES.PARLAY.INVALID_STAKE 
     });
@@ -1409,16 +1842,59 @@ app.post("/api/place-parlay", async (req, res) => {
   
   let balanceBefore = 0;
   let creditsDeducted = false;
+  let quoteRedeemed = false;
+  let completedPurchase = null;
+  let exposureLock = null;
+  let stake = 0;
   
   // Extract token from request (set by verifyAuth middleware) - MUST be outside try block for catch block access
   const token = req.userToken || req.headers.authorization?.substring(7);
   
+  // Generate a session ID for this purchase (not a Stripe session, just an internal ID)
+  const sessionId = `parlay_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  
   try {
+    // Validate and consume the server-issued quote before touching balances.
+    // A placement rejected below hands the quote back so the user can retry with it.
+    const redemption = await redeemQuote(quoteId, userId, parlayBets, req.body.stake, sessionId);
+    if (!redemption.valid) {
+      logWarn(`Rejected quote ${quoteId} for user ${userId}: ${redemption.error}`);
+      return res.status(redemption.status).json({ error: redemption.error });
+    }
+    quoteRedeemed = true;
+    
+    const quoteData = redemption.quote;
+    stake = redemption.stake;
+    parlayBets = applyQuotedLegs(parlayBets, quoteData);
+    const payout = quoteData.payout ? parseFloat(quoteData.payout.adjustedPayout) : 0;
+    
+    // Re-check exposure limits - other parlays may have been placed since the quote.
+    // The lock keeps other placements on these markets out until this purchase is saved.
+    try {
+      exposureLock = await acquireExposureLock(parlayBets);
+    } catch (err) {
+      if (err instanceof RiskLockError) {
+        await releaseQuote(quoteId, sessionId);
+        return res.status(err.status).json({ error: err.message });
+      }
+      throw err;
+    }
+    const risk = await evaluateParlayRisk(parlayBets, stake, payout);
+    if (!risk.withinLimits) {
+      await releaseQuote(quoteId, sessionId);
+      return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json({ 
+        error: ERROR_MESSAGES.RISK.LIMIT_EXCEEDED,
+        maxAllowedStake: risk.maxAllowedStake,
+        breaches: risk.breaches.map(({ limit, key }) => ({ limit, key }))
+      });
+    }
+    
     // Check wallet balance
     const wallet = await getUserWallet(userId, token);
     balanceBefore = parseFloat(wallet.balance || 0);
     
     if (balanceBefore < stake) {
+      await releaseQuote(quoteId, sessionId);
       return res.status(HTTP_STATUS.BAD_REQUEST).json({ 
         error: `Insufficient credits. You have $${balanceBefore.toFixed(2)}, need $${stake.toFixed(2)}` 
       });
@@ -1429,13 +1905,21 @@ app.post("/api/place-parlay", async (req, res) => {
     logInfo(`Stake: $${stake.toFixed(2)}`);
     logInfo(`Wallet balance before: $${balanceBefore.toFixed(2)}`);
     
-    // Deduct credits from user wallet (money stays in platform account)
-    await addUserBalance(userId, -stake, token);
+    // Move the stake from the wallet to the liquidity pool in one ledger posting.
+    // The balance is re-checked atomically, so concurrent placements can't overdraw it.
+    try {
+      await recordStake(userId, sessionId, stake);
+    } catch (err) {
+      if (err instanceof InsufficientFundsError) {
+        await releaseQuote(quoteId, sessionId);
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({ 
+          error: `Insufficient credits. You have $${balanceBefore.toFixed(2)}, need $${stake.toFixed(2)}` 
+        });
+      }
+      throw err;
+    }
     creditsDeducted = true;
     
-    // Add stake to liquidity pool (money from losing parlays stays in platform)
-    await updateLiquidityPoolBalance(stake);
-    
     // Get liquidity pool balance for logging
     const poolData = await getLiquidityPoolBalance();
     const poolBalance = parseFloat(poolData.balance || 0);
@@ -1447,17 +1931,10 @@ app.post("/api/place-parlay", async (req, res) => {
     logInfo(`Liquidity pool balance: $${poolBalance.toFixed(2)}`);
     logInfo(`Stake $${stake.toFixed(2)} deducted from wallet and added to liquidity pool`);
     
-    // Generate a session ID for this purchase (not a Stripe session, just an internal ID)
-    const sessionId = `parlay_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Extract quote data
-    const quoteData = quote || {};
-    const payout = quoteData.payout ? parseFloat(quoteData.payout.adjustedPayout) : 0;
-    
     logInfo(`Payout Info - Promised payout: $${payout.toFixed(2)}, Potential profit: $${(payout - stake).toFixed(2)}`);
     
     // Save to completed purchases (using credits, not Stripe)
-    const completedPurchase = await saveCompletedPurchase(
+    completedPurchase = await saveCompletedPurchase(
       sessionId,
       userId,
       stake,
@@ -1471,8 +1948,12 @@ app.post("/api/place-parlay", async (req, res) => {
     
     logInfo(`Saved to completed_purchases (ID: ${completedPurchase.id})`);
     
+    // Its liability now counts in the exposure other placements see
+    await exposureLock.release();
+    
     // Execute hedging strategy
     const hedgingStrategy = quoteData.hedgingStrategy;
+    const hedgeExecutionMode = getHedgeExecutionMode();
     
     if (parlayBets && parlayBets.length > 0) {
       logInfo("Parlay leg probabilities:");
@@ -1481,7 +1962,15 @@ app.post("/api/place-parlay", async (req, res) => {
       });
     }
     
-    if (hedgingStrategy && hedgingStrategy.needsHedging) {
+    if (hedgingStrategy && hedgingStrategy.needsHedging && hedgeExecutionMode === 'netted') {
+      // The stored strategy is picked up by the next netting run
+      logInfo(`Hedge deferred to portfolio netting (${hedgingStrategy.hedgeBets?.length || 0} hedge bets)`);
+      try {
+        await updatePurchaseHedgeStatus(sessionId, 'netted');
+      } catch (statusErr) {
+        logError(`Failed to set hedge status for ${sessionId}`, statusErr);
+      }
+    } else if (hedgingStrategy && hedgingStrategy.needsHedging) {
       logSection("EXECUTING HEDGING STRATEGY");
       logInfo(`Strategy: ${hedgingStrategy.strategy || 'variance_reduction'}`);
       
@@ -1513,10 +2002,17 @@ app.post("/api/place-parlay", async (req, res) => {
         
         if (hedgeResult.success) {
           logInfo(`Hedging execution completed successfully!`);
-          await markHedgeExecuted(sessionId, token);
         } else {
           logWarn(`Hedging execution had issues - ${hedgeResult.successful}/${hedgeResult.totalOrders} succeeded`);
-          await markHedgeExecuted(sessionId, token);
+        }
+        
+        // Track orders until filled - hedge status is derived from fills by the poller.
+        // The orders are already on Kalshi, so a bookkeeping failure must not refund the stake.
+        try {
+          const hedgeStatus = await recordHedgeOrders(sessionId, hedgeResult);
+          logInfo(`Hedge status: ${hedgeStatus}`);
+        } catch (recordErr) {
+          logError(`Failed to record hedge orders for ${sessionId}`, recordErr);
         }
       }
     } else {
@@ -1544,38 +2040,103 @@ app.post("/api/place-parlay", async (req, res) => {
     if (creditsDeducted) {
       try {
         logWarn("Refunding credits due to error");
-        await addUserBalance(userId, stake, token);
+        await recordRefund(userId, sessionId, stake, 'Parlay placement failed');
         logInfo(`Refunded $${stake.toFixed(2)} to user wallet`);
       } catch (refundErr) {
         logError("Error refunding credits", refundErr);
       }
     }
     
+    // Nothing was placed: the quote can be used again
+    if (quoteRedeemed && !completedPurchase) {
+      await releaseQuote(quoteId, sessionId);
+    }
+    
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ 
       error: "Failed to place parlay bet", 
       details: err.message 
     });
+  } finally {
+    if (exposureLock) {
+      await exposureLock.release();
+    }
   }
 });
 
 
-// Start parlay status checker (runs every 15 minutes)
-const STATUS_CHECK_INTERVAL = 15 * 60 * 1000; // 15 minutes
+// Background jobs run on the job scheduler: leased so only one instance runs each job at a time
+registerJob({
+  name: 'parlay-settlement',
+  description: 'Parlay settlement',
+  intervalMs: CONFIG.SETTLEMENT.JOB_INTERVAL_MS,
+  concurrency: ENV.SETTLEMENT_CONCURRENCY ?? CONFIG.SETTLEMENT.CONCURRENCY,
+  handler: ({ concurrency }) => checkDueParlays({ concurrency })
+});
 
-// Run immediately on startup
-checkAllActiveParlays().catch(err => {
-  logError("Error in initial parlay status check", err);
+// Poll open hedge orders for fills, cancel stale ones and retry unfilled quantity
+registerJob({
+  name: 'hedge-orders',
+  description: 'Hedge order poller',
+  intervalMs: CONFIG.HEDGE_ORDERS.POLL_INTERVAL_MS,
+  handler: () => pollHedgeOrders()
 });
 
-// Then run periodically
-setInterval(() => {
-  logInfo("Running scheduled parlay status check...");
-  checkAllActiveParlays().catch(err => {
-    logError("Error in scheduled parlay status check", err);
+// Retry failed withdrawal transfers and return holds that ran out of attempts
+registerJob({
+  name: 'withdrawals',
+  description: 'Withdrawal poller',
+  intervalMs: CONFIG.WITHDRAWALS.POLL_INTERVAL_MS,
+  handler: () => pollWithdrawals()
+});
+
+// Credit USDC arriving in users' CDP wallets (ZKP2P onramp and direct transfers)
+if (ENV.DEPOSIT_WATCHER) {
+  registerJob({
+    name: 'deposits',
+    description: `Deposit watcher${ENV.DEPOSIT_SWEEP ? ' (sweeping to platform wallet)' : ''}`,
+    intervalMs: ENV.DEPOSIT_POLL_INTERVAL_MS ?? CONFIG.DEPOSITS.POLL_INTERVAL_MS,
+    handler: () => pollDeposits()
   });
-}, STATUS_CHECK_INTERVAL);
+}
 
-logInfo(`Parlay status checker started (interval: ${STATUS_CHECK_INTERVAL / 1000}s)`);
+// Claim won parlays for users who turned on auto-claim, retrying failed transfers with a backoff
+if (ENV.AUTO_CLAIM) {
+  registerJob({
+    name: 'auto-claim',
+    description: `Auto-claim (up to $${ENV.AUTO_CLAIM_MAX_AMOUNT ?? CONFIG.CLAIMS.AUTO_CLAIM_MAX_AMOUNT} per parlay)`,
+    intervalMs: CONFIG.CLAIMS.AUTO_CLAIM_INTERVAL_MS,
+    handler: () => autoClaimWinnings()
+  });
+}
+
+// Check balances against the ledger and on-chain funds (also feeds RECONCILIATION_BLOCK_CLAIMS)
+registerJob({
+  name: RECONCILIATION_JOB,
+  description: `Reconciliation${ENV.RECONCILIATION_BLOCK_CLAIMS ? ' (blocking claims when under-collateralized)' : ''}`,
+  intervalMs: ENV.RECONCILIATION_INTERVAL_MS ?? CONFIG.RECONCILIATION.INTERVAL_MS,
+  handler: () => runScheduledReconciliation()
+});
+
+// Net hedge exposure across all pending parlays instead of hedging each placement
+if (getHedgeExecutionMode() === 'netted') {
+  registerJob({
+    name: 'hedge-netting',
+    description: 'Hedge netting',
+    intervalMs: ENV.HEDGE_NETTING_INTERVAL_MS ?? CONFIG.HEDGE_NETTING.INTERVAL_MS,
+    handler: () => runHedgeNetting()
+  });
+}
+
+if (ENV.JOB_SCHEDULER) {
+  startScheduler();
+} else {
+  logWarn("JOB_SCHEDULER is disabled - this instance won't run settlement, polling or reconciliation jobs");
+}
+
+// Live orderbooks for tickers in open slips and pending purchases
+if (ENV.KALSHI_MARKET_FEED) {
+  startMarketFeed();
+}
 
 app.listen(PORT, () => {
   logInfo(`Kalshi backend listening on http://localhost:${PORT}`);
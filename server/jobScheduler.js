@@ -0,0 +1,222 @@
+/**
+ * Job Scheduler
+ * Runs named background jobs on an interval, at most one run at a time across all instances
+ *
+ * Every backend instance runs the same scheduler loop, but a job only runs where its lease
+ * was acquired (job_leases, see migrations/add_job_scheduler.sql). The lease is renewed
+ * while the job runs, so if an instance dies mid-run another one picks the job up once the
+ * lease expires. A failed run is retried with exponential backoff up to maxAttempts, then
+ * the job waits for its next regular interval. Every run is recorded in job_runs.
+ *
+ * Jobs that work through many items get a `concurrency` setting and can use
+ * mapWithConcurrency to process that many at once.
+ */
+
+import os from 'os';
+import crypto from 'crypto';
+import { CONFIG } from '../config/constants.js';
+import {
+  acquireJobLease,
+  renewJobLease,
+  releaseJobLease,
+  startJobRun,
+  finishJobRun,
+  pruneJobRuns
+} from './db.js';
+import { logInfo, logWarn, logError } from './utils/logger.js';
+
+// Identifies this process's leases; unique per start so a restarted instance doesn't inherit old leases
+const OWNER = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const jobs = new Map(); // name → job definition
+const running = new Set(); // names of jobs running in this process
+let tickTimer = null;
+
+/**
+ * Add a job to the scheduler
+ * @param {Object} job
+ * @param {string} job.name - Unique name (the lease key)
+ * @param {Function} job.handler - async ({ attempt, concurrency }) => summary; the summary is stored with the run
+ * @param {number} job.intervalMs - Delay between successful runs
+ * @param {string} job.description - Shown in the startup log
+ * @param {number} job.concurrency - Items the handler may process in parallel (default 1)
+ * @param {number} job.leaseMs - Lease length (default CONFIG.JOBS.LEASE_MS)
+ * @param {number} job.maxAttempts - Consecutive failures before giving up until the next interval
+ * @param {number} job.backoffMs - First retry delay, doubled per failure
+ */
+export function registerJob({
+  name,
+  handler,
+  intervalMs,
+  description = name,
+  concurrency = 1,
+  leaseMs = CONFIG.JOBS.LEASE_MS,
+  maxAttempts = CONFIG.JOBS.MAX_ATTEMPTS,
+  backoffMs = CONFIG.JOBS.BACKOFF_MS
+}) {
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already registered`);
+  }
+  if (typeof handler !== 'function' || !(intervalMs > 0)) {
+    throw new Error(`Job ${name} needs a handler and a positive interval`);
+  }
+  jobs.set(name, { name, handler, intervalMs, description, concurrency, leaseMs, maxAttempts, backoffMs });
+}
+
+/**
+ * Retry delay after a job's nth consecutive failure
+ * @param {number} attempt - Failed attempt number (1 = first failure)
+ * @param {number} backoffMs - First retry delay
+ * @returns {number} Milliseconds
+ */
+export function retryDelay(attempt, backoffMs = CONFIG.JOBS.BACKOFF_MS) {
+  return Math.min(backoffMs * 2 ** (attempt - 1), CONFIG.JOBS.MAX_BACKOFF_MS);
+}
+
+/**
+ * Call fn for each item, at most `concurrency` at a time
+ * One item failing doesn't stop the others.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Parallel calls
+ * @param {Function} fn - async (item, index) => value
+ * @returns {Promise<Array>} Promise.allSettled-style results, in item order
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+  const workers = Math.max(1, Math.min(concurrency || 1, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+/**
+ * Run a job if its lease can be taken
+ * @param {Object} job - Registered job
+ * @param {boolean} force - Run even if the job isn't due yet
+ * @returns {Promise<Object|null>} { status, attempt, result|error }, or null if it didn't run here
+ */
+async function runJob(job, force = false) {
+  if (running.has(job.name)) return null;
+  running.add(job.name);
+
+  let renewal = null;
+  try {
+    const lease = await acquireJobLease(job.name, OWNER, job.leaseMs, { force });
+    if (!lease) return null;
+
+    const attempt = (lease.attempt || 0) + 1;
+    const run = await startJobRun(job.name, OWNER, attempt);
+    const startedAt = Date.now();
+    renewal = setInterval(() => {
+      renewJobLease(job.name, OWNER, job.leaseMs)
+        .then(held => {
+          if (!held) logWarn(`[jobs] ${job.name} lost its lease mid-run - another instance may start it`);
+        })
+        .catch(err => logError(`[jobs] Error renewing lease for ${job.name}`, err));
+    }, job.leaseMs / 3);
+
+    try {
+      const result = await job.handler({ attempt, concurrency: job.concurrency });
+      clearInterval(renewal);
+      await finishJobRun(run.id, { status: 'succeeded', durationMs: Date.now() - startedAt, result: result ?? null });
+      await releaseJobLease(job.name, OWNER, { nextRunInMs: job.intervalMs, attempt: 0 });
+      return { status: 'succeeded', attempt, result: result ?? null };
+    } catch (err) {
+      clearInterval(renewal);
+      const exhausted = attempt >= job.maxAttempts;
+      const nextRunInMs = exhausted ? job.intervalMs : retryDelay(attempt, job.backoffMs);
+      if (exhausted) {
+        logError(`[jobs] ${job.name} failed ${attempt} times in a row - waiting for its next interval`, err);
+      } else {
+        logWarn(`[jobs] ${job.name} failed (attempt ${attempt}/${job.maxAttempts}), retrying in ${nextRunInMs / 1000}s: ${err.message}`);
+      }
+      await finishJobRun(run.id, { status: 'failed', durationMs: Date.now() - startedAt, error: err.message });
+      await releaseJobLease(job.name, OWNER, { nextRunInMs, attempt: exhausted ? 0 : attempt, lastError: err.message });
+      return { status: 'failed', attempt, error: err.message };
+    }
+  } finally {
+    clearInterval(renewal);
+    running.delete(job.name);
+  }
+}
+
+/**
+ * Start any due jobs (each runs in the background; a job never overlaps itself)
+ */
+function tick() {
+  for (const job of jobs.values()) {
+    runJob(job).catch(err => logError(`[jobs] Error running ${job.name}`, err));
+  }
+}
+
+/**
+ * Run a job now instead of waiting for it to be due (test endpoints, scripts)
+ * Still respects another instance's lease.
+ * @param {string} name - Job name
+ * @returns {Promise<Object|null>} Run outcome, or null if the job is running elsewhere
+ */
+export async function runJobNow(name) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+  return runJob(job, true);
+}
+
+/**
+ * Start the scheduler loop (also registers the daily job_runs cleanup)
+ */
+export function startScheduler() {
+  if (tickTimer) return;
+
+  if (!jobs.has('prune-job-runs')) {
+    registerJob({
+      name: 'prune-job-runs',
+      description: 'Job run history cleanup',
+      intervalMs: 24 * 60 * 60 * 1000,
+      handler: async () => {
+        const before = new Date(Date.now() - CONFIG.JOBS.RUN_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        return { deleted: await pruneJobRuns(before) };
+      }
+    });
+  }
+
+  for (const job of jobs.values()) {
+    logInfo(`${job.description} scheduled (interval: ${job.intervalMs / 1000}s${job.concurrency > 1 ? `, concurrency: ${job.concurrency}` : ''})`);
+  }
+  logInfo(`Job scheduler started as ${OWNER} (${jobs.size} jobs, tick: ${CONFIG.JOBS.TICK_MS / 1000}s)`);
+
+  tick();
+  tickTimer = setInterval(tick, CONFIG.JOBS.TICK_MS);
+}
+
+/**
+ * Stop starting new runs (runs in progress finish and release their leases)
+ */
+export function stopScheduler() {
+  clearInterval(tickTimer);
+  tickTimer = null;
+}
+
+/**
+ * Registered jobs and whether each is running in this process
+ * @returns {Object} { owner, jobs: [{ name, description, intervalMs, concurrency, runningHere }] }
+ */
+export function getSchedulerState() {
+  return {
+    owner: OWNER,
+    jobs: [...jobs.values()].map(({ name, description, intervalMs, concurrency }) => ({
+      name, description, intervalMs, concurrency, runningHere: running.has(name)
+    }))
+  };
+}
@@ -1,13 +1,10 @@
-import fetch from "node-fetch";
 import { ENV } from "../config/env.js";
+import { kalshiFetch } from "./kalshiTransport.js";
+import { cached } from "./cache/index.js";
+import { getLiveOrderbook } from "./kalshiMarketFeed.js";
 
 // Use environment from config instead of hardcoded flag
 const USE_DEMO = !ENV.IS_PRODUCTION;
-const KALSHI_DEMO_API_BASE = "https://demo-api.kalshi.co/trade-api/v2";
-const KALSHI_PROD_API_BASE = "https://api.elections.kalshi.com/trade-api/v2";
-
-const KALSHI_API_BASE_URL =
-  ENV.KALSHI_API_BASE_URL || (USE_DEMO ? KALSHI_DEMO_API_BASE : KALSHI_PROD_API_BASE);
 
 // Use appropriate API key based on environment
 const API_KEY = USE_DEMO 
@@ -18,28 +15,15 @@ if (!API_KEY) {
   const envVar = USE_DEMO ? 'KALSHI_DEMO_API_KEY' : 'KALSHI_API_KEY';
   // eslint-disable-next-line no-console
   console.warn(
-    `[kalshiClient] ${envVar} is not set. Requests to Kalshi will fail.`
+    `[kalshiClient] ${envVar} is not set. Market data requests will be sent unsigned and trading will fail.`
   );
 }
 
-async function kalshiRequest(path) {
-  const url = `${KALSHI_API_BASE_URL}${path}`;
-
-  const res = await fetch(url, {
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${API_KEY || ""}`,
-    },
-  });
-
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(
-      `Kalshi API error ${res.status} ${res.statusText}: ${text}`
-    );
-  }
-
-  return res.json();
+// Reads go through the shared transport (signed when credentials are set, rate limited, retried)
+// and, when a cache type is given, the market data cache
+async function kalshiRequest(path, cacheType = null, cacheKey = path) {
+  if (!cacheType) return kalshiFetch("GET", path);
+  return cached(cacheType, cacheKey, () => kalshiFetch("GET", path));
 }
 
 /**
@@ -53,7 +37,7 @@ export async function getMarketById(marketId) {
   // First, try direct market lookup (faster and more reliable for single markets)
   // This handles cases where markets might not appear in series queries
   try {
-    const directData = await kalshiRequest(`/markets/${upperTicker}`);
+    const directData = await kalshiRequest(`/markets/${upperTicker}`, "market", upperTicker);
     if (directData.market) {
       console.log(`[kalshiClient] Found market via direct lookup: ${upperTicker}`);
       return { markets: [directData.market] };
@@ -75,12 +59,12 @@ export async function getMarketById(marketId) {
   if (series) {
     try {
       // Fetch markets for this series - try with higher limit first
-      let data = await kalshiRequest(`/markets?series_ticker=${series}&limit=1000`);
+      let data = await kalshiRequest(`/markets?series_ticker=${series}&limit=1000`, "series");
       
       // If still not found, try searching all markets for this series without limit
       if (!data.markets || data.markets.length === 0) {
         console.log(`[kalshiClient] Trying without limit parameter...`);
-        data = await kalshiRequest(`/markets?series_ticker=${series}`);
+        data = await kalshiRequest(`/markets?series_ticker=${series}`, "series");
       }
       
       console.log(`[kalshiClient] Series query returned ${data.markets?.length || 0} markets`);
@@ -89,7 +73,7 @@ export async function getMarketById(marketId) {
       if ((!data.markets || data.markets.length === 0) && upperTicker.includes('-')) {
         console.log(`[kalshiClient] Trying event_ticker search for ${upperTicker}`);
         try {
-          const eventData = await kalshiRequest(`/markets?event_ticker=${upperTicker}&limit=500`);
+          const eventData = await kalshiRequest(`/markets?event_ticker=${upperTicker}&limit=500`, "event");
           if (eventData.markets && eventData.markets.length > 0) {
             console.log(`[kalshiClient] Found ${eventData.markets.length} markets via event_ticker`);
             return { markets: eventData.markets };
@@ -184,7 +168,7 @@ export async function getMarketById(marketId) {
   // Fallback: Try orderbook endpoint - sometimes markets are accessible here even if not in listings
   console.log(`[kalshiClient] Trying orderbook endpoint as fallback for ${upperTicker}`);
   try {
-    const orderbookData = await kalshiRequest(`/markets/${upperTicker}/orderbook`);
+    const orderbookData = await kalshiRequest(`/markets/${upperTicker}/orderbook`, "orderbook", upperTicker);
     if (orderbookData.market) {
       console.log(`[kalshiClient] Found market via orderbook endpoint: ${upperTicker}`);
       return { markets: [orderbookData.market] };
@@ -206,7 +190,7 @@ export async function getMarketById(marketId) {
 export async function getMarketDetails(ticker) {
   const upperTicker = ticker.toUpperCase();
   try {
-    const data = await kalshiRequest(`/markets/${upperTicker}`);
+    const data = await kalshiRequest(`/markets/${upperTicker}`, "market", upperTicker);
     return data.market || null;
   } catch (err) {
     console.error(`Failed to fetch market details for ${upperTicker}:`, err);
@@ -216,12 +200,17 @@ export async function getMarketDetails(ticker) {
 
 /**
  * Fetch orderbook for a specific market ticker.
- * Uses the /markets/{ticker}/orderbook endpoint per Kalshi docs.
+ * Prefers the live book from the WebSocket feed; otherwise uses the
+ * /markets/{ticker}/orderbook endpoint per Kalshi docs.
  */
 export async function getMarketOrderbook(marketId) {
   const upperTicker = marketId.toUpperCase();
+  const liveBook = getLiveOrderbook(upperTicker);
+  if (liveBook) {
+    return { orderbook: liveBook, live: true };
+  }
   try {
-    return await kalshiRequest(`/markets/${upperTicker}/orderbook`);
+    return await kalshiRequest(`/markets/${upperTicker}/orderbook`, "orderbook", upperTicker);
   } catch (err) {
     console.error(`Failed to fetch orderbook for ${upperTicker}:`, err);
     return {};
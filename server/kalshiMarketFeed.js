@@ -0,0 +1,393 @@
+/**
+ * Kalshi Market Data Feed
+ * Live orderbooks and prices from Kalshi's WebSocket API
+ *
+ * Subscribes to the `orderbook_delta` and `ticker` channels for every ticker in a user's
+ * parlay slip or a pending purchase, and keeps an in-memory book per ticker. Quotes use
+ * the live mid instead of the probability saved when the bet was added, and
+ * getMarketOrderbook / hedge orders read the live book while it is fresh.
+ *
+ * Books are only trusted while connected: they are dropped on disconnect or on a
+ * sequence gap and rebuilt from the snapshot Kalshi sends on resubscribe.
+ * Tests can pass their own transport to startMarketFeed (see tests/fakeKalshiFeed.js).
+ */
+
+import WebSocket from 'ws';
+import { ENV } from '../config/env.js';
+import { CONFIG } from '../config/constants.js';
+import { getKalshiAuthHeaders } from './kalshiTransport.js';
+import { getTrackedTickers } from './db.js';
+import { logInfo, logWarn, logError, logDebug } from './utils/logger.js';
+
+const CHANNELS = ['orderbook_delta', 'ticker'];
+
+const books = new Map(); // ticker → { yes: Map price→qty, no: Map, ticker, updatedAt }
+const tracked = new Set();
+const subscribed = new Set();
+const pendingCommands = new Map(); // command id → tickers
+const sidTickers = new Map(); // subscription id → Set of tickers
+const lastSeq = new Map(); // subscription id → last sequence number
+
+let connection = null;
+let connected = false;
+let running = false;
+let transportFactory = null;
+let feedUrl = null;
+let nextCommandId = 1;
+let reconnectAttempt = 0;
+let reconnectTimer = null;
+let refreshTimer = null;
+
+/**
+ * Default transport: a `ws` WebSocket
+ * A transport is any function (url, headers) returning an object with send(), close()
+ * and on('open' | 'message' | 'close' | 'error', handler).
+ * @param {string} url - WebSocket URL
+ * @param {Object} headers - Handshake headers
+ * @returns {WebSocket}
+ */
+export function createWebSocketTransport(url, headers) {
+  return new WebSocket(url, { headers });
+}
+
+/**
+ * WebSocket URL for the configured API base
+ * e.g. https://demo-api.kalshi.co/trade-api/v2 → wss://demo-api.kalshi.co/trade-api/ws/v2
+ * @returns {string}
+ */
+function getFeedUrl() {
+  if (ENV.KALSHI_WS_URL) return ENV.KALSHI_WS_URL;
+  const url = new URL(ENV.KALSHI_API_BASE_URL);
+  url.protocol = url.protocol === 'http:' ? 'ws:' : 'wss:';
+  url.pathname = url.pathname.replace(/\/trade-api\/v2\/?$/, '/trade-api/ws/v2');
+  return url.toString();
+}
+
+// --- Book maintenance (pure helpers, exported for tests) ---
+
+/**
+ * Build a book from an orderbook_snapshot message
+ * @param {Object} msg - { market_ticker, yes: [[price, qty]], no: [[price, qty]] }
+ * @returns {Object} Book
+ */
+export function bookFromSnapshot(msg) {
+  const levels = (side) => new Map((side || []).filter(([, qty]) => qty > 0).map(([price, qty]) => [price, qty]));
+  return { yes: levels(msg.yes), no: levels(msg.no), ticker: null, updatedAt: Date.now() };
+}
+
+/**
+ * Apply an orderbook_delta message to a book
+ * @param {Object} book - Book from bookFromSnapshot
+ * @param {Object} msg - { price, delta, side }
+ */
+export function applyDelta(book, msg) {
+  const levels = msg.side === 'no' ? book.no : book.yes;
+  const qty = (levels.get(msg.price) || 0) + msg.delta;
+  if (qty > 0) {
+    levels.set(msg.price, qty);
+  } else {
+    levels.delete(msg.price);
+  }
+  book.updatedAt = Date.now();
+}
+
+/**
+ * Best bid/ask and mid for one side of a book
+ * Asks on one side are bids on the other side (YES ask = 100 - best NO bid).
+ * @param {Object} book - Book
+ * @param {string} side - 'yes' or 'no'
+ * @returns {Object} { bid, ask, mid }
+ */
+export function priceFromBook(book, side = 'yes') {
+  const bestOf = (levels) => (levels.size > 0 ? Math.max(...levels.keys()) : null);
+  const same = side === 'no' ? book.no : book.yes;
+  const opposite = side === 'no' ? book.yes : book.no;
+
+  let bid = bestOf(same);
+  const opposingBid = bestOf(opposite);
+  let ask = opposingBid !== null ? 100 - opposingBid : null;
+
+  // Fall back to the ticker channel when one side of the book is empty
+  if (book.ticker && (bid === null || ask === null)) {
+    const yesBid = book.ticker.yes_bid ?? null;
+    const yesAsk = book.ticker.yes_ask ?? null;
+    if (side === 'no') {
+      bid = bid ?? (yesAsk !== null ? 100 - yesAsk : null);
+      ask = ask ?? (yesBid !== null ? 100 - yesBid : null);
+    } else {
+      bid = bid ?? yesBid;
+      ask = ask ?? yesAsk;
+    }
+  }
+
+  let mid = null;
+  if (bid !== null && ask !== null) mid = (bid + ask) / 2;
+  else mid = bid ?? ask;
+
+  return { bid, ask, mid };
+}
+
+// --- Connection handling ---
+
+function send(command) {
+  if (connection && connected) connection.send(JSON.stringify(command));
+}
+
+function subscribe(tickers) {
+  if (tickers.length === 0 || !connected) return;
+  const id = nextCommandId++;
+  pendingCommands.set(id, tickers);
+  tickers.forEach(ticker => subscribed.add(ticker));
+  send({ id, cmd: 'subscribe', params: { channels: CHANNELS, market_tickers: tickers } });
+  logDebug(`[MarketFeed] Subscribing to ${tickers.length} tickers`);
+}
+
+function unsubscribe(tickers) {
+  const removing = new Set(tickers);
+  sidTickers.forEach((sidSet, sid) => {
+    const marketTickers = [...sidSet].filter(ticker => removing.has(ticker));
+    if (marketTickers.length === 0) return;
+    marketTickers.forEach(ticker => sidSet.delete(ticker));
+    send({ id: nextCommandId++, cmd: 'update_subscription', params: { sids: [sid], market_tickers: marketTickers, action: 'delete_markets' } });
+  });
+  tickers.forEach(ticker => {
+    subscribed.delete(ticker);
+    books.delete(ticker);
+  });
+}
+
+function resetBooks() {
+  books.clear();
+  subscribed.clear();
+  pendingCommands.clear();
+  sidTickers.clear();
+  lastSeq.clear();
+}
+
+function handleMessage(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch {
+    logWarn('[MarketFeed] Ignoring non-JSON message');
+    return;
+  }
+
+  const { type, sid, seq, msg = {} } = message;
+  const ticker = msg.market_ticker?.toUpperCase();
+
+  // Orderbook messages are sequenced per subscription - a gap means we missed a delta
+  if (seq !== undefined && sid !== undefined) {
+    const previous = lastSeq.get(sid);
+    if (previous !== undefined && seq !== previous + 1) {
+      logWarn(`[MarketFeed] Sequence gap on sid ${sid} (${previous} → ${seq}) - reconnecting`);
+      connection?.close();
+      return;
+    }
+    lastSeq.set(sid, seq);
+  }
+
+  switch (type) {
+    case 'subscribed': {
+      const tickers = pendingCommands.get(message.id) || [];
+      if (msg.sid !== undefined) sidTickers.set(msg.sid, new Set(tickers));
+      break;
+    }
+    case 'orderbook_snapshot':
+      if (ticker) books.set(ticker, { ...bookFromSnapshot(msg), ticker: books.get(ticker)?.ticker || null });
+      break;
+    case 'orderbook_delta': {
+      const book = ticker && books.get(ticker);
+      if (book) applyDelta(book, msg);
+      break;
+    }
+    case 'ticker': {
+      if (!ticker) break;
+      const book = books.get(ticker) || { yes: new Map(), no: new Map(), ticker: null, updatedAt: Date.now() };
+      book.ticker = msg;
+      book.updatedAt = Date.now();
+      books.set(ticker, book);
+      break;
+    }
+    case 'error':
+      logError(`[MarketFeed] Kalshi error: ${msg.msg || JSON.stringify(msg)} (code ${msg.code})`);
+      break;
+    default:
+      break;
+  }
+}
+
+function scheduleReconnect() {
+  if (!running || reconnectTimer) return;
+  const settings = CONFIG.MARKET_FEED;
+  const delay = Math.min(settings.RECONNECT_MAX_MS, settings.RECONNECT_BASE_MS * 2 ** reconnectAttempt);
+  reconnectAttempt++;
+  logWarn(`[MarketFeed] Disconnected - reconnecting in ${delay}ms`);
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, delay);
+}
+
+function connect() {
+  const signaturePath = new URL(feedUrl).pathname;
+  const headers = getKalshiAuthHeaders('GET', signaturePath) || {};
+
+  try {
+    connection = transportFactory(feedUrl, headers);
+  } catch (err) {
+    logError('[MarketFeed] Failed to open connection', err);
+    scheduleReconnect();
+    return;
+  }
+
+  const socket = connection;
+  socket.on('open', () => {
+    if (socket !== connection) return;
+    connected = true;
+    reconnectAttempt = 0;
+    logInfo(`[MarketFeed] Connected to ${feedUrl}`);
+    subscribe([...tracked]);
+  });
+  socket.on('message', (data) => {
+    if (socket === connection) handleMessage(data);
+  });
+  socket.on('error', (err) => {
+    logWarn(`[MarketFeed] Connection error: ${err.message}`);
+  });
+  socket.on('close', () => {
+    if (socket !== connection) return;
+    connected = false;
+    connection = null;
+    resetBooks();
+    scheduleReconnect();
+  });
+}
+
+// --- Public API ---
+
+/**
+ * Add tickers to the feed (e.g. when a bet is added to a slip)
+ * @param {Array<string>} tickers - Market tickers
+ */
+export function trackTickers(tickers) {
+  const added = (tickers || [])
+    .filter(Boolean)
+    .map(ticker => ticker.toUpperCase())
+    .filter(ticker => !tracked.has(ticker));
+  added.forEach(ticker => tracked.add(ticker));
+  subscribe(added.filter(ticker => !subscribed.has(ticker)));
+}
+
+/**
+ * Replace the tracked tickers, unsubscribing from ones no longer needed
+ * @param {Array<string>} tickers - Market tickers
+ */
+export function setTrackedTickers(tickers) {
+  const next = new Set((tickers || []).filter(Boolean).map(ticker => ticker.toUpperCase()));
+  const removed = [...tracked].filter(ticker => !next.has(ticker));
+  removed.forEach(ticker => tracked.delete(ticker));
+  unsubscribe(removed);
+  trackTickers([...next]);
+}
+
+/**
+ * Reload tracked tickers from open slips and pending purchases
+ * @returns {Promise<void>}
+ */
+export async function refreshTrackedTickers() {
+  try {
+    setTrackedTickers(await getTrackedTickers());
+  } catch (err) {
+    logError('[MarketFeed] Failed to refresh tracked tickers', err);
+  }
+}
+
+/**
+ * Start the feed
+ * @param {Object} options
+ * @param {Function} options.transport - Transport factory (defaults to a ws WebSocket)
+ * @param {string} options.url - Feed URL (defaults to KALSHI_WS_URL or one derived from KALSHI_API_BASE_URL)
+ * @param {boolean} options.refreshTickers - Load tickers from the database on an interval (default true)
+ */
+export function startMarketFeed({ transport = createWebSocketTransport, url = getFeedUrl(), refreshTickers = true } = {}) {
+  if (running) return;
+  if (transport === createWebSocketTransport && !getKalshiAuthHeaders('GET', new URL(url).pathname)) {
+    logWarn('[MarketFeed] Kalshi credentials not set - live market feed disabled');
+    return;
+  }
+  running = true;
+  transportFactory = transport;
+  feedUrl = url;
+  connect();
+
+  if (refreshTickers) {
+    refreshTrackedTickers();
+    refreshTimer = setInterval(refreshTrackedTickers, CONFIG.MARKET_FEED.TICKER_REFRESH_MS);
+  }
+}
+
+/**
+ * Stop the feed and drop all books
+ */
+export function stopMarketFeed() {
+  running = false;
+  clearTimeout(reconnectTimer);
+  clearInterval(refreshTimer);
+  reconnectTimer = null;
+  refreshTimer = null;
+  const socket = connection;
+  connection = null;
+  connected = false;
+  resetBooks();
+  tracked.clear();
+  socket?.close();
+}
+
+/**
+ * Live book for a ticker in Kalshi's REST orderbook shape
+ * @param {string} ticker - Market ticker
+ * @returns {Object|null} { yes: [[price, qty]], no: [[price, qty]] }, or null without a live book
+ */
+export function getLiveOrderbook(ticker) {
+  const book = connected && ticker ? books.get(ticker.toUpperCase()) : null;
+  if (!book || (book.yes.size === 0 && book.no.size === 0)) return null;
+  const levels = (side) => [...side.entries()].sort((a, b) => a[0] - b[0]);
+  return { yes: levels(book.yes), no: levels(book.no) };
+}
+
+/**
+ * Live bid/ask/mid for one side of a market, in cents
+ * @param {string} ticker - Market ticker
+ * @param {string} side - 'yes' or 'no'
+ * @returns {Object|null} { bid, ask, mid, updatedAt }, or null without live data
+ */
+export function getLivePrice(ticker, side = 'yes') {
+  const book = connected && ticker ? books.get(ticker.toUpperCase()) : null;
+  if (!book) return null;
+  const price = priceFromBook(book, (side || 'yes').toLowerCase());
+  if (price.mid === null) return null;
+  return { ...price, updatedAt: book.updatedAt };
+}
+
+/**
+ * Replace each bet's slip probability with the live mid where available
+ * @param {Array} bets - Parlay legs ({ ticker, side, prob })
+ * @returns {Array} Bets with live prob; the original is kept as slipProb
+ */
+export function applyLivePrices(bets) {
+  return bets.map(bet => {
+    const live = getLivePrice(bet.ticker, bet.side);
+    if (!live) return bet;
+    const prob = Math.min(99, Math.max(1, Math.round(live.mid * 10) / 10));
+    return { ...bet, slipProb: bet.prob, prob, liveAsk: live.ask };
+  });
+}
+
+/**
+ * Feed status for health checks
+ * @returns {Object} { running, connected, tracked, books }
+ */
+export function getMarketFeedStatus() {
+  return { running, connected, tracked: tracked.size, books: books.size };
+}
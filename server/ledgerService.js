@@ -0,0 +1,294 @@
+/**
+ * Ledger Service
+ * Records every balance change as a balanced double-entry posting
+ *
+ * Accounts:
+ *   user     - a user's wallet balance (user_wallet.balance)
+ *   pool     - the platform liquidity pool (platform_liquidity_pool.balance)
+ *   kalshi   - cash sitting in hedge positions at Kalshi
+ *   external - money entering or leaving the platform (deposits, withdrawals)
+ *
+ * Each posting carries an idempotency key derived from what it records (e.g. the purchase
+ * session), so retrying a placement, claim or fill never moves money twice. Stored balances
+ * are updated in the same database transaction as the entries.
+ */
+
+import { postLedgerTransaction, getLedgerEntries } from './db.js';
+import { logInfo } from './utils/logger.js';
+
+export const ENTRY_TYPES = [
+  'stake_debit',
+  'pool_credit',
+  'payout',
+  'refund',
+  'cash_out',
+  'deposit',
+  'withdrawal',
+  'withdrawal_reversal',
+  'hedge_cost',
+  'hedge_proceeds',
+  'opening_balance'
+];
+
+/**
+ * A user account would go negative
+ */
+export class InsufficientFundsError extends Error {
+  constructor(message = 'Insufficient balance') {
+    super(message);
+    this.name = 'InsufficientFundsError';
+  }
+}
+
+const roundCents = amount => Math.round(parseFloat(amount) * 100) / 100;
+
+/**
+ * Post a ledger transaction
+ * @param {Object} transaction
+ * @param {string} transaction.idempotencyKey - Unique key; posting the same key again is a no-op
+ * @param {Array<Object>} transaction.entries - { account, userId, entryType, amount } summing to zero
+ * @param {string} transaction.referenceType - purchase, withdrawal, deposit, hedge_order, ...
+ * @param {string} transaction.referenceId - ID of the referenced record
+ * @param {string} transaction.description - Shown in the user's transaction history
+ * @param {Object} transaction.metadata - Optional extra details
+ * @returns {Promise<Object>} { applied, transactionId } - applied is false for a repeated key
+ * @throws {InsufficientFundsError} If a user balance would go negative
+ */
+export async function postTransaction({ idempotencyKey, entries, referenceType = null, referenceId = null, description = null, metadata = null }) {
+  if (!idempotencyKey) {
+    throw new Error('Ledger postings require an idempotency key');
+  }
+  const rounded = entries.map(entry => {
+    if (!ENTRY_TYPES.includes(entry.entryType)) {
+      throw new Error(`Unknown ledger entry type "${entry.entryType}"`);
+    }
+    return { ...entry, amount: roundCents(entry.amount) };
+  });
+
+  try {
+    const result = await postLedgerTransaction({
+      idempotencyKey,
+      entries: rounded,
+      referenceType,
+      referenceId,
+      description,
+      metadata
+    });
+    if (!result.applied) {
+      logInfo(`[Ledger] ${idempotencyKey} already posted - skipping`);
+    }
+    return result;
+  } catch (err) {
+    if (err.message?.includes('insufficient_funds')) {
+      throw new InsufficientFundsError();
+    }
+    throw err;
+  }
+}
+
+/**
+ * Move a parlay stake from the user's wallet into the liquidity pool
+ * @param {string} userId - User identifier
+ * @param {string} sessionId - Purchase session ID
+ * @param {number} stake - Stake in dollars
+ * @returns {Promise<Object>} { applied, transactionId }
+ * @throws {InsufficientFundsError} If the wallet balance is below the stake
+ */
+export function recordStake(userId, sessionId, stake) {
+  return postTransaction({
+    idempotencyKey: `stake:${sessionId}`,
+    entries: [
+      { account: 'user', userId, entryType: 'stake_debit', amount: -stake },
+      { account: 'pool', entryType: 'pool_credit', amount: stake }
+    ],
+    referenceType: 'purchase',
+    referenceId: sessionId,
+    description: 'Parlay stake'
+  });
+}
+
+/**
+ * Pay claimed winnings from the liquidity pool to the user's wallet
+ * @param {string} userId - User identifier
+ * @param {string} sessionId - Purchase session ID
+ * @param {number} amount - Payout in dollars
+ * @returns {Promise<Object>} { applied, transactionId }
+ */
+export function recordPayout(userId, sessionId, amount) {
+  return postTransaction({
+    idempotencyKey: `payout:${sessionId}`,
+    entries: [
+      { account: 'pool', entryType: 'payout', amount: -amount },
+      { account: 'user', userId, entryType: 'payout', amount }
+    ],
+    referenceType: 'purchase',
+    referenceId: sessionId,
+    description: 'Parlay winnings'
+  });
+}
+
+/**
+ * Return a stake from the liquidity pool to the user's wallet
+ * @param {string} userId - User identifier
+ * @param {string} sessionId - Purchase session ID
+ * @param {number} amount - Refund in dollars
+ * @param {string} reason - Why the stake is refunded (shown in the transaction history)
+ * @returns {Promise<Object>} { applied, transactionId }
+ */
+export function recordRefund(userId, sessionId, amount, reason = 'Stake refunded') {
+  return postTransaction({
+    idempotencyKey: `refund:${sessionId}`,
+    entries: [
+      { account: 'pool', entryType: 'refund', amount: -amount },
+      { account: 'user', userId, entryType: 'refund', amount }
+    ],
+    referenceType: 'purchase',
+    referenceId: sessionId,
+    description: reason
+  });
+}
+
+/**
+ * Pay an accepted cash-out offer from the liquidity pool to the user's wallet
+ * @param {string} userId - User identifier
+ * @param {string} sessionId - Purchase session ID
+ * @param {number} amount - Cash-out amount in dollars
+ * @returns {Promise<Object>} { applied, transactionId }
+ */
+export function recordCashOut(userId, sessionId, amount) {
+  return postTransaction({
+    idempotencyKey: `cash_out:${sessionId}`,
+    entries: [
+      { account: 'pool', entryType: 'cash_out', amount: -amount },
+      { account: 'user', userId, entryType: 'cash_out', amount }
+    ],
+    referenceType: 'purchase',
+    referenceId: sessionId,
+    description: 'Parlay cashed out'
+  });
+}
+
+/**
+ * Credit money a user brought onto the platform
+ * @param {string} userId - User identifier
+ * @param {number} amount - Deposit in dollars
+ * @param {Object} reference - { type, id } of the deposit source (payment session, chain signature, ...)
+ * @returns {Promise<Object>} { applied, transactionId }
+ */
+export function recordDeposit(userId, amount, reference) {
+  return postTransaction({
+    idempotencyKey: `deposit:${reference.type}:${reference.id}`,
+    entries: [
+      { account: 'external', entryType: 'deposit', amount: -amount },
+      { account: 'user', userId, entryType: 'deposit', amount }
+    ],
+    referenceType: reference.type,
+    referenceId: reference.id,
+    description: 'Deposit'
+  });
+}
+
+/**
+ * Debit money a user takes off the platform
+ * @param {string} userId - User identifier
+ * @param {number} amount - Withdrawal in dollars
+ * @param {string|number} withdrawalId - withdrawal_requests.id
+ * @returns {Promise<Object>} { applied, transactionId }
+ * @throws {InsufficientFundsError} If the wallet balance is below the amount
+ */
+export function recordWithdrawal(userId, amount, withdrawalId) {
+  return postTransaction({
+    idempotencyKey: `withdrawal:${withdrawalId}`,
+    entries: [
+      { account: 'user', userId, entryType: 'withdrawal', amount: -amount },
+      { account: 'external', entryType: 'withdrawal', amount }
+    ],
+    referenceType: 'withdrawal',
+    referenceId: withdrawalId,
+    description: 'Withdrawal'
+  });
+}
+
+/**
+ * Return a withdrawal hold to the user's wallet after the transfer failed
+ * @param {string} userId - User identifier
+ * @param {number} amount - Withdrawal in dollars
+ * @param {string|number} withdrawalId - withdrawal_requests.id
+ * @returns {Promise<Object>} { applied, transactionId }
+ */
+export function recordWithdrawalReversal(userId, amount, withdrawalId) {
+  return postTransaction({
+    idempotencyKey: `withdrawal_reversal:${withdrawalId}`,
+    entries: [
+      { account: 'external', entryType: 'withdrawal_reversal', amount: -amount },
+      { account: 'user', userId, entryType: 'withdrawal_reversal', amount }
+    ],
+    referenceType: 'withdrawal',
+    referenceId: withdrawalId,
+    description: 'Withdrawal reversed'
+  });
+}
+
+/**
+ * Record the pool paying for hedge contracts (buy fills)
+ * @param {string} idempotencyKey - Unique per fill increment, e.g. hedge:<order id>:<filled count>
+ * @param {number} amount - Cost in dollars
+ * @param {Object} details - { sessionId, orderId, ticker, contracts }
+ * @returns {Promise<Object>} { applied, transactionId }
+ */
+export function recordHedgeCost(idempotencyKey, amount, details) {
+  return postTransaction({
+    idempotencyKey,
+    entries: [
+      { account: 'pool', entryType: 'hedge_cost', amount: -amount },
+      { account: 'kalshi', entryType: 'hedge_cost', amount }
+    ],
+    referenceType: 'hedge_order',
+    referenceId: details.orderId,
+    description: `Hedge buy ${details.contracts} ${details.ticker}`,
+    metadata: details
+  });
+}
+
+/**
+ * Record hedge money returning to the pool (sell fills and settled contracts)
+ * @param {string} idempotencyKey - Unique per fill increment or settled leg
+ * @param {number} amount - Proceeds in dollars
+ * @param {Object} details - { sessionId, orderId?, legNumber?, ticker, contracts } (sessionId is null for netting positions)
+ * @returns {Promise<Object>} { applied, transactionId }
+ */
+export function recordHedgeProceeds(idempotencyKey, amount, details) {
+  return postTransaction({
+    idempotencyKey,
+    entries: [
+      { account: 'kalshi', entryType: 'hedge_proceeds', amount: -amount },
+      { account: 'pool', entryType: 'hedge_proceeds', amount }
+    ],
+    referenceType: details.orderId ? 'hedge_order' : details.sessionId ? 'purchase' : 'market',
+    referenceId: details.orderId ?? details.sessionId ?? details.ticker,
+    description: `Hedge proceeds ${details.contracts} ${details.ticker}`,
+    metadata: details
+  });
+}
+
+/**
+ * List a user's transactions, newest first
+ * @param {string} userId - User identifier
+ * @param {string} userToken - JWT token from authenticated user
+ * @param {Object} options - { limit, before } (before: ISO timestamp for paging)
+ * @returns {Promise<Array>} Transactions
+ */
+export async function getUserTransactions(userId, userToken, { limit = 50, before = null } = {}) {
+  const entries = await getLedgerEntries(userId, { limit, before }, userToken);
+  return entries.map(entry => ({
+    id: entry.id,
+    transactionId: entry.transaction_id,
+    type: entry.entry_type,
+    amount: parseFloat(entry.amount),
+    balanceAfter: entry.balance_after === null ? null : parseFloat(entry.balance_after),
+    referenceType: entry.reference_type,
+    referenceId: entry.reference_id,
+    description: entry.description,
+    createdAt: entry.created_at
+  }));
+}
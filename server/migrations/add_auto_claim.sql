@@ -0,0 +1,54 @@
+-- Migration: Add auto-claim of winnings
+-- Users can opt in to having won parlays claimed for them by the auto-claim job. Manual and
+-- automatic claims go through the same steps: USDC transfer from the platform wallet, then
+-- the ledger payout, then claimed_at. The claim_* columns track transfer attempts so a claim
+-- is never transferred twice and a failed transfer is retried instead of marked claimed.
+
+CREATE TABLE IF NOT EXISTS user_settings (
+  user_uuid UUID PRIMARY KEY,
+  auto_claim BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON COLUMN user_settings.auto_claim IS 'Claim won parlays automatically (up to the server''s AUTO_CLAIM_MAX_AMOUNT)';
+
+ALTER TABLE user_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own settings" ON user_settings;
+CREATE POLICY "Users can view own settings"
+ON user_settings
+FOR SELECT
+TO authenticated
+USING (auth.uid() = user_uuid);
+
+DROP POLICY IF EXISTS "Users can create own settings" ON user_settings;
+CREATE POLICY "Users can create own settings"
+ON user_settings
+FOR INSERT
+TO authenticated
+WITH CHECK (auth.uid() = user_uuid);
+
+DROP POLICY IF EXISTS "Users can update own settings" ON user_settings;
+CREATE POLICY "Users can update own settings"
+ON user_settings
+FOR UPDATE
+TO authenticated
+USING (auth.uid() = user_uuid)
+WITH CHECK (auth.uid() = user_uuid);
+
+ALTER TABLE completed_purchases
+ADD COLUMN IF NOT EXISTS claim_attempts INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS claim_processing_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS claim_next_attempt_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS claim_last_error TEXT,
+ADD COLUMN IF NOT EXISTS claim_tx_signature TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_completed_purchases_unclaimed
+ON completed_purchases(user_uuid)
+WHERE parlay_status = 'won' AND claimed_at IS NULL;
+
+COMMENT ON COLUMN completed_purchases.claim_attempts IS 'Winnings transfer attempts so far';
+COMMENT ON COLUMN completed_purchases.claim_processing_at IS 'When the in-flight transfer started; a claim stuck here needs manual review (the USDC may have been sent)';
+COMMENT ON COLUMN completed_purchases.claim_next_attempt_at IS 'Earliest time the auto-claim job retries a failed transfer';
+COMMENT ON COLUMN completed_purchases.claim_tx_signature IS 'Solana signature of the winnings transfer; once set the transfer is never repeated';
@@ -0,0 +1,40 @@
+-- Migration: Add cash-out offers
+-- Users can exit a pending parlay early. /api/cash-out/:sessionId/offer prices the parlay
+-- from its settled legs and the live prices of the open ones and stores a short-lived
+-- offer; accepting it settles the purchase as 'cashed_out', credits the wallet through the
+-- ledger (cash_out:<sessionId>) and unwinds the parlay's hedges.
+
+CREATE TABLE IF NOT EXISTS cash_out_offers (
+  id TEXT PRIMARY KEY,
+  session_id TEXT NOT NULL,
+  user_uuid UUID NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  fair_value NUMERIC(12, 2) NOT NULL,
+  margin NUMERIC(6, 4) NOT NULL,
+  settled_legs INTEGER[] NOT NULL DEFAULT '{}',
+  leg_prices JSONB NOT NULL DEFAULT '[]'::jsonb,
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_cash_out_offers_session_id ON cash_out_offers(session_id);
+
+-- Offers are only read and written by the backend (service role)
+ALTER TABLE cash_out_offers ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON COLUMN cash_out_offers.fair_value IS 'Settled payout × live probability of each open leg, before the house margin';
+COMMENT ON COLUMN cash_out_offers.settled_legs IS 'Legs already settled when the offer was priced; the offer is void once another leg settles';
+COMMENT ON COLUMN cash_out_offers.leg_prices IS 'Live price used for each open leg: [{ legNumber, ticker, side, probability }]';
+COMMENT ON COLUMN cash_out_offers.accepted_at IS 'Set once when the offer is accepted';
+
+ALTER TABLE completed_purchases
+ADD COLUMN IF NOT EXISTS cashed_out_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS cash_out_amount NUMERIC(12, 2),
+ADD COLUMN IF NOT EXISTS cash_out_offer_id TEXT;
+
+COMMENT ON COLUMN completed_purchases.cashed_out_at IS 'When the user accepted a cash-out offer (parlay_status = cashed_out)';
+COMMENT ON COLUMN completed_purchases.cash_out_amount IS 'Amount credited to the wallet for the cash-out';
+COMMENT ON COLUMN completed_purchases.cash_out_offer_id IS 'Accepted cash_out_offers.id';
+
+COMMENT ON COLUMN ledger_entries.entry_type IS 'stake_debit, pool_credit, payout, refund, cash_out, deposit, withdrawal, withdrawal_reversal, hedge_cost, hedge_proceeds or opening_balance';
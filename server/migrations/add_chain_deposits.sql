@@ -0,0 +1,46 @@
+-- Migration: Add on-chain deposit tracking
+-- The deposit watcher polls each user's CDP Solana wallet for incoming USDC and credits the
+-- wallet balance through the ledger (idempotency key deposit:solana:<signature>). Each
+-- credited transaction is recorded here once, along with whether its USDC has been swept
+-- to the platform wallet.
+
+CREATE TABLE IF NOT EXISTS chain_deposits (
+  id BIGSERIAL PRIMARY KEY,
+  signature TEXT NOT NULL UNIQUE,
+  user_uuid UUID NOT NULL,
+  wallet_address TEXT NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  slot BIGINT,
+  block_time TIMESTAMPTZ,
+  ledger_transaction_id UUID,
+  sweep_status TEXT NOT NULL DEFAULT 'not_required' CHECK (sweep_status IN ('not_required', 'pending', 'swept', 'failed')),
+  sweep_signature TEXT,
+  sweep_error TEXT,
+  swept_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chain_deposits_user ON chain_deposits(user_uuid, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_chain_deposits_sweep ON chain_deposits(sweep_status) WHERE sweep_status IN ('pending', 'failed');
+
+COMMENT ON COLUMN chain_deposits.signature IS 'Solana transaction signature; a signature is credited at most once';
+COMMENT ON COLUMN chain_deposits.amount IS 'USDC received by the user''s wallet in this transaction, in dollars';
+COMMENT ON COLUMN chain_deposits.ledger_transaction_id IS 'Ledger posting that credited the wallet balance';
+COMMENT ON COLUMN chain_deposits.sweep_status IS 'not_required (sweeping off), pending, swept (moved to the platform wallet) or failed (retried next poll)';
+
+-- Last signature the watcher has processed for each wallet, so polls only fetch newer ones
+ALTER TABLE user_wallet
+ADD COLUMN IF NOT EXISTS deposit_cursor TEXT;
+
+COMMENT ON COLUMN user_wallet.deposit_cursor IS 'Newest USDC token account signature already scanned by the deposit watcher';
+
+-- Users can read their own deposits; only the backend (service role) writes
+ALTER TABLE chain_deposits ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own chain deposits" ON chain_deposits;
+CREATE POLICY "Users can view own chain deposits"
+ON chain_deposits
+FOR SELECT
+TO authenticated
+USING (auth.uid() = user_uuid);
@@ -0,0 +1,70 @@
+-- Migration: Add claim state machine
+-- A winnings claim moves through claim_status:
+--   (null) → transferring → transferred → credited
+--   transferring → requested → transferring   (a transfer that was never sent, then its retry)
+-- requested:    a transfer failed before anything was sent; waiting for its retry
+-- transferring: the claim lock is held and the USDC transfer is in flight (or its outcome is
+--               unknown and it is waiting for manual review)
+-- transferred:  the transfer went through and claim_tx_signature is stored; the payout is next
+-- credited:     payout recorded and claimed_at set (final)
+-- Only begin_claim_transfer moves a claim into transferring, under a row lock, so two
+-- requests for the same parlay can never both send USDC. Clients send an Idempotency-Key
+-- with each claim; a retry with the same key picks up the existing claim where it stopped.
+
+ALTER TABLE completed_purchases
+ADD COLUMN IF NOT EXISTS claim_status TEXT
+  CHECK (claim_status IN ('requested', 'transferring', 'transferred', 'credited')),
+ADD COLUMN IF NOT EXISTS claim_idempotency_key TEXT,
+ADD COLUMN IF NOT EXISTS claim_requested_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN completed_purchases.claim_status IS 'Winnings claim progress: transferring, transferred, credited; requested = retry pending after an unsent transfer (null = not claimed yet)';
+COMMENT ON COLUMN completed_purchases.claim_idempotency_key IS 'Idempotency-Key of the claim request that last took the claim lock';
+COMMENT ON COLUMN completed_purchases.claim_requested_at IS 'When the claim lock was first taken';
+
+-- Existing claims, from the columns add_auto_claim.sql tracked them with
+UPDATE completed_purchases SET claim_status = 'credited' WHERE claimed_at IS NOT NULL AND claim_status IS NULL;
+UPDATE completed_purchases SET claim_status = 'transferred' WHERE claim_tx_signature IS NOT NULL AND claim_status IS NULL;
+UPDATE completed_purchases SET claim_status = 'transferring' WHERE claim_processing_at IS NOT NULL AND claim_status IS NULL;
+UPDATE completed_purchases SET claim_status = 'requested' WHERE claim_attempts > 0 AND claim_status IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_completed_purchases_claim_status
+ON completed_purchases(claim_status)
+WHERE claim_status IN ('requested', 'transferring', 'transferred');
+
+-- Take the claim lock: lock the row, then move a won, unclaimed parlay from (null) or
+-- requested to transferring. Returns the updated row when the lock was taken, no rows
+-- otherwise (not won, already claimed, or another transfer in flight or done).
+CREATE OR REPLACE FUNCTION begin_claim_transfer(
+  p_session_id TEXT,
+  p_idempotency_key TEXT DEFAULT NULL
+) RETURNS SETOF completed_purchases
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_purchase completed_purchases;
+BEGIN
+  SELECT * INTO v_purchase
+  FROM completed_purchases
+  WHERE session_id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND
+    OR v_purchase.parlay_status <> 'won'
+    OR v_purchase.claimed_at IS NOT NULL
+    OR COALESCE(v_purchase.claim_status, 'requested') <> 'requested' THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  UPDATE completed_purchases
+  SET claim_status = 'transferring',
+      claim_attempts = claim_attempts + 1,
+      claim_processing_at = NOW(),
+      claim_requested_at = COALESCE(claim_requested_at, NOW()),
+      claim_idempotency_key = COALESCE(p_idempotency_key, claim_idempotency_key)
+  WHERE id = v_purchase.id
+  RETURNING *;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION begin_claim_transfer(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,42 @@
+-- Migration: Add hedge_orders table and purchase hedge status
+-- Tracks every Kalshi hedge order through its lifecycle (placed, filled, canceled, retried)
+-- so a purchase's hedge status comes from real fills instead of a boolean flag
+
+CREATE TABLE IF NOT EXISTS hedge_orders (
+  id BIGSERIAL PRIMARY KEY,
+  purchase_session_id TEXT NOT NULL,
+  leg_number INTEGER NOT NULL,
+  ticker TEXT,
+  side TEXT NOT NULL DEFAULT 'yes',
+  action TEXT NOT NULL DEFAULT 'buy',
+  client_order_id TEXT UNIQUE,
+  kalshi_order_id TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',
+  requested_count INTEGER NOT NULL DEFAULT 0,
+  filled_count INTEGER NOT NULL DEFAULT 0,
+  avg_fill_price NUMERIC(6, 2),
+  limit_price INTEGER,
+  attempt INTEGER NOT NULL DEFAULT 1,
+  parent_order_id BIGINT REFERENCES hedge_orders(id),
+  error TEXT,
+  placed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_polled_at TIMESTAMPTZ,
+  canceled_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_hedge_orders_session ON hedge_orders(purchase_session_id);
+CREATE INDEX IF NOT EXISTS idx_hedge_orders_open ON hedge_orders(status)
+  WHERE status IN ('pending', 'resting', 'partially_filled');
+
+-- Hedge orders are only read and written by the backend (service role)
+ALTER TABLE hedge_orders ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE completed_purchases
+ADD COLUMN IF NOT EXISTS hedge_status TEXT;
+
+COMMENT ON COLUMN hedge_orders.status IS 'pending, resting, partially_filled, filled, canceled, failed or dry_run';
+COMMENT ON COLUMN hedge_orders.avg_fill_price IS 'Average fill price in cents';
+COMMENT ON COLUMN hedge_orders.attempt IS '1 for the original order, incremented for each retry of unfilled quantity';
+COMMENT ON COLUMN hedge_orders.parent_order_id IS 'Order this retry replaces (canceled after resting too long)';
+COMMENT ON COLUMN completed_purchases.hedge_status IS 'Derived from hedge_orders fills: none, pending, filled, partial, failed or dry_run';
@@ -0,0 +1,9 @@
+-- Migration: Track hedge unwinds and realized hedge PnL on purchases
+-- When a parlay loses a leg, hedges on its remaining open legs are sold off
+
+ALTER TABLE completed_purchases
+ADD COLUMN IF NOT EXISTS hedge_unwound_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS hedge_pnl NUMERIC(12, 2);
+
+COMMENT ON COLUMN completed_purchases.hedge_unwound_at IS 'Set once hedges were unwound after a losing leg (unwind runs at most once)';
+COMMENT ON COLUMN completed_purchases.hedge_pnl IS 'Realized PnL of hedge orders in dollars (fills plus settled legs)';
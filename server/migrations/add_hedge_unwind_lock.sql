@@ -0,0 +1,18 @@
+-- Migration: Lock hedge unwinds and retry partial ones
+-- Only the status check that sets hedge_unwinding_at (from null, or from a lock older than
+-- CONFIG.HEDGE_ORDERS.UNWIND_LOCK_MS) places unwind orders, so two checks of the same lost
+-- parlay never sell its hedges twice. hedge_unwound_at is only set once nothing is left open;
+-- until then the lock is released and the parlay stays due for status checks, which retry.
+
+ALTER TABLE completed_purchases
+ADD COLUMN IF NOT EXISTS hedge_unwinding_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS hedge_open_contracts INTEGER;
+
+COMMENT ON COLUMN completed_purchases.hedge_unwinding_at IS 'When the unwind in progress took its lock (null when no unwind is running)';
+COMMENT ON COLUMN completed_purchases.hedge_open_contracts IS 'Hedge contracts still held on open legs after the last unwind attempt';
+COMMENT ON COLUMN completed_purchases.hedge_unwound_at IS 'Set once every hedge on an open leg was sold after the parlay lost or was cashed out';
+
+-- Lost and cashed-out parlays whose unwind isn't finished are still checked by the settlement job
+CREATE INDEX IF NOT EXISTS idx_completed_purchases_unwind_pending
+ON completed_purchases(next_status_check_at)
+WHERE parlay_status IN ('lost', 'cashed_out') AND hedge_unwound_at IS NULL;
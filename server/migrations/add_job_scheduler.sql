@@ -0,0 +1,126 @@
+-- Migration: Add job scheduler leases and run history
+-- Background jobs (parlay settlement, hedge order polling, reconciliation, ...) run on every
+-- backend instance's scheduler, but a job only runs where its lease was acquired. The lease
+-- row also holds when the job is next due and how many times in a row it has failed, so
+-- schedules and retry backoff are shared across instances and survive restarts.
+-- All times are taken from the database clock so instances with skewed clocks agree.
+
+CREATE TABLE IF NOT EXISTS job_leases (
+  job_name TEXT PRIMARY KEY,
+  owner TEXT,
+  lease_expires_at TIMESTAMPTZ,
+  next_run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  attempt INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  last_run_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON COLUMN job_leases.owner IS 'Scheduler instance (host:pid:random) holding the lease; NULL when idle';
+COMMENT ON COLUMN job_leases.lease_expires_at IS 'Lease is renewed while the job runs; once expired another instance may take over';
+COMMENT ON COLUMN job_leases.next_run_at IS 'Earliest time the job may run again (its interval, or a retry backoff after a failure)';
+COMMENT ON COLUMN job_leases.attempt IS 'Consecutive failed runs; reset to 0 after a success or when retries run out';
+
+CREATE TABLE IF NOT EXISTS job_runs (
+  id BIGSERIAL PRIMARY KEY,
+  job_name TEXT NOT NULL,
+  owner TEXT NOT NULL,
+  attempt INTEGER NOT NULL DEFAULT 1,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  duration_ms INTEGER,
+  error TEXT,
+  result JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job_name, started_at DESC);
+
+COMMENT ON COLUMN job_runs.attempt IS '1 for a scheduled run, 2+ for retries after consecutive failures';
+COMMENT ON COLUMN job_runs.result IS 'Summary the job returned (e.g. { checked, resolved })';
+
+-- Backend only (service role): no policies
+ALTER TABLE job_leases ENABLE ROW LEVEL SECURITY;
+ALTER TABLE job_runs ENABLE ROW LEVEL SECURITY;
+
+-- Take a job's lease if it is due (or p_force) and nobody holds an unexpired lease
+-- Returns the lease row when acquired, no rows otherwise.
+CREATE OR REPLACE FUNCTION acquire_job_lease(
+  p_job_name TEXT,
+  p_owner TEXT,
+  p_lease_ms INTEGER,
+  p_force BOOLEAN DEFAULT FALSE
+) RETURNS SETOF job_leases
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO job_leases (job_name)
+  VALUES (p_job_name)
+  ON CONFLICT (job_name) DO NOTHING;
+
+  -- The row lock makes a racing instance re-check the conditions and see the lease taken
+  RETURN QUERY
+  UPDATE job_leases
+  SET owner = p_owner,
+      lease_expires_at = NOW() + p_lease_ms * INTERVAL '1 millisecond',
+      updated_at = NOW()
+  WHERE job_name = p_job_name
+    AND (p_force OR next_run_at <= NOW())
+    AND (owner IS NULL OR lease_expires_at IS NULL OR lease_expires_at <= NOW())
+  RETURNING *;
+END;
+$$;
+
+-- Extend a held lease while a long run is in progress; false if it was lost
+CREATE OR REPLACE FUNCTION renew_job_lease(p_job_name TEXT, p_owner TEXT, p_lease_ms INTEGER)
+RETURNS BOOLEAN
+LANGUAGE sql
+AS $$
+  WITH renewed AS (
+    UPDATE job_leases
+    SET lease_expires_at = NOW() + p_lease_ms * INTERVAL '1 millisecond', updated_at = NOW()
+    WHERE job_name = p_job_name AND owner = p_owner
+    RETURNING 1
+  )
+  SELECT EXISTS (SELECT 1 FROM renewed);
+$$;
+
+-- Give up a held lease and schedule the next run p_next_run_in_ms from now
+CREATE OR REPLACE FUNCTION release_job_lease(
+  p_job_name TEXT,
+  p_owner TEXT,
+  p_next_run_in_ms INTEGER,
+  p_attempt INTEGER,
+  p_last_error TEXT DEFAULT NULL
+) RETURNS BOOLEAN
+LANGUAGE sql
+AS $$
+  WITH released AS (
+    UPDATE job_leases
+    SET owner = NULL,
+        lease_expires_at = NULL,
+        next_run_at = NOW() + p_next_run_in_ms * INTERVAL '1 millisecond',
+        attempt = p_attempt,
+        last_error = p_last_error,
+        last_run_at = NOW(),
+        updated_at = NOW()
+    WHERE job_name = p_job_name AND owner = p_owner
+    RETURNING 1
+  )
+  SELECT EXISTS (SELECT 1 FROM released);
+$$;
+
+REVOKE ALL ON FUNCTION acquire_job_lease(TEXT, TEXT, INTEGER, BOOLEAN) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION renew_job_lease(TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION release_job_lease(TEXT, TEXT, INTEGER, INTEGER, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Settlement checks parlays on their own schedule: legs near or past close_time are checked
+-- more often. Parlays with no next check yet are due immediately.
+ALTER TABLE completed_purchases
+ADD COLUMN IF NOT EXISTS next_status_check_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_completed_purchases_status_check
+ON completed_purchases(next_status_check_at NULLS FIRST)
+WHERE parlay_status IN ('pending', 'won');
+
+COMMENT ON COLUMN completed_purchases.next_status_check_at IS 'When the settlement job next checks this parlay (from the close_time of its open legs)';
@@ -0,0 +1,173 @@
+-- Migration: Add double-entry ledger
+-- Every balance change is an append-only set of ledger entries that sums to zero.
+-- post_ledger_transaction writes the entries and updates user_wallet / platform_liquidity_pool
+-- balances in the same database transaction, so concurrent placements and claims can no
+-- longer overwrite each other's balance updates.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id BIGSERIAL PRIMARY KEY,
+  transaction_id UUID NOT NULL,
+  idempotency_key TEXT NOT NULL,
+  entry_type TEXT NOT NULL,
+  account TEXT NOT NULL CHECK (account IN ('user', 'pool', 'kalshi', 'external')),
+  user_uuid UUID,
+  amount NUMERIC(12, 2) NOT NULL,
+  balance_after NUMERIC(12, 2),
+  reference_type TEXT,
+  reference_id TEXT,
+  description TEXT,
+  metadata JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (account <> 'user' OR user_uuid IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_user ON ledger_entries(user_uuid, created_at DESC) WHERE account = 'user';
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_key ON ledger_entries(idempotency_key);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_reference ON ledger_entries(reference_type, reference_id);
+
+COMMENT ON COLUMN ledger_entries.transaction_id IS 'Groups the entries of one posting; they always sum to zero';
+COMMENT ON COLUMN ledger_entries.idempotency_key IS 'Caller-chosen key (e.g. stake:<session_id>); a key is only ever posted once';
+COMMENT ON COLUMN ledger_entries.entry_type IS 'stake_debit, pool_credit, payout, refund, deposit, withdrawal, hedge_cost, hedge_proceeds or opening_balance';
+COMMENT ON COLUMN ledger_entries.account IS 'user (user_wallet), pool (platform_liquidity_pool), kalshi (cash held at Kalshi for hedges) or external (money entering or leaving the platform)';
+COMMENT ON COLUMN ledger_entries.amount IS 'Signed dollars: positive credits the account, negative debits it';
+COMMENT ON COLUMN ledger_entries.balance_after IS 'Account balance after this entry (user and pool accounts only)';
+
+-- Append-only: entries are corrected with new postings, never edited
+CREATE OR REPLACE FUNCTION prevent_ledger_entry_changes() RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'ledger_entries is append-only';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS ledger_entries_append_only ON ledger_entries;
+CREATE TRIGGER ledger_entries_append_only
+BEFORE UPDATE OR DELETE ON ledger_entries
+FOR EACH ROW EXECUTE FUNCTION prevent_ledger_entry_changes();
+
+-- Users can read their own entries; only the backend (service role) writes
+ALTER TABLE ledger_entries ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own ledger entries" ON ledger_entries;
+CREATE POLICY "Users can view own ledger entries"
+ON ledger_entries
+FOR SELECT
+TO authenticated
+USING (auth.uid() = user_uuid);
+
+-- Post a balanced set of entries and apply them to the stored balances atomically
+-- p_entries: [{ "account": "user", "user_uuid": "...", "entry_type": "stake_debit", "amount": -10 }, ...]
+-- Returns { applied, transaction_id }; applied is false when the key was already posted.
+-- Raises insufficient_funds if a user balance would go negative.
+CREATE OR REPLACE FUNCTION post_ledger_transaction(
+  p_idempotency_key TEXT,
+  p_entries JSONB,
+  p_reference_type TEXT DEFAULT NULL,
+  p_reference_id TEXT DEFAULT NULL,
+  p_description TEXT DEFAULT NULL,
+  p_metadata JSONB DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_transaction_id UUID := gen_random_uuid();
+  v_existing UUID;
+  v_total NUMERIC;
+  v_entry JSONB;
+  v_amount NUMERIC(12, 2);
+  v_user UUID;
+  v_balance NUMERIC(12, 2);
+BEGIN
+  -- A retry racing the original waits here, then sees it as already posted
+  PERFORM pg_advisory_xact_lock(hashtext(p_idempotency_key));
+
+  SELECT transaction_id INTO v_existing
+  FROM ledger_entries
+  WHERE idempotency_key = p_idempotency_key
+  LIMIT 1;
+
+  IF v_existing IS NOT NULL THEN
+    RETURN jsonb_build_object('applied', false, 'transaction_id', v_existing);
+  END IF;
+
+  SELECT COALESCE(SUM((e->>'amount')::NUMERIC(12, 2)), 0) INTO v_total
+  FROM jsonb_array_elements(p_entries) e;
+
+  IF jsonb_array_length(p_entries) < 2 OR v_total <> 0 THEN
+    RAISE EXCEPTION 'unbalanced_transaction: entries for % sum to %', p_idempotency_key, v_total;
+  END IF;
+
+  FOR v_entry IN SELECT * FROM jsonb_array_elements(p_entries) LOOP
+    v_amount := (v_entry->>'amount')::NUMERIC(12, 2);
+    v_user := NULLIF(v_entry->>'user_uuid', '')::UUID;
+    v_balance := NULL;
+
+    IF v_entry->>'account' = 'user' THEN
+      INSERT INTO user_wallet (user_uuid, user_id, balance, crypto_network)
+      VALUES (v_user, v_user::TEXT, 0, 'solana')
+      ON CONFLICT (user_uuid) DO NOTHING;
+
+      UPDATE user_wallet
+      SET balance = balance + v_amount, updated_at = NOW()
+      WHERE user_uuid = v_user
+      RETURNING balance INTO v_balance;
+
+      IF v_balance < 0 THEN
+        RAISE EXCEPTION 'insufficient_funds' USING ERRCODE = 'P0001';
+      END IF;
+    ELSIF v_entry->>'account' = 'pool' THEN
+      INSERT INTO platform_liquidity_pool (id, balance)
+      VALUES (1, 0)
+      ON CONFLICT (id) DO NOTHING;
+
+      UPDATE platform_liquidity_pool
+      SET balance = balance + v_amount, updated_at = NOW()
+      WHERE id = 1
+      RETURNING balance INTO v_balance;
+    END IF;
+
+    INSERT INTO ledger_entries (
+      transaction_id, idempotency_key, entry_type, account, user_uuid, amount,
+      balance_after, reference_type, reference_id, description, metadata
+    ) VALUES (
+      v_transaction_id, p_idempotency_key, v_entry->>'entry_type', v_entry->>'account', v_user, v_amount,
+      v_balance, p_reference_type, p_reference_id, p_description, p_metadata
+    );
+  END LOOP;
+
+  RETURN jsonb_build_object('applied', true, 'transaction_id', v_transaction_id);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION post_ledger_transaction(TEXT, JSONB, TEXT, TEXT, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+
+-- Opening balances, so existing wallet and pool balances are explained by the ledger
+WITH opening AS (
+  SELECT gen_random_uuid() AS transaction_id, user_uuid, balance
+  FROM user_wallet
+  WHERE balance <> 0
+    AND NOT EXISTS (SELECT 1 FROM ledger_entries l WHERE l.idempotency_key = 'opening:' || user_wallet.user_uuid)
+)
+INSERT INTO ledger_entries (transaction_id, idempotency_key, entry_type, account, user_uuid, amount, balance_after, description)
+SELECT transaction_id, 'opening:' || user_uuid, 'opening_balance', 'user', user_uuid, balance, balance, 'Balance before the ledger was introduced'
+FROM opening
+UNION ALL
+SELECT transaction_id, 'opening:' || user_uuid, 'opening_balance', 'external', NULL, -balance, NULL, 'Balance before the ledger was introduced'
+FROM opening;
+
+WITH opening AS (
+  SELECT gen_random_uuid() AS transaction_id, balance
+  FROM platform_liquidity_pool
+  WHERE id = 1
+    AND balance <> 0
+    AND NOT EXISTS (SELECT 1 FROM ledger_entries l WHERE l.idempotency_key = 'opening:pool')
+)
+INSERT INTO ledger_entries (transaction_id, idempotency_key, entry_type, account, user_uuid, amount, balance_after, description)
+SELECT transaction_id, 'opening:pool', 'opening_balance', 'pool', NULL, balance, balance, 'Balance before the ledger was introduced'
+FROM opening
+UNION ALL
+SELECT transaction_id, 'opening:pool', 'opening_balance', 'external', NULL, -balance, NULL, 'Balance before the ledger was introduced'
+FROM opening;
@@ -0,0 +1,16 @@
+-- Migration: Record portfolio netting orders in hedge_orders
+-- With HEDGE_EXECUTION_MODE=netted, hedges are bought for the book as a whole rather than for
+-- one purchase. Those orders are stored without a purchase (and without a leg) so their fills
+-- are posted to the ledger and followed by the hedge order poller like any other hedge order.
+
+ALTER TABLE hedge_orders
+ALTER COLUMN purchase_session_id DROP NOT NULL;
+
+ALTER TABLE hedge_orders
+ALTER COLUMN leg_number DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_hedge_orders_netting ON hedge_orders(ticker)
+  WHERE purchase_session_id IS NULL;
+
+COMMENT ON COLUMN hedge_orders.purchase_session_id IS 'Purchase the hedge belongs to; NULL for portfolio netting orders';
+COMMENT ON COLUMN hedge_orders.leg_number IS 'Parlay leg (1-indexed); NULL for portfolio netting orders';
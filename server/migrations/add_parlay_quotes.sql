@@ -0,0 +1,25 @@
+-- Migration: Add parlay_quotes table
+-- Stores every quote issued by /api/quote so /api/place-parlay can redeem it by ID
+-- instead of trusting the quote object sent back by the extension
+
+CREATE TABLE IF NOT EXISTS parlay_quotes (
+  id TEXT PRIMARY KEY,
+  user_uuid UUID NOT NULL,
+  legs_hash TEXT NOT NULL,
+  stake NUMERIC(12, 2) NOT NULL,
+  quote_data JSONB NOT NULL,
+  signature TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  purchase_session_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_parlay_quotes_user_uuid ON parlay_quotes(user_uuid);
+
+-- Quotes are only read and written by the backend (service role)
+ALTER TABLE parlay_quotes ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON COLUMN parlay_quotes.legs_hash IS 'SHA-256 of the canonical leg list (ticker + side) the quote was priced for';
+COMMENT ON COLUMN parlay_quotes.signature IS 'HMAC-SHA256 over quote ID, user, legs hash, stake, expiry and quote payload';
+COMMENT ON COLUMN parlay_quotes.used_at IS 'Set once when the quote is redeemed by /api/place-parlay';
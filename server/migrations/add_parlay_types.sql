@@ -0,0 +1,14 @@
+-- Migration: Add parlay types
+-- Besides the standard all-legs-must-win parlay, users can place round robins (the stake
+-- split over every k-leg combination of the slip, each paid as its own parlay) and flex
+-- parlays (paid on at least n of the m legs, less for each miss). The payout table from the
+-- quote is stored with the purchase and is what settlement grades the legs against; payout
+-- stays the most the ticket can pay, which risk limits and hedges are sized against.
+
+ALTER TABLE completed_purchases
+ADD COLUMN IF NOT EXISTS parlay_type TEXT NOT NULL DEFAULT 'standard'
+  CHECK (parlay_type IN ('standard', 'round_robin', 'flex')),
+ADD COLUMN IF NOT EXISTS payout_table JSONB;
+
+COMMENT ON COLUMN completed_purchases.parlay_type IS 'standard, round_robin or flex';
+COMMENT ON COLUMN completed_purchases.payout_table IS 'Quoted payouts: { type, legCount, size | minHits, maxPayout, rows } - rows per round-robin combination ({ legs, stake, payout }) or per number of winning legs ({ hits, payout })';
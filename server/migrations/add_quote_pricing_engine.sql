@@ -0,0 +1,7 @@
+-- Migration: Record which pricing engine produced each quote
+-- 'openai' for the LLM quote, 'rule_based' when the offline fallback engine was used
+
+ALTER TABLE parlay_quotes
+ADD COLUMN IF NOT EXISTS pricing_engine TEXT;
+
+COMMENT ON COLUMN parlay_quotes.pricing_engine IS 'Engine that priced the quote: openai or rule_based';
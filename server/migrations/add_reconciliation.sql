@@ -0,0 +1,23 @@
+-- Migration: Add ledger totals for reconciliation
+-- The reconciliation job compares these per-account ledger sums with the stored wallet and
+-- pool balances, with what purchases, claims, deposits and withdrawals imply, and with the
+-- USDC actually held on-chain.
+
+-- Sum of ledger entries per account (and per user for user accounts). opened_at is when the
+-- account's opening balance was posted; records older than that are already in the opening balance.
+CREATE OR REPLACE FUNCTION get_ledger_account_balances()
+RETURNS TABLE (account TEXT, user_uuid UUID, balance NUMERIC, opening_balance NUMERIC, opened_at TIMESTAMPTZ)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    account,
+    user_uuid,
+    SUM(amount) AS balance,
+    SUM(amount) FILTER (WHERE entry_type = 'opening_balance') AS opening_balance,
+    MIN(created_at) FILTER (WHERE entry_type = 'opening_balance') AS opened_at
+  FROM ledger_entries
+  GROUP BY account, user_uuid;
+$$;
+
+REVOKE ALL ON FUNCTION get_ledger_account_balances() FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,76 @@
+-- Migration: Add exposure locks for parlay placement
+-- A placement re-checks the risk limits against open liability and then saves the purchase.
+-- Two placements on the same market could both pass the check before either is saved, so a
+-- placement first takes a lock on every market and event its legs touch and holds it until
+-- the purchase is saved. Locks are leases: one left by a crashed instance expires on its own.
+-- All times are taken from the database clock so instances with skewed clocks agree.
+
+CREATE TABLE IF NOT EXISTS risk_locks (
+  lock_key TEXT PRIMARY KEY,
+  owner TEXT,
+  lease_expires_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON COLUMN risk_locks.lock_key IS 'market:<TICKER> or event:<EVENT PREFIX>';
+COMMENT ON COLUMN risk_locks.owner IS 'Placement holding the lock (host:pid:random); NULL when free';
+COMMENT ON COLUMN risk_locks.lease_expires_at IS 'Once expired another placement may take the lock';
+
+-- Backend only (service role): no policies
+ALTER TABLE risk_locks ENABLE ROW LEVEL SECURITY;
+
+-- Take every lock in p_keys for p_owner, or none of them
+-- Rows are locked in key order so placements sharing several keys can't deadlock.
+CREATE OR REPLACE FUNCTION acquire_risk_locks(
+  p_keys TEXT[],
+  p_owner TEXT,
+  p_lease_ms INTEGER
+) RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO risk_locks (lock_key)
+  SELECT DISTINCT unnest(p_keys)
+  ON CONFLICT (lock_key) DO NOTHING;
+
+  PERFORM 1 FROM risk_locks
+  WHERE lock_key = ANY(p_keys)
+  ORDER BY lock_key
+  FOR UPDATE;
+
+  IF EXISTS (
+    SELECT 1 FROM risk_locks
+    WHERE lock_key = ANY(p_keys)
+      AND owner IS NOT NULL
+      AND owner <> p_owner
+      AND lease_expires_at > NOW()
+  ) THEN
+    RETURN FALSE;
+  END IF;
+
+  UPDATE risk_locks
+  SET owner = p_owner,
+      lease_expires_at = NOW() + p_lease_ms * INTERVAL '1 millisecond',
+      updated_at = NOW()
+  WHERE lock_key = ANY(p_keys);
+
+  RETURN TRUE;
+END;
+$$;
+
+-- Give up the locks p_owner holds in p_keys; false if none were still held
+CREATE OR REPLACE FUNCTION release_risk_locks(p_keys TEXT[], p_owner TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+AS $$
+  WITH released AS (
+    UPDATE risk_locks
+    SET owner = NULL, lease_expires_at = NULL, updated_at = NOW()
+    WHERE lock_key = ANY(p_keys) AND owner = p_owner
+    RETURNING 1
+  )
+  SELECT EXISTS (SELECT 1 FROM released);
+$$;
+
+REVOKE ALL ON FUNCTION acquire_risk_locks(TEXT[], TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION release_risk_locks(TEXT[], TEXT) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,69 @@
+-- Migration: Add USDC withdrawal lifecycle
+-- Withdrawals are paid in USDC from the platform wallet to a user-supplied Solana address.
+-- The amount is held (debited through the ledger) when the request is created and is
+-- returned with a reversal posting if the transfer keeps failing.
+--
+--   pending → processing → completed
+--      ↑          │
+--      └──────────┘ transfer failed, retry after next_attempt_at
+--                 └→ failed → reversed (out of attempts, hold returned)
+
+CREATE TABLE IF NOT EXISTS withdrawal_requests (
+  id BIGSERIAL PRIMARY KEY,
+  user_uuid UUID NOT NULL,
+  user_id TEXT,
+  amount NUMERIC(12, 2) NOT NULL,
+  payment_method TEXT,
+  stripe_payout_id TEXT,
+  stripe_transfer_id TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+ALTER TABLE withdrawal_requests
+ADD COLUMN IF NOT EXISTS destination_address TEXT,
+ADD COLUMN IF NOT EXISTS tx_signature TEXT,
+ADD COLUMN IF NOT EXISTS hold_transaction_id UUID,
+ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS last_error TEXT,
+ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS processing_started_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS failed_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS reversed_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+ALTER TABLE withdrawal_requests DROP CONSTRAINT IF EXISTS withdrawal_requests_status_check;
+ALTER TABLE withdrawal_requests
+ADD CONSTRAINT withdrawal_requests_status_check
+CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'reversed'));
+
+CREATE INDEX IF NOT EXISTS idx_withdrawal_requests_user ON withdrawal_requests(user_uuid, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_withdrawal_requests_open ON withdrawal_requests(status, created_at)
+WHERE status IN ('pending', 'processing', 'failed');
+
+COMMENT ON COLUMN withdrawal_requests.status IS 'pending, processing, completed, failed (out of attempts) or reversed (hold returned to the wallet)';
+COMMENT ON COLUMN withdrawal_requests.destination_address IS 'Solana address the USDC is sent to';
+COMMENT ON COLUMN withdrawal_requests.tx_signature IS 'Solana transaction signature of the completed transfer';
+COMMENT ON COLUMN withdrawal_requests.hold_transaction_id IS 'Ledger transaction that debited the amount from the wallet; NULL if the hold was never placed';
+COMMENT ON COLUMN withdrawal_requests.attempts IS 'Transfer attempts so far';
+COMMENT ON COLUMN withdrawal_requests.next_attempt_at IS 'Earliest time the next transfer attempt may run';
+COMMENT ON COLUMN withdrawal_requests.processing_started_at IS 'When the current transfer attempt started; stale processing rows need manual review';
+COMMENT ON COLUMN ledger_entries.entry_type IS 'stake_debit, pool_credit, payout, refund, deposit, withdrawal, withdrawal_reversal, hedge_cost, hedge_proceeds or opening_balance';
+
+-- Users create and read their own requests; status changes are made by the backend (service role)
+ALTER TABLE withdrawal_requests ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own withdrawal requests" ON withdrawal_requests;
+CREATE POLICY "Users can view own withdrawal requests"
+ON withdrawal_requests
+FOR SELECT
+TO authenticated
+USING (auth.uid() = user_uuid);
+
+DROP POLICY IF EXISTS "Users can create own withdrawal requests" ON withdrawal_requests;
+CREATE POLICY "Users can create own withdrawal requests"
+ON withdrawal_requests
+FOR INSERT
+TO authenticated
+WITH CHECK (auth.uid() = user_uuid AND status = 'pending');
@@ -0,0 +1,182 @@
+/**
+ * Orderbook-Aware Leg Pricing
+ * Prices each parlay leg at the depth-weighted price we could actually hedge at,
+ * instead of the top-of-book ask shown in the extension
+ *
+ * Kalshi orderbooks only list resting bids: { orderbook: { yes: [[price, qty]], no: [[price, qty]] } }.
+ * Buying YES lifts NO bids (YES ask = 100 - NO bid) and vice versa.
+ */
+
+import { getMarketOrderbook } from './kalshiClient.js';
+import { CONFIG } from '../config/constants.js';
+import { logDebug, logInfo } from './utils/logger.js';
+
+/**
+ * Normalize one side of a Kalshi orderbook into price levels sorted best-first
+ * @param {Array|null} levels - [[priceCents, quantity], ...]
+ * @returns {Array<{price: number, quantity: number}>} Bids sorted by price descending
+ */
+function normalizeBids(levels) {
+  return (levels || [])
+    .map(([price, quantity]) => ({ price: Number(price), quantity: Number(quantity) }))
+    .filter(level => level.price > 0 && level.quantity > 0)
+    .sort((a, b) => b.price - a.price);
+}
+
+/**
+ * Compute the depth-weighted price to buy contracts on one side of a market
+ * @param {Object} orderbook - Kalshi orderbook ({ yes, no } bid levels)
+ * @param {string} side - 'yes' or 'no' (the side being bought)
+ * @param {number} contracts - Number of contracts to fill
+ * @returns {Object} { bestAsk, bestBid, spread, depth, filled, fillPrice, fullyFillable }
+ */
+export function computeFillPrice(orderbook, side, contracts) {
+  const buyingYes = side.toLowerCase() !== 'no';
+  // Asks for the side we buy come from bids on the opposite side
+  const opposingBids = normalizeBids(buyingYes ? orderbook?.no : orderbook?.yes);
+  const sameSideBids = normalizeBids(buyingYes ? orderbook?.yes : orderbook?.no);
+
+  const asks = opposingBids.map(level => ({ price: 100 - level.price, quantity: level.quantity }));
+  const bestAsk = asks.length > 0 ? asks[0].price : null;
+  const bestBid = sameSideBids.length > 0 ? sameSideBids[0].price : null;
+  const depth = asks.reduce((sum, level) => sum + level.quantity, 0);
+
+  let remaining = contracts;
+  let cost = 0;
+  for (const level of asks) {
+    if (remaining <= 0) break;
+    const take = Math.min(remaining, level.quantity);
+    cost += take * level.price;
+    remaining -= take;
+  }
+  const filled = contracts - remaining;
+
+  return {
+    bestAsk,
+    bestBid,
+    spread: bestAsk !== null && bestBid !== null ? bestAsk - bestBid : null,
+    depth,
+    filled,
+    fillPrice: filled > 0 ? cost / filled : null,
+    fullyFillable: remaining <= 0
+  };
+}
+
+/**
+ * Estimate how many contracts we'd buy to hedge a leg
+ * Mirrors the largest variance-reduction bucket so fills are sized conservatively
+ * @param {number} stake - User stake in dollars
+ * @param {number} prob - Leg probability in percent
+ * @returns {number} Contract count
+ */
+export function estimateHedgeContracts(stake, prob) {
+  const price = Math.max(prob, 1) / 100;
+  return Math.max(1, Math.ceil((stake * CONFIG.PRICING.ORDERBOOK.HEDGE_SIZE_RATIO) / price));
+}
+
+/**
+ * Reprice legs from their orderbooks
+ * Legs without a ticker or orderbook keep their displayed probability and are flagged.
+ * @param {Array} bets - Bet objects with ticker, side, prob
+ * @param {number} stake - User stake in dollars
+ * @returns {Promise<{pricedBets: Array, liquidity: Object}>} Repriced legs and the liquidity summary
+ */
+export async function priceLegsFromOrderbooks(bets, stake) {
+  const settings = CONFIG.PRICING.ORDERBOOK;
+
+  const orderbooks = await Promise.all(bets.map(bet =>
+    bet.ticker ? getMarketOrderbook(bet.ticker) : Promise.resolve(null)
+  ));
+
+  const legs = [];
+  const pricedBets = bets.map((bet, idx) => {
+    const side = (bet.side || 'yes').toLowerCase();
+    const contracts = estimateHedgeContracts(stake, bet.prob);
+    const orderbook = orderbooks[idx]?.orderbook;
+    const fill = orderbook ? computeFillPrice(orderbook, side, contracts) : null;
+
+    let penalty = 0;
+    const flags = [];
+
+    if (!fill || fill.fillPrice === null) {
+      penalty += settings.MISSING_BOOK_PENALTY;
+      flags.push('missing_book');
+    } else {
+      if (fill.spread !== null && fill.spread > settings.WIDE_SPREAD_CENTS) {
+        penalty += (fill.spread - settings.WIDE_SPREAD_CENTS) * settings.SPREAD_PENALTY_PER_CENT;
+        flags.push('wide_spread');
+      }
+      if (!fill.fullyFillable) {
+        penalty += settings.THIN_BOOK_PENALTY;
+        flags.push('thin_book');
+      }
+    }
+
+    // Never price a leg below what was displayed - the fill can only make it more expensive
+    const fillProb = fill?.fillPrice !== null && fill?.fillPrice !== undefined
+      ? Math.min(99, Math.round(fill.fillPrice * 10) / 10)
+      : null;
+    const prob = fillProb !== null ? Math.max(bet.prob, fillProb) : bet.prob;
+
+    legs.push({
+      leg: idx + 1,
+      ticker: bet.ticker || null,
+      side,
+      displayedProb: bet.prob,
+      pricedProb: prob,
+      hedgeContracts: contracts,
+      bestAsk: fill?.bestAsk ?? null,
+      bestBid: fill?.bestBid ?? null,
+      spread: fill?.spread ?? null,
+      depth: fill?.depth ?? 0,
+      filledContracts: fill?.filled ?? 0,
+      fillPrice: fill?.fillPrice ?? null,
+      penalty,
+      flags
+    });
+
+    logDebug(`[Orderbook Pricing] Leg ${idx + 1} ${bet.ticker || 'no ticker'}: ${bet.prob}% -> ${prob}% (penalty ${penalty.toFixed(2)}pp)`, flags);
+
+    return { ...bet, displayedProb: bet.prob, prob };
+  });
+
+  const totalPenalty = Math.min(
+    legs.reduce((sum, leg) => sum + leg.penalty, 0),
+    settings.MAX_LIQUIDITY_PENALTY
+  );
+
+  logInfo(`[Orderbook Pricing] Priced ${legs.length} legs from orderbooks, liquidity margin ${totalPenalty.toFixed(2)}pp`);
+
+  return {
+    pricedBets,
+    liquidity: {
+      marginAdjustment: parseFloat(totalPenalty.toFixed(2)),
+      legs
+    }
+  };
+}
+
+/**
+ * Widen a quote's margin for wide spreads and thin books
+ * Lowers recommendedPayoutPercentage by the liquidity penalty and recomputes payout fields
+ * @param {Object} quote - Quote from generateParlayQuoteWithFallback
+ * @param {Object} liquidity - Liquidity summary from priceLegsFromOrderbooks
+ * @returns {Object} The same quote, mutated, with quote.liquidity attached
+ */
+export function applyLiquidityMargin(quote, liquidity) {
+  const naivePayout = parseFloat(quote.payout.naivePayout);
+  const basePercentage = Number(quote.payout.recommendedPayoutPercentage);
+  const percentage = Math.max(0, basePercentage - liquidity.marginAdjustment);
+
+  const adjustedPayout = naivePayout * (percentage / 100);
+  quote.payout = {
+    ...quote.payout,
+    recommendedPayoutPercentage: parseFloat(percentage.toFixed(2)),
+    adjustedPayout: adjustedPayout.toFixed(2),
+    potentialProfit: (adjustedPayout - quote.stake).toFixed(2),
+    effectiveOdds: (adjustedPayout / quote.stake).toFixed(2)
+  };
+  quote.liquidity = liquidity;
+
+  return quote;
+}
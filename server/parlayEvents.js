@@ -0,0 +1,48 @@
+/**
+ * Parlay Events
+ * In-process pub/sub for parlay status changes, streamed to the popup over Server-Sent Events
+ *
+ * checkParlayStatus publishes a `leg` event when a leg's outcome changes and a `status` event
+ * when the parlay's status or claimable amount changes. Subscribers are keyed by user UUID.
+ * Events only reach clients connected to the process that ran the check, so live updates need a
+ * single server instance. Settlement runs on whichever instance holds the settlement job's lease:
+ * with several instances, clients connected to the others get no `leg` or `status` events after
+ * the check made when their stream opens, and have to reconnect or reload to catch up.
+ */
+
+import { EventEmitter } from 'events';
+
+const emitter = new EventEmitter();
+// One listener per open stream, so the default limit of 10 is too low
+emitter.setMaxListeners(0);
+
+/**
+ * Publish an event to a user's open streams
+ * @param {string} userId - User UUID
+ * @param {Object} event - { type: 'leg'|'status', sessionId, ... }
+ */
+export function publishParlayEvent(userId, event) {
+  if (!userId) return;
+  emitter.emit(userId, { ...event, at: new Date().toISOString() });
+}
+
+/**
+ * Listen for a user's parlay events
+ * @param {string} userId - User UUID
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToParlayEvents(userId, listener) {
+  emitter.on(userId, listener);
+  return () => emitter.off(userId, listener);
+}
+
+/**
+ * Format an event as a Server-Sent Events message
+ * @param {Object} event - Event with a type
+ * @returns {string}
+ */
+export function formatServerSentEvent(event) {
+  const { type, ...data } = event;
+  return `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
@@ -8,44 +8,92 @@ import {
   getCompletedPurchase, 
   updateParlayBetOutcome,
   updateParlayStatus,
-  getActiveParlays,
-  getParlayBetOutcomes
+  getParlayBetOutcomes,
+  getParlaysDueForStatusCheck,
+  setParlayNextStatusCheck
 } from './db.js';
+import { unwindParlayHedges } from './hedgeUnwindService.js';
+import { getPurchasePayoutTable } from './parlayTypes.js';
+import { postSettlementToLedger, postNettingSettlementToLedger } from './hedgeOrderService.js';
+import { recordRefund } from './ledgerService.js';
+import { publishParlayEvent } from './parlayEvents.js';
+import { mapWithConcurrency } from './jobScheduler.js';
+import { CONFIG } from '../config/constants.js';
 import { logError, logInfo, logWarn, logDebug } from './utils/logger.js';
 
+// Results and statuses Kalshi uses for cancelled markets: positions are refunded, the leg is a push
+const VOID_RESULTS = ['void', 'voided', 'cancelled', 'canceled'];
+const VOID_STATUSES = ['voided', 'cancelled', 'canceled'];
+// Statuses of markets still trading or not yet open - any settlement fields on them aren't final
+const OPEN_STATUSES = ['initialized', 'unopened', 'open', 'active', 'paused'];
+
 /**
- * Determine if user's bet won based on settlement price
- * For binary markets: settlement_price of 100 means YES won, 0 means NO won
- * Since each ticker represents a YES bet on that specific outcome, if settlement_price is 100 (or > 0), YES won
- * @param {string} ticker - The ticker the user bet on
- * @param {number} settlementPrice - Settlement price (0-100)
- * @returns {string} 'win' or 'loss'
+ * Read how a Kalshi market settled
+ * A market only counts as settled once it carries a result or settlement value; "closed"
+ * alone just means trading has stopped.
+ * @param {Object} market - Kalshi market
+ * @returns {Object} { settled, voided, yesValue, status } - yesValue is what one YES contract paid, in cents (0-100)
  */
-function determineBetOutcome(ticker, settlementPrice) {
-  // In Kalshi binary markets, each ticker represents a YES bet on that specific outcome
-  // Settlement price of 100 = YES won (the ticker won)
-  // Settlement price of 0 = NO won (the ticker lost)
-  // Kalshi typically settles at exactly 0 or 100, but we check > 0 to be safe
-  
-  // Convert to number if it's a string
-  const price = typeof settlementPrice === 'string' ? parseFloat(settlementPrice) : settlementPrice;
-  
-  // If settlement price is > 0, YES won (bet won)
-  // If settlement price is 0, NO won (bet lost)
-  const outcome = price > 0 ? 'win' : 'loss';
-  
-  // Only log when market is actually settled (not for every check)
-  // logInfo(`Outcome for ${ticker}: ${outcome} (settlement price: ${price})`);
-  return outcome;
+export function parseMarketSettlement(market) {
+  const status = market.status || market.market_status || market.state || market.market_state || null;
+  const normalizedStatus = (status || '').toLowerCase();
+  const result = typeof market.result === 'string' ? market.result.toLowerCase() : market.result;
+
+  if (VOID_RESULTS.includes(result) || VOID_STATUSES.includes(normalizedStatus)) {
+    return { settled: true, voided: true, yesValue: null, status };
+  }
+
+  // IMPORTANT: 0 is a valid settlement value (NO won), so check for null/undefined/'' only
+  const numeric = [market.settlement_value, market.settlement_price, market.settlementPrice, market.settlement]
+    .find(value => value !== undefined && value !== null && value !== '');
+  let yesValue = numeric !== undefined ? parseFloat(numeric) : null;
+  if (yesValue === null || Number.isNaN(yesValue)) {
+    yesValue = result === 'yes' || result === true ? 100 : result === 'no' || result === false ? 0 : null;
+  }
+
+  const settled = yesValue !== null && !OPEN_STATUSES.includes(normalizedStatus);
+  return { settled, voided: false, yesValue: settled ? yesValue : null, status };
+}
+
+/**
+ * Grade a leg from its market settlement and the side the user took
+ * Kalshi binary markets settle at 100 (YES) or 0 (NO); anything in between is a partial
+ * settlement that pays that many cents per YES contract (and the rest per NO contract).
+ * @param {Object} settlement - { settled, voided, yesValue } from parseMarketSettlement
+ * @param {string} side - 'yes' or 'no' (defaults to yes)
+ * @returns {Object} { outcome: 'win'|'loss'|'partial'|'void'|'pending', value } - value is the fraction of $1 each contract paid
+ */
+export function gradeLeg(settlement, side) {
+  if (!settlement.settled) return { outcome: 'pending', value: null };
+  if (settlement.voided) return { outcome: 'void', value: null };
+
+  const yesValue = Math.min(100, Math.max(0, settlement.yesValue));
+  const sideValue = (side || 'yes').toLowerCase() === 'no' ? 100 - yesValue : yesValue;
+  const outcome = sideValue >= 100 ? 'win' : sideValue <= 0 ? 'loss' : 'partial';
+  return { outcome, value: sideValue / 100 };
+}
+
+/**
+ * YES settlement value (cents) that produces a given outcome for a side - used to record
+ * manually set outcomes
+ * @param {string} outcome - 'win', 'loss' or 'void'
+ * @param {string} side - 'yes' or 'no'
+ * @returns {number|null} 0 or 100, or null for void
+ */
+export function settlementPriceForOutcome(outcome, side) {
+  if (outcome === 'void') return null;
+  const yesWon = (outcome === 'win') === ((side || 'yes').toLowerCase() !== 'no');
+  return yesWon ? 100 : 0;
 }
 
 /**
  * Check if a market is settled and get the outcome
  * @param {string} ticker - Kalshi market ticker
  * @param {string} optionId - The ticker/option the user bet on (same as ticker for binary markets)
- * @returns {Object} { settled: boolean, outcome: 'win'|'loss'|'pending', settlementPrice: number }
+ * @param {string} side - Side the user took ('yes' or 'no')
+ * @returns {Object} { settled, outcome: 'win'|'loss'|'partial'|'void'|'pending', value, settlementPrice, status, closeTime }
  */
-export async function checkMarketOutcome(ticker, optionId) {
+export async function checkMarketOutcome(ticker, optionId, side = 'yes') {
   try {
     // Try to get detailed market info first (more reliable for settlement status)
     let market = await getMarketDetails(ticker);
@@ -68,94 +116,21 @@ export async function checkMarketOutcome(ticker, optionId) {
       }
     }
     
-    // Check market status - try multiple possible field names
-    const status = market.status || market.market_status || market.state || market.market_state;
-    
-    // Check for settlement indicators - Kalshi uses various status values
-    // Common values: 'open', 'closed', 'settled', 'resolved', 'cancelled'
-    const isSettled = status === 'settled' || 
-                      status === 'closed' || 
-                      status === 'resolved' ||
-                      status === 'finalized' ||
-                      (status && status.toLowerCase().includes('settle')) ||
-                      (status && status.toLowerCase().includes('close'));
-    
-    // Also check if settlement_price exists (even if status doesn't indicate settled)
-    // Try multiple possible field names for settlement price
-    // IMPORTANT: Use !== undefined checks because 0 is a valid settlement price (means NO won)
-    // Kalshi uses different field names: settlement_price, settlement_value, result ("yes"/"no")
-    let settlementPrice = null;
-    
-    // First check numeric settlement fields
-    if (market.settlement_price !== undefined && market.settlement_price !== null) {
-      settlementPrice = market.settlement_price;
-    } else if (market.settlementPrice !== undefined && market.settlementPrice !== null) {
-      settlementPrice = market.settlementPrice;
-    } else if (market.settlement_value !== undefined && market.settlement_value !== null) {
-      settlementPrice = market.settlement_value;
-    } else if (market.settlement !== undefined && market.settlement !== null) {
-      settlementPrice = market.settlement;
-    }
-    
-    // If no numeric settlement price found, check result field
-    // result: "yes" means YES won (settlement = 100), "no" means NO won (settlement = 0)
-    if (settlementPrice === null && market.result !== undefined && market.result !== null) {
-      if (market.result === 'yes' || market.result === true) {
-        settlementPrice = 100;
-      } else if (market.result === 'no' || market.result === false) {
-        settlementPrice = 0;
-      }
-    }
-    
-    // If we have a settlement price, the market is settled regardless of status
-    const hasSettlementPrice = settlementPrice !== null && 
-                               settlementPrice !== undefined && 
-                               settlementPrice !== '';
-    
-    // Market is considered settled if either status indicates settled OR settlement price exists
-    if (!isSettled && !hasSettlementPrice) {
-      // Market is still active/pending - no need to log
-      return { settled: false, outcome: 'pending', status };
-    }
-    
-    // Only log when market is actually settled or when there's an issue
-    if (isSettled || hasSettlementPrice) {
-      logInfo(`Market ${ticker} settled - status: ${status}, settlementPrice: ${settlementPrice}, result: ${market.result || 'N/A'}`);
+    const settlement = parseMarketSettlement(market);
+    if (!settlement.settled) {
+      // Market is still active or awaiting its result - no need to log
+      return { settled: false, outcome: 'pending', status: settlement.status, closeTime: market.close_time || null };
     }
     
-    // If status says settled but no settlement price, log warning but still try to determine outcome
-    if (isSettled && !hasSettlementPrice) {
-      logWarn(`Market ${ticker} status is ${status} but no settlement price available. Checking other fields...`);
-      
-      // Check if there are other indicators of outcome (e.g., yes_bid/no_bid being null/0)
-      // Or check if there's a result field
-      if (market.result !== null && market.result !== undefined) {
-        logInfo(`Market ${ticker} has result field: ${market.result}`);
-        // If result exists, treat as settled
-        const outcome = market.result === 'yes' || market.result === true ? 'win' : 'loss';
-        return {
-          settled: true,
-          outcome,
-          settlementPrice: market.result === 'yes' || market.result === true ? 100 : 0,
-          status
-        };
-      }
-      
-      return { settled: false, outcome: 'pending', error: 'Settlement price not available', status };
-    }
-    
-    // If we have settlement price, use it to determine outcome
-    const finalSettlementPrice = parseFloat(settlementPrice);
-    const outcome = determineBetOutcome(ticker, finalSettlementPrice);
-    
-    // Log outcome when market is settled
-    logInfo(`Market ${ticker} settled: ${outcome} (settlement price: ${finalSettlementPrice})`);
+    const { outcome, value } = gradeLeg(settlement, side);
+    logInfo(`Market ${ticker} settled: ${outcome} (status: ${settlement.status}, result: ${market.result || 'N/A'}, settlement value: ${settlement.yesValue ?? 'N/A'})`);
     
     return {
       settled: true,
       outcome,
-      settlementPrice: finalSettlementPrice,
-      status: status || 'settled'
+      value,
+      settlementPrice: settlement.yesValue,
+      status: settlement.status || 'settled'
     };
   } catch (error) {
     logError(`Error checking market outcome for ${ticker}`, error);
@@ -163,6 +138,150 @@ export async function checkMarketOutcome(ticker, optionId) {
   }
 }
 
+/**
+ * Probability (0-1) the quote priced a leg at
+ * @param {Object} leg - parlay_data leg
+ * @param {Object} quoteBet - Matching leg of quote_data.bets, if stored
+ * @returns {number|null}
+ */
+function getLegProbability(leg, quoteBet) {
+  const prob = parseFloat(leg.prob ?? quoteBet?.probability);
+  return prob > 0 && prob <= 100 ? prob / 100 : null;
+}
+
+/**
+ * Payout multiplier for a parlay's void and partial legs
+ * A void leg's odds (1 / probability) are taken back out of the payout; a partial leg pays
+ * its settlement value per contract instead of $1.
+ * @param {Object} purchase - completed_purchases row
+ * @param {Array} legs - parlay_data legs
+ * @param {Array} outcomes - Settled leg outcomes
+ * @returns {number}
+ */
+function legMultiplier(purchase, legs, outcomes) {
+  const quote = typeof purchase.quote_data === 'string' ? JSON.parse(purchase.quote_data) : purchase.quote_data;
+  let multiplier = 1;
+  for (const o of outcomes) {
+    if (o.outcome === 'void') {
+      const probability = getLegProbability(legs[o.legNumber - 1] || {}, quote?.bets?.[o.legNumber - 1]);
+      if (!probability) {
+        throw new Error(`Leg ${o.legNumber} of ${purchase.session_id} is void but has no stored probability to re-price with`);
+      }
+      multiplier *= probability;
+    } else if (o.outcome === 'partial') {
+      multiplier *= o.value;
+    }
+  }
+  return multiplier;
+}
+
+/**
+ * Settle an all-legs-must-win parlay (a standard parlay, or one round-robin combination)
+ */
+function settleAllLegs(purchase, legs, outcomes, payout) {
+  if (outcomes.some(o => o.outcome === 'loss')) {
+    return { status: 'lost', claimableAmount: 0 };
+  }
+  if (!outcomes.every(o => o.settled)) {
+    return { status: 'pending', claimableAmount: 0 };
+  }
+  if (outcomes.every(o => o.outcome === 'void')) {
+    return { status: 'void', claimableAmount: 0 };
+  }
+  const claimableAmount = Math.round(payout * legMultiplier(purchase, legs, outcomes) * 100) / 100;
+  return { status: 'won', claimableAmount };
+}
+
+/**
+ * Settle a round robin: each combination is graded as its own parlay
+ * A combination whose legs are all void returns its share of the stake (every leg void
+ * voids the ticket, refunded like a standard parlay). The ticket is lost
+ * once every combination has lost, and won (for the sum) once all of them are decided.
+ */
+function settleRoundRobin(purchase, legs, outcomes, table) {
+  if (outcomes.every(o => o.settled && o.outcome === 'void')) {
+    return { status: 'void', claimableAmount: 0 };
+  }
+  let claimableAmount = 0;
+  let pending = false;
+  for (const row of table.rows) {
+    const combo = settleAllLegs(purchase, legs, row.legs.map(n => outcomes.find(o => o.legNumber === n)), row.payout);
+    if (combo.status === 'pending') pending = true;
+    else if (combo.status === 'void') claimableAmount += row.stake;
+    else claimableAmount += combo.claimableAmount;
+  }
+  if (pending) {
+    return { status: 'pending', claimableAmount: 0 };
+  }
+  claimableAmount = Math.round(claimableAmount * 100) / 100;
+  return claimableAmount > 0 ? { status: 'won', claimableAmount } : { status: 'lost', claimableAmount: 0 };
+}
+
+/**
+ * Settle a flex parlay: paid from the tier for the number of legs that didn't lose
+ * Void and partial legs count as hits and scale the payout as on a standard parlay. The
+ * ticket is lost as soon as too many legs have lost to reach the minimum.
+ */
+function settleFlex(purchase, legs, outcomes, table) {
+  const misses = outcomes.filter(o => o.outcome === 'loss').length;
+  if (misses > table.legCount - table.minHits) {
+    return { status: 'lost', claimableAmount: 0 };
+  }
+  if (!outcomes.every(o => o.settled)) {
+    return { status: 'pending', claimableAmount: 0 };
+  }
+  if (outcomes.every(o => o.outcome === 'void')) {
+    return { status: 'void', claimableAmount: 0 };
+  }
+  const tier = table.rows.find(row => row.hits === table.legCount - misses);
+  const claimableAmount = Math.round(tier.payout * legMultiplier(purchase, legs, outcomes) * 100) / 100;
+  return { status: 'won', claimableAmount };
+}
+
+/**
+ * Settle a parlay from its leg outcomes
+ * Void legs are pushes: the parlay is re-priced without them by taking each one's odds
+ * (1 / probability) back out of the payout. A partial leg pays its settlement value per
+ * contract instead of $1, so it scales the payout by that value. If every leg is void the
+ * parlay is void and the stake is returned. One lost leg loses a standard parlay straight
+ * away, without waiting for the other legs to settle; round robins and flex parlays are
+ * graded against their payout table (see parlayTypes.js).
+ * @param {Object} purchase - completed_purchases row
+ * @param {Array} legs - parlay_data legs
+ * @param {Array} outcomes - { legNumber, settled, outcome, value } per leg
+ * @returns {Object} { status: 'pending'|'won'|'lost'|'void', claimableAmount }
+ */
+export function settleParlay(purchase, legs, outcomes) {
+  const table = getPurchasePayoutTable(purchase);
+  if (table?.type === 'round_robin') {
+    return settleRoundRobin(purchase, legs, outcomes, table);
+  }
+  if (table?.type === 'flex') {
+    return settleFlex(purchase, legs, outcomes, table);
+  }
+  return settleAllLegs(purchase, legs, outcomes, parseFloat(purchase.payout));
+}
+
+/**
+ * Retry the hedge unwind of a cashed-out parlay, on the legs not known to have settled
+ * @param {Object} purchase - completed_purchases row
+ */
+async function retryCashOutUnwind(purchase) {
+  const legs = typeof purchase.parlay_data === 'string' ? JSON.parse(purchase.parlay_data) : purchase.parlay_data || [];
+  const stored = await getParlayBetOutcomes(purchase.id);
+  const outcomes = legs.map((_, i) => {
+    const row = stored.find(o => o.leg_number === i + 1);
+    return row?.market_status === 'settled'
+      ? { legNumber: i + 1, settled: true, outcome: row.outcome, settlementPrice: row.settlement_price ?? null }
+      : { legNumber: i + 1, settled: false };
+  });
+  try {
+    await unwindParlayHedges(purchase, outcomes);
+  } catch (error) {
+    logError(`Error unwinding hedges for cashed-out parlay ${purchase.session_id}`, error);
+  }
+}
+
 /**
  * Check all legs of a parlay and update status
  * @param {string} sessionId - Purchase session ID
@@ -174,6 +293,15 @@ export async function checkParlayStatus(sessionId) {
     throw new Error('Purchase not found');
   }
   
+  // A cash-out is final: the legs no longer decide anything
+  if (purchase.parlay_status === 'cashed_out') {
+    // Finish an unwind the accept (or an earlier check) left with contracts still open
+    if (!purchase.hedge_unwound_at) {
+      await retryCashOutUnwind(purchase);
+    }
+    return { status: 'cashed_out', claimableAmount: 0, outcomes: [], allSettled: false };
+  }
+  
   const parlayData = typeof purchase.parlay_data === 'string' 
     ? JSON.parse(purchase.parlay_data) 
     : purchase.parlay_data || [];
@@ -191,18 +319,21 @@ export async function checkParlayStatus(sessionId) {
     // Check if this leg is already settled in database
     const existingOutcome = existingOutcomes.find(o => o.leg_number === legNumber);
     
-    // Only use existing outcome if it's settled AND has a valid settlement price
+    // Only use existing outcome if it's settled AND has a valid settlement price (void legs have none)
     // If settlement_price is null, we need to re-check Kalshi to get the correct value
     if (existingOutcome && 
         existingOutcome.market_status === 'settled' && 
-        existingOutcome.settlement_price !== null && 
-        existingOutcome.settlement_price !== undefined) {
+        (existingOutcome.outcome === 'void' ||
+         (existingOutcome.settlement_price !== null && existingOutcome.settlement_price !== undefined))) {
       // Use existing settled outcome from database (don't check Kalshi)
+      const settlementPrice = existingOutcome.outcome === 'void' ? null : parseFloat(existingOutcome.settlement_price);
+      const { outcome, value } = gradeLeg({ settled: true, voided: existingOutcome.outcome === 'void', yesValue: settlementPrice }, leg.side);
       outcomes.push({
         legNumber,
         settled: true,
-        outcome: existingOutcome.outcome,
-        settlementPrice: parseFloat(existingOutcome.settlement_price)
+        outcome,
+        value,
+        settlementPrice
       });
       continue;
     }
@@ -224,7 +355,8 @@ export async function checkParlayStatus(sessionId) {
       continue;
     }
     
-    const result = await checkMarketOutcome(leg.ticker, leg.optionId || leg.ticker);
+    const result = await checkMarketOutcome(leg.ticker, leg.optionId || leg.ticker, leg.side);
+    const marketStatus = result.settled ? 'settled' : 'open';
     
     // Update database
     await updateParlayBetOutcome(
@@ -232,34 +364,55 @@ export async function checkParlayStatus(sessionId) {
       legNumber,
       leg.ticker,
       leg.optionId || leg.ticker,
-      result.settled ? 'settled' : 'open',
+      marketStatus,
       result.outcome,
-      result.settlementPrice
+      result.settled ? result.settlementPrice : null
     );
     
+    if (result.settled) {
+      await postSettlementToLedger(sessionId, legNumber, result.outcome, result.settlementPrice);
+      await postNettingSettlementToLedger(leg.ticker, leg.side, result.outcome, result.settlementPrice);
+    }
+    
+    // Tell open event streams when a leg settles or its stored outcome changes
+    const legChanged = existingOutcome
+      ? existingOutcome.market_status !== marketStatus || existingOutcome.outcome !== result.outcome
+      : result.settled;
+    if (legChanged) {
+      publishParlayEvent(purchase.user_uuid, {
+        type: 'leg',
+        sessionId,
+        legNumber,
+        ticker: leg.ticker,
+        settled: result.settled,
+        outcome: result.outcome,
+        settlementPrice: result.settled ? result.settlementPrice : null
+      });
+    }
+    
     outcomes.push({
       legNumber,
       ...result
     });
   }
   
-  // Determine overall parlay status
-  const allSettled = outcomes.every(o => o.settled);
-  const anyLost = outcomes.some(o => o.outcome === 'loss');
-  const allWon = outcomes.every(o => o.outcome === 'win');
-  
-  let parlayStatus = 'pending';
-  let claimableAmount = 0;
+  const { status: parlayStatus, claimableAmount } = settleParlay(purchase, parlayData, outcomes);
   
-  if (allSettled) {
-    if (allWon) {
-      parlayStatus = 'won';
-      claimableAmount = parseFloat(purchase.payout);
-    } else {
-      parlayStatus = 'lost';
-      claimableAmount = 0;
+  // A lost parlay can't pay anything: close out hedges on the legs still open
+  if (parlayStatus === 'lost' && !purchase.hedge_unwound_at) {
+    try {
+      await unwindParlayHedges(purchase, outcomes);
+    } catch (error) {
+      logError(`Error unwinding hedges for parlay ${sessionId}`, error);
     }
   }
+  // A lost parlay can be resolved while some of its legs are still open
+  const allSettled = outcomes.every(o => o.settled);
+  
+  // Every leg void: nothing was bet, so the stake goes back (keyed on the session, so only once)
+  if (parlayStatus === 'void') {
+    await recordRefund(purchase.user_id, sessionId, parseFloat(purchase.stake), 'All parlay legs voided');
+  }
   
   // Update parlay status
   await updateParlayStatus(
@@ -268,6 +421,11 @@ export async function checkParlayStatus(sessionId) {
     claimableAmount
   );
   
+  const previousStatus = purchase.parlay_status || 'pending';
+  if (previousStatus !== parlayStatus || parseFloat(purchase.claimable_amount || 0) !== claimableAmount) {
+    publishParlayEvent(purchase.user_uuid, { type: 'status', sessionId, status: parlayStatus, claimableAmount });
+  }
+  
   return {
     status: parlayStatus,
     claimableAmount,
@@ -277,22 +435,69 @@ export async function checkParlayStatus(sessionId) {
 }
 
 /**
- * Batch check all active parlays
- * Should be run periodically (cron job or scheduled task)
+ * When to check a parlay next, from the close times of its open legs
+ * A leg whose market has closed is waiting on its result, so it's checked most often; legs
+ * closing soon are checked more often than ones that close weeks out.
+ * @param {Array} outcomes - Leg outcomes from checkParlayStatus (open legs carry closeTime)
+ * @param {number} now - Current time in ms
+ * @returns {Date} Next check time
  */
-export async function checkAllActiveParlays() {
-  const activeParlays = await getActiveParlays();
+export function nextStatusCheckAt(outcomes, now = Date.now()) {
+  const settings = CONFIG.SETTLEMENT;
+  const closeTimes = outcomes
+    .filter(o => !o.settled && o.closeTime)
+    .map(o => Date.parse(o.closeTime))
+    .filter(time => !Number.isNaN(time));
   
-  logInfo(`Checking ${activeParlays.length} active parlays...`);
+  let delay = settings.DEFAULT_INTERVAL_MS;
+  if (closeTimes.length > 0) {
+    const untilClose = Math.min(...closeTimes) - now;
+    if (untilClose <= 0) {
+      delay = settings.CLOSED_INTERVAL_MS;
+    } else if (untilClose <= settings.CLOSING_SOON_MS) {
+      delay = settings.CLOSING_SOON_INTERVAL_MS;
+    } else {
+      // Don't sleep past the start of the closing-soon window
+      delay = Math.min(delay, untilClose - settings.CLOSING_SOON_MS);
+    }
+  }
+  return new Date(now + delay);
+}
+
+/**
+ * Check the parlays that are due, most overdue first (the settlement job)
+ * Each parlay's next check is stored as soon as it's checked, so a run that dies part way
+ * loses nothing: the parlays it didn't reach are still due for the next run.
+ * @param {Object} options
+ * @param {number} options.concurrency - Parlays checked in parallel
+ * @param {number} options.limit - Parlays checked per run
+ * @returns {Promise<Object>} { due, checked, resolved, failed }
+ */
+export async function checkDueParlays({ concurrency = CONFIG.SETTLEMENT.CONCURRENCY, limit = CONFIG.SETTLEMENT.BATCH_SIZE } = {}) {
+  const dueParlays = await getParlaysDueForStatusCheck(limit);
   
-  for (const parlay of activeParlays) {
+  const results = await mapWithConcurrency(dueParlays, concurrency, async parlay => {
     try {
-      await checkParlayStatus(parlay.session_id);
+      const { status, outcomes } = await checkParlayStatus(parlay.session_id);
+      await setParlayNextStatusCheck(parlay.session_id, nextStatusCheckAt(outcomes).toISOString());
+      return (parlay.parlay_status || 'pending') === 'pending' && status !== 'pending';
     } catch (error) {
       logError(`Error checking parlay ${parlay.session_id}`, error);
+      // Back off instead of retrying a broken parlay at the head of every run
+      await setParlayNextStatusCheck(parlay.session_id, new Date(Date.now() + CONFIG.SETTLEMENT.DEFAULT_INTERVAL_MS).toISOString())
+        .catch(() => {});
+      throw error;
     }
+  });
+  
+  const failed = results.filter(r => r.status === 'rejected');
+  const resolved = results.filter(r => r.status === 'fulfilled' && r.value).length;
+  if (dueParlays.length > 0 && failed.length === dueParlays.length) {
+    throw new Error(`All ${failed.length} parlay checks failed: ${failed[0].reason.message}`);
   }
   
-  logInfo(`Finished checking ${activeParlays.length} parlays`);
+  if (dueParlays.length > 0) {
+    logDebug(`Checked ${dueParlays.length} parlays (${resolved} resolved, ${failed.length} failed)`);
+  }
+  return { due: dueParlays.length, checked: dueParlays.length - failed.length, resolved, failed: failed.length };
 }
-
@@ -0,0 +1,170 @@
+/**
+ * Parlay Types
+ * Round-robin and flex ("n of m") parlays alongside the standard all-legs-must-win parlay
+ *
+ *   standard     every leg must win (the default)
+ *   round_robin  the stake is split evenly over every `size`-leg combination of the slip;
+ *                each combination is its own parlay and pays when all of its legs win
+ *   flex         one ticket that pays when at least `minHits` legs win, less for each miss
+ *                (every missed leg multiplies the payout by CONFIG.PARLAY_TYPES.FLEX_TIER_RATIO)
+ *
+ * Every type is priced from the engine's quote for the whole slip: each payout in the table is
+ * the fair payout with independent legs times the quote's recommendedPayoutPercentage, so the
+ * margin tier, correlation and liquidity adjustments carry over. The quote's adjustedPayout
+ * becomes the most the ticket can pay (every leg winning) - what risk limits and hedges are
+ * sized against. Grading against the payout table is in parlayStatusService.settleParlay.
+ */
+
+import { CONFIG, ERROR_MESSAGES, HTTP_STATUS } from '../config/constants.js';
+import { enumerateLegOutcomes } from './hedgingService.js';
+
+const roundCents = amount => Math.round(amount * 100) / 100;
+const roundProbability = probability => parseFloat(probability.toFixed(6));
+
+/**
+ * Validate the parlay type requested with a quote
+ * @param {string|Object} input - 'standard', or { type, size } for round robins / { type, minHits } for flex
+ * @param {number} legCount - Legs on the slip
+ * @returns {Object} { valid: true, parlayType } or { valid: false, status, error }
+ */
+export function parseParlayType(input, legCount) {
+  const spec = typeof input === 'string' ? { type: input } : input || {};
+  const type = spec.type || 'standard';
+  const invalid = error => ({ valid: false, status: HTTP_STATUS.BAD_REQUEST, error });
+
+  if (!CONFIG.PARLAY_TYPES.TYPES.includes(type)) {
+    return invalid(ERROR_MESSAGES.PARLAY.INVALID_TYPE);
+  }
+  if (type === 'standard') {
+    return { valid: true, parlayType: { type } };
+  }
+
+  const { MIN_LEGS, MAX_LEGS } = CONFIG.PARLAY_TYPES;
+  if (legCount < MIN_LEGS || legCount > MAX_LEGS) {
+    return invalid(`Round robins and flex parlays need between ${MIN_LEGS} and ${MAX_LEGS} legs`);
+  }
+  if (type === 'round_robin') {
+    const size = Number(spec.size);
+    if (!Number.isInteger(size) || size < 2 || size >= legCount) {
+      return invalid(ERROR_MESSAGES.PARLAY.INVALID_ROUND_ROBIN_SIZE);
+    }
+    return { valid: true, parlayType: { type, size } };
+  }
+
+  const minHits = Number(spec.minHits);
+  if (!Number.isInteger(minHits) || minHits < 2 || minHits >= legCount) {
+    return invalid(ERROR_MESSAGES.PARLAY.INVALID_FLEX_MIN_HITS);
+  }
+  return { valid: true, parlayType: { type, minHits } };
+}
+
+/**
+ * Every `size`-element combination of 0..count-1, in lexicographic order
+ */
+function combinations(count, size, start = 0) {
+  if (size === 0) return [[]];
+  const result = [];
+  for (let i = start; i <= count - size; i++) {
+    for (const rest of combinations(count, size - 1, i + 1)) {
+      result.push([i, ...rest]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Payout table for a parlay type
+ * @param {Array} bets - Priced legs with prob (percent)
+ * @param {number} stake - Stake in dollars
+ * @param {Object} parlayType - From parseParlayType
+ * @param {number} payoutPercentage - Percentage of the fair payout to offer (the quote's recommendedPayoutPercentage)
+ * @returns {Object} { type, legCount, size|minHits, maxPayout, rows } - rows are { hits, payout, probability }
+ *   per number of winning legs, or { legs, stake, payout, probability } per round-robin combination
+ */
+export function buildPayoutTable(bets, stake, parlayType, payoutPercentage) {
+  const legCount = bets.length;
+  const probabilities = bets.map(bet => bet.prob / 100);
+  const share = payoutPercentage / 100;
+
+  if (parlayType.type === 'round_robin') {
+    const combos = combinations(legCount, parlayType.size);
+    const comboStake = stake / combos.length;
+    const rows = combos.map(legs => {
+      const probability = legs.reduce((acc, i) => acc * probabilities[i], 1);
+      return {
+        legs: legs.map(i => i + 1),
+        stake: roundCents(comboStake),
+        payout: roundCents((comboStake / probability) * share),
+        probability: roundProbability(probability)
+      };
+    });
+    return { type: 'round_robin', legCount, size: parlayType.size, maxPayout: roundCents(rows.reduce((sum, row) => sum + row.payout, 0)), rows };
+  }
+
+  if (parlayType.type === 'flex') {
+    const ratio = CONFIG.PARLAY_TYPES.FLEX_TIER_RATIO;
+    const exactly = new Array(legCount + 1).fill(0);
+    for (const { legResults, probability } of enumerateLegOutcomes(bets)) {
+      exactly[legResults.filter(Boolean).length] += probability;
+    }
+    // Fair full-ticket payout: the one at which the expected payout over all paying tiers equals the stake
+    const tiers = [];
+    for (let hits = legCount; hits >= parlayType.minHits; hits--) tiers.push(hits);
+    const fairFull = stake / tiers.reduce((sum, hits) => sum + exactly[hits] * Math.pow(ratio, legCount - hits), 0);
+    const rows = tiers.map(hits => ({
+      hits,
+      payout: roundCents(fairFull * Math.pow(ratio, legCount - hits) * share),
+      probability: roundProbability(exactly[hits])
+    }));
+    return { type: 'flex', legCount, minHits: parlayType.minHits, maxPayout: rows[0].payout, rows };
+  }
+
+  const probability = probabilities.reduce((acc, p) => acc * p, 1);
+  const payout = roundCents((stake / probability) * share);
+  return { type: 'standard', legCount, maxPayout: payout, rows: [{ hits: legCount, payout, probability: roundProbability(probability) }] };
+}
+
+/**
+ * Price a quote as the requested parlay type
+ * Attaches quote.parlayType and quote.payoutTable, and sets adjustedPayout (and the fields
+ * derived from it) to the most the ticket can pay. Run after applyLiquidityMargin.
+ * @param {Object} quote - Quote from generateParlayQuoteWithFallback
+ * @param {Array} bets - Priced legs the quote was generated for
+ * @param {Object} parlayType - From parseParlayType
+ * @returns {Object} The same quote, mutated
+ */
+export function applyParlayType(quote, bets, parlayType) {
+  const table = buildPayoutTable(bets, quote.stake, parlayType, Number(quote.payout.recommendedPayoutPercentage));
+
+  if (parlayType.type === 'standard') {
+    // Keep the engine's payout exactly as quoted
+    table.maxPayout = parseFloat(quote.payout.adjustedPayout);
+    table.rows[0].payout = table.maxPayout;
+  } else {
+    quote.payout = {
+      ...quote.payout,
+      adjustedPayout: table.maxPayout.toFixed(2),
+      potentialProfit: (table.maxPayout - quote.stake).toFixed(2),
+      effectiveOdds: (table.maxPayout / quote.stake).toFixed(2)
+    };
+  }
+  quote.parlayType = parlayType;
+  quote.payoutTable = table;
+
+  return quote;
+}
+
+/**
+ * Payout table a purchase is graded against (null for standard parlays)
+ * @param {Object} purchase - completed_purchases row
+ * @returns {Object|null}
+ */
+export function getPurchasePayoutTable(purchase) {
+  if ((purchase.parlay_type || 'standard') === 'standard') return null;
+  const parse = value => (typeof value === 'string' ? JSON.parse(value) : value);
+  const table = parse(purchase.payout_table) || parse(purchase.quote_data)?.payoutTable;
+  if (!table || table.type !== purchase.parlay_type) {
+    throw new Error(`${purchase.parlay_type} parlay ${purchase.session_id} has no payout table`);
+  }
+  return table;
+}
@@ -0,0 +1,190 @@
+/**
+ * Rule-Based Pricing Engine
+ * Deterministic, offline parlay pricing used when the OpenAI quote is unavailable
+ *
+ * Correlation is inferred from Kalshi ticker prefixes:
+ *   KXNFLGAME-25NOV16SEALA-SEA
+ *   └─series─┘└────event────┘└option
+ * Legs sharing an event are strongly correlated, legs sharing only a series mildly so.
+ */
+
+import { ENV } from '../config/env.js';
+import { CONFIG } from '../config/constants.js';
+
+/**
+ * Split a Kalshi ticker into its series and event prefixes
+ * @param {string} ticker - Market ticker (e.g., "KXNFLGAME-25NOV16SEALA-SEA")
+ * @returns {{series: string|null, event: string|null}}
+ */
+export function parseTickerPrefixes(ticker) {
+  if (!ticker) return { series: null, event: null };
+  const parts = ticker.toUpperCase().split('-');
+  return {
+    series: parts[0] || null,
+    event: parts.length >= 2 ? parts.slice(0, 2).join('-') : null
+  };
+}
+
+/**
+ * Group legs by shared event and shared series
+ * A leg counted in an event group is not counted again in its series group.
+ * @param {Array} bets - Bet objects with ticker
+ * @returns {{eventGroups: Array<Array<number>>, seriesGroups: Array<Array<number>>}} Groups of leg indexes (size >= 2)
+ */
+export function detectCorrelatedLegs(bets) {
+  const byEvent = new Map();
+  bets.forEach((bet, idx) => {
+    const { event } = parseTickerPrefixes(bet.ticker);
+    if (!event) return;
+    if (!byEvent.has(event)) byEvent.set(event, []);
+    byEvent.get(event).push(idx);
+  });
+  const eventGroups = [...byEvent.values()].filter(group => group.length >= 2);
+  const inEventGroup = new Set(eventGroups.flat());
+
+  // Series groups are formed from one representative per event so an event pair isn't double-counted
+  const bySeries = new Map();
+  const seenEvents = new Set();
+  bets.forEach((bet, idx) => {
+    const { series, event } = parseTickerPrefixes(bet.ticker);
+    if (!series) return;
+    if (inEventGroup.has(idx)) {
+      if (seenEvents.has(event)) return;
+      seenEvents.add(event);
+    }
+    if (!bySeries.has(series)) bySeries.set(series, []);
+    bySeries.get(series).push(idx);
+  });
+  const seriesGroups = [...bySeries.values()].filter(group => group.length >= 2);
+
+  return { eventGroups, seriesGroups };
+}
+
+function getCorrelationFactors() {
+  return {
+    sameEvent: ENV.PRICING_SAME_EVENT_FACTOR ?? CONFIG.PRICING.CORRELATION_FACTORS.SAME_EVENT,
+    sameSeries: ENV.PRICING_SAME_SERIES_FACTOR ?? CONFIG.PRICING.CORRELATION_FACTORS.SAME_SERIES
+  };
+}
+
+function getPayoutPercentage(numLegs, correlated) {
+  const tier = CONFIG.PRICING.MARGIN_TIERS.find(t => numLegs <= t.maxLegs)
+    || CONFIG.PRICING.MARGIN_TIERS[CONFIG.PRICING.MARGIN_TIERS.length - 1];
+  return tier.payoutPercentage - (correlated ? CONFIG.PRICING.CORRELATED_MARGIN_PENALTY : 0);
+}
+
+/**
+ * Build the quote object returned by /api/quote
+ * Shared by the OpenAI and rule-based engines so both produce the exact same shape
+ * @param {Array} bets - Bet objects with marketTitle, optionLabel, prob, ticker...
+ * @param {number} stake - Stake in dollars
+ * @param {Object} analysis - Pricing analysis
+ * @param {number} analysis.adjustedProbability - Correlation-adjusted probability (0-1)
+ * @param {number} analysis.recommendedPayoutPercentage - Percentage of naive payout to offer
+ * @param {string} pricingEngine - Engine that produced the analysis ('openai' or 'rule_based')
+ * @returns {Object} Quote
+ */
+export function buildParlayQuote(bets, stake, analysis, pricingEngine) {
+  const naiveCombinedProb = bets.reduce((acc, bet) => acc * (bet.prob / 100), 1);
+  const naivePayout = stake / naiveCombinedProb;
+
+  const adjustedPayout = naivePayout * (analysis.recommendedPayoutPercentage / 100);
+  const potentialProfit = adjustedPayout - stake;
+  const effectiveOdds = adjustedPayout / stake;
+
+  return {
+    stake: stake,
+    bets: bets.map(b => ({
+      market: b.marketTitle,
+      option: b.optionLabel,
+      probability: b.prob,
+      ticker: b.ticker || null,
+      marketId: b.marketId || null,
+      side: b.side || null,
+      marketUrl: b.marketUrl || null,
+      imageUrl: b.imageUrl || null
+    })),
+    analysis: {
+      naiveCombinedProbability: (naiveCombinedProb * 100).toFixed(2) + '%',
+      adjustedProbability: (analysis.adjustedProbability * 100).toFixed(2) + '%',
+      correlationFactor: analysis.correlationFactor,
+      correlationAnalysis: analysis.correlationAnalysis,
+      reasoning: analysis.reasoning,
+      riskAssessment: analysis.riskAssessment,
+      confidenceLevel: analysis.confidenceLevel
+    },
+    payout: {
+      naivePayout: naivePayout.toFixed(2),
+      recommendedPayoutPercentage: analysis.recommendedPayoutPercentage,
+      adjustedPayout: adjustedPayout.toFixed(2),
+      potentialProfit: potentialProfit.toFixed(2),
+      effectiveOdds: effectiveOdds.toFixed(2)
+    },
+    pricingEngine,
+    timestamp: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + CONFIG.PRICING.QUOTE_TTL_MS).toISOString()
+  };
+}
+
+/**
+ * Price a parlay without any network access
+ * Same-event and same-series legs raise the combined probability by the configured
+ * correlation factors (capped at the least likely leg), then a margin tier is applied.
+ * @param {Array} bets - Bet objects with marketTitle, optionLabel, prob, ticker
+ * @param {number} stake - The stake amount in dollars
+ * @returns {Object} { success, quote } in the same shape as generateParlayQuote
+ */
+export function generateRuleBasedQuote(bets, stake) {
+  if (!bets || bets.length === 0) {
+    throw new Error('No bets provided');
+  }
+
+  const naiveCombinedProb = bets.reduce((acc, bet) => acc * (bet.prob / 100), 1);
+  const { eventGroups, seriesGroups } = detectCorrelatedLegs(bets);
+  const factors = getCorrelationFactors();
+
+  // Each extra leg in a correlated group multiplies the joint probability by the factor
+  let correlationFactor = 1;
+  eventGroups.forEach(group => { correlationFactor *= Math.pow(factors.sameEvent, group.length - 1); });
+  seriesGroups.forEach(group => { correlationFactor *= Math.pow(factors.sameSeries, group.length - 1); });
+
+  // The joint probability can never exceed the least likely leg, nor drop below naive
+  const minLegProb = Math.min(...bets.map(bet => bet.prob / 100));
+  const adjustedProbability = Math.max(naiveCombinedProb, Math.min(naiveCombinedProb * correlationFactor, minLegProb));
+  const effectiveFactor = adjustedProbability / naiveCombinedProb;
+
+  const correlated = eventGroups.length > 0 || seriesGroups.length > 0;
+  const basePercentage = getPayoutPercentage(bets.length, correlated);
+  // Scale the naive payout down by the correlation uplift as well as the margin tier
+  const recommendedPayoutPercentage = parseFloat((basePercentage / effectiveFactor).toFixed(2));
+
+  const describeGroups = (groups) => groups
+    .map(group => group.map(idx => `leg ${idx + 1}`).join(' & '))
+    .join('; ');
+
+  const analysisParts = [];
+  if (eventGroups.length > 0) {
+    analysisParts.push(`Same event: ${describeGroups(eventGroups)} (factor ${factors.sameEvent} per extra leg)`);
+  }
+  if (seriesGroups.length > 0) {
+    analysisParts.push(`Same series: ${describeGroups(seriesGroups)} (factor ${factors.sameSeries} per extra leg)`);
+  }
+
+  const riskAssessment = eventGroups.length > 0 || bets.length > 6
+    ? 'high'
+    : correlated || bets.length > 3 ? 'medium' : 'low';
+
+  const quote = buildParlayQuote(bets, stake, {
+    adjustedProbability,
+    correlationFactor: parseFloat(effectiveFactor.toFixed(4)),
+    correlationAnalysis: analysisParts.length > 0
+      ? analysisParts.join('. ')
+      : 'No shared events or series detected - legs treated as independent',
+    reasoning: `Rule-based pricing: ${bets.length}-leg margin tier offers ${basePercentage}% of the correlation-adjusted fair payout`,
+    riskAssessment,
+    confidenceLevel: 'Deterministic rule-based estimate from ticker prefixes only',
+    recommendedPayoutPercentage
+  }, 'rule_based');
+
+  return { success: true, quote };
+}
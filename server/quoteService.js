@@ -0,0 +1,206 @@
+/**
+ * Quote Service
+ * Persists server-issued parlay quotes and validates them when a parlay is placed
+ *
+ * Every quote returned by /api/quote is stored with a server-side ID and an
+ * HMAC signature binding it to the user, the legs and the stake. Placement
+ * only accepts a quote ID, so payout and hedging data can't be supplied by the client.
+ */
+
+import crypto from 'crypto';
+import { ENV } from '../config/env.js';
+import { ERROR_MESSAGES, HTTP_STATUS } from '../config/constants.js';
+import { saveParlayQuote, getParlayQuote, markParlayQuoteUsed, releaseParlayQuote } from './db.js';
+import { logInfo, logWarn } from './utils/logger.js';
+
+// Fall back to a per-process key outside production (validateEnvironment enforces it there)
+let signingSecret = ENV.QUOTE_SIGNING_SECRET;
+if (!signingSecret) {
+  signingSecret = crypto.randomBytes(32).toString('hex');
+  logWarn('[Quote] QUOTE_SIGNING_SECRET is not set - using a random key, quotes will not survive a restart');
+}
+
+/**
+ * Serialize a value to JSON with object keys sorted recursively
+ * JSONB does not preserve key order, so signatures must not depend on it
+ * @param {any} value - Value to serialize
+ * @returns {string} Canonical JSON string
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * Build an order-independent fingerprint of a parlay's legs
+ * A leg is identified by its Kalshi ticker (falling back to option/market ID) and side
+ * @param {Array} legs - Bet objects with ticker/optionId/marketId and side
+ * @returns {string} SHA-256 hex digest
+ */
+export function buildLegsFingerprint(legs) {
+  const keys = (legs || []).map(leg => {
+    const id = (leg.ticker || leg.optionId || leg.marketId || '').toString().toUpperCase();
+    const side = (leg.side || 'yes').toString().toLowerCase();
+    return `${id}:${side}`;
+  }).sort();
+  return sha256(keys.join('|'));
+}
+
+/**
+ * Compute the HMAC signature for a stored quote
+ * @param {Object} record - Quote row fields
+ * @returns {string} Hex-encoded HMAC-SHA256
+ */
+function signQuoteRecord(record) {
+  const payload = canonicalJson({
+    id: record.id,
+    userId: record.user_uuid,
+    legsHash: record.legs_hash,
+    stake: Number(record.stake).toFixed(2),
+    expiresAt: new Date(record.expires_at).toISOString(),
+    quoteHash: sha256(canonicalJson(record.quote_data))
+  });
+  return crypto.createHmac('sha256', signingSecret).update(payload, 'utf8').digest('hex');
+}
+
+function signaturesMatch(expected, actual) {
+  const expectedBuf = Buffer.from(expected || '', 'hex');
+  const actualBuf = Buffer.from(actual || '', 'hex');
+  return expectedBuf.length === actualBuf.length && crypto.timingSafeEqual(expectedBuf, actualBuf);
+}
+
+/**
+ * Persist a generated quote and attach its server-side ID
+ * @param {string} userId - User the quote is issued to
+ * @param {Array} bets - Legs the quote was priced for
+ * @param {number} stake - Stake in dollars
+ * @param {Object} quote - Quote object from generateParlayQuote (with hedgingStrategy attached)
+ * @returns {Promise<Object>} The quote with quoteId set
+ */
+export async function issueQuote(userId, bets, stake, quote) {
+  const quoteId = `quote_${crypto.randomUUID()}`;
+  const issuedQuote = { ...quote, quoteId };
+
+  const record = {
+    id: quoteId,
+    user_uuid: userId,
+    legs_hash: buildLegsFingerprint(bets),
+    stake: Number(stake),
+    quote_data: issuedQuote,
+    pricing_engine: quote.pricingEngine || null,
+    expires_at: quote.expiresAt
+  };
+  record.signature = signQuoteRecord(record);
+
+  await saveParlayQuote(record);
+  logInfo(`[Quote] Issued quote ${quoteId} for user ${userId} (${bets.length} legs, $${Number(stake).toFixed(2)} stake, engine: ${quote.pricingEngine})`);
+
+  return issuedQuote;
+}
+
+/**
+ * Validate a quote for placement and mark it as used
+ * Checks signature, ownership, expiry, prior use, legs and stake - in that order.
+ * The quote is only consumed when every check passes; a placement rejected after this
+ * hands it back with releaseQuote.
+ * @param {string} quoteId - Server-issued quote ID
+ * @param {string} userId - User placing the parlay
+ * @param {Array} parlayBets - Legs submitted with the placement
+ * @param {number|undefined} stake - Stake submitted with the placement (optional)
+ * @param {string} sessionId - Purchase session ID the quote is being redeemed for
+ * @returns {Promise<Object>} { valid: true, quote, stake } or { valid: false, status, error }
+ */
+export async function redeemQuote(quoteId, userId, parlayBets, stake, sessionId) {
+  if (!quoteId) {
+    return { valid: false, status: HTTP_STATUS.BAD_REQUEST, error: ERROR_MESSAGES.QUOTE.QUOTE_ID_REQUIRED };
+  }
+
+  const record = await getParlayQuote(quoteId);
+  if (!record) {
+    return { valid: false, status: HTTP_STATUS.NOT_FOUND, error: ERROR_MESSAGES.QUOTE.NOT_FOUND };
+  }
+
+  if (!signaturesMatch(signQuoteRecord(record), record.signature)) {
+    logWarn(`[Quote] Signature mismatch for quote ${quoteId}`);
+    return { valid: false, status: HTTP_STATUS.BAD_REQUEST, error: ERROR_MESSAGES.QUOTE.INVALID_SIGNATURE };
+  }
+
+  if (record.user_uuid !== userId) {
+    logWarn(`[Quote] Quote ${quoteId} belongs to ${record.user_uuid}, redeemed by ${userId}`);
+    return { valid: false, status: HTTP_STATUS.FORBIDDEN, error: ERROR_MESSAGES.QUOTE.USER_MISMATCH };
+  }
+
+  if (new Date(record.expires_at).getTime() <= Date.now()) {
+    return { valid: false, status: HTTP_STATUS.GONE, error: ERROR_MESSAGES.QUOTE.EXPIRED };
+  }
+
+  if (record.used_at) {
+    return { valid: false, status: HTTP_STATUS.CONFLICT, error: ERROR_MESSAGES.QUOTE.ALREADY_USED };
+  }
+
+  if (buildLegsFingerprint(parlayBets) !== record.legs_hash) {
+    return { valid: false, status: HTTP_STATUS.BAD_REQUEST, error: ERROR_MESSAGES.QUOTE.LEGS_MISMATCH };
+  }
+
+  const quotedStake = parseFloat(record.stake);
+  if (stake !== undefined && stake !== null && Math.abs(parseFloat(stake) - quotedStake) > 0.005) {
+    return { valid: false, status: HTTP_STATUS.BAD_REQUEST, error: ERROR_MESSAGES.QUOTE.STAKE_MISMATCH };
+  }
+
+  // Conditional update - loses the race if another request redeemed it first
+  const marked = await markParlayQuoteUsed(quoteId, sessionId);
+  if (!marked) {
+    return { valid: false, status: HTTP_STATUS.CONFLICT, error: ERROR_MESSAGES.QUOTE.ALREADY_USED };
+  }
+
+  logInfo(`[Quote] Redeemed quote ${quoteId} for session ${sessionId}`);
+  return { valid: true, quote: record.quote_data, stake: quotedStake };
+}
+
+/**
+ * Hand back a quote whose placement was rejected (limits, balance) or failed before the
+ * purchase was saved, so the user can retry with it while it hasn't expired
+ * Failures are logged, never thrown: the placement is already being answered.
+ * @param {string} quoteId - Redeemed quote ID
+ * @param {string} sessionId - Purchase session ID it was redeemed for
+ * @returns {Promise<void>}
+ */
+export async function releaseQuote(quoteId, sessionId) {
+  try {
+    if (await releaseParlayQuote(quoteId, sessionId)) {
+      logInfo(`[Quote] Released quote ${quoteId} from session ${sessionId}`);
+    }
+  } catch (err) {
+    logWarn(`[Quote] Could not release quote ${quoteId} from session ${sessionId}: ${err.message}`);
+  }
+}
+
+/**
+ * Overwrite client-supplied leg probabilities with the ones the quote was priced at
+ * Legs are matched by ticker and side; the stored parlay data then reflects the quote
+ * @param {Array} parlayBets - Legs submitted with the placement
+ * @param {Object} quote - Redeemed quote data
+ * @returns {Array} Legs with quoted probabilities
+ */
+export function applyQuotedLegs(parlayBets, quote) {
+  const quotedLegs = quote?.bets || [];
+  return parlayBets.map(bet => {
+    const match = quotedLegs.find(leg =>
+      (leg.ticker || '').toUpperCase() === (bet.ticker || '').toUpperCase() &&
+      (leg.side || 'yes').toLowerCase() === (bet.side || 'yes').toLowerCase()
+    );
+    return match && match.probability !== undefined && match.probability !== null
+      ? { ...bet, prob: match.probability }
+      : bet;
+  });
+}
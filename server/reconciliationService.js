@@ -0,0 +1,254 @@
+/**
+ * Reconciliation Service
+ * Checks stored balances against the ledger, the records behind it and the money we actually hold
+ *
+ * Checks (each mismatch above CONFIG.RECONCILIATION.TOLERANCE is a discrepancy):
+ *   ledger_vs_wallet  - user_wallet.balance vs the sum of the user's ledger entries
+ *   ledger_vs_pool    - platform_liquidity_pool.balance vs the pool's ledger entries
+ *   records_vs_ledger - balance implied by purchases, claims, deposits and withdrawals vs the ledger
+ *   custody           - USDC in the platform and user CDP wallets vs user balances plus the pool
+ *
+ * The Kalshi cash balance is reported next to the ledger's kalshi account; they differ by open
+ * hedge positions and hedge P&L, so that gap is informational.
+ *
+ * The platform is under-collateralized when what it holds (on-chain USDC plus Kalshi cash) is less
+ * than what it owes (wallet balances plus won, unclaimed winnings). With RECONCILIATION_BLOCK_CLAIMS
+ * on, claims are refused while the latest run says so. The scheduled run only happens on the instance
+ * holding the job lease, so its collateral result is read back from job_runs rather than kept in
+ * memory: every instance blocks claims, and the block survives a restart.
+ */
+
+import { ENV } from '../config/env.js';
+import { CONFIG } from '../config/constants.js';
+import {
+  getAllUserWallets,
+  getAllPurchaseBalances,
+  getAllChainDeposits,
+  getAllWithdrawals,
+  getLedgerAccountBalances,
+  getLiquidityPoolBalance,
+  getJobRuns
+} from './db.js';
+import { isCdpConfigured, getOrCreatePlatformWallet, getUsdcBalance } from './coinbaseCdpService.js';
+import { getKalshiBalance } from './kalshiTradeClient.js';
+import { logWarn } from './utils/logger.js';
+
+export const RECONCILIATION_JOB = 'reconciliation';
+
+const roundCents = amount => Math.round(amount * 100) / 100;
+const toNumber = value => parseFloat(value || 0);
+
+/**
+ * Per-user balance implied by purchases, claims, cash-outs, refunds, deposits and withdrawals
+ * Records from before the ledger existed are already in the opening balance.
+ * @param {Object} data - { purchases, deposits, withdrawals, openingBalances, ledgerStart }
+ * @returns {Map<string, number>} userId → expected balance
+ */
+export function computeExpectedBalances({ purchases, deposits, withdrawals, openingBalances, ledgerStart = null }) {
+  const expected = new Map(openingBalances);
+  const add = (userId, amount) => expected.set(userId, (expected.get(userId) || 0) + amount);
+  const afterLedgerStart = timestamp => !ledgerStart || !timestamp || new Date(timestamp) >= ledgerStart;
+
+  for (const purchase of purchases) {
+    // Void parlays (every leg cancelled) had their stake refunded
+    if (afterLedgerStart(purchase.completed_at) && purchase.parlay_status !== 'void') {
+      add(purchase.user_uuid, -toNumber(purchase.stake));
+    }
+    if (purchase.claimed_at && afterLedgerStart(purchase.claimed_at)) {
+      add(purchase.user_uuid, toNumber(purchase.claimable_amount));
+    }
+    if (purchase.parlay_status === 'cashed_out' && afterLedgerStart(purchase.cashed_out_at)) {
+      add(purchase.user_uuid, toNumber(purchase.cash_out_amount));
+    }
+  }
+  for (const deposit of deposits) {
+    add(deposit.user_uuid, toNumber(deposit.amount));
+  }
+  for (const withdrawal of withdrawals) {
+    if (withdrawal.hold_transaction_id && withdrawal.status !== 'reversed') {
+      add(withdrawal.user_uuid, -toNumber(withdrawal.amount));
+    }
+  }
+
+  for (const [userId, amount] of expected) {
+    expected.set(userId, roundCents(amount));
+  }
+  return expected;
+}
+
+/**
+ * Platform wallet address, or null when CDP isn't configured
+ */
+async function defaultPlatformAddress() {
+  if (!isCdpConfigured()) return null;
+  return (await getOrCreatePlatformWallet()).address;
+}
+
+/**
+ * Kalshi cash in dollars, or null when unavailable (dry run or API error)
+ */
+async function defaultKalshiCash() {
+  const result = await getKalshiBalance();
+  return result.success ? result.balance : null;
+}
+
+/**
+ * Run every check
+ * @param {Object} options - Overrides for the external lookups (tests, local validator)
+ * @param {Function} options.getPlatformAddress - () => address | null
+ * @param {Function} options.getOnChainBalance - (address) => USDC balance in dollars
+ * @param {Function} options.getKalshiCash - () => dollars | null
+ * @returns {Promise<Object>} Reconciliation report
+ */
+export async function runReconciliation({
+  getPlatformAddress = defaultPlatformAddress,
+  getOnChainBalance = getUsdcBalance,
+  getKalshiCash = defaultKalshiCash
+} = {}) {
+  const tolerance = CONFIG.RECONCILIATION.TOLERANCE;
+  const [wallets, purchases, deposits, withdrawals, ledgerAccounts, pool] = await Promise.all([
+    getAllUserWallets(),
+    getAllPurchaseBalances(),
+    getAllChainDeposits(),
+    getAllWithdrawals(),
+    getLedgerAccountBalances(),
+    getLiquidityPoolBalance()
+  ]);
+
+  const discrepancies = [];
+  const warnings = [];
+  const flag = (check, expected, actual, userId = null) => {
+    const difference = roundCents(actual - expected);
+    if (Math.abs(difference) > tolerance) {
+      discrepancies.push({ check, userId, expected: roundCents(expected), actual: roundCents(actual), difference });
+    }
+  };
+
+  // Ledger sums per account
+  const ledgerUsers = new Map();
+  const openingBalances = new Map();
+  let ledgerPool = 0;
+  let ledgerKalshi = 0;
+  for (const row of ledgerAccounts) {
+    if (row.account === 'user') {
+      ledgerUsers.set(row.user_uuid, toNumber(row.balance));
+      if (row.opening_balance !== null) openingBalances.set(row.user_uuid, toNumber(row.opening_balance));
+    } else if (row.account === 'pool') {
+      ledgerPool = toNumber(row.balance);
+    } else if (row.account === 'kalshi') {
+      ledgerKalshi = toNumber(row.balance);
+    }
+  }
+  const ledgerStart = ledgerAccounts.some(row => row.opened_at)
+    ? new Date(Math.min(...ledgerAccounts.filter(row => row.opened_at).map(row => new Date(row.opened_at).getTime())))
+    : null;
+  const expectedUsers = computeExpectedBalances({ purchases, deposits, withdrawals, openingBalances, ledgerStart });
+
+  // Stored balances vs ledger vs records
+  const userIds = new Set([...wallets.map(w => w.user_uuid), ...ledgerUsers.keys(), ...expectedUsers.keys()]);
+  const storedUsers = new Map(wallets.map(w => [w.user_uuid, toNumber(w.balance)]));
+  const users = [];
+  for (const userId of userIds) {
+    const balance = storedUsers.get(userId) || 0;
+    const ledgerBalance = ledgerUsers.get(userId) || 0;
+    const expectedBalance = expectedUsers.get(userId) || 0;
+    flag('ledger_vs_wallet', ledgerBalance, balance, userId);
+    flag('records_vs_ledger', expectedBalance, ledgerBalance, userId);
+    users.push({ userId, balance, ledgerBalance, expectedBalance, onChain: null });
+  }
+  const poolBalance = toNumber(pool.balance);
+  flag('ledger_vs_pool', ledgerPool, poolBalance);
+
+  const userBalances = roundCents(users.reduce((sum, user) => sum + user.balance, 0));
+  const unclaimedWinnings = roundCents(purchases
+    .filter(p => p.parlay_status === 'won' && !p.claimed_at)
+    .reduce((sum, p) => sum + toNumber(p.claimable_amount), 0));
+
+  // On-chain custody
+  let onChain = null;
+  const platformAddress = await getPlatformAddress();
+  if (platformAddress) {
+    onChain = { platform: await getOnChainBalance(platformAddress), users: 0 };
+    for (const wallet of wallets.filter(w => w.crypto_wallet_address)) {
+      const held = await getOnChainBalance(wallet.crypto_wallet_address);
+      users.find(user => user.userId === wallet.user_uuid).onChain = held;
+      onChain.users += held;
+    }
+    onChain.users = roundCents(onChain.users);
+    onChain.total = roundCents(onChain.platform + onChain.users);
+    flag('custody', userBalances + poolBalance, onChain.total);
+  } else {
+    warnings.push('Coinbase CDP is not configured - on-chain balances were not checked');
+  }
+
+  const kalshiCash = await getKalshiCash();
+  if (kalshiCash === null) {
+    warnings.push('Kalshi balance unavailable (dry run or API error)');
+  }
+
+  // Collateral: what we hold vs what we owe
+  const liabilities = roundCents(userBalances + unclaimedWinnings);
+  const assets = onChain ? roundCents(onChain.total + (kalshiCash || 0)) : null;
+  const collateral = {
+    assets,
+    liabilities,
+    surplus: assets === null ? null : roundCents(assets - liabilities),
+    underCollateralized: assets === null ? null : assets + tolerance < liabilities
+  };
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    totals: {
+      userBalances,
+      ledgerUserBalances: roundCents([...ledgerUsers.values()].reduce((sum, balance) => sum + balance, 0)),
+      pool: poolBalance,
+      ledgerPool: roundCents(ledgerPool),
+      unclaimedWinnings,
+      onChain,
+      kalshiCash,
+      ledgerKalshi: roundCents(ledgerKalshi)
+    },
+    collateral,
+    discrepancies,
+    warnings,
+    users
+  };
+
+  return report;
+}
+
+/**
+ * Scheduled reconciliation (the RECONCILIATION_JOB handler)
+ * The summary is stored with the run in job_runs, which is where getClaimBlockReason reads it.
+ * @param {Object} sources - Overrides for the external lookups, see runReconciliation
+ * @returns {Promise<Object>} { generatedAt, discrepancies, underCollateralized, surplus }
+ */
+export async function runScheduledReconciliation(sources) {
+  const { generatedAt, discrepancies, collateral } = await runReconciliation(sources);
+  if (discrepancies.length > 0 || collateral.underCollateralized) {
+    logWarn(`[Reconciliation] ${discrepancies.length} discrepancy(ies)${collateral.underCollateralized ? `, under-collateralized by $${Math.abs(collateral.surplus).toFixed(2)}` : ''} - run npm run reconcile for details`);
+  }
+  return {
+    generatedAt,
+    discrepancies: discrepancies.length,
+    underCollateralized: collateral.underCollateralized,
+    surplus: collateral.surplus
+  };
+}
+
+/**
+ * Why claims are blocked right now, or null if they aren't
+ * Only blocks with RECONCILIATION_BLOCK_CLAIMS on and a latest successful scheduled run that found
+ * the platform under-collateralized, whichever instance ran it.
+ * @returns {Promise<string|null>} Reason
+ */
+export async function getClaimBlockReason() {
+  if (!ENV.RECONCILIATION_BLOCK_CLAIMS) {
+    return null;
+  }
+  const [latest] = await getJobRuns({ jobName: RECONCILIATION_JOB, status: 'succeeded', limit: 1 });
+  if (!latest?.result?.underCollateralized) {
+    return null;
+  }
+  return `Claims are paused: reconciliation at ${latest.result.generatedAt} found the platform under-collateralized`;
+}
@@ -0,0 +1,56 @@
+/**
+ * Repository Selection
+ * Chooses the data layer behind server/db.js from DATA_BACKEND
+ *
+ * 'supabase' (default) talks to the configured Supabase project. 'memory' keeps every
+ * table in process memory with the same ownership rules, so the server boots and runs
+ * without any database (optionally seeded from MEMORY_SEED_FILE).
+ */
+
+import fs from 'fs';
+import { ENV } from '../../config/env.js';
+import { CONFIG } from '../../config/constants.js';
+import * as supabaseRepository from './supabaseRepository.js';
+import { createMemoryRepository } from './memoryRepository.js';
+
+let repository = null;
+
+/**
+ * Read the memory backend seed file, if configured
+ * @returns {Object} { table: [rows] }
+ */
+function loadSeed() {
+  if (!ENV.MEMORY_SEED_FILE) return {};
+  try {
+    return JSON.parse(fs.readFileSync(ENV.MEMORY_SEED_FILE, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not load MEMORY_SEED_FILE ${ENV.MEMORY_SEED_FILE}: ${err.message}`);
+  }
+}
+
+/**
+ * Get the configured repository, creating it on first use
+ * @returns {Object} Repository implementing the db.js functions
+ */
+export function getRepository() {
+  if (!repository) {
+    const backend = ENV.DATA_BACKEND || CONFIG.DATABASE.DEFAULT_BACKEND;
+    if (!CONFIG.DATABASE.BACKENDS.includes(backend)) {
+      throw new Error(`Unknown DATA_BACKEND "${backend}" (expected ${CONFIG.DATABASE.BACKENDS.join(' or ')})`);
+    }
+    repository = backend === 'memory'
+      ? createMemoryRepository({ seed: loadSeed(), poolBalance: CONFIG.DATABASE.MEMORY_POOL_BALANCE })
+      : { name: 'supabase', ...supabaseRepository };
+  }
+  return repository;
+}
+
+/**
+ * Use a specific repository instead of the configured one (tests)
+ * @param {Object} repo - Repository, e.g. from createMemoryRepository()
+ */
+export function setRepository(repo) {
+  repository = repo;
+}
+
+export { createMemoryRepository };
@@ -0,0 +1,973 @@
+/**
+ * In-Memory Repository
+ * Implements the repository interface without a database, for offline development and tests
+ *
+ * Tables are plain arrays of rows shaped like their Supabase counterparts. Calls made with
+ * a user token only see and change rows that user owns, mirroring the RLS policies; calls
+ * without a token act like the service role. Tokens are not verified: a bare user UUID or
+ * any JWT whose `sub` is the user ID is accepted. Nothing is persisted across restarts.
+ */
+
+import crypto from 'crypto';
+import { logInfo } from '../utils/logger.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const TABLES = [
+  'users',
+  'parlay_bets',
+  'pending_payments',
+  'completed_purchases',
+  'parlay_quotes',
+  'cash_out_offers',
+  'hedge_orders',
+  'parlay_bet_outcomes',
+  'user_wallet',
+  'platform_liquidity_pool',
+  'withdrawal_requests',
+  'ledger_entries',
+  'chain_deposits',
+  'job_leases',
+  'job_runs',
+  'risk_locks',
+  'user_settings'
+];
+
+const OPEN_HEDGE_STATUSES = ['pending', 'resting', 'partially_filled'];
+
+/**
+ * Build an error shaped like a PostgREST error
+ * @param {string} code - Postgres/PostgREST error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with a code property
+ */
+function dbError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Resolve the user a token belongs to
+ * @param {string} token - User UUID or JWT with a `sub` claim
+ * @returns {Object} { id, email }
+ * @throws {Error} If the token identifies no user
+ */
+export function decodeUserToken(token) {
+  if (UUID_PATTERN.test(token)) {
+    return { id: token.toLowerCase(), email: null };
+  }
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    if (payload.sub && UUID_PATTERN.test(payload.sub)) {
+      return { id: payload.sub.toLowerCase(), email: payload.email || null };
+    }
+  } catch {
+    // Fall through to the invalid token error
+  }
+  throw dbError('PGRST301', 'Invalid user token');
+}
+
+const now = () => new Date().toISOString();
+const cents = amount => Math.round(parseFloat(amount) * 100);
+
+/**
+ * Sort rows by a column, falling back to insertion order (id) for ties
+ */
+function sortBy(rows, column, ascending = true) {
+  const direction = ascending ? 1 : -1;
+  return rows.sort((a, b) => {
+    if (a[column] === b[column]) return (a.id - b.id) * direction;
+    if (a[column] === null || a[column] === undefined) return 1;
+    if (b[column] === null || b[column] === undefined) return -1;
+    return (a[column] < b[column] ? -1 : 1) * direction;
+  });
+}
+
+function pick(row, columns) {
+  return Object.fromEntries(columns.map(column => [column, row[column] ?? null]));
+}
+
+function toBet(row) {
+  return {
+    id: row.id,
+    marketId: row.market_id,
+    marketTitle: row.market_title,
+    marketUrl: row.market_url,
+    imageUrl: row.image_url,
+    marketImageUrl: row.market_image_url || null,
+    optionId: row.option_id,
+    optionLabel: row.option_label,
+    side: row.side || null,
+    prob: parseFloat(row.prob || 0),
+    ticker: row.ticker,
+    environment: row.environment || 'production'
+  };
+}
+
+/**
+ * Create an in-memory repository
+ * @param {Object} options
+ * @param {Object} options.seed - Optional { table: [rows] } loaded on creation and on reset()
+ * @param {number} options.poolBalance - Starting liquidity pool balance when the seed has none
+ * @returns {Object} Repository implementing the same functions as supabaseRepository
+ */
+export function createMemoryRepository({ seed = {}, poolBalance = 0 } = {}) {
+  let tables;
+  let nextIds;
+
+  function insertRow(table, row) {
+    const id = row.id ?? nextIds[table]++;
+    if (typeof id === 'number' && id >= nextIds[table]) nextIds[table] = id + 1;
+    const stored = { ...row, id };
+    tables[table].push(stored);
+    return stored;
+  }
+
+  function reset() {
+    tables = Object.fromEntries(TABLES.map(table => [table, []]));
+    nextIds = Object.fromEntries(TABLES.map(table => [table, 1]));
+    for (const [table, rows] of Object.entries(seed)) {
+      if (!tables[table]) {
+        throw new Error(`Unknown table "${table}" in memory repository seed`);
+      }
+      rows.forEach(row => insertRow(table, structuredClone(row)));
+    }
+    if (tables.platform_liquidity_pool.length === 0) {
+      insertRow('platform_liquidity_pool', { id: 1, balance: poolBalance, updated_at: now() });
+    }
+    // Like the ledger migration, starting balances get opening entries unless the seed brings its own ledger
+    if (!seed.ledger_entries) {
+      const accounts = [
+        ...tables.user_wallet.map(row => ['user', row.user_uuid, row.balance, `opening:${row.user_uuid}`]),
+        ...tables.platform_liquidity_pool.map(row => ['pool', null, row.balance, 'opening:pool'])
+      ];
+      for (const [account, userId, balance, idempotencyKey] of accounts.filter(([, , balance]) => cents(balance || 0) !== 0)) {
+        const transactionId = crypto.randomUUID();
+        for (const [entryAccount, entryUser, amount] of [[account, userId, balance], ['external', null, -balance]]) {
+          insertRow('ledger_entries', {
+            transaction_id: transactionId, idempotency_key: idempotencyKey, entry_type: 'opening_balance',
+            account: entryAccount, user_uuid: entryUser, amount: cents(amount) / 100,
+            balance_after: entryAccount === 'external' ? null : cents(balance) / 100, reference_type: null,
+            reference_id: null, description: 'Balance before the ledger was introduced', metadata: null, created_at: now()
+          });
+        }
+      }
+    }
+  }
+
+  reset();
+
+  /**
+   * User ID a call is scoped to: null for service role calls (no token)
+   */
+  function scopeOf(userToken) {
+    return userToken ? decodeUserToken(userToken).id : null;
+  }
+
+  function requireToken(userToken) {
+    if (!userToken) {
+      throw new Error('User token is required');
+    }
+    return scopeOf(userToken);
+  }
+
+  /**
+   * RLS: users see their own rows; leg outcomes belong to the purchase's owner
+   */
+  function canAccess(table, row, uid) {
+    if (uid === null) return true;
+    if (table === 'users') return row.id === uid;
+    if (table === 'parlay_bet_outcomes') {
+      const purchase = tables.completed_purchases.find(p => p.id === row.purchase_id);
+      return !!purchase && purchase.user_uuid === uid;
+    }
+    return row.user_uuid === uid;
+  }
+
+  function select(table, uid, predicate = () => true) {
+    return tables[table].filter(row => canAccess(table, row, uid) && predicate(row));
+  }
+
+  function insertChecked(table, row, uid) {
+    if (!canAccess(table, row, uid)) {
+      throw dbError('42501', `new row violates row-level security policy for table "${table}"`);
+    }
+    return insertRow(table, row);
+  }
+
+  function update(table, uid, predicate, changes) {
+    const rows = select(table, uid, predicate);
+    rows.forEach(row => Object.assign(row, changes));
+    return rows;
+  }
+
+  function remove(table, uid, predicate) {
+    const doomed = new Set(select(table, uid, predicate));
+    tables[table] = tables[table].filter(row => !doomed.has(row));
+  }
+
+  const bySession = sessionId => row => row.session_id === sessionId;
+  const clone = value => structuredClone(value);
+
+  const repository = {
+    name: 'memory',
+
+    reset,
+
+    /**
+     * Auth client with the same getUser(token) shape as Supabase's
+     */
+    getAuthClient() {
+      return {
+        auth: {
+          async getUser(token) {
+            try {
+              const { id, email } = decodeUserToken(token);
+              return { data: { user: { id, email: email || `${id}@offline.local` } }, error: null };
+            } catch (err) {
+              return { data: { user: null }, error: err };
+            }
+          }
+        }
+      };
+    },
+
+    async initializeDatabase() {
+      logInfo('Using in-memory repository - data will not survive a restart');
+    },
+
+    async getOrCreateUser(userId, userToken) {
+      if (!UUID_PATTERN.test(userId)) {
+        throw new Error('Invalid user ID format. Expected UUID from Supabase Auth.');
+      }
+      const uid = requireToken(userToken);
+
+      const existing = select('users', uid, row => row.id === userId)[0];
+      if (existing) return clone(existing);
+
+      const user = insertChecked('users', { id: userId, user_id: userId, created_at: now() }, uid);
+      await repository.getUserWallet(userId, userToken);
+      return clone(user);
+    },
+
+    async getParlayBets(userId, environment = null, userToken) {
+      const uid = requireToken(userToken);
+      const rows = select('parlay_bets', uid, row =>
+        row.user_uuid === userId && (!environment || row.environment === environment)
+      );
+      return sortBy(rows, 'created_at').map(toBet);
+    },
+
+    async addParlayBet(userId, bet, userToken) {
+      const uid = requireToken(userToken);
+      await repository.getOrCreateUser(userId, userToken);
+
+      const environment = bet.environment || 'production';
+      const existingBets = await repository.getParlayBets(userId, null, userToken);
+      if (existingBets.length > 0) {
+        const existingEnv = existingBets[0].environment || 'production';
+        if (existingEnv !== environment) {
+          throw new Error(`Cannot mix bets from different environments. You have bets from ${existingEnv} environment.`);
+        }
+      }
+
+      const row = insertChecked('parlay_bets', {
+        user_uuid: userId,
+        user_id: userId,
+        market_id: bet.marketId,
+        market_title: bet.marketTitle,
+        market_url: bet.marketUrl || null,
+        image_url: bet.imageUrl || null,
+        market_image_url: bet.marketImageUrl || null,
+        option_id: bet.optionId,
+        option_label: bet.optionLabel,
+        prob: bet.prob,
+        ticker: bet.ticker || null,
+        side: bet.side || null,
+        environment,
+        created_at: now()
+      }, uid);
+      return toBet(row);
+    },
+
+    async removeParlayBet(userId, betId, userToken) {
+      const uid = requireToken(userToken);
+      remove('parlay_bets', uid, row => String(row.id) === String(betId) && row.user_uuid === userId);
+    },
+
+    async clearParlayBets(userId, userToken) {
+      const uid = requireToken(userToken);
+      remove('parlay_bets', uid, row => row.user_uuid === userId);
+    },
+
+    async savePendingPayment(sessionId, userId, stake, parlayData, quoteData, paymentType = 'parlay', userToken) {
+      const uid = requireToken(userToken);
+      await repository.getOrCreateUser(userId, userToken);
+      if (tables.pending_payments.some(bySession(sessionId))) {
+        throw dbError('23505', 'duplicate key value violates unique constraint "pending_payments_session_id_key"');
+      }
+      return clone(insertChecked('pending_payments', {
+        session_id: sessionId,
+        user_uuid: userId,
+        user_id: userId,
+        stake,
+        parlay_data: parlayData || null,
+        quote_data: quoteData || null,
+        payment_type: paymentType,
+        status: 'pending',
+        created_at: now(),
+        updated_at: now()
+      }, uid));
+    },
+
+    async getPendingPayment(sessionId, userToken = null) {
+      const row = select('pending_payments', scopeOf(userToken), bySession(sessionId))[0];
+      return row ? clone(row) : null;
+    },
+
+    async updatePaymentStatus(sessionId, status, userToken = null) {
+      update('pending_payments', scopeOf(userToken), bySession(sessionId), { status, updated_at: now() });
+    },
+
+    async saveCompletedPurchase(sessionId, userId, stake, payout, parlayData, quoteData, hedgingStrategy, stripeAmount, userToken = null) {
+      const uid = scopeOf(userToken);
+      if (tables.completed_purchases.some(bySession(sessionId))) {
+        throw dbError('23505', 'duplicate key value violates unique constraint "completed_purchases_session_id_key"');
+      }
+      return clone(insertChecked('completed_purchases', {
+        session_id: sessionId,
+        user_uuid: userId,
+        user_id: userId,
+        stake,
+        payout,
+        parlay_data: parlayData,
+        quote_data: quoteData,
+        parlay_type: quoteData?.parlayType?.type || 'standard',
+        payout_table: quoteData?.payoutTable || null,
+        hedging_strategy: hedgingStrategy,
+        stripe_amount: stripeAmount,
+        completed_at: now(),
+        hedge_executed: false,
+        hedge_status: null,
+        hedge_unwound_at: null,
+        hedge_unwinding_at: null,
+        hedge_open_contracts: null,
+        hedge_pnl: null,
+        parlay_status: 'pending',
+        claimable_amount: null,
+        claimed_at: null,
+        claim_status: null,
+        claim_attempts: 0,
+        last_status_check: null
+      }, uid));
+    },
+
+    async saveParlayQuote(quoteRecord) {
+      return clone(insertRow('parlay_quotes', {
+        ...clone(quoteRecord),
+        used_at: null,
+        purchase_session_id: null,
+        created_at: now()
+      }));
+    },
+
+    async getParlayQuote(quoteId) {
+      const row = tables.parlay_quotes.find(quote => quote.id === quoteId);
+      return row ? clone(row) : null;
+    },
+
+    async markParlayQuoteUsed(quoteId, sessionId) {
+      const marked = update('parlay_quotes', null, row => row.id === quoteId && !row.used_at, {
+        used_at: now(),
+        purchase_session_id: sessionId
+      });
+      return marked.length > 0;
+    },
+
+    async releaseParlayQuote(quoteId, sessionId) {
+      const released = update('parlay_quotes', null, row => row.id === quoteId && row.purchase_session_id === sessionId, {
+        used_at: null,
+        purchase_session_id: null
+      });
+      return released.length > 0;
+    },
+
+    async saveCashOutOffer(offer) {
+      return clone(insertRow('cash_out_offers', { ...clone(offer), accepted_at: null, created_at: now() }));
+    },
+
+    async getCashOutOffer(offerId) {
+      const row = tables.cash_out_offers.find(offer => offer.id === offerId);
+      return row ? clone(row) : null;
+    },
+
+    async markCashOutOfferAccepted(offerId) {
+      return update('cash_out_offers', null, row => row.id === offerId && !row.accepted_at, { accepted_at: now() }).length > 0;
+    },
+
+    async getCompletedPurchase(sessionId, userToken = null) {
+      const row = select('completed_purchases', scopeOf(userToken), bySession(sessionId))[0];
+      return row ? clone(row) : null;
+    },
+
+    async markHedgeExecuted(sessionId, userToken = null) {
+      update('completed_purchases', scopeOf(userToken), bySession(sessionId), { hedge_executed: true });
+    },
+
+    async insertHedgeOrders(orders) {
+      if (!orders || orders.length === 0) return [];
+      if (orders.some(order => order.client_order_id &&
+        tables.hedge_orders.some(row => row.client_order_id === order.client_order_id))) {
+        throw dbError('23505', 'duplicate key value violates unique constraint "hedge_orders_client_order_id_key"');
+      }
+      return orders.map(order => clone(insertRow('hedge_orders', {
+        side: 'yes',
+        action: 'buy',
+        status: 'pending',
+        requested_count: 0,
+        filled_count: 0,
+        avg_fill_price: null,
+        attempt: 1,
+        parent_order_id: null,
+        error: null,
+        placed_at: now(),
+        last_polled_at: null,
+        canceled_at: null,
+        updated_at: now(),
+        ...clone(order)
+      })));
+    },
+
+    async updateHedgeOrder(orderId, updates) {
+      update('hedge_orders', null, row => row.id === orderId, { ...updates, updated_at: now() });
+    },
+
+    async getOpenHedgeOrders() {
+      return clone(sortBy(select('hedge_orders', null, row => OPEN_HEDGE_STATUSES.includes(row.status)), 'placed_at'));
+    },
+
+    async getHedgeOrdersForPurchase(sessionId) {
+      const rows = select('hedge_orders', null, row => row.purchase_session_id === sessionId);
+      return clone(rows.sort((a, b) => (a.leg_number - b.leg_number) || (a.attempt - b.attempt) || (a.id - b.id)));
+    },
+
+    async getNettingHedgeOrders(ticker) {
+      const rows = select('hedge_orders', null, row => !row.purchase_session_id && row.ticker === ticker);
+      return clone(sortBy(rows, 'id'));
+    },
+
+    async updatePurchaseHedgeStatus(sessionId, hedgeStatus) {
+      update('completed_purchases', null, bySession(sessionId), {
+        hedge_status: hedgeStatus,
+        hedge_executed: hedgeStatus === 'filled' || hedgeStatus === 'dry_run'
+      });
+    },
+
+    async beginHedgeUnwind(sessionId, staleBefore) {
+      const locked = update('completed_purchases', null, row => row.session_id === sessionId && !row.hedge_unwound_at &&
+        (!row.hedge_unwinding_at || row.hedge_unwinding_at < staleBefore), { hedge_unwinding_at: now() });
+      return locked.length > 0 ? clone(locked[0]) : null;
+    },
+
+    async updatePurchaseHedgeUnwind(sessionId, { hedgePnl, openContracts, unwoundAt, unwindingAt } = {}) {
+      const changes = {};
+      if (hedgePnl !== undefined) changes.hedge_pnl = hedgePnl;
+      if (openContracts !== undefined) changes.hedge_open_contracts = openContracts;
+      if (unwoundAt !== undefined) changes.hedge_unwound_at = unwoundAt;
+      if (unwindingAt !== undefined) changes.hedge_unwinding_at = unwindingAt;
+      update('completed_purchases', null, bySession(sessionId), changes);
+    },
+
+    async getUserPurchaseHistory(userId, userToken) {
+      const uid = requireToken(userToken);
+      const rows = sortBy(select('completed_purchases', uid, row => row.user_uuid === userId), 'completed_at', false);
+      return clone(rows.map(row => pick(row, [
+        'id', 'session_id', 'stake', 'payout', 'parlay_data', 'completed_at', 'hedge_executed',
+        'hedge_status', 'parlay_status', 'claimable_amount', 'claimed_at', 'claim_status',
+        'cash_out_amount', 'cashed_out_at', 'parlay_type', 'payout_table'
+      ])));
+    },
+
+    async updateParlayBetOutcome(purchaseId, legNumber, ticker, optionId, marketStatus, outcome, settlementPrice, userToken = null) {
+      const uid = scopeOf(userToken);
+      const values = {
+        purchase_id: purchaseId,
+        leg_number: legNumber,
+        ticker,
+        option_id: optionId,
+        market_status: marketStatus,
+        outcome,
+        settlement_price: settlementPrice,
+        checked_at: now()
+      };
+      if (marketStatus === 'settled') {
+        values.settled_at = now();
+      }
+
+      const existing = select('parlay_bet_outcomes', uid, row => row.purchase_id === purchaseId && row.leg_number === legNumber)[0];
+      if (existing) {
+        Object.assign(existing, values);
+      } else {
+        insertChecked('parlay_bet_outcomes', { settled_at: null, ...values }, uid);
+      }
+    },
+
+    async updateParlayStatus(sessionId, status, claimableAmount, userToken = null) {
+      update('completed_purchases', scopeOf(userToken), row => row.session_id === sessionId && row.parlay_status !== 'cashed_out', {
+        parlay_status: status,
+        claimable_amount: claimableAmount,
+        last_status_check: now()
+      });
+    },
+
+    async cashOutPurchase(sessionId, { amount, offerId }) {
+      const cashedOut = update('completed_purchases', null,
+        row => row.session_id === sessionId && (row.parlay_status || 'pending') === 'pending', {
+          parlay_status: 'cashed_out',
+          claimable_amount: 0,
+          cash_out_amount: amount,
+          cash_out_offer_id: offerId,
+          cashed_out_at: now(),
+          last_status_check: now()
+        });
+      return cashedOut.length > 0;
+    },
+
+    async getActiveParlays() {
+      const rows = select('completed_purchases', null, row => ['pending', 'won'].includes(row.parlay_status));
+      return clone(sortBy(rows, 'completed_at', false));
+    },
+
+    async getParlaysDueForStatusCheck(limit = 100) {
+      const due = new Date().toISOString();
+      const rows = select('completed_purchases', null, row =>
+        (['pending', 'won'].includes(row.parlay_status) ||
+          (['lost', 'cashed_out'].includes(row.parlay_status) && !row.hedge_unwound_at)) &&
+        (!row.next_status_check_at || row.next_status_check_at <= due));
+      const neverChecked = rows.filter(row => !row.next_status_check_at);
+      const scheduled = sortBy(rows.filter(row => row.next_status_check_at), 'next_status_check_at');
+      return clone([...neverChecked, ...scheduled].slice(0, limit));
+    },
+
+    async setParlayNextStatusCheck(sessionId, nextCheckAt) {
+      update('completed_purchases', null, bySession(sessionId), { next_status_check_at: nextCheckAt });
+    },
+
+    async getRecentPurchases(limit = 50) {
+      const rows = sortBy(select('completed_purchases', null), 'completed_at', false).slice(0, limit);
+      return clone(rows.map(row => pick(row, [
+        'session_id', 'user_id', 'stake', 'payout', 'parlay_status', 'claimable_amount', 'completed_at'
+      ])));
+    },
+
+    async getOpenParlayExposure() {
+      const rows = select('completed_purchases', null, row => row.parlay_status === 'pending');
+      return clone(rows.map(row => pick(row, ['session_id', 'stake', 'payout', 'parlay_data'])));
+    },
+
+    async acquireRiskLocks(keys, owner, leaseMs) {
+      const current = now();
+      const held = tables.risk_locks.some(row => keys.includes(row.lock_key) &&
+        row.owner && row.owner !== owner && row.lease_expires_at > current);
+      if (held) return false;
+      const leaseExpiresAt = new Date(Date.now() + leaseMs).toISOString();
+      [...new Set(keys)].forEach(key => {
+        const lock = tables.risk_locks.find(row => row.lock_key === key) ||
+          insertRow('risk_locks', { lock_key: key });
+        Object.assign(lock, { owner, lease_expires_at: leaseExpiresAt, updated_at: current });
+      });
+      return true;
+    },
+
+    async releaseRiskLocks(keys, owner) {
+      const released = update('risk_locks', null, row => keys.includes(row.lock_key) && row.owner === owner, {
+        owner: null,
+        lease_expires_at: null,
+        updated_at: now()
+      });
+      return released.length > 0;
+    },
+
+    async getPendingParlayHedges() {
+      const rows = select('completed_purchases', null, row => row.parlay_status === 'pending');
+      return clone(rows.map(row => pick(row, ['id', 'session_id', 'parlay_data', 'hedging_strategy', 'hedge_unwound_at'])));
+    },
+
+    async getTrackedTickers() {
+      const tickers = new Set(tables.parlay_bets.filter(row => row.ticker).map(row => row.ticker.toUpperCase()));
+      tables.completed_purchases
+        .filter(row => row.parlay_status === 'pending')
+        .forEach(row => {
+          const legs = typeof row.parlay_data === 'string' ? JSON.parse(row.parlay_data) : row.parlay_data || [];
+          legs.forEach(leg => {
+            if (leg.ticker) tickers.add(leg.ticker.toUpperCase());
+          });
+        });
+      return [...tickers];
+    },
+
+    async claimParlayWinnings(sessionId, userToken = null) {
+      const claimed = update('completed_purchases', scopeOf(userToken),
+        row => row.session_id === sessionId && row.parlay_status === 'won' && !row.claimed_at,
+        { claimed_at: now(), claim_status: 'credited' });
+      return claimed.length > 0;
+    },
+
+    async beginClaimTransfer(sessionId, idempotencyKey = null) {
+      const row = select('completed_purchases', null, bySession(sessionId))[0];
+      if (!row || row.parlay_status !== 'won' || row.claimed_at || (row.claim_status || 'requested') !== 'requested') {
+        return null;
+      }
+      Object.assign(row, {
+        claim_status: 'transferring',
+        claim_attempts: (row.claim_attempts || 0) + 1,
+        claim_processing_at: now(),
+        claim_requested_at: row.claim_requested_at || now(),
+        claim_idempotency_key: idempotencyKey ?? row.claim_idempotency_key ?? null
+      });
+      return clone(row);
+    },
+
+    async advanceClaim(sessionId, fromStatus, changes) {
+      const advanced = update('completed_purchases', null,
+        row => row.session_id === sessionId && row.claim_status === fromStatus, changes);
+      return advanced.length > 0;
+    },
+
+    async getAutoClaimCandidates(maxAttempts, limit = 100) {
+      const optedIn = new Set(tables.user_settings.filter(row => row.auto_claim).map(row => row.user_uuid));
+      const due = now();
+      const rows = select('completed_purchases', null, row =>
+        optedIn.has(row.user_uuid) && row.parlay_status === 'won' && !row.claimed_at && (
+          !row.claim_status || row.claim_status === 'transferred' ||
+          (row.claim_status === 'requested' && (row.claim_attempts || 0) < maxAttempts &&
+            (!row.claim_next_attempt_at || row.claim_next_attempt_at <= due))));
+      return clone(sortBy(rows, 'completed_at').slice(0, limit));
+    },
+
+    async getStaleClaimTransfers(before) {
+      return clone(select('completed_purchases', null, row =>
+        row.claim_status === 'transferring' && row.claim_processing_at && row.claim_processing_at < before));
+    },
+
+    async getParlayBetOutcomes(purchaseId, userToken = null) {
+      const rows = select('parlay_bet_outcomes', scopeOf(userToken), row => row.purchase_id === purchaseId);
+      return clone(rows.sort((a, b) => a.leg_number - b.leg_number));
+    },
+
+    /**
+     * Wallets here are balance-only: no CDP wallet is created, so crypto_wallet_address stays
+     * null unless a seed provides one
+     */
+    async getUserWallet(userId, userToken = null) {
+      const uid = scopeOf(userToken);
+      const existing = select('user_wallet', uid, row => row.user_uuid === userId)[0];
+      if (existing) return clone(existing);
+
+      return clone(insertChecked('user_wallet', {
+        user_uuid: userId,
+        user_id: userId,
+        balance: 0,
+        crypto_wallet_address: null,
+        crypto_network: 'solana',
+        created_at: now(),
+        updated_at: now()
+      }, uid));
+    },
+
+    /**
+     * Same contract as the post_ledger_transaction RPC: all-or-nothing, once per key
+     */
+    async postLedgerTransaction({ idempotencyKey, entries, referenceType = null, referenceId = null, description = null, metadata = null }) {
+      const existing = tables.ledger_entries.find(row => row.idempotency_key === idempotencyKey);
+      if (existing) {
+        return { applied: false, transactionId: existing.transaction_id };
+      }
+
+      const total = entries.reduce((sum, entry) => sum + cents(entry.amount), 0);
+      if (entries.length < 2 || total !== 0) {
+        throw dbError('P0001', `unbalanced_transaction: entries for ${idempotencyKey} sum to ${total / 100}`);
+      }
+
+      // Check every balance before touching any, so a rejected posting changes nothing
+      const walletChanges = new Map();
+      for (const entry of entries.filter(e => e.account === 'user')) {
+        walletChanges.set(entry.userId, (walletChanges.get(entry.userId) || 0) + cents(entry.amount));
+      }
+      for (const [userId, change] of walletChanges) {
+        const wallet = tables.user_wallet.find(row => row.user_uuid === userId);
+        if (cents(wallet?.balance || 0) + change < 0) {
+          throw dbError('P0001', 'insufficient_funds');
+        }
+      }
+
+      const transactionId = crypto.randomUUID();
+      for (const entry of entries) {
+        let balanceAfter = null;
+        if (entry.account === 'user') {
+          let wallet = tables.user_wallet.find(row => row.user_uuid === entry.userId);
+          if (!wallet) {
+            wallet = insertRow('user_wallet', {
+              user_uuid: entry.userId, user_id: entry.userId, balance: 0, crypto_wallet_address: null,
+              crypto_network: 'solana', created_at: now(), updated_at: now()
+            });
+          }
+          wallet.balance = (cents(wallet.balance || 0) + cents(entry.amount)) / 100;
+          wallet.updated_at = now();
+          balanceAfter = wallet.balance;
+        } else if (entry.account === 'pool') {
+          let pool = tables.platform_liquidity_pool.find(row => row.id === 1);
+          if (!pool) {
+            pool = insertRow('platform_liquidity_pool', { id: 1, balance: 0 });
+          }
+          pool.balance = (cents(pool.balance || 0) + cents(entry.amount)) / 100;
+          pool.updated_at = now();
+          balanceAfter = pool.balance;
+        }
+
+        insertRow('ledger_entries', {
+          transaction_id: transactionId,
+          idempotency_key: idempotencyKey,
+          entry_type: entry.entryType,
+          account: entry.account,
+          user_uuid: entry.userId || null,
+          amount: cents(entry.amount) / 100,
+          balance_after: balanceAfter,
+          reference_type: referenceType,
+          reference_id: referenceId === null ? null : String(referenceId),
+          description,
+          metadata: metadata ? clone(metadata) : null,
+          created_at: now()
+        });
+      }
+
+      return { applied: true, transactionId };
+    },
+
+    async getLedgerEntries(userId, { limit = 50, before = null } = {}, userToken) {
+      const uid = requireToken(userToken);
+      const rows = select('ledger_entries', uid, row =>
+        row.user_uuid === userId && row.account === 'user' && (!before || row.created_at < before)
+      );
+      return clone(sortBy(rows, 'created_at', false).slice(0, limit).map(row => pick(row, [
+        'id', 'transaction_id', 'entry_type', 'amount', 'balance_after', 'reference_type',
+        'reference_id', 'description', 'created_at'
+      ])));
+    },
+
+    async getLiquidityPoolBalance() {
+      const pool = tables.platform_liquidity_pool.find(row => row.id === 1);
+      return { balance: pool ? pool.balance : 0 };
+    },
+
+    async createWithdrawalRequest(userId, amount, paymentMethod, stripePayoutId = null, stripeTransferId = null, userToken, destinationAddress = null) {
+      const uid = requireToken(userToken);
+      return clone(insertChecked('withdrawal_requests', {
+        user_uuid: userId,
+        user_id: userId,
+        amount,
+        payment_method: paymentMethod,
+        stripe_payout_id: stripePayoutId,
+        stripe_transfer_id: stripeTransferId,
+        destination_address: destinationAddress,
+        status: 'pending',
+        tx_signature: null,
+        hold_transaction_id: null,
+        attempts: 0,
+        last_error: null,
+        next_attempt_at: null,
+        processing_started_at: null,
+        failed_at: null,
+        reversed_at: null,
+        created_at: now(),
+        updated_at: now(),
+        completed_at: null
+      }, uid));
+    },
+
+    async updateWithdrawalStatus(withdrawalId, status, stripePayoutId = null, userToken = null, { fromStatuses = null, changes = {} } = {}) {
+      const updates = { ...changes, status, updated_at: now() };
+      if (stripePayoutId) {
+        updates.stripe_payout_id = stripePayoutId;
+      }
+      if (status === 'completed') {
+        updates.completed_at = now();
+      }
+      const [row] = update('withdrawal_requests', scopeOf(userToken), row =>
+        String(row.id) === String(withdrawalId) && (!fromStatuses || fromStatuses.includes(row.status)), updates);
+      return row ? clone(row) : null;
+    },
+
+    async getWithdrawalRequest(withdrawalId) {
+      const row = tables.withdrawal_requests.find(w => String(w.id) === String(withdrawalId));
+      return row ? clone(row) : null;
+    },
+
+    async getWithdrawalsByStatus(statuses) {
+      return clone(sortBy(select('withdrawal_requests', null, row => statuses.includes(row.status)), 'created_at'));
+    },
+
+    async getWithdrawalRequests(userId, userToken) {
+      const uid = requireToken(userToken);
+      return clone(sortBy(select('withdrawal_requests', uid, row => row.user_uuid === userId), 'created_at', false));
+    },
+
+    async getDepositWatchWallets() {
+      return tables.user_wallet
+        .filter(row => row.crypto_wallet_address)
+        .map(row => clone(pick(row, ['user_uuid', 'crypto_wallet_address', 'deposit_cursor'])));
+    },
+
+    async updateDepositCursor(userId, signature) {
+      update('user_wallet', null, row => row.user_uuid === userId, { deposit_cursor: signature });
+    },
+
+    async saveChainDeposit(deposit) {
+      const existing = tables.chain_deposits.find(row => row.signature === deposit.signature);
+      if (existing) return clone(existing);
+      return clone(insertRow('chain_deposits', {
+        ledger_transaction_id: null,
+        sweep_status: 'not_required',
+        sweep_signature: null,
+        sweep_error: null,
+        swept_at: null,
+        ...deposit,
+        created_at: now(),
+        updated_at: now()
+      }));
+    },
+
+    async updateChainDeposit(depositId, updates) {
+      update('chain_deposits', null, row => row.id === depositId, { ...updates, updated_at: now() });
+    },
+
+    async getChainDepositsToSweep() {
+      return clone(sortBy(select('chain_deposits', null, row => ['pending', 'failed'].includes(row.sweep_status)), 'created_at'));
+    },
+
+    async getAllUserWallets() {
+      return clone(tables.user_wallet.map(row => pick(row, ['user_uuid', 'balance', 'crypto_wallet_address'])));
+    },
+
+    async getAllPurchaseBalances() {
+      return clone(tables.completed_purchases.map(row => pick(row, [
+        'session_id', 'user_uuid', 'stake', 'parlay_status', 'claimable_amount', 'claimed_at', 'cash_out_amount', 'cashed_out_at', 'completed_at'
+      ])));
+    },
+
+    async getAllChainDeposits() {
+      return clone(tables.chain_deposits);
+    },
+
+    async getAllWithdrawals() {
+      return clone(tables.withdrawal_requests);
+    },
+
+    /**
+     * Same result as the get_ledger_account_balances RPC
+     */
+    async getLedgerAccountBalances() {
+      const totals = new Map();
+      for (const entry of tables.ledger_entries) {
+        const key = `${entry.account}:${entry.user_uuid ?? ''}`;
+        const total = totals.get(key) || { account: entry.account, user_uuid: entry.user_uuid ?? null, balance: 0, opening_balance: null, opened_at: null };
+        total.balance = (cents(total.balance) + cents(entry.amount)) / 100;
+        if (entry.entry_type === 'opening_balance') {
+          total.opening_balance = (cents(total.opening_balance || 0) + cents(entry.amount)) / 100;
+          total.opened_at = total.opened_at && total.opened_at < entry.created_at ? total.opened_at : entry.created_at;
+        }
+        totals.set(key, total);
+      }
+      return [...totals.values()];
+    },
+
+    /**
+     * Same rules as the acquire_job_lease RPC, with this process's clock
+     */
+    async acquireJobLease(jobName, owner, leaseMs, { force = false } = {}) {
+      let lease = tables.job_leases.find(row => row.job_name === jobName);
+      if (!lease) {
+        lease = insertRow('job_leases', {
+          job_name: jobName, owner: null, lease_expires_at: null, next_run_at: now(),
+          attempt: 0, last_error: null, last_run_at: null, updated_at: now()
+        });
+      }
+      const current = now();
+      const due = force || lease.next_run_at <= current;
+      const free = !lease.owner || !lease.lease_expires_at || lease.lease_expires_at <= current;
+      if (!due || !free) return null;
+      Object.assign(lease, { owner, lease_expires_at: new Date(Date.now() + leaseMs).toISOString(), updated_at: current });
+      return clone(lease);
+    },
+
+    async renewJobLease(jobName, owner, leaseMs) {
+      const renewed = update('job_leases', null, row => row.job_name === jobName && row.owner === owner, {
+        lease_expires_at: new Date(Date.now() + leaseMs).toISOString(),
+        updated_at: now()
+      });
+      return renewed.length > 0;
+    },
+
+    async releaseJobLease(jobName, owner, { nextRunInMs, attempt = 0, lastError = null }) {
+      const released = update('job_leases', null, row => row.job_name === jobName && row.owner === owner, {
+        owner: null,
+        lease_expires_at: null,
+        next_run_at: new Date(Date.now() + nextRunInMs).toISOString(),
+        attempt,
+        last_error: lastError,
+        last_run_at: now(),
+        updated_at: now()
+      });
+      return released.length > 0;
+    },
+
+    async getJobLeases() {
+      return clone(sortBy([...tables.job_leases], 'job_name'));
+    },
+
+    async startJobRun(jobName, owner, attempt) {
+      return clone(insertRow('job_runs', {
+        job_name: jobName, owner, attempt, status: 'running', started_at: now(),
+        finished_at: null, duration_ms: null, error: null, result: null
+      }));
+    },
+
+    async finishJobRun(runId, { status, durationMs, error = null, result = null }) {
+      update('job_runs', null, row => row.id === runId, {
+        status, duration_ms: Math.round(durationMs), error, result: clone(result), finished_at: now()
+      });
+    },
+
+    async getJobRuns({ jobName = null, status = null, limit = 50 } = {}) {
+      const rows = select('job_runs', null, row =>
+        (!jobName || row.job_name === jobName) && (!status || row.status === status));
+      return clone(sortBy(rows, 'started_at', false).slice(0, limit));
+    },
+
+    async getUserSettings(userId, userToken = null) {
+      const row = select('user_settings', scopeOf(userToken), row => row.user_uuid === userId)[0];
+      return row ? clone(row) : { user_uuid: userId, auto_claim: false };
+    },
+
+    async updateUserSettings(userId, settings, userToken) {
+      const uid = requireToken(userToken);
+      const existing = select('user_settings', uid, row => row.user_uuid === userId)[0];
+      if (existing) {
+        Object.assign(existing, settings, { updated_at: now() });
+        return clone(existing);
+      }
+      return clone(insertChecked('user_settings', {
+        auto_claim: false, created_at: now(), ...settings, user_uuid: userId, updated_at: now()
+      }, uid));
+    },
+
+    async pruneJobRuns(before) {
+      const doomed = select('job_runs', null, row => row.started_at < before && row.status !== 'running');
+      remove('job_runs', null, row => doomed.includes(row));
+      return doomed.length;
+    }
+  };
+
+  return repository;
+}
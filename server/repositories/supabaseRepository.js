@@ -0,0 +1,2807 @@
+/**
+ * Supabase Repository
+ * Handles all Supabase database operations for the Kalshi Parlay Helper
+ *
+ * User-facing calls go through a client carrying the user's JWT so Supabase RLS
+ * policies apply; background jobs and webhooks use the service role client.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { ENV } from '../../config/env.js';
+import { logError, logInfo, logWarn } from '../utils/logger.js';
+
+/**
+ * Create a Supabase client with user's JWT token
+ * This respects RLS policies - users can only access their own data
+ * @param {string} userToken - JWT token from authenticated user
+ * @returns {SupabaseClient} Supabase client configured with user's token
+ */
+function getSupabaseClient(userToken) {
+  if (!userToken) {
+    throw new Error('User token is required to create Supabase client');
+  }
+  
+  return createClient(
+    ENV.SUPABASE_URL,
+    ENV.SUPABASE_ANON_KEY, // Use anon key, not service role
+    {
+      global: {
+        headers: {
+          Authorization: `Bearer ${userToken}`
+        }
+      },
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false
+      }
+    }
+  );
+}
+
+// Service role client only for initialization/health checks
+// Should NOT be used for user operations - use getSupabaseClient(userToken) instead
+let serviceRoleClient = null;
+if (ENV.SUPABASE_SERVICE_ROLE_KEY) {
+  serviceRoleClient = createClient(
+    ENV.SUPABASE_URL,
+    ENV.SUPABASE_SERVICE_ROLE_KEY,
+    {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false
+      }
+    }
+  );
+}
+
+/**
+ * Get a client for verifying user JWTs (anon key)
+ * @returns {SupabaseClient|null} Auth client, or null if Supabase auth is not configured
+ */
+export function getAuthClient() {
+  if (!ENV.SUPABASE_URL || !ENV.SUPABASE_ANON_KEY) {
+    return null;
+  }
+  return createClient(ENV.SUPABASE_URL, ENV.SUPABASE_ANON_KEY);
+}
+
+/**
+ * Initialize database connection
+ * Note: Tables should be created manually in Supabase dashboard
+ * This function just verifies the connection
+ * @throws {Error} If database connection fails
+ */
+export async function initializeDatabase() {
+  try {
+    logInfo('Verifying Supabase connection...');
+    
+    // Check if Supabase credentials are configured
+    if (!ENV.SUPABASE_URL) {
+      throw new Error('SUPABASE_URL is not set in environment variables');
+    }
+    
+    if (!ENV.SUPABASE_SERVICE_ROLE_KEY) {
+      throw new Error('SUPABASE_SERVICE_ROLE_KEY is not set in environment variables');
+    }
+    
+    // Use service role client for health checks only
+    const client = serviceRoleClient;
+    if (!client) {
+      throw new Error('Service role client not initialized. SUPABASE_SERVICE_ROLE_KEY is required for initialization.');
+    }
+    
+    // Test connection by querying a simple table
+    // If tables don't exist yet, this will fail gracefully
+    const { error } = await client
+      .from('users')
+      .select('id')
+      .limit(1);
+    
+    if (error && error.code !== 'PGRST116') { // PGRST116 = table doesn't exist
+      logError('Supabase connection error', error);
+      logError('Supabase URL:', ENV.SUPABASE_URL);
+      logError('Error details:', JSON.stringify(error, null, 2));
+      throw error;
+    }
+    
+    logInfo('Supabase connection verified successfully');
+    } catch (err) {
+    logError('Error verifying Supabase connection', err);
+    logError('Please verify:');
+    logError('  - SUPABASE_URL is correct (should be https://your-project.supabase.co)');
+    logError('  - SUPABASE_SERVICE_ROLE_KEY is set correctly');
+    logError('  - Network connectivity to Supabase (check firewall/VPN)');
+    throw err;
+  }
+}
+
+/**
+ * Get or create a user in the database
+ * @param {string} userId - UUID from Supabase Auth
+ * @param {string} userToken - JWT token from authenticated user
+ * @returns {Promise<Object>} User object
+ */
+export async function getOrCreateUser(userId, userToken) {
+  try {
+    // userId should now be UUID from Supabase Auth
+    const isUUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(userId);
+    
+    if (!isUUID) {
+      throw new Error('Invalid user ID format. Expected UUID from Supabase Auth.');
+    }
+    
+    if (!userToken) {
+      throw new Error('User token is required');
+    }
+    
+    const supabase = getSupabaseClient(userToken);
+    
+    // Check if user exists by UUID (id column)
+    const { data: existingUser, error: selectError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', userId)
+      .single();
+    
+    if (existingUser) {
+      return existingUser;
+    }
+    
+    // User doesn't exist, create it
+    // Note: RLS policy should allow users to insert their own record
+    const { data: newUser, error: insertError } = await supabase
+      .from('users')
+      .insert({
+        id: userId, // UUID from auth.users
+        user_id: userId // Keep for backward compatibility
+      })
+      .select()
+      .single();
+    
+    if (insertError) {
+      // If it's a unique constraint error, try to fetch again
+      if (insertError.code === '23505') {
+        const { data: user } = await supabase
+          .from('users')
+          .select('*')
+          .eq('id', userId)
+          .single();
+        return user || { id: userId, user_id: userId };
+      }
+      logError('Error creating user', insertError);
+      throw insertError;
+    }
+    
+    // New user created - trigger wallet creation
+    // This ensures every new user gets a wallet automatically
+    try {
+      logInfo(`[getOrCreateUser] New user created (${userId}), triggering wallet creation...`);
+      // Call getUserWallet to create the wallet (it will handle CDP or database fallback)
+      const walletResult = await getUserWallet(userId, userToken);
+      logInfo(`[getOrCreateUser] Wallet created successfully for ${userId}`, {
+        hasAddress: !!walletResult?.crypto_wallet_address,
+        address: walletResult?.crypto_wallet_address,
+        network: walletResult?.crypto_network
+      });
+    } catch (walletError) {
+      // Don't fail user creation if wallet creation fails - wallet can be created later
+      logError(`[getOrCreateUser] Failed to create wallet for new user ${userId}`, {
+        error: walletError.message,
+        stack: walletError.stack,
+        userId,
+        hasToken: !!userToken
+      });
+      logWarn(`[getOrCreateUser] Wallet will be created on first access for user ${userId}`);
+    }
+    
+    return newUser || { id: userId, user_id: userId };
+  } catch (err) {
+    logError('Error in getOrCreateUser', err);
+    throw err;
+  }
+}
+
+/**
+ * Get all parlay bets for a user (optionally filtered by environment)
+ * @param {string} userId - User identifier
+ * @param {string} environment - Optional environment filter ('demo' or 'production')
+ * @param {string} userToken - JWT token from authenticated user
+ * @returns {Promise<Array>} Array of parlay bet objects
+ */
+export async function getParlayBets(userId, environment = null, userToken) {
+  try {
+    if (!userToken) {
+      throw new Error('User token is required');
+    }
+    const supabase = getSupabaseClient(userToken);
+    // Try to select with market_image_url first, fallback if column doesn't exist
+    let selectFields = 'id, market_id, market_title, market_url, image_url, market_image_url, option_id, option_label, prob, ticker, side, environment, created_at';
+    let query = supabase
+      .from('parlay_bets')
+      .select(selectFields)
+      .eq('user_uuid', userId)
+      .order('created_at', { ascending: true });
+    
+    if (environment) {
+      query = query.eq('environment', environment);
+    }
+    
+    let { data, error } = await query;
+    
+    // If error is about missing column, retry without it
+    if (error && error.code === '42703' && error.message?.includes('market_image_url')) {
+      logWarn('market_image_url column does not exist, selecting without it. Please run migration.');
+      selectFields = 'id, market_id, market_title, market_url, image_url, option_id, option_label, prob, ticker, side, environment, created_at';
+      query = supabase
+        .from('parlay_bets')
+        .select(selectFields)
+        .eq('user_uuid', userId)
+        .order('created_at', { ascending: true });
+      
+      if (environment) {
+        query = query.eq('environment', environment);
+      }
+      
+      const retryResult = await query;
+      data = retryResult.data;
+      error = retryResult.error;
+    }
+    
+    if (error) {
+      logError('Error fetching parlay bets', error);
+      throw error;
+    }
+    
+    return (data || []).map(row => ({
+      id: row.id,
+      marketId: row.market_id,
+      marketTitle: row.market_title,
+      marketUrl: row.market_url,
+      imageUrl: row.image_url,
+      marketImageUrl: row.market_image_url || null, // Will be null if column doesn't exist
+      optionId: row.option_id,
+      optionLabel: row.option_label,
+      side: row.side || null,
+      prob: parseFloat(row.prob || 0),
+      ticker: row.ticker,
+      environment: row.environment || 'production'
+    }));
+  } catch (err) {
+    logError('Error in getParlayBets', err);
+    throw err;
+  }
+}
+
+/**
+ * Add a bet to the user's parlay
+ * @param {string} userId - User identifier
+ * @param {Object} bet - Bet object with market and option details
+ * @param {string} userToken - JWT token from authenticated user
+ * @returns {Promise<Object>} Created bet object with database ID
+ */
+export async function addParlayBet(userId, bet, userToken) {
+  try {
+    if (!userToken) {
+      throw new Error('User token is required');
+    }
+    const supabase = getSupabaseClient(userToken);
+    
+    // Ensure user exists
+    await getOrCreateUser(userId, userToken);
+    
+    // Validate environment - prevent mixing demo and production bets
+    const environment = bet.environment || 'production';
+    
+    // Check if user has bets from different environment
+    const existingBets = await getParlayBets(userId, null, userToken);
+    if (existingBets.length > 0) {
+      const existingEnv = existingBets[0].environment || 'production';
+      if (existingEnv !== environment) {
+        throw new Error(`Cannot mix bets from different environments. You have bets from ${existingEnv} environment.`);
+      }
+    }
+    
+    // Try to insert with market_image_url first, fallback if column doesn't exist
+    let insertData = {
+      user_uuid: userId,
+      user_id: userId, // Keep for backward compatibility
+      market_id: bet.marketId,
+      market_title: bet.marketTitle,
+      market_url: bet.marketUrl || null,
+      image_url: bet.imageUrl || null,
+      option_id: bet.optionId,
+      option_label: bet.optionLabel,
+      prob: bet.prob,
+      ticker: bet.ticker || null,
+      side: bet.side || null,
+      environment: environment
+    };
+    
+    // Try with market_image_url first
+    if (bet.marketImageUrl) {
+      insertData.market_image_url = bet.marketImageUrl;
+    }
+    
+    let { data, error } = await supabase
+      .from('parlay_bets')
+      .insert(insertData)
+      .select()
+      .single();
+    
+    // If error is about missing column, retry without it
+    if (error && error.code === '42703' && error.message?.includes('market_image_url')) {
+      logWarn('market_image_url column does not exist, inserting without it. Please run migration.');
+      delete insertData.market_image_url;
+      const retryResult = await supabase
+        .from('parlay_bets')
+        .insert(insertData)
+        .select()
+        .single();
+      data = retryResult.data;
+      error = retryResult.error;
+    }
+    
+    if (error) {
+      logError('Error adding parlay bet', error);
+      throw error;
+    }
+    
+    return {
+      id: data.id,
+      marketId: data.market_id,
+      marketTitle: data.market_title,
+      marketUrl: data.market_url,
+      imageUrl: data.image_url,
+      marketImageUrl: data.market_image_url || null,
+      optionId: data.option_id,
+      optionLabel: data.option_label,
+      prob: parseFloat(data.prob || 0),
+      ticker: data.ticker,
+      side: data.side || null,
+      environment: data.environment || 'production'
+    };
+  } catch (err) {
+    logError('Error in addParlayBet', err);
+    throw err;
+  }
+}
+
+/**
+ * Remove a bet from the user's parlay
+ * @param {string} userId - User identifier
+ * @param {number} betId - Bet ID to remove
+ * @param {string} userToken - JWT token from authenticated user
+ * @returns {Promise<void>}
+ */
+export async function removeParlayBet(userId, betId, userToken) {
+  try {
+    if (!userToken) {
+      throw new Error('User token is required');
+    }
+    const supabase = getSupabaseClient(userToken);
+    const { error } = await supabase
+      .from('parlay_bets')
+      .delete()
+      .eq('id', betId)
+      .eq('user_uuid', userId);
+    
+    if (error) {
+      logError('Error removing parlay bet', error);
+      throw error;
+    }
+  } catch (err) {
+    logError('Error in removeParlayBet', err);
+    throw err;
+  }
+}
+
+/**
+ * Clear all parlay bets for a user
+ * @param {string} userId - User identifier
+ * @param {string} userToken - JWT token from authenticated user
+ * @returns {Promise<void>}
+ */
+export async function clearParlayBets(userId, userToken) {
+  try {
+    if (!userToken) {
+      throw new Error('User token is required');
+    }
+    const supabase = getSupabaseClient(userToken);
+    const { error } = await supabase
+      .from('parlay_bets')
+      .delete()
+      .eq('user_uuid', userId);
+    
+    if (error) {
+      logError('Error clearing parlay bets', error);
+      throw error;
+    }
+  } catch (err) {
+    logError('Error in clearParlayBets', err);
+    throw err;
+  }
+}
+
+/**
+ * Save pending payment to database
+ * @param {string} sessionId - Stripe checkout session ID
+ * @param {string} userId - User identifier
+ * @param {number} stake - Stake amount
+ * @param {Array|null} parlayData - Array of parlay bet objects (null for credit purchases)
+ * @param {Object|null} quoteData - Quote data from AI service (null for credit purchases)
+ * @param {string} paymentType - Payment type: 'parlay' or 'credits'
+ * @returns {Promise<Object>} Saved payment record
+ */
+export async function savePendingPayment(sessionId, userId, stake, parlayData, quoteData, paymentType = 'parlay', userToken) {
+  try {
+    if (!userToken) {
+      throw new Error('User token is required');
+    }
+    const supabase = getSupabaseClient(userToken);
+    await getOrCreateUser(userId, userToken);
+    
+    const { data, error } = await supabase
+      .from('pending_payments')
+      .insert({
+        session_id: sessionId,
+        user_uuid: userId,
+        user_id: userId, // Keep for backward compatibility
+        stake: stake,
+        parlay_data: parlayData ? parlayData : null,
+        quote_data: quoteData ? quoteData : null,
+        payment_type: paymentType
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      logError('Error saving pending payment', error);
+      throw error;
+    }
+    
+    return data;
+  } catch (err) {
+    logError('Error in savePendingPayment', err);
+    throw err;
+  }
+}
+
+/**
+ * Get pending payment by session ID
+ * @param {string} sessionId - Stripe checkout session ID
+ * @returns {Promise<Object|null>} Payment record or null if not found
+ */
+export async function getPendingPayment(sessionId, userToken = null) {
+  try {
+    // For webhooks, we might not have userToken - use service role in that case
+    const supabase = userToken ? getSupabaseClient(userToken) : serviceRoleClient;
+    if (!supabase) {
+      throw new Error('Either user token or service role key is required');
+    }
+    const { data, error } = await supabase
+      .from('pending_payments')
+      .select('*')
+      .eq('session_id', sessionId)
+      .single();
+    
+    if (error) {
+      if (error.code === 'PGRST116') { // No rows returned
+      return null;
+      }
+      logError('Error fetching pending payment', error);
+      throw error;
+    }
+    
+    return data;
+  } catch (err) {
+    logError('Error in getPendingPayment', err);
+    throw err;
+  }
+}
+
+/**
+ * Update pending payment status
+ * @param {string} sessionId - Stripe checkout session ID
+ * @param {string} status - New status ('pending', 'completed', etc.)
+ * @returns {Promise<void>}
+ */
+export async function updatePaymentStatus(sessionId, status, userToken = null) {
+  try {
+    // For webhooks, we might not have userToken - use service role in that case
+    const supabase = userToken ? getSupabaseClient(userToken) : serviceRoleClient;
+    if (!supabase) {
+      throw new Error('Either user token or service role key is required');
+    }
+    const { error } = await supabase
+      .from('pending_payments')
+      .update({
+        status: status,
+        updated_at: new Date().toISOString()
+      })
+      .eq('session_id', sessionId);
+    
+    if (error) {
+      logError('Error updating payment status', error);
+      throw error;
+    }
+  } catch (err) {
+    logError('Error in updatePaymentStatus', err);
+    throw err;
+  }
+}
+
+/**
+ * Save completed purchase to database
+ * @param {string} sessionId - Stripe checkout session ID
+ * @param {string} userId - User identifier
+ * @param {number} stake - Stake amount
+ * @param {number} payout - Payout amount
+ * @param {Array} parlayData - Array of parlay bet objects
+ * @param {Object} quoteData - Quote data from AI service
+ * @param {Object|null} hedgingStrategy - Hedging strategy data
+ * @param {number} stripeAmount - Amount charged by Stripe
+ * @returns {Promise<Object>} Saved purchase record
+ */
+export async function saveCompletedPurchase(sessionId, userId, stake, payout, parlayData, quoteData, hedgingStrategy, stripeAmount, userToken = null) {
+  try {
+    // For webhooks, we might not have userToken - use service role in that case
+    const supabase = userToken ? getSupabaseClient(userToken) : serviceRoleClient;
+    if (!supabase) {
+      throw new Error('Either user token or service role key is required');
+    }
+    const { data, error } = await supabase
+      .from('completed_purchases')
+      .insert({
+        session_id: sessionId,
+        user_uuid: userId,
+        user_id: userId, // Keep for backward compatibility
+        stake: stake,
+        payout: payout,
+        parlay_data: parlayData,
+        quote_data: quoteData,
+        // Round robins and flex parlays are graded against the quoted payout table
+        parlay_type: quoteData?.parlayType?.type || 'standard',
+        payout_table: quoteData?.payoutTable || null,
+        hedging_strategy: hedgingStrategy,
+        stripe_amount: stripeAmount
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      logError('Error saving completed purchase', error);
+      throw error;
+    }
+    
+    return data;
+  } catch (err) {
+    logError('Error in saveCompletedPurchase', err);
+    throw err;
+  }
+}
+
+/**
+ * Save a server-issued parlay quote
+ * Note: Quotes are only handled by the backend, uses service role
+ * @param {Object} quoteRecord - Quote row (id, user_uuid, legs_hash, stake, quote_data, signature, expires_at)
+ * @returns {Promise<Object>} Saved quote record
+ */
+export async function saveParlayQuote(quoteRecord) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for saveParlayQuote');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('parlay_quotes')
+      .insert(quoteRecord)
+      .select()
+      .single();
+
+    if (error) {
+      logError('Error saving parlay quote', error);
+      throw error;
+    }
+
+    return data;
+  } catch (err) {
+    logError('Error in saveParlayQuote', err);
+    throw err;
+  }
+}
+
+/**
+ * Get a parlay quote by ID
+ * @param {string} quoteId - Server-issued quote ID
+ * @returns {Promise<Object|null>} Quote record or null if not found
+ */
+export async function getParlayQuote(quoteId) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getParlayQuote');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('parlay_quotes')
+      .select('*')
+      .eq('id', quoteId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') { // No rows returned
+        return null;
+      }
+      logError('Error fetching parlay quote', error);
+      throw error;
+    }
+
+    return data;
+  } catch (err) {
+    logError('Error in getParlayQuote', err);
+    throw err;
+  }
+}
+
+/**
+ * Mark a parlay quote as used
+ * Only succeeds if the quote has not been used yet, so two concurrent
+ * placements cannot redeem the same quote
+ * @param {string} quoteId - Server-issued quote ID
+ * @param {string} sessionId - Purchase session ID the quote was redeemed for
+ * @returns {Promise<boolean>} True if this call marked the quote as used
+ */
+export async function markParlayQuoteUsed(quoteId, sessionId) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for markParlayQuoteUsed');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('parlay_quotes')
+      .update({
+        used_at: new Date().toISOString(),
+        purchase_session_id: sessionId
+      })
+      .eq('id', quoteId)
+      .is('used_at', null)
+      .select('id');
+
+    if (error) {
+      logError('Error marking parlay quote as used', error);
+      throw error;
+    }
+
+    return (data || []).length > 0;
+  } catch (err) {
+    logError('Error in markParlayQuoteUsed', err);
+    throw err;
+  }
+}
+
+/**
+ * Put back a quote redeemed for a placement that was then rejected
+ * Only the placement that redeemed it can release it.
+ * @param {string} quoteId - Server-issued quote ID
+ * @param {string} sessionId - Purchase session ID the quote was redeemed for
+ * @returns {Promise<boolean>} True if the quote can be redeemed again
+ */
+export async function releaseParlayQuote(quoteId, sessionId) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for releaseParlayQuote');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('parlay_quotes')
+      .update({ used_at: null, purchase_session_id: null })
+      .eq('id', quoteId)
+      .eq('purchase_session_id', sessionId)
+      .select('id');
+
+    if (error) {
+      logError('Error releasing parlay quote', error);
+      throw error;
+    }
+
+    return (data || []).length > 0;
+  } catch (err) {
+    logError('Error in releaseParlayQuote', err);
+    throw err;
+  }
+}
+
+/**
+ * Save a cash-out offer
+ * @param {Object} offer - cash_out_offers row
+ * @returns {Promise<Object>} Saved offer
+ */
+export async function saveCashOutOffer(offer) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for saveCashOutOffer');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('cash_out_offers')
+      .insert(offer)
+      .select()
+      .single();
+
+    if (error) {
+      logError('Error saving cash-out offer', error);
+      throw error;
+    }
+
+    return data;
+  } catch (err) {
+    logError('Error in saveCashOutOffer', err);
+    throw err;
+  }
+}
+
+/**
+ * Get a cash-out offer by ID
+ * @param {string} offerId - Offer ID
+ * @returns {Promise<Object|null>} Offer or null if not found
+ */
+export async function getCashOutOffer(offerId) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getCashOutOffer');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('cash_out_offers')
+      .select('*')
+      .eq('id', offerId)
+      .maybeSingle();
+
+    if (error) {
+      logError('Error fetching cash-out offer', error);
+      throw error;
+    }
+
+    return data;
+  } catch (err) {
+    logError('Error in getCashOutOffer', err);
+    throw err;
+  }
+}
+
+/**
+ * Mark a cash-out offer as accepted (only once)
+ * @param {string} offerId - Offer ID
+ * @returns {Promise<boolean>} True if this call marked it
+ */
+export async function markCashOutOfferAccepted(offerId) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for markCashOutOfferAccepted');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('cash_out_offers')
+      .update({ accepted_at: new Date().toISOString() })
+      .eq('id', offerId)
+      .is('accepted_at', null)
+      .select('id');
+
+    if (error) {
+      logError('Error marking cash-out offer as accepted', error);
+      throw error;
+    }
+
+    return (data || []).length > 0;
+  } catch (err) {
+    logError('Error in markCashOutOfferAccepted', err);
+    throw err;
+  }
+}
+
+/**
+ * Get completed purchase by session ID
+ * @param {string} sessionId - Stripe checkout session ID
+ * @returns {Promise<Object|null>} Purchase record or null if not found
+ */
+export async function getCompletedPurchase(sessionId, userToken = null) {
+  try {
+    // For webhooks, we might not have userToken - use service role in that case
+    const supabase = userToken ? getSupabaseClient(userToken) : serviceRoleClient;
+    if (!supabase) {
+      throw new Error('Either user token or service role key is required');
+    }
+    const { data, error } = await supabase
+      .from('completed_purchases')
+      .select('*')
+      .eq('session_id', sessionId)
+      .single();
+    
+    if (error) {
+      if (error.code === 'PGRST116') { // No rows returned
+        return null;
+      }
+      logError('Error fetching completed purchase', error);
+      throw error;
+    }
+    
+    return data;
+  } catch (err) {
+    logError('Error in getCompletedPurchase', err);
+    throw err;
+  }
+}
+
+/**
+ * Mark hedge as executed for a completed purchase
+ * @param {string} sessionId - Stripe checkout session ID
+ * @returns {Promise<void>}
+ */
+export async function markHedgeExecuted(sessionId, userToken = null) {
+  try {
+    // For webhooks, we might not have userToken - use service role in that case
+    const supabase = userToken ? getSupabaseClient(userToken) : serviceRoleClient;
+    if (!supabase) {
+      throw new Error('Either user token or service role key is required');
+    }
+    const { error } = await supabase
+      .from('completed_purchases')
+      .update({ hedge_executed: true })
+      .eq('session_id', sessionId);
+    
+    if (error) {
+      logError('Error marking hedge as executed', error);
+      throw error;
+    }
+  } catch (err) {
+    logError('Error in markHedgeExecuted', err);
+    throw err;
+  }
+}
+
+/**
+ * Insert hedge order records
+ * Note: Hedge orders are only handled by the backend, uses service role
+ * @param {Array<Object>} orders - hedge_orders rows
+ * @returns {Promise<Array>} Inserted rows
+ */
+export async function insertHedgeOrders(orders) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for insertHedgeOrders');
+    }
+    if (!orders || orders.length === 0) return [];
+    const { data, error } = await serviceRoleClient
+      .from('hedge_orders')
+      .insert(orders)
+      .select();
+    
+    if (error) {
+      logError('Error inserting hedge orders', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in insertHedgeOrders', err);
+    throw err;
+  }
+}
+
+/**
+ * Update a hedge order record
+ * @param {number} orderId - hedge_orders.id
+ * @param {Object} updates - Columns to update
+ * @returns {Promise<void>}
+ */
+export async function updateHedgeOrder(orderId, updates) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for updateHedgeOrder');
+    }
+    const { error } = await serviceRoleClient
+      .from('hedge_orders')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', orderId);
+    
+    if (error) {
+      logError('Error updating hedge order', error);
+      throw error;
+    }
+  } catch (err) {
+    logError('Error in updateHedgeOrder', err);
+    throw err;
+  }
+}
+
+/**
+ * Get hedge orders that may still fill (pending, resting or partially filled)
+ * @returns {Promise<Array>} Open hedge orders, oldest first
+ */
+export async function getOpenHedgeOrders() {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getOpenHedgeOrders');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('hedge_orders')
+      .select('*')
+      .in('status', ['pending', 'resting', 'partially_filled'])
+      .order('placed_at', { ascending: true });
+    
+    if (error) {
+      logError('Error fetching open hedge orders', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getOpenHedgeOrders', err);
+    throw err;
+  }
+}
+
+/**
+ * Get all hedge orders for a purchase
+ * @param {string} sessionId - Purchase session ID
+ * @returns {Promise<Array>} Hedge orders ordered by leg and attempt
+ */
+export async function getHedgeOrdersForPurchase(sessionId) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getHedgeOrdersForPurchase');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('hedge_orders')
+      .select('*')
+      .eq('purchase_session_id', sessionId)
+      .order('leg_number', { ascending: true })
+      .order('attempt', { ascending: true });
+    
+    if (error) {
+      logError('Error fetching hedge orders for purchase', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getHedgeOrdersForPurchase', err);
+    throw err;
+  }
+}
+
+/**
+ * Get the portfolio netting orders placed on a ticker (service role)
+ * @param {string} ticker - Kalshi ticker
+ * @returns {Promise<Array>} Hedge orders with no purchase, oldest first
+ */
+export async function getNettingHedgeOrders(ticker) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getNettingHedgeOrders');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('hedge_orders')
+      .select('*')
+      .is('purchase_session_id', null)
+      .eq('ticker', ticker)
+      .order('id', { ascending: true });
+    
+    if (error) {
+      logError('Error fetching netting hedge orders', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getNettingHedgeOrders', err);
+    throw err;
+  }
+}
+
+/**
+ * Set a purchase's hedge status (derived from its hedge orders)
+ * hedge_executed is kept in sync for older readers: true once hedges are fully filled
+ * @param {string} sessionId - Purchase session ID
+ * @param {string} hedgeStatus - none, pending, filled, partial, failed or dry_run
+ * @returns {Promise<void>}
+ */
+export async function updatePurchaseHedgeStatus(sessionId, hedgeStatus) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for updatePurchaseHedgeStatus');
+    }
+    const { error } = await serviceRoleClient
+      .from('completed_purchases')
+      .update({
+        hedge_status: hedgeStatus,
+        hedge_executed: hedgeStatus === 'filled' || hedgeStatus === 'dry_run'
+      })
+      .eq('session_id', sessionId);
+    
+    if (error) {
+      logError('Error updating purchase hedge status', error);
+      throw error;
+    }
+  } catch (err) {
+    logError('Error in updatePurchaseHedgeStatus', err);
+    throw err;
+  }
+}
+
+/**
+ * Take the unwind lock on a purchase whose hedges aren't unwound yet
+ * A lock taken before staleBefore belongs to an unwind that died and is taken over.
+ * Note: uses service role
+ * @param {string} sessionId - Purchase session ID
+ * @param {string} staleBefore - ISO timestamp
+ * @returns {Promise<Object|null>} Updated row, or null if the lock wasn't taken
+ */
+export async function beginHedgeUnwind(sessionId, staleBefore) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for beginHedgeUnwind');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('completed_purchases')
+      .update({ hedge_unwinding_at: new Date().toISOString() })
+      .eq('session_id', sessionId)
+      .is('hedge_unwound_at', null)
+      .or(`hedge_unwinding_at.is.null,hedge_unwinding_at.lt.${staleBefore}`)
+      .select('*');
+    
+    if (error) {
+      logError('Error taking hedge unwind lock', error);
+      throw error;
+    }
+    
+    return data?.[0] || null;
+  } catch (err) {
+    logError('Error in beginHedgeUnwind', err);
+    throw err;
+  }
+}
+
+/**
+ * Record a hedge unwind and/or the realized hedge PnL on a purchase
+ * @param {string} sessionId - Purchase session ID
+ * @param {Object} fields
+ * @param {number} fields.hedgePnl - Realized hedge PnL in dollars
+ * @param {number} fields.openContracts - Hedge contracts still held on open legs
+ * @param {string} fields.unwoundAt - ISO timestamp of the unwind (omit to leave unchanged)
+ * @param {string|null} fields.unwindingAt - Unwind lock (null releases it; omit to leave unchanged)
+ * @returns {Promise<void>}
+ */
+export async function updatePurchaseHedgeUnwind(sessionId, { hedgePnl, openContracts, unwoundAt, unwindingAt } = {}) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for updatePurchaseHedgeUnwind');
+    }
+    const updates = {};
+    if (hedgePnl !== undefined) updates.hedge_pnl = hedgePnl;
+    if (openContracts !== undefined) updates.hedge_open_contracts = openContracts;
+    if (unwoundAt !== undefined) updates.hedge_unwound_at = unwoundAt;
+    if (unwindingAt !== undefined) updates.hedge_unwinding_at = unwindingAt;
+    
+    const { error } = await serviceRoleClient
+      .from('completed_purchases')
+      .update(updates)
+      .eq('session_id', sessionId);
+    
+    if (error) {
+      logError('Error updating purchase hedge unwind', error);
+      throw error;
+    }
+  } catch (err) {
+    logError('Error in updatePurchaseHedgeUnwind', err);
+    throw err;
+  }
+}
+
+/**
+ * Get all completed purchases for a user
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Array of completed purchase records
+ */
+export async function getUserPurchaseHistory(userId, userToken) {
+  try {
+    if (!userToken) {
+      throw new Error('User token is required');
+    }
+    const supabase = getSupabaseClient(userToken);
+    const { data, error } = await supabase
+      .from('completed_purchases')
+      .select('id, session_id, stake, payout, parlay_data, completed_at, hedge_executed, hedge_status, parlay_status, claimable_amount, claimed_at, claim_status, cash_out_amount, cashed_out_at, parlay_type, payout_table')
+      .eq('user_uuid', userId)
+      .order('completed_at', { ascending: false });
+    
+    if (error) {
+      logError('Error fetching user purchase history', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getUserPurchaseHistory', err);
+    throw err;
+  }
+}
+
+/**
+ * Update outcome for a specific leg of a parlay
+ */
+export async function updateParlayBetOutcome(purchaseId, legNumber, ticker, optionId, marketStatus, outcome, settlementPrice, userToken = null) {
+  try {
+    // For background jobs, we might not have userToken - use service role in that case
+    const supabase = userToken ? getSupabaseClient(userToken) : serviceRoleClient;
+    if (!supabase) {
+      throw new Error('Either user token or service role key is required');
+    }
+    const updateData = {
+      purchase_id: purchaseId,
+      leg_number: legNumber,
+      ticker: ticker,
+      option_id: optionId,
+      market_status: marketStatus,
+      outcome: outcome,
+      settlement_price: settlementPrice,
+      checked_at: new Date().toISOString()
+    };
+    
+    if (marketStatus === 'settled') {
+      updateData.settled_at = new Date().toISOString();
+    }
+    
+    const { error } = await supabase
+      .from('parlay_bet_outcomes')
+      .upsert(updateData, {
+        onConflict: 'purchase_id,leg_number',
+        ignoreDuplicates: false
+      });
+    
+    if (error) {
+      logError('Error updating parlay bet outcome', error);
+      throw error;
+    }
+  } catch (err) {
+    logError('Error in updateParlayBetOutcome', err);
+    throw err;
+  }
+}
+
+/**
+ * Update overall parlay status
+ */
+export async function updateParlayStatus(sessionId, status, claimableAmount, userToken = null) {
+  try {
+    // For background jobs, we might not have userToken - use service role in that case
+    const supabase = userToken ? getSupabaseClient(userToken) : serviceRoleClient;
+    if (!supabase) {
+      throw new Error('Either user token or service role key is required');
+    }
+    const { error } = await supabase
+      .from('completed_purchases')
+      .update({
+        parlay_status: status,
+        claimable_amount: claimableAmount,
+        last_status_check: new Date().toISOString()
+      })
+      .eq('session_id', sessionId)
+      .or('parlay_status.is.null,parlay_status.neq.cashed_out'); // A cash-out is final, whatever the legs do afterwards
+    
+    if (error) {
+      logError('Error updating parlay status', error);
+      throw error;
+    }
+  } catch (err) {
+    logError('Error in updateParlayStatus', err);
+    throw err;
+  }
+}
+
+/**
+ * Settle a pending parlay as cashed out (only if it is still pending)
+ * Note: uses service role
+ * @param {string} sessionId - Purchase session ID
+ * @param {Object} cashOut - { amount, offerId }
+ * @returns {Promise<boolean>} False if the parlay was no longer pending
+ */
+export async function cashOutPurchase(sessionId, { amount, offerId }) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for cashOutPurchase');
+    }
+    const now = new Date().toISOString();
+    const { data, error } = await serviceRoleClient
+      .from('completed_purchases')
+      .update({
+        parlay_status: 'cashed_out',
+        claimable_amount: 0,
+        cash_out_amount: amount,
+        cash_out_offer_id: offerId,
+        cashed_out_at: now,
+        last_status_check: now
+      })
+      .eq('session_id', sessionId)
+      .or('parlay_status.is.null,parlay_status.eq.pending')
+      .select('session_id');
+    
+    if (error) {
+      logError('Error cashing out parlay', error);
+      throw error;
+    }
+    
+    return (data || []).length > 0;
+  } catch (err) {
+    logError('Error in cashOutPurchase', err);
+    throw err;
+  }
+}
+
+/**
+ * Get active parlays (not fully settled)
+ * Note: This is a background job function, uses service role
+ */
+export async function getActiveParlays() {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getActiveParlays');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('completed_purchases')
+      .select('*')
+      .in('parlay_status', ['pending', 'won'])
+      .order('completed_at', { ascending: false });
+    
+    if (error) {
+      logError('Error fetching active parlays', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getActiveParlays', err);
+    throw err;
+  }
+}
+
+/**
+ * Get active parlays the settlement job should check now (next check time passed or never set)
+ * Lost and cashed-out parlays are included until their hedges are unwound.
+ * Note: This is a background job function, uses service role
+ * @param {number} limit - Maximum rows to return, most overdue first
+ * @returns {Promise<Array>} completed_purchases rows
+ */
+export async function getParlaysDueForStatusCheck(limit = 100) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getParlaysDueForStatusCheck');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('completed_purchases')
+      .select('*')
+      // Lost and cashed-out parlays stay due until their hedges are unwound
+      .or('parlay_status.in.(pending,won),and(parlay_status.in.(lost,cashed_out),hedge_unwound_at.is.null)')
+      .or(`next_status_check_at.is.null,next_status_check_at.lte.${new Date().toISOString()}`)
+      .order('next_status_check_at', { ascending: true, nullsFirst: true })
+      .limit(limit);
+    
+    if (error) {
+      logError('Error fetching parlays due for a status check', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getParlaysDueForStatusCheck', err);
+    throw err;
+  }
+}
+
+/**
+ * Schedule a parlay's next settlement check
+ * Note: This is a background job function, uses service role
+ * @param {string} sessionId - Purchase session ID
+ * @param {string} nextCheckAt - ISO timestamp
+ */
+export async function setParlayNextStatusCheck(sessionId, nextCheckAt) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for setParlayNextStatusCheck');
+    }
+    const { error } = await serviceRoleClient
+      .from('completed_purchases')
+      .update({ next_status_check_at: nextCheckAt })
+      .eq('session_id', sessionId);
+    
+    if (error) {
+      logError('Error scheduling parlay status check', error);
+      throw error;
+    }
+  } catch (err) {
+    logError('Error in setParlayNextStatusCheck', err);
+    throw err;
+  }
+}
+
+/**
+ * Get the most recent purchases across all users (test endpoints only)
+ * @param {number} limit - Maximum rows to return
+ * @returns {Promise<Array>} Purchases, newest first
+ */
+export async function getRecentPurchases(limit = 50) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getRecentPurchases');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('completed_purchases')
+      .select('session_id, user_id, stake, payout, parlay_status, claimable_amount, completed_at')
+      .order('completed_at', { ascending: false })
+      .limit(limit);
+    
+    if (error) {
+      logError('Error fetching recent purchases', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getRecentPurchases', err);
+    throw err;
+  }
+}
+
+/**
+ * Get pending parlays with the fields needed to compute open liability
+ * Note: This is an admin function, uses service role
+ * @returns {Promise<Array>} Pending purchases (session_id, stake, payout, parlay_data)
+ */
+export async function getOpenParlayExposure() {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getOpenParlayExposure');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('completed_purchases')
+      .select('session_id, stake, payout, parlay_data')
+      .eq('parlay_status', 'pending');
+    
+    if (error) {
+      logError('Error fetching open parlay exposure', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getOpenParlayExposure', err);
+    throw err;
+  }
+}
+
+/**
+ * Take exposure locks for a placement, all or none (service role)
+ * @param {Array<string>} keys - Lock keys (market:<TICKER>, event:<EVENT>)
+ * @param {string} owner - Placement taking the locks
+ * @param {number} leaseMs - Lease length; an unreleased lock frees itself after this
+ * @returns {Promise<boolean>} False if another placement holds any of the keys
+ */
+export async function acquireRiskLocks(keys, owner, leaseMs) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for acquireRiskLocks');
+    }
+    const { data, error } = await serviceRoleClient.rpc('acquire_risk_locks', {
+      p_keys: keys,
+      p_owner: owner,
+      p_lease_ms: Math.round(leaseMs)
+    });
+    
+    if (error) {
+      logError('Error acquiring risk locks', error);
+      throw error;
+    }
+    
+    return data === true;
+  } catch (err) {
+    logError('Error in acquireRiskLocks', err);
+    throw err;
+  }
+}
+
+/**
+ * Release exposure locks a placement holds (service role)
+ * @param {Array<string>} keys - Lock keys
+ * @param {string} owner - Placement that took the locks
+ * @returns {Promise<boolean>} False if none were still held by owner
+ */
+export async function releaseRiskLocks(keys, owner) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for releaseRiskLocks');
+    }
+    const { data, error } = await serviceRoleClient.rpc('release_risk_locks', {
+      p_keys: keys,
+      p_owner: owner
+    });
+    
+    if (error) {
+      logError('Error releasing risk locks', error);
+      throw error;
+    }
+    
+    return data === true;
+  } catch (err) {
+    logError('Error in releaseRiskLocks', err);
+    throw err;
+  }
+}
+
+/**
+ * Get pending parlays with their stored hedging strategy, for portfolio hedge netting
+ * @returns {Promise<Array>} Rows with id, session_id, parlay_data, hedging_strategy and hedge_unwound_at
+ */
+export async function getPendingParlayHedges() {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getPendingParlayHedges');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('completed_purchases')
+      .select('id, session_id, parlay_data, hedging_strategy, hedge_unwound_at')
+      .eq('parlay_status', 'pending');
+    
+    if (error) {
+      logError('Error fetching pending parlay hedges', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getPendingParlayHedges', err);
+    throw err;
+  }
+}
+
+/**
+ * Get every ticker in a user's parlay slip or in a pending purchase
+ * Used by the market data feed to decide which markets to subscribe to.
+ * @returns {Promise<Array<string>>} Distinct uppercase tickers
+ */
+export async function getTrackedTickers() {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getTrackedTickers');
+    }
+    const [slips, purchases] = await Promise.all([
+      serviceRoleClient.from('parlay_bets').select('ticker').not('ticker', 'is', null),
+      serviceRoleClient.from('completed_purchases').select('parlay_data').eq('parlay_status', 'pending')
+    ]);
+    
+    const error = slips.error || purchases.error;
+    if (error) {
+      logError('Error fetching tracked tickers', error);
+      throw error;
+    }
+    
+    const tickers = new Set((slips.data || []).map(row => row.ticker.toUpperCase()));
+    (purchases.data || []).forEach(row => {
+      const legs = typeof row.parlay_data === 'string' ? JSON.parse(row.parlay_data) : row.parlay_data || [];
+      legs.forEach(leg => {
+        if (leg.ticker) tickers.add(leg.ticker.toUpperCase());
+      });
+    });
+    
+    return [...tickers];
+  } catch (err) {
+    logError('Error in getTrackedTickers', err);
+    throw err;
+  }
+}
+
+/**
+ * Mark parlay as claimed
+ * Background jobs (auto-claim) have no user token and use the service role.
+ * @returns {Promise<boolean>} False if it was already claimed (or isn't won)
+ */
+export async function claimParlayWinnings(sessionId, userToken = null) {
+  try {
+    const supabase = userToken ? getSupabaseClient(userToken) : serviceRoleClient;
+    if (!supabase) {
+      throw new Error('Either user token or service role key is required');
+    }
+    const { data, error } = await supabase
+      .from('completed_purchases')
+      .update({ claimed_at: new Date().toISOString(), claim_status: 'credited' })
+      .eq('session_id', sessionId)
+      .eq('parlay_status', 'won')
+      .is('claimed_at', null)
+      .select('session_id');
+    
+    if (error) {
+      logError('Error claiming parlay winnings', error);
+      throw error;
+    }
+    
+    return (data || []).length > 0;
+  } catch (err) {
+    logError('Error in claimParlayWinnings', err);
+    throw err;
+  }
+}
+
+/**
+ * Take the claim lock: move a won, unclaimed parlay to 'transferring' under a row lock
+ * Fails while another transfer is in flight or once one has gone through.
+ * Note: uses service role (begin_claim_transfer RPC)
+ * @param {string} sessionId - Purchase session ID
+ * @param {string} idempotencyKey - Idempotency-Key of the claim request, if any
+ * @returns {Promise<Object|null>} Updated row, or null if the lock wasn't taken
+ */
+export async function beginClaimTransfer(sessionId, idempotencyKey = null) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for beginClaimTransfer');
+    }
+    const { data, error } = await serviceRoleClient.rpc('begin_claim_transfer', {
+      p_session_id: sessionId,
+      p_idempotency_key: idempotencyKey
+    });
+    
+    if (error) {
+      logError('Error starting claim transfer', error);
+      throw error;
+    }
+    
+    return data?.[0] || null;
+  } catch (err) {
+    logError('Error in beginClaimTransfer', err);
+    throw err;
+  }
+}
+
+/**
+ * Move a claim to its next state if it is still in the expected one
+ * Note: uses service role
+ * @param {string} sessionId - Purchase session ID
+ * @param {string} fromStatus - claim_status the claim must be in
+ * @param {Object} changes - Column values, including the new claim_status
+ * @returns {Promise<boolean>} False if the claim was no longer in fromStatus
+ */
+export async function advanceClaim(sessionId, fromStatus, changes) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for advanceClaim');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('completed_purchases')
+      .update(changes)
+      .eq('session_id', sessionId)
+      .eq('claim_status', fromStatus)
+      .select('session_id');
+    
+    if (error) {
+      logError('Error updating claim status', error);
+      throw error;
+    }
+    
+    return (data || []).length > 0;
+  } catch (err) {
+    logError('Error in advanceClaim', err);
+    throw err;
+  }
+}
+
+/**
+ * Won, unclaimed parlays of users who opted in to auto-claim that are due for an attempt
+ * (including transferred claims whose payout didn't finish)
+ * Note: This is a background job function, uses service role
+ * @param {number} maxAttempts - Skip claims that already failed this many times
+ * @param {number} limit - Maximum rows to return, oldest first
+ * @returns {Promise<Array>} completed_purchases rows
+ */
+export async function getAutoClaimCandidates(maxAttempts, limit = 100) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getAutoClaimCandidates');
+    }
+    const { data: settings, error: settingsError } = await serviceRoleClient
+      .from('user_settings')
+      .select('user_uuid')
+      .eq('auto_claim', true);
+    
+    if (settingsError) {
+      logError('Error fetching auto-claim users', settingsError);
+      throw settingsError;
+    }
+    if (!settings || settings.length === 0) {
+      return [];
+    }
+    
+    const { data, error } = await serviceRoleClient
+      .from('completed_purchases')
+      .select('*')
+      .in('user_uuid', settings.map(row => row.user_uuid))
+      .eq('parlay_status', 'won')
+      .is('claimed_at', null)
+      // New claims, failed transfers due for a retry, and transferred claims awaiting their payout
+      .or(`claim_status.is.null,claim_status.eq.transferred,and(claim_status.eq.requested,claim_attempts.lt.${maxAttempts},or(claim_next_attempt_at.is.null,claim_next_attempt_at.lte.${new Date().toISOString()}))`)
+      .order('completed_at', { ascending: true })
+      .limit(limit);
+    
+    if (error) {
+      logError('Error fetching auto-claim candidates', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getAutoClaimCandidates', err);
+    throw err;
+  }
+}
+
+/**
+ * Claims stuck in 'transferring' since before a cutoff (the transfer's outcome was never recorded)
+ * Note: uses service role
+ * @param {string} before - ISO timestamp
+ * @returns {Promise<Array>} completed_purchases rows
+ */
+export async function getStaleClaimTransfers(before) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getStaleClaimTransfers');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('completed_purchases')
+      .select('*')
+      .eq('claim_status', 'transferring')
+      .lt('claim_processing_at', before);
+    
+    if (error) {
+      logError('Error fetching stale claim transfers', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getStaleClaimTransfers', err);
+    throw err;
+  }
+}
+
+/**
+ * Get leg outcomes for a parlay
+ */
+export async function getParlayBetOutcomes(purchaseId, userToken = null) {
+  try {
+    // For background jobs, we might not have userToken - use service role in that case
+    const supabase = userToken ? getSupabaseClient(userToken) : serviceRoleClient;
+    if (!supabase) {
+      throw new Error('Either user token or service role key is required');
+    }
+    const { data, error } = await supabase
+      .from('parlay_bet_outcomes')
+      .select('*')
+      .eq('purchase_id', purchaseId)
+      .order('leg_number', { ascending: true });
+    
+    if (error) {
+      logError('Error fetching parlay bet outcomes', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getParlayBetOutcomes', err);
+    throw err;
+  }
+}
+
+/**
+ * Get or create user wallet
+ */
+export async function getUserWallet(userId, userToken = null) {
+  console.log(`[getUserWallet] ===== START ===== User: ${userId}, Has Token: ${!!userToken}`);
+  
+  try {
+    logInfo(`[getUserWallet] Getting wallet for user ${userId}...`);
+    
+    // Try to use Coinbase CDP service to get wallet with address and balance
+    try {
+      console.log(`[getUserWallet] Attempting CDP import...`);
+      logInfo(`[getUserWallet] Attempting to use Coinbase CDP service...`);
+      const { getUserWalletWithBalance } = await import('../coinbaseCdpService.js');
+      console.log(`[getUserWallet] CDP imported, calling getUserWalletWithBalance...`);
+      const walletData = await getUserWalletWithBalance(userId, userToken);
+      console.log(`[getUserWallet] CDP returned:`, JSON.stringify(walletData, null, 2));
+      
+      if (!walletData || !walletData.crypto_wallet_address) {
+        throw new Error('CDP service returned wallet data but no crypto_wallet_address');
+      }
+      
+      logInfo(`[getUserWallet] CDP wallet retrieved successfully:`, {
+        address: walletData.crypto_wallet_address,
+        balance: walletData.balance
+      });
+      
+      // Return wallet data in expected format
+      return {
+        user_uuid: userId,
+        user_id: userId,
+        crypto_wallet_address: walletData.crypto_wallet_address,
+        crypto_network: 'solana',
+        balance: walletData.balance,
+      };
+    } catch (cdpError) {
+      // If CDP is not configured or fails, fall back to database-only approach
+      logWarn('[getUserWallet] Coinbase CDP not available or failed, falling back to database-only wallet', {
+        error: cdpError.message,
+        stack: cdpError.stack,
+        userId
+      });
+    }
+    
+    // Fallback: For webhooks/payment redirects, we might not have userToken - use service role in that case
+    logInfo(`[getUserWallet] Using database fallback for user ${userId}...`);
+    const supabase = userToken ? getSupabaseClient(userToken) : serviceRoleClient;
+    if (!supabase) {
+      const error = new Error('Either user token or service role key is required');
+      logError('[getUserWallet] No Supabase client available', { userId, hasToken: !!userToken });
+      throw error;
+    }
+    
+    // Try to get existing wallet
+    logInfo(`[getUserWallet] Querying database for existing wallet...`);
+    const { data: existingWallet, error: selectError } = await supabase
+      .from('user_wallet')
+      .select('*')
+      .eq('user_uuid', userId)
+      .single();
+    
+    if (selectError && selectError.code !== 'PGRST116') { // PGRST116 = no rows returned
+      logError('[getUserWallet] Error querying wallet from database', {
+        error: selectError.message,
+        code: selectError.code,
+        details: selectError.details,
+        hint: selectError.hint,
+        userId
+      });
+      throw selectError;
+    }
+    
+    if (existingWallet) {
+      logInfo(`[getUserWallet] Found existing wallet for user ${userId}`, { 
+        hasAddress: !!existingWallet.crypto_wallet_address,
+        address: existingWallet.crypto_wallet_address,
+        keys: Object.keys(existingWallet)
+      });
+      
+      // If wallet exists but doesn't have crypto_wallet_address, try to create one
+      if (!existingWallet.crypto_wallet_address) {
+        logInfo(`[getUserWallet] Wallet exists but no crypto_wallet_address, attempting to create via CDP...`);
+        try {
+          const { getUserWalletWithBalance } = await import('../coinbaseCdpService.js');
+          const walletData = await getUserWalletWithBalance(userId, userToken);
+          
+          if (!walletData || !walletData.crypto_wallet_address) {
+            throw new Error('CDP service did not return wallet address');
+          }
+          
+          logInfo(`[getUserWallet] Updating database with wallet address: ${walletData.crypto_wallet_address}`);
+          
+          // Update the database with the wallet address
+          const { error: updateError } = await supabase
+            .from('user_wallet')
+            .update({
+              crypto_wallet_address: walletData.crypto_wallet_address,
+              crypto_network: 'solana',
+            })
+            .eq('user_uuid', userId);
+          
+          if (updateError) {
+            logError('[getUserWallet] Failed to update wallet address in database', {
+              error: updateError.message,
+              code: updateError.code,
+              details: updateError.details,
+              userId,
+              address: walletData.crypto_wallet_address
+            });
+            throw updateError;
+          }
+          
+          logInfo(`[getUserWallet] Successfully updated wallet address in database`);
+          
+          // Return updated wallet data
+          return {
+            ...existingWallet,
+            crypto_wallet_address: walletData.crypto_wallet_address,
+            crypto_network: 'solana',
+            balance: walletData.balance,
+          };
+        } catch (cdpError) {
+          logError('[getUserWallet] Failed to create wallet address via CDP', {
+            error: cdpError.message,
+            stack: cdpError.stack,
+            userId
+          });
+          // Return wallet as-is if CDP fails
+          return existingWallet;
+        }
+      }
+      
+      // If wallet exists but has wrong network (base-sepolia), update it to solana
+      if (existingWallet.crypto_network === 'base-sepolia' || existingWallet.crypto_network === 'base') {
+        logInfo(`[getUserWallet] Updating wallet network from ${existingWallet.crypto_network} to solana...`);
+        const { error: networkUpdateError } = await supabase
+          .from('user_wallet')
+          .update({
+            crypto_network: 'solana'
+          })
+          .eq('user_uuid', userId);
+        
+        if (networkUpdateError) {
+          logWarn('[getUserWallet] Failed to update network, continuing anyway', networkUpdateError);
+        } else {
+          existingWallet.crypto_network = 'solana';
+        }
+      }
+      
+      return existingWallet;
+    }
+    
+    // Create wallet if it doesn't exist
+    logInfo(`[getUserWallet] No wallet found, creating new wallet record for user ${userId}...`);
+    // Note: If using service role, RLS policies are bypassed
+    // If using user token, RLS policy must allow INSERT
+    const { data: newWallet, error: insertError } = await supabase
+      .from('user_wallet')
+      .insert({
+        user_uuid: userId,
+        user_id: userId, // Keep for backward compatibility
+        balance: 0,
+        crypto_network: 'solana'  // Default to Solana
+      })
+      .select()
+      .single();
+    
+    if (insertError) {
+      // If it's a unique constraint error, try to fetch again
+      if (insertError.code === '23505') {
+        logWarn('[getUserWallet] Unique constraint violation, fetching existing wallet...');
+        const { data: wallet, error: fetchError } = await supabase
+          .from('user_wallet')
+          .select('*')
+          .eq('user_uuid', userId)
+          .single();
+        
+        if (fetchError) {
+          logError('[getUserWallet] Error fetching wallet after constraint violation', fetchError);
+          throw fetchError;
+        }
+        
+        return wallet || { user_uuid: userId, user_id: userId, balance: 0 };
+      }
+      logError('[getUserWallet] Error creating user wallet', {
+        error: insertError.message,
+        code: insertError.code,
+        details: insertError.details,
+        hint: insertError.hint,
+        userId
+      });
+      throw insertError;
+    }
+    
+    if (!newWallet) {
+      logWarn(`[getUserWallet] Wallet insert succeeded but no data returned for user ${userId}`);
+      return { user_uuid: userId, user_id: userId, balance: 0 };
+    }
+    
+    logInfo(`[getUserWallet] Successfully created wallet record for user ${userId}`);
+    return newWallet;
+  } catch (err) {
+    logError('Error in getUserWallet', err);
+    throw err;
+  }
+}
+
+/**
+ * Post a balanced set of ledger entries and apply them to wallet and pool balances
+ * Runs in one database transaction (post_ledger_transaction RPC); a key already posted is a no-op.
+ * Note: Balances are only changed by the backend, uses service role
+ * @param {Object} transaction
+ * @param {string} transaction.idempotencyKey - Unique key for this posting
+ * @param {Array<Object>} transaction.entries - { account, userId, entryType, amount } summing to zero
+ * @param {string} transaction.referenceType - What the posting is for (purchase, withdrawal, hedge_order, ...)
+ * @param {string} transaction.referenceId - ID of that record
+ * @param {string} transaction.description - Human-readable description
+ * @param {Object} transaction.metadata - Optional extra details
+ * @returns {Promise<Object>} { applied, transactionId }
+ * @throws {Error} insufficient_funds if a user balance would go negative
+ */
+export async function postLedgerTransaction({ idempotencyKey, entries, referenceType = null, referenceId = null, description = null, metadata = null }) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for postLedgerTransaction');
+    }
+    const { data, error } = await serviceRoleClient.rpc('post_ledger_transaction', {
+      p_idempotency_key: idempotencyKey,
+      p_entries: entries.map(entry => ({
+        account: entry.account,
+        user_uuid: entry.userId || null,
+        entry_type: entry.entryType,
+        amount: entry.amount
+      })),
+      p_reference_type: referenceType,
+      p_reference_id: referenceId === null ? null : String(referenceId),
+      p_description: description,
+      p_metadata: metadata
+    });
+    
+    if (error) {
+      // insufficient_funds is an expected rejection - the caller reports it
+      if (!error.message?.includes('insufficient_funds')) {
+        logError('Error posting ledger transaction', error);
+      }
+      throw error;
+    }
+    
+    return { applied: data.applied, transactionId: data.transaction_id };
+  } catch (err) {
+    if (!err.message?.includes('insufficient_funds')) {
+      logError('Error in postLedgerTransaction', err);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Get a user's ledger entries, newest first
+ * @param {string} userId - User identifier
+ * @param {Object} options
+ * @param {number} options.limit - Maximum entries to return
+ * @param {string} options.before - Only entries created before this ISO timestamp (pagination)
+ * @param {string} userToken - JWT token from authenticated user
+ * @returns {Promise<Array>} ledger_entries rows for the user's account
+ */
+export async function getLedgerEntries(userId, { limit = 50, before = null } = {}, userToken) {
+  try {
+    if (!userToken) {
+      throw new Error('User token is required');
+    }
+    const supabase = getSupabaseClient(userToken);
+    let query = supabase
+      .from('ledger_entries')
+      .select('id, transaction_id, entry_type, amount, balance_after, reference_type, reference_id, description, created_at')
+      .eq('user_uuid', userId)
+      .eq('account', 'user')
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit);
+    
+    if (before) {
+      query = query.lt('created_at', before);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      logError('Error fetching ledger entries', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getLedgerEntries', err);
+    throw err;
+  }
+}
+
+/**
+ * Get platform liquidity pool balance
+ * Note: This is an admin function, uses service role
+ */
+export async function getLiquidityPoolBalance() {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getLiquidityPoolBalance');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('platform_liquidity_pool')
+      .select('balance')
+      .eq('id', 1)
+      .single();
+    
+    if (error) {
+      if (error.code === 'PGRST116') {
+      // Initialize if doesn't exist
+        const { data: newPool, error: insertError } = await serviceRoleClient
+          .from('platform_liquidity_pool')
+          .insert({
+            id: 1,
+            balance: 0.00
+          })
+          .select()
+          .single();
+        
+        if (insertError) {
+          logError('Error initializing liquidity pool', insertError);
+          throw insertError;
+        }
+        
+      return { balance: 0 };
+      }
+      logError('Error fetching liquidity pool balance', error);
+      throw error;
+    }
+    
+    return data || { balance: 0 };
+  } catch (err) {
+    logError('Error in getLiquidityPoolBalance', err);
+    throw err;
+  }
+}
+
+/**
+ * Create withdrawal request
+ * @param {string} destinationAddress - Solana address for USDC withdrawals
+ */
+export async function createWithdrawalRequest(userId, amount, paymentMethod, stripePayoutId = null, stripeTransferId = null, userToken, destinationAddress = null) {
+  try {
+    if (!userToken) {
+      throw new Error('User token is required');
+    }
+    const supabase = getSupabaseClient(userToken);
+    const { data, error } = await supabase
+      .from('withdrawal_requests')
+      .insert({
+        user_uuid: userId,
+        user_id: userId, // Keep for backward compatibility
+        amount: amount,
+        payment_method: paymentMethod,
+        stripe_payout_id: stripePayoutId,
+        stripe_transfer_id: stripeTransferId,
+        destination_address: destinationAddress,
+        status: 'pending'
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      logError('Error creating withdrawal request', error);
+      throw error;
+    }
+    
+    return data;
+  } catch (err) {
+    logError('Error in createWithdrawalRequest', err);
+    throw err;
+  }
+}
+
+/**
+ * Update withdrawal request status
+ * @param {Object} options
+ * @param {Array<string>} options.fromStatuses - Only update if the current status is one of these
+ * @param {Object} options.changes - Other columns to set (attempts, last_error, tx_signature, ...)
+ * @returns {Promise<Object|null>} Updated row, or null if no row matched
+ */
+export async function updateWithdrawalStatus(withdrawalId, status, stripePayoutId = null, userToken = null, { fromStatuses = null, changes = {} } = {}) {
+  try {
+    // For admin operations, we might not have userToken - use service role in that case
+    const supabase = userToken ? getSupabaseClient(userToken) : serviceRoleClient;
+    if (!supabase) {
+      throw new Error('Either user token or service role key is required');
+    }
+    const updateData = {
+      ...changes,
+      status: status,
+      updated_at: new Date().toISOString()
+    };
+    
+    if (stripePayoutId) {
+      updateData.stripe_payout_id = stripePayoutId;
+    }
+    
+    if (status === 'completed') {
+      updateData.completed_at = new Date().toISOString();
+    }
+    
+    let query = supabase
+      .from('withdrawal_requests')
+      .update(updateData)
+      .eq('id', withdrawalId);
+    
+    if (fromStatuses) {
+      query = query.in('status', fromStatuses);
+    }
+    
+    const { data, error } = await query.select();
+    
+    if (error) {
+      logError('Error updating withdrawal status', error);
+      throw error;
+    }
+    
+    return data?.[0] || null;
+  } catch (err) {
+    logError('Error in updateWithdrawalStatus', err);
+    throw err;
+  }
+}
+
+/**
+ * Get a withdrawal request by ID (service role)
+ * @param {string|number} withdrawalId - withdrawal_requests.id
+ * @returns {Promise<Object|null>} Withdrawal request
+ */
+export async function getWithdrawalRequest(withdrawalId) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getWithdrawalRequest');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('withdrawal_requests')
+      .select('*')
+      .eq('id', withdrawalId)
+      .single();
+    
+    if (error) {
+      if (error.code === 'PGRST116') { // No rows returned
+        return null;
+      }
+      logError('Error fetching withdrawal request', error);
+      throw error;
+    }
+    
+    return data;
+  } catch (err) {
+    logError('Error in getWithdrawalRequest', err);
+    throw err;
+  }
+}
+
+/**
+ * Get withdrawal requests in the given statuses across all users (service role)
+ * @param {Array<string>} statuses - e.g. ['pending', 'processing', 'failed']
+ * @returns {Promise<Array>} Withdrawal requests, oldest first
+ */
+export async function getWithdrawalsByStatus(statuses) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getWithdrawalsByStatus');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('withdrawal_requests')
+      .select('*')
+      .in('status', statuses)
+      .order('created_at', { ascending: true });
+    
+    if (error) {
+      logError('Error fetching withdrawals by status', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getWithdrawalsByStatus', err);
+    throw err;
+  }
+}
+
+/**
+ * Get withdrawal requests for a user
+ */
+export async function getWithdrawalRequests(userId, userToken) {
+  try {
+    if (!userToken) {
+      throw new Error('User token is required');
+    }
+    const supabase = getSupabaseClient(userToken);
+    const { data, error } = await supabase
+      .from('withdrawal_requests')
+      .select('*')
+      .eq('user_uuid', userId)
+      .order('created_at', { ascending: false });
+    
+    if (error) {
+      logError('Error fetching withdrawal requests', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getWithdrawalRequests', err);
+    throw err;
+  }
+}
+
+/**
+ * Get user wallets the deposit watcher should scan (service role)
+ * @returns {Promise<Array>} { user_uuid, crypto_wallet_address, deposit_cursor }
+ */
+export async function getDepositWatchWallets() {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getDepositWatchWallets');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('user_wallet')
+      .select('user_uuid, crypto_wallet_address, deposit_cursor')
+      .not('crypto_wallet_address', 'is', null);
+    
+    if (error) {
+      logError('Error fetching wallets for deposit watcher', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getDepositWatchWallets', err);
+    throw err;
+  }
+}
+
+/**
+ * Remember the newest signature the deposit watcher has processed for a wallet
+ * @param {string} userId - User UUID
+ * @param {string} signature - Solana transaction signature
+ */
+export async function updateDepositCursor(userId, signature) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for updateDepositCursor');
+    }
+    const { error } = await serviceRoleClient
+      .from('user_wallet')
+      .update({ deposit_cursor: signature })
+      .eq('user_uuid', userId);
+    
+    if (error) {
+      logError('Error updating deposit cursor', error);
+      throw error;
+    }
+  } catch (err) {
+    logError('Error in updateDepositCursor', err);
+    throw err;
+  }
+}
+
+/**
+ * Record a detected on-chain deposit (service role)
+ * @param {Object} deposit - chain_deposits row without id
+ * @returns {Promise<Object>} The stored row; the existing one if the signature was already recorded
+ */
+export async function saveChainDeposit(deposit) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for saveChainDeposit');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('chain_deposits')
+      .insert(deposit)
+      .select()
+      .single();
+    
+    if (error) {
+      if (error.code === '23505') {
+        const { data: existing, error: fetchError } = await serviceRoleClient
+          .from('chain_deposits')
+          .select('*')
+          .eq('signature', deposit.signature)
+          .single();
+        if (fetchError) throw fetchError;
+        return existing;
+      }
+      logError('Error saving chain deposit', error);
+      throw error;
+    }
+    
+    return data;
+  } catch (err) {
+    logError('Error in saveChainDeposit', err);
+    throw err;
+  }
+}
+
+/**
+ * Update an on-chain deposit (ledger link, sweep status)
+ * @param {number} depositId - chain_deposits.id
+ * @param {Object} updates - Columns to set
+ */
+export async function updateChainDeposit(depositId, updates) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for updateChainDeposit');
+    }
+    const { error } = await serviceRoleClient
+      .from('chain_deposits')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', depositId);
+    
+    if (error) {
+      logError('Error updating chain deposit', error);
+      throw error;
+    }
+  } catch (err) {
+    logError('Error in updateChainDeposit', err);
+    throw err;
+  }
+}
+
+/**
+ * Get credited deposits whose USDC still has to be swept to the platform wallet
+ * @returns {Promise<Array>} Deposits with sweep_status pending or failed, oldest first
+ */
+export async function getChainDepositsToSweep() {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getChainDepositsToSweep');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('chain_deposits')
+      .select('*')
+      .in('sweep_status', ['pending', 'failed'])
+      .order('created_at', { ascending: true });
+    
+    if (error) {
+      logError('Error fetching deposits to sweep', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getChainDepositsToSweep', err);
+    throw err;
+  }
+}
+
+/**
+ * Read every row of a table in pages (PostgREST caps a single response, 1000 rows by default)
+ * @param {string} table - Table name
+ * @param {string} columns - Select list
+ * @param {string} orderColumn - Unique column to page by
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+async function selectAllRows(table, columns, orderColumn) {
+  const pageSize = 1000;
+  const rows = [];
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await serviceRoleClient
+      .from(table)
+      .select(columns)
+      .order(orderColumn, { ascending: true })
+      .range(from, from + pageSize - 1);
+    if (error) {
+      return { data: null, error };
+    }
+    rows.push(...data);
+    if (data.length < pageSize) {
+      return { data: rows, error: null };
+    }
+  }
+}
+
+/**
+ * Get every user wallet (service role)
+ * @returns {Promise<Array>} { user_uuid, balance, crypto_wallet_address }
+ */
+export async function getAllUserWallets() {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getAllUserWallets');
+    }
+    const { data, error } = await selectAllRows('user_wallet', 'user_uuid, balance, crypto_wallet_address', 'user_uuid');
+    
+    if (error) {
+      logError('Error fetching user wallets', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getAllUserWallets', err);
+    throw err;
+  }
+}
+
+/**
+ * Get every purchase with the fields that move wallet balances (service role)
+ * @returns {Promise<Array>} { session_id, user_uuid, stake, parlay_status, claimable_amount, claimed_at, cash_out_amount, cashed_out_at, completed_at }
+ */
+export async function getAllPurchaseBalances() {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getAllPurchaseBalances');
+    }
+    const { data, error } = await selectAllRows('completed_purchases', 'session_id, user_uuid, stake, parlay_status, claimable_amount, claimed_at, cash_out_amount, cashed_out_at, completed_at', 'session_id');
+    
+    if (error) {
+      logError('Error fetching purchase balances', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getAllPurchaseBalances', err);
+    throw err;
+  }
+}
+
+/**
+ * Get every credited on-chain deposit (service role)
+ * @returns {Promise<Array>} chain_deposits rows
+ */
+export async function getAllChainDeposits() {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getAllChainDeposits');
+    }
+    const { data, error } = await selectAllRows('chain_deposits', '*', 'id');
+    
+    if (error) {
+      logError('Error fetching chain deposits', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getAllChainDeposits', err);
+    throw err;
+  }
+}
+
+/**
+ * Get every withdrawal request (service role)
+ * @returns {Promise<Array>} withdrawal_requests rows
+ */
+export async function getAllWithdrawals() {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getAllWithdrawals');
+    }
+    const { data, error } = await selectAllRows('withdrawal_requests', '*', 'id');
+    
+    if (error) {
+      logError('Error fetching withdrawals', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getAllWithdrawals', err);
+    throw err;
+  }
+}
+
+/**
+ * Sum the ledger per account (service role)
+ * @returns {Promise<Array>} { account, user_uuid, balance, opening_balance, opened_at }
+ */
+export async function getLedgerAccountBalances() {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getLedgerAccountBalances');
+    }
+    const { data, error } = await serviceRoleClient.rpc('get_ledger_account_balances');
+    
+    if (error) {
+      logError('Error fetching ledger account balances', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getLedgerAccountBalances', err);
+    throw err;
+  }
+}
+
+/**
+ * Take a job's lease if the job is due and no other scheduler holds it (service role)
+ * @param {string} jobName - Job name
+ * @param {string} owner - Scheduler instance ID
+ * @param {number} leaseMs - How long the lease lasts unless renewed
+ * @param {Object} options
+ * @param {boolean} options.force - Ignore next_run_at (run now), still respecting another holder's lease
+ * @returns {Promise<Object|null>} job_leases row when acquired
+ */
+export async function acquireJobLease(jobName, owner, leaseMs, { force = false } = {}) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for acquireJobLease');
+    }
+    const { data, error } = await serviceRoleClient.rpc('acquire_job_lease', {
+      p_job_name: jobName,
+      p_owner: owner,
+      p_lease_ms: Math.round(leaseMs),
+      p_force: force
+    });
+    
+    if (error) {
+      logError('Error acquiring job lease', error);
+      throw error;
+    }
+    
+    return data?.[0] || null;
+  } catch (err) {
+    logError('Error in acquireJobLease', err);
+    throw err;
+  }
+}
+
+/**
+ * Extend a job lease this scheduler holds (service role)
+ * @param {string} jobName - Job name
+ * @param {string} owner - Scheduler instance ID
+ * @param {number} leaseMs - New lease length from now
+ * @returns {Promise<boolean>} False if the lease is no longer held by owner
+ */
+export async function renewJobLease(jobName, owner, leaseMs) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for renewJobLease');
+    }
+    const { data, error } = await serviceRoleClient.rpc('renew_job_lease', {
+      p_job_name: jobName,
+      p_owner: owner,
+      p_lease_ms: Math.round(leaseMs)
+    });
+    
+    if (error) {
+      logError('Error renewing job lease', error);
+      throw error;
+    }
+    
+    return data === true;
+  } catch (err) {
+    logError('Error in renewJobLease', err);
+    throw err;
+  }
+}
+
+/**
+ * Release a job lease and schedule the job's next run (service role)
+ * @param {string} jobName - Job name
+ * @param {string} owner - Scheduler instance ID
+ * @param {Object} schedule
+ * @param {number} schedule.nextRunInMs - Delay until the job is next due
+ * @param {number} schedule.attempt - Consecutive failures so far (0 after a success)
+ * @param {string} schedule.lastError - Error of the failed run, if any
+ * @returns {Promise<boolean>} False if the lease had already been lost
+ */
+export async function releaseJobLease(jobName, owner, { nextRunInMs, attempt = 0, lastError = null }) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for releaseJobLease');
+    }
+    const { data, error } = await serviceRoleClient.rpc('release_job_lease', {
+      p_job_name: jobName,
+      p_owner: owner,
+      p_next_run_in_ms: Math.round(nextRunInMs),
+      p_attempt: attempt,
+      p_last_error: lastError
+    });
+    
+    if (error) {
+      logError('Error releasing job lease', error);
+      throw error;
+    }
+    
+    return data === true;
+  } catch (err) {
+    logError('Error in releaseJobLease', err);
+    throw err;
+  }
+}
+
+/**
+ * Get every job lease (service role)
+ * @returns {Promise<Array>} job_leases rows
+ */
+export async function getJobLeases() {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getJobLeases');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('job_leases')
+      .select('*')
+      .order('job_name', { ascending: true });
+    
+    if (error) {
+      logError('Error fetching job leases', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getJobLeases', err);
+    throw err;
+  }
+}
+
+/**
+ * Record the start of a job run (service role)
+ * @param {string} jobName - Job name
+ * @param {string} owner - Scheduler instance ID
+ * @param {number} attempt - 1 for a scheduled run, 2+ for retries
+ * @returns {Promise<Object>} The job_runs row
+ */
+export async function startJobRun(jobName, owner, attempt) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for startJobRun');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('job_runs')
+      .insert({ job_name: jobName, owner, attempt, status: 'running' })
+      .select()
+      .single();
+    
+    if (error) {
+      logError('Error recording job run', error);
+      throw error;
+    }
+    
+    return data;
+  } catch (err) {
+    logError('Error in startJobRun', err);
+    throw err;
+  }
+}
+
+/**
+ * Record how a job run ended (service role)
+ * @param {number} runId - job_runs ID
+ * @param {Object} outcome
+ * @param {string} outcome.status - 'succeeded' or 'failed'
+ * @param {number} outcome.durationMs - Run time
+ * @param {string} outcome.error - Error message for failed runs
+ * @param {Object} outcome.result - Summary returned by the job
+ */
+export async function finishJobRun(runId, { status, durationMs, error: runError = null, result = null }) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for finishJobRun');
+    }
+    const { error } = await serviceRoleClient
+      .from('job_runs')
+      .update({
+        status,
+        duration_ms: Math.round(durationMs),
+        error: runError,
+        result,
+        finished_at: new Date().toISOString()
+      })
+      .eq('id', runId);
+    
+    if (error) {
+      logError('Error finishing job run', error);
+      throw error;
+    }
+  } catch (err) {
+    logError('Error in finishJobRun', err);
+    throw err;
+  }
+}
+
+/**
+ * Get recent job runs, newest first (service role)
+ * @param {Object} options
+ * @param {string} options.jobName - Only runs of this job
+ * @param {string} options.status - Only runs with this status ('running', 'succeeded', 'failed')
+ * @param {number} options.limit - Maximum rows to return
+ * @returns {Promise<Array>} job_runs rows
+ */
+export async function getJobRuns({ jobName = null, status = null, limit = 50 } = {}) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for getJobRuns');
+    }
+    let query = serviceRoleClient
+      .from('job_runs')
+      .select('*')
+      .order('started_at', { ascending: false })
+      .limit(limit);
+    if (jobName) {
+      query = query.eq('job_name', jobName);
+    }
+    if (status) {
+      query = query.eq('status', status);
+    }
+    const { data, error } = await query;
+    
+    if (error) {
+      logError('Error fetching job runs', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (err) {
+    logError('Error in getJobRuns', err);
+    throw err;
+  }
+}
+
+/**
+ * Delete finished job runs older than a cutoff (service role)
+ * @param {string} before - ISO timestamp
+ * @returns {Promise<number>} Rows deleted
+ */
+export async function pruneJobRuns(before) {
+  try {
+    if (!serviceRoleClient) {
+      throw new Error('Service role client is required for pruneJobRuns');
+    }
+    const { data, error } = await serviceRoleClient
+      .from('job_runs')
+      .delete()
+      .lt('started_at', before)
+      .neq('status', 'running')
+      .select('id');
+    
+    if (error) {
+      logError('Error pruning job runs', error);
+      throw error;
+    }
+    
+    return (data || []).length;
+  } catch (err) {
+    logError('Error in pruneJobRuns', err);
+    throw err;
+  }
+}
+
+/**
+ * Get a user's settings, with defaults if they never saved any
+ * @param {string} userId - User UUID
+ * @param {string} userToken - JWT token (omit for service role)
+ * @returns {Promise<Object>} { user_uuid, auto_claim }
+ */
+export async function getUserSettings(userId, userToken = null) {
+  try {
+    const supabase = userToken ? getSupabaseClient(userToken) : serviceRoleClient;
+    if (!supabase) {
+      throw new Error('Either user token or service role key is required');
+    }
+    const { data, error } = await supabase
+      .from('user_settings')
+      .select('*')
+      .eq('user_uuid', userId)
+      .maybeSingle();
+    
+    if (error) {
+      logError('Error fetching user settings', error);
+      throw error;
+    }
+    
+    return data || { user_uuid: userId, auto_claim: false };
+  } catch (err) {
+    logError('Error in getUserSettings', err);
+    throw err;
+  }
+}
+
+/**
+ * Save a user's settings
+ * @param {string} userId - User UUID
+ * @param {Object} settings - Columns to set (e.g. { auto_claim: true })
+ * @param {string} userToken - JWT token from authenticated user
+ * @returns {Promise<Object>} Saved user_settings row
+ */
+export async function updateUserSettings(userId, settings, userToken) {
+  try {
+    if (!userToken) {
+      throw new Error('User token is required');
+    }
+    const supabase = getSupabaseClient(userToken);
+    const { data, error } = await supabase
+      .from('user_settings')
+      .upsert({ ...settings, user_uuid: userId, updated_at: new Date().toISOString() }, { onConflict: 'user_uuid' })
+      .select()
+      .single();
+    
+    if (error) {
+      logError('Error saving user settings', error);
+      throw error;
+    }
+    
+    return data;
+  } catch (err) {
+    logError('Error in updateUserSettings', err);
+    throw err;
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * Risk Engine
+ * Tracks open liability across pending parlays and caps how much we accept on new ones
+ *
+ * Liability of a parlay is what we lose if it wins: promised payout minus stake
+ * (the stake is already in the liquidity pool). Liability is aggregated per Kalshi
+ * ticker and per event, and a new parlay must fit under every limit:
+ *   - per market:   sum of liability on parlays containing the ticker
+ *   - per event:    same, grouped by event prefix
+ *   - per parlay:   liability of the new parlay alone
+ *   - pool drawdown: total open liability vs. platform_liquidity_pool balance
+ *
+ * Placement holds an exposure lock on every market and event of the parlay from the
+ * limit re-check until the purchase is saved, so two parlays on the same market can't
+ * both fit under a limit that only has room for one. The pool drawdown limit is not
+ * serialised across unrelated markets: concurrent placements can overshoot it by at
+ * most their own liability, which the per-parlay limit caps.
+ */
+
+import crypto from 'crypto';
+import os from 'os';
+import { ENV } from '../config/env.js';
+import { CONFIG, ERROR_MESSAGES, HTTP_STATUS } from '../config/constants.js';
+import { getOpenParlayExposure, getLiquidityPoolBalance, acquireRiskLocks, releaseRiskLocks } from './db.js';
+import { parseTickerPrefixes } from './pricingEngine.js';
+import { logInfo, logWarn, logError } from './utils/logger.js';
+
+export class RiskLockError extends Error {
+  constructor(message, status = HTTP_STATUS.SERVICE_UNAVAILABLE) {
+    super(message);
+    this.name = 'RiskLockError';
+    this.status = status;
+  }
+}
+
+const INSTANCE = `${os.hostname()}:${process.pid}`;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Resolve risk limits, letting environment variables override CONFIG.RISK
+ * @returns {Object} { maxMarketLiability, maxEventLiability, maxParlayLiability, maxPoolDrawdownPct }
+ */
+export function getRiskLimits() {
+  return {
+    maxMarketLiability: ENV.RISK_MAX_MARKET_LIABILITY ?? CONFIG.RISK.MAX_MARKET_LIABILITY,
+    maxEventLiability: ENV.RISK_MAX_EVENT_LIABILITY ?? CONFIG.RISK.MAX_EVENT_LIABILITY,
+    maxParlayLiability: ENV.RISK_MAX_PARLAY_LIABILITY ?? CONFIG.RISK.MAX_PARLAY_LIABILITY,
+    maxPoolDrawdownPct: ENV.RISK_MAX_POOL_DRAWDOWN_PCT ?? CONFIG.RISK.MAX_POOL_DRAWDOWN_PCT
+  };
+}
+
+/**
+ * Unique tickers and events a parlay touches
+ * A parlay with two legs on the same ticker only counts against it once.
+ * @param {Array} bets - Bet objects with ticker (or optionId)
+ * @returns {{tickers: Array<string>, events: Array<string>}}
+ */
+function getParlayKeys(bets) {
+  const tickers = new Set();
+  const events = new Set();
+  (bets || []).forEach(bet => {
+    const ticker = (bet.ticker || bet.optionId || '').toString().toUpperCase();
+    if (!ticker) return;
+    tickers.add(ticker);
+    const { event } = parseTickerPrefixes(ticker);
+    if (event) events.add(event);
+  });
+  return { tickers: [...tickers], events: [...events] };
+}
+
+/**
+ * Lock every market and event a parlay touches until its purchase is saved
+ * Waits for placements holding any of the same keys, up to CONFIG.RISK.LOCK_WAIT_MS.
+ * @param {Array} bets - Legs of the new parlay
+ * @returns {Promise<Object>} { keys, release } - release() is safe to call more than once
+ * @throws {RiskLockError} If the locks are still held by another placement after the wait
+ */
+export async function acquireExposureLock(bets) {
+  const { tickers, events } = getParlayKeys(bets);
+  const keys = [...tickers.map(ticker => `market:${ticker}`), ...events.map(event => `event:${event}`)].sort();
+  const owner = `${INSTANCE}:${crypto.randomBytes(4).toString('hex')}`;
+  const deadline = Date.now() + CONFIG.RISK.LOCK_WAIT_MS;
+
+  while (!(await acquireRiskLocks(keys, owner, CONFIG.RISK.LOCK_LEASE_MS))) {
+    if (Date.now() >= deadline) {
+      logWarn(`[Risk] Timed out waiting for exposure locks ${keys.join(', ')}`);
+      throw new RiskLockError(ERROR_MESSAGES.RISK.BUSY);
+    }
+    await sleep(CONFIG.RISK.LOCK_RETRY_MS);
+  }
+
+  let released = false;
+  return {
+    keys,
+    async release() {
+      if (released) return;
+      released = true;
+      try {
+        await releaseRiskLocks(keys, owner);
+      } catch (err) {
+        // The lease expires on its own
+        logError(`[Risk] Failed to release exposure locks ${keys.join(', ')}`, err);
+      }
+    }
+  };
+}
+
+/**
+ * Aggregate open liability from pending purchases
+ * @param {Array} purchases - Rows from getOpenParlayExposure
+ * @returns {Object} { byTicker: Map, byEvent: Map, total }
+ */
+export function aggregateExposure(purchases) {
+  const byTicker = new Map();
+  const byEvent = new Map();
+  let total = 0;
+
+  purchases.forEach(purchase => {
+    const liability = Math.max(0, parseFloat(purchase.payout || 0) - parseFloat(purchase.stake || 0));
+    if (liability === 0) return;
+
+    const bets = typeof purchase.parlay_data === 'string'
+      ? JSON.parse(purchase.parlay_data)
+      : purchase.parlay_data;
+    const { tickers, events } = getParlayKeys(bets);
+
+    tickers.forEach(ticker => byTicker.set(ticker, (byTicker.get(ticker) || 0) + liability));
+    events.forEach(event => byEvent.set(event, (byEvent.get(event) || 0) + liability));
+    total += liability;
+  });
+
+  return { byTicker, byEvent, total };
+}
+
+/**
+ * Evaluate a parlay against the current exposure
+ * Liability scales linearly with stake, so each limit's remaining headroom
+ * divided by (payout multiplier - 1) is the largest stake that limit allows.
+ * @param {Array} bets - Legs of the new parlay
+ * @param {number} stake - Requested stake in dollars
+ * @param {number} payout - Promised payout in dollars for that stake
+ * @returns {Promise<Object>} { withinLimits, maxAllowedStake, liability, breaches, exposure, limits }
+ */
+export async function evaluateParlayRisk(bets, stake, payout) {
+  const limits = getRiskLimits();
+  const [purchases, poolData] = await Promise.all([
+    getOpenParlayExposure(),
+    getLiquidityPoolBalance()
+  ]);
+  const exposure = aggregateExposure(purchases);
+  const poolBalance = parseFloat(poolData?.balance || 0);
+
+  const multiplier = stake > 0 ? payout / stake : 0;
+  const liabilityPerDollar = Math.max(0, multiplier - 1);
+  const liability = stake * liabilityPerDollar;
+  const { tickers, events } = getParlayKeys(bets);
+
+  // Each constraint: remaining liability headroom under that limit
+  const constraints = [
+    { limit: 'parlay', key: null, current: 0, max: limits.maxParlayLiability },
+    {
+      limit: 'pool_drawdown',
+      key: null,
+      current: exposure.total,
+      max: poolBalance * (limits.maxPoolDrawdownPct / 100)
+    },
+    ...tickers.map(ticker => ({
+      limit: 'market',
+      key: ticker,
+      current: exposure.byTicker.get(ticker) || 0,
+      max: limits.maxMarketLiability
+    })),
+    ...events.map(event => ({
+      limit: 'event',
+      key: event,
+      current: exposure.byEvent.get(event) || 0,
+      max: limits.maxEventLiability
+    }))
+  ];
+
+  let maxAllowedStake = Infinity;
+  const breaches = [];
+  constraints.forEach(constraint => {
+    const headroom = Math.max(0, constraint.max - constraint.current);
+    const allowedStake = liabilityPerDollar > 0 ? headroom / liabilityPerDollar : Infinity;
+    maxAllowedStake = Math.min(maxAllowedStake, allowedStake);
+
+    if (constraint.current + liability > constraint.max + 0.005) {
+      breaches.push({
+        limit: constraint.limit,
+        key: constraint.key,
+        currentLiability: parseFloat(constraint.current.toFixed(2)),
+        newLiability: parseFloat(liability.toFixed(2)),
+        maxLiability: parseFloat(constraint.max.toFixed(2))
+      });
+    }
+  });
+
+  // Round down to the cent so the returned stake never breaches a limit itself
+  const roundedMaxStake = Number.isFinite(maxAllowedStake)
+    ? Math.floor(maxAllowedStake * 100) / 100
+    : null;
+
+  if (breaches.length > 0) {
+    logWarn(`[Risk] $${stake.toFixed(2)} stake breaches ${breaches.map(b => b.key ? `${b.limit}:${b.key}` : b.limit).join(', ')} (max allowed $${roundedMaxStake})`);
+  } else {
+    logInfo(`[Risk] $${stake.toFixed(2)} stake within limits (liability $${liability.toFixed(2)}, max allowed $${roundedMaxStake})`);
+  }
+
+  return {
+    withinLimits: breaches.length === 0,
+    maxAllowedStake: roundedMaxStake,
+    liability: parseFloat(liability.toFixed(2)),
+    breaches,
+    exposure: {
+      totalOpenLiability: parseFloat(exposure.total.toFixed(2)),
+      poolBalance: parseFloat(poolBalance.toFixed(2))
+    },
+    limits
+  };
+}
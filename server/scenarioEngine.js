@@ -0,0 +1,363 @@
+/**
+ * Scenario Engine
+ * Outcome distribution of a parlay position (hedged and unhedged) and its risk metrics
+ *
+ * Small parlays with independent legs are enumerated exactly (2^n outcomes).
+ * Long or correlated parlays are simulated with a Gaussian copula: correlated
+ * standard normals Z = L·e (L = Cholesky factor of the correlation matrix),
+ * and leg i wins when Z_i < Φ⁻¹(p_i), which preserves each leg's probability.
+ *
+ * Net results are from the house's side: + stake, − payout if the parlay wins,
+ * ± hedge results. VaR, CVaR and worst case are reported as loss amounts
+ * (positive = we lose money).
+ */
+
+import { ENV } from '../config/env.js';
+import { CONFIG } from '../config/constants.js';
+import { detectCorrelatedLegs } from './pricingEngine.js';
+
+/**
+ * Seeded PRNG (mulberry32) so simulations are reproducible for a given quote
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal generator (Box-Muller), caching the second value of each pair
+ * @param {Function} random - Uniform generator
+ * @returns {Function} Generator returning standard normal samples
+ */
+function createNormal(random) {
+  let spare = null;
+  return () => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+    let u = 0;
+    while (u === 0) u = random();
+    const v = random();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    spare = radius * Math.sin(2 * Math.PI * v);
+    return radius * Math.cos(2 * Math.PI * v);
+  };
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation, |error| < 1.2e-9)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} z such that Φ(z) = p
+ */
+export function inverseNormalCdf(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Cholesky decomposition of a correlation matrix
+ * Adds a small diagonal jitter if the matrix is not positive definite.
+ * @param {Array<Array<number>>} matrix - Symmetric correlation matrix
+ * @returns {Array<Array<number>>} Lower-triangular factor L with L·Lᵀ ≈ matrix
+ */
+function cholesky(matrix) {
+  const n = matrix.length;
+  for (let jitter = 0; jitter <= 0.1; jitter = jitter === 0 ? 1e-8 : jitter * 10) {
+    const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+    let ok = true;
+    for (let i = 0; i < n && ok; i++) {
+      for (let j = 0; j <= i; j++) {
+        let sum = matrix[i][j] + (i === j ? jitter : 0);
+        for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+        if (i === j) {
+          if (sum <= 0) { ok = false; break; }
+          lower[i][j] = Math.sqrt(sum);
+        } else {
+          lower[i][j] = sum / lower[j][j];
+        }
+      }
+    }
+    if (ok) return lower;
+  }
+  throw new Error('Correlation matrix is not positive definite');
+}
+
+function identityMatrix(n) {
+  return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+}
+
+function isIdentity(matrix) {
+  return matrix.every((row, i) => row.every((value, j) => (i === j ? true : value === 0)));
+}
+
+function getScenarioSettings() {
+  return {
+    exactMaxLegs: ENV.SCENARIO_EXACT_MAX_LEGS ?? CONFIG.SCENARIOS.EXACT_MAX_LEGS,
+    simulations: ENV.SCENARIO_SIMULATIONS ?? CONFIG.SCENARIOS.SIMULATIONS
+  };
+}
+
+/**
+ * Joint win probability of n legs under an equicorrelated Gaussian copula
+ * Uses a one-factor model (Z_i = √ρ·M + √(1−ρ)·e_i) on a fixed sample so the
+ * result is monotone in ρ, which lets calibrateUniformRho bisect on it.
+ */
+function equicorrelatedJointProb(thresholds, rho, samples) {
+  const sqrtRho = Math.sqrt(rho);
+  const sqrtRest = Math.sqrt(1 - rho);
+  let wins = 0;
+  for (const { market, idiosyncratic } of samples) {
+    if (thresholds.every((threshold, i) => sqrtRho * market + sqrtRest * idiosyncratic[i] < threshold)) {
+      wins++;
+    }
+  }
+  return wins / samples.length;
+}
+
+/**
+ * Find the uniform pairwise correlation that reproduces a joint-probability uplift
+ * @param {Array<number>} legProbs - Leg probabilities (0-1)
+ * @param {number} correlationFactor - Target joint probability / naive probability
+ * @returns {number} Correlation ρ in [0, MAX_RHO]
+ */
+export function calibrateUniformRho(legProbs, correlationFactor) {
+  const naive = legProbs.reduce((acc, p) => acc * p, 1);
+  const target = Math.min(naive * correlationFactor, Math.min(...legProbs));
+  const thresholds = legProbs.map(inverseNormalCdf);
+
+  const normal = createNormal(createRandom(CONFIG.SCENARIOS.SEED));
+  const samples = Array.from({ length: CONFIG.SCENARIOS.CALIBRATION_SAMPLES }, () => ({
+    market: normal(),
+    idiosyncratic: legProbs.map(() => normal())
+  }));
+
+  let low = 0;
+  let high = CONFIG.SCENARIOS.MAX_RHO;
+  if (equicorrelatedJointProb(thresholds, high, samples) <= target) return high;
+  for (let i = 0; i < 20; i++) {
+    const mid = (low + high) / 2;
+    if (equicorrelatedJointProb(thresholds, mid, samples) < target) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return parseFloat(((low + high) / 2).toFixed(4));
+}
+
+/**
+ * Build the leg correlation matrix for a parlay
+ * Same-event and same-series legs (from ticker prefixes) get the configured
+ * correlations. If no grouping is detected but the pricing analysis reports a
+ * correlationFactor above 1, a uniform correlation is calibrated to match it.
+ * @param {Array} bets - Bet objects with ticker and prob
+ * @param {Object} analysis - Quote analysis (correlationFactor)
+ * @returns {{matrix: Array<Array<number>>, source: string}} Matrix and how it was derived
+ */
+export function buildCorrelationMatrix(bets, analysis = {}) {
+  const n = bets.length;
+  const matrix = identityMatrix(n);
+  const { eventGroups, seriesGroups } = detectCorrelatedLegs(bets);
+
+  if (eventGroups.length > 0 || seriesGroups.length > 0) {
+    // Series groups hold one representative per event - spread them to every leg of that event
+    const eventOf = new Map();
+    eventGroups.forEach((group, g) => group.forEach(idx => eventOf.set(idx, g)));
+    const expand = idx => (eventOf.has(idx) ? eventGroups[eventOf.get(idx)] : [idx]);
+
+    seriesGroups.forEach(group => {
+      const members = group.flatMap(expand);
+      members.forEach(i => members.forEach(j => {
+        if (i !== j) matrix[i][j] = CONFIG.SCENARIOS.SAME_SERIES_RHO;
+      }));
+    });
+    eventGroups.forEach(group => {
+      group.forEach(i => group.forEach(j => {
+        if (i !== j) matrix[i][j] = CONFIG.SCENARIOS.SAME_EVENT_RHO;
+      }));
+    });
+    return { matrix, source: 'ticker_grouping' };
+  }
+
+  const factor = parseFloat(analysis.correlationFactor);
+  if (n >= 2 && Number.isFinite(factor) && factor > 1.001) {
+    const rho = calibrateUniformRho(bets.map(bet => bet.prob / 100), factor);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        if (i !== j) matrix[i][j] = rho;
+      }
+    }
+    return { matrix, source: 'correlation_factor' };
+  }
+
+  return { matrix, source: 'independent' };
+}
+
+/**
+ * House net result for one outcome
+ * @param {Array<boolean>} legWins - Outcome of each leg
+ * @param {Object} position - { stake, payout, hedgeBets }
+ * @returns {{unhedged: number, hedged: number}}
+ */
+function scoreOutcome(legWins, position) {
+  const parlayWins = legWins.every(Boolean);
+  const unhedged = position.stake - (parlayWins ? position.payout : 0);
+  const hedgeResult = position.hedgeBets.reduce((sum, hedge) => (
+    sum + (legWins[hedge.leg - 1] ? hedge.potentialWin - hedge.cost : -hedge.cost)
+  ), 0);
+  return { unhedged, hedged: unhedged + hedgeResult };
+}
+
+/**
+ * Summarize a weighted distribution of net results
+ * @param {Array<{net: number, weight: number}>} outcomes - Weights sum to 1
+ * @param {number} confidence - VaR/CVaR confidence level (e.g. 0.95)
+ * @returns {Object} { ev, stdDev, var, cvar }
+ */
+function summarizeDistribution(outcomes, confidence) {
+  const ev = outcomes.reduce((sum, o) => sum + o.net * o.weight, 0);
+  const variance = outcomes.reduce((sum, o) => sum + Math.pow(o.net - ev, 2) * o.weight, 0);
+
+  // Walk the worst outcomes until the tail mass (1 - confidence) is covered
+  const tail = 1 - confidence;
+  const sorted = [...outcomes].sort((a, b) => a.net - b.net);
+  let covered = 0;
+  let tailSum = 0;
+  let valueAtRisk = sorted.length > 0 ? -sorted[0].net : 0;
+  for (const outcome of sorted) {
+    const take = Math.min(outcome.weight, tail - covered);
+    if (take <= 0) break;
+    tailSum += outcome.net * take;
+    covered += take;
+    valueAtRisk = -outcome.net;
+  }
+
+  return {
+    ev,
+    stdDev: Math.sqrt(Math.max(0, variance)),
+    var: valueAtRisk,
+    cvar: covered > 0 ? -tailSum / covered : 0
+  };
+}
+
+function roundMetrics(metrics) {
+  return Object.fromEntries(Object.entries(metrics).map(([key, value]) => [key, parseFloat(value.toFixed(2))]));
+}
+
+/**
+ * Analyze the outcome distribution of a parlay position
+ * @param {Object} params
+ * @param {Array} params.bets - Legs with prob (percent)
+ * @param {number} params.stake - User stake in dollars
+ * @param {number} params.payout - Payout promised to the user
+ * @param {Array} params.hedgeBets - Hedge bets ({ leg, cost, potentialWin })
+ * @param {Array<Array<number>>} params.correlation - Leg correlation matrix (identity if omitted)
+ * @param {number} params.confidence - VaR/CVaR confidence level
+ * @param {number} params.seed - PRNG seed for Monte Carlo
+ * @returns {Object} { method, simulations, parlayWinProbability, unhedged, hedged } with ev, stdDev, var, cvar, worstCase per position
+ */
+export function analyzeScenarios({
+  bets,
+  stake,
+  payout,
+  hedgeBets = [],
+  correlation = null,
+  confidence = CONFIG.SCENARIOS.CONFIDENCE,
+  seed = CONFIG.SCENARIOS.SEED
+}) {
+  const n = bets.length;
+  const settings = getScenarioSettings();
+  const matrix = correlation || identityMatrix(n);
+  const legProbs = bets.map(bet => Math.min(Math.max(bet.prob / 100, 0), 1));
+  const position = { stake, payout, hedgeBets };
+
+  const unhedgedOutcomes = [];
+  const hedgedOutcomes = [];
+  let parlayWinProbability = 0;
+  let method;
+  let simulations = null;
+
+  if (n <= settings.exactMaxLegs && isIdentity(matrix)) {
+    method = 'exact';
+    for (let mask = 0; mask < (1 << n); mask++) {
+      const legWins = legProbs.map((_, i) => Boolean(mask & (1 << i)));
+      const weight = legWins.reduce((acc, wins, i) => acc * (wins ? legProbs[i] : 1 - legProbs[i]), 1);
+      if (weight === 0) continue;
+      const { unhedged, hedged } = scoreOutcome(legWins, position);
+      unhedgedOutcomes.push({ net: unhedged, weight });
+      hedgedOutcomes.push({ net: hedged, weight });
+      if (legWins.every(Boolean)) parlayWinProbability += weight;
+    }
+  } else {
+    method = 'monte_carlo';
+    simulations = settings.simulations;
+    const lower = cholesky(matrix);
+    const thresholds = legProbs.map(inverseNormalCdf);
+    const normal = createNormal(createRandom(seed));
+    const weight = 1 / simulations;
+    const independent = new Array(n);
+
+    for (let s = 0; s < simulations; s++) {
+      for (let i = 0; i < n; i++) independent[i] = normal();
+      const legWins = thresholds.map((threshold, i) => {
+        let z = 0;
+        for (let k = 0; k <= i; k++) z += lower[i][k] * independent[k];
+        return z < threshold;
+      });
+      const { unhedged, hedged } = scoreOutcome(legWins, position);
+      unhedgedOutcomes.push({ net: unhedged, weight });
+      hedgedOutcomes.push({ net: hedged, weight });
+      if (legWins.every(Boolean)) parlayWinProbability += weight;
+    }
+  }
+
+  // Worst cases are structural, not sampled: the parlay hitting (all hedges win too),
+  // or every hedged leg losing (which also busts the parlay)
+  const totalHedgeCost = hedgeBets.reduce((sum, hedge) => sum + hedge.cost, 0);
+  const hedgeProfitIfAllWin = hedgeBets.reduce((sum, hedge) => sum + hedge.potentialWin - hedge.cost, 0);
+  const unhedgedWorst = -(stake - payout);
+  const hedgedWorst = -Math.min(
+    stake - payout + hedgeProfitIfAllWin,
+    hedgeBets.length > 0 ? stake - totalHedgeCost : stake
+  );
+
+  return {
+    method,
+    simulations,
+    parlayWinProbability: parseFloat(parlayWinProbability.toFixed(6)),
+    confidence,
+    unhedged: roundMetrics({ ...summarizeDistribution(unhedgedOutcomes, confidence), worstCase: unhedgedWorst }),
+    hedged: roundMetrics({ ...summarizeDistribution(hedgedOutcomes, confidence), worstCase: hedgedWorst })
+  };
+}
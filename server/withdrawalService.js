@@ -0,0 +1,277 @@
+/**
+ * Withdrawal Service
+ * Pays out wallet balance as USDC from the platform wallet to a user-supplied Solana address
+ *
+ * Lifecycle of a withdrawal_requests row:
+ *   pending → processing → completed
+ *   processing → pending      - transfer failed before anything was sent, retried after a backoff
+ *   processing → failed       - out of attempts
+ *   failed → reversed         - the held amount is credited back to the wallet
+ *
+ * The amount is held by debiting the wallet through the ledger when the request is created,
+ * so it can't be staked while the transfer is in flight. Only a TransferNotSentError is
+ * retried or reversed. Any other transfer error, or a server stopping mid-transfer, leaves
+ * the row in processing: the USDC may already have been sent, so it is never retried
+ * automatically and is logged for manual review instead.
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { ENV } from '../config/env.js';
+import { CONFIG, ERROR_MESSAGES, HTTP_STATUS } from '../config/constants.js';
+import {
+  createWithdrawalRequest,
+  updateWithdrawalStatus,
+  getWithdrawalRequests,
+  getWithdrawalRequest,
+  getWithdrawalsByStatus
+} from './db.js';
+import { transferUsdcToAddress, TransferNotSentError } from './coinbaseCdpService.js';
+import { recordWithdrawal, recordWithdrawalReversal, InsufficientFundsError } from './ledgerService.js';
+import { logInfo, logWarn, logError } from './utils/logger.js';
+
+export const WITHDRAWAL_STATUSES = ['pending', 'processing', 'completed', 'failed', 'reversed'];
+
+function getWithdrawalSettings() {
+  return {
+    minAmount: CONFIG.WITHDRAWALS.MIN_AMOUNT,
+    maxAmount: ENV.WITHDRAWAL_MAX_AMOUNT ?? CONFIG.WITHDRAWALS.MAX_AMOUNT,
+    maxAttempts: ENV.WITHDRAWAL_MAX_ATTEMPTS ?? CONFIG.WITHDRAWALS.MAX_ATTEMPTS
+  };
+}
+
+/**
+ * Whether an address can receive USDC: a valid Solana public key on the ed25519 curve
+ * (program-derived addresses can't own the associated token account we create)
+ * @param {string} address - Base58 Solana address
+ * @returns {boolean}
+ */
+export function isValidSolanaAddress(address) {
+  if (typeof address !== 'string' || !address.trim()) return false;
+  try {
+    return PublicKey.isOnCurve(new PublicKey(address.trim()).toBytes());
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a withdrawal before anything is held
+ * @param {number} amount - Amount in dollars
+ * @param {string} destinationAddress - Solana address
+ * @returns {Object} { valid, status?, error? }
+ */
+export function validateWithdrawal(amount, destinationAddress) {
+  const { minAmount, maxAmount } = getWithdrawalSettings();
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    return { valid: false, status: HTTP_STATUS.BAD_REQUEST, error: ERROR_MESSAGES.WITHDRAWAL.INVALID_AMOUNT };
+  }
+  if (amount < minAmount || amount > maxAmount) {
+    return {
+      valid: false,
+      status: HTTP_STATUS.BAD_REQUEST,
+      error: `Withdrawals must be between $${minAmount.toFixed(2)} and $${maxAmount.toFixed(2)}`
+    };
+  }
+  if (Math.abs(Math.round(amount * 100) - amount * 100) > 1e-6) {
+    return { valid: false, status: HTTP_STATUS.BAD_REQUEST, error: 'Withdrawal amount can have at most two decimal places' };
+  }
+  if (!isValidSolanaAddress(destinationAddress)) {
+    return { valid: false, status: HTTP_STATUS.BAD_REQUEST, error: ERROR_MESSAGES.WITHDRAWAL.INVALID_ADDRESS };
+  }
+  return { valid: true };
+}
+
+/**
+ * Shape a withdrawal_requests row for API responses
+ * @param {Object} row - withdrawal_requests row
+ * @returns {Object} Withdrawal
+ */
+export function toWithdrawal(row) {
+  return {
+    id: row.id,
+    amount: parseFloat(row.amount),
+    status: row.status,
+    destinationAddress: row.destination_address,
+    txSignature: row.tx_signature || null,
+    attempts: row.attempts || 0,
+    lastError: row.last_error || null,
+    nextAttemptAt: row.next_attempt_at || null,
+    createdAt: row.created_at,
+    completedAt: row.completed_at || null,
+    reversedAt: row.reversed_at || null
+  };
+}
+
+/**
+ * Delay before the next transfer attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+function retryDelayMs(attempts) {
+  return Math.min(CONFIG.WITHDRAWALS.RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), CONFIG.WITHDRAWALS.RETRY_MAX_MS);
+}
+
+/**
+ * Create a withdrawal, hold the amount and make the first transfer attempt
+ * @param {string} userId - User identifier
+ * @param {number} amount - Amount in dollars (validated with validateWithdrawal)
+ * @param {string} destinationAddress - Solana address to send USDC to
+ * @param {string} userToken - JWT token from authenticated user
+ * @returns {Promise<Object>} Withdrawal after the first attempt
+ * @throws {InsufficientFundsError} If the wallet balance is below the amount
+ */
+export async function requestWithdrawal(userId, amount, destinationAddress, userToken) {
+  const address = destinationAddress.trim();
+  const row = await createWithdrawalRequest(userId, amount, 'usdc', null, null, userToken, address);
+  logInfo(`[Withdrawal] #${row.id}: $${amount.toFixed(2)} for user ${userId} to ${address}`);
+
+  let hold;
+  try {
+    hold = await recordWithdrawal(userId, amount, row.id);
+  } catch (err) {
+    // Nothing was held, so there is nothing to reverse
+    await updateWithdrawalStatus(row.id, 'failed', null, null, {
+      fromStatuses: ['pending'],
+      changes: {
+        last_error: err instanceof InsufficientFundsError ? ERROR_MESSAGES.WITHDRAWAL.INSUFFICIENT_BALANCE : err.message,
+        failed_at: new Date().toISOString()
+      }
+    });
+    throw err;
+  }
+
+  await updateWithdrawalStatus(row.id, 'pending', null, null, {
+    fromStatuses: ['pending'],
+    changes: { hold_transaction_id: hold.transactionId }
+  });
+
+  return processWithdrawal(row.id);
+}
+
+/**
+ * Make one transfer attempt for a pending withdrawal
+ * Does nothing if the withdrawal isn't pending, its retry time hasn't come yet,
+ * or another worker picked it up first.
+ * @param {string|number} withdrawalId - withdrawal_requests.id
+ * @param {Object} options
+ * @param {Function} options.transfer - (address, amountUsd) => { transactionSignature }; defaults to the CDP transfer.
+ *   It must throw TransferNotSentError for failures that are safe to retry
+ * @returns {Promise<Object|null>} Withdrawal after the attempt
+ */
+export async function processWithdrawal(withdrawalId, { transfer = transferUsdcToAddress } = {}) {
+  const row = await getWithdrawalRequest(withdrawalId);
+  if (!row) return null;
+  if (row.status !== 'pending' || (row.next_attempt_at && new Date(row.next_attempt_at) > new Date())) {
+    return toWithdrawal(row);
+  }
+  if (!row.hold_transaction_id) {
+    logWarn(`[Withdrawal] #${row.id} has no hold - not transferring`);
+    return toWithdrawal(row);
+  }
+
+  const attempts = (row.attempts || 0) + 1;
+  const claimed = await updateWithdrawalStatus(row.id, 'processing', null, null, {
+    fromStatuses: ['pending'],
+    changes: { attempts, processing_started_at: new Date().toISOString() }
+  });
+  if (!claimed) {
+    return toWithdrawal(await getWithdrawalRequest(row.id));
+  }
+
+  const amount = parseFloat(row.amount);
+  let result;
+  try {
+    result = await transfer(row.destination_address, amount);
+  } catch (err) {
+    if (!(err instanceof TransferNotSentError)) {
+      // The transaction may have gone out: stay in processing so nothing sends or refunds before a review
+      logError(`[Withdrawal] #${row.id} transfer failed with an unknown outcome - left for review`, err);
+      return toWithdrawal(await updateWithdrawalStatus(row.id, 'processing', null, null, {
+        fromStatuses: ['processing'],
+        changes: { last_error: err.message, next_attempt_at: null }
+      }));
+    }
+
+    const { maxAttempts } = getWithdrawalSettings();
+    if (attempts < maxAttempts) {
+      const nextAttemptAt = new Date(Date.now() + retryDelayMs(attempts)).toISOString();
+      logWarn(`[Withdrawal] #${row.id} attempt ${attempts}/${maxAttempts} failed, retrying at ${nextAttemptAt}: ${err.message}`);
+      return toWithdrawal(await updateWithdrawalStatus(row.id, 'pending', null, null, {
+        fromStatuses: ['processing'],
+        changes: { last_error: err.message, next_attempt_at: nextAttemptAt }
+      }));
+    }
+
+    logError(`[Withdrawal] #${row.id} failed after ${attempts} attempts - reversing`, err);
+    const failed = await updateWithdrawalStatus(row.id, 'failed', null, null, {
+      fromStatuses: ['processing'],
+      changes: { last_error: err.message, next_attempt_at: null, failed_at: new Date().toISOString() }
+    });
+    return toWithdrawal(await reverseWithdrawal(failed));
+  }
+
+  logInfo(`[Withdrawal] #${row.id} completed: ${result.transactionSignature}`);
+  return toWithdrawal(await updateWithdrawalStatus(row.id, 'completed', null, null, {
+    fromStatuses: ['processing'],
+    changes: { tx_signature: result.transactionSignature, last_error: null, next_attempt_at: null }
+  }));
+}
+
+/**
+ * Credit a failed withdrawal's hold back to the wallet
+ * @param {Object} row - withdrawal_requests row in failed status
+ * @returns {Promise<Object>} Updated row
+ */
+async function reverseWithdrawal(row) {
+  if (!row.hold_transaction_id) {
+    return row;
+  }
+  await recordWithdrawalReversal(row.user_uuid, parseFloat(row.amount), row.id);
+  const reversed = await updateWithdrawalStatus(row.id, 'reversed', null, null, {
+    fromStatuses: ['failed'],
+    changes: { reversed_at: new Date().toISOString() }
+  });
+  logInfo(`[Withdrawal] #${row.id} reversed: $${parseFloat(row.amount).toFixed(2)} returned to user ${row.user_uuid}`);
+  return reversed || row;
+}
+
+/**
+ * Retry pending withdrawals that are due, finish interrupted reversals and flag
+ * withdrawals stuck in processing
+ * @returns {Promise<Object>} { processed, reversed, stale }
+ */
+export async function pollWithdrawals() {
+  const rows = await getWithdrawalsByStatus(['pending', 'processing', 'failed']);
+  const summary = { processed: 0, reversed: 0, stale: 0 };
+  const now = Date.now();
+
+  for (const row of rows) {
+    try {
+      if (row.status === 'pending' && row.hold_transaction_id && (!row.next_attempt_at || new Date(row.next_attempt_at).getTime() <= now)) {
+        await processWithdrawal(row.id);
+        summary.processed++;
+      } else if (row.status === 'failed' && row.hold_transaction_id) {
+        await reverseWithdrawal(row);
+        summary.reversed++;
+      } else if (row.status === 'processing' && now - new Date(row.processing_started_at).getTime() > CONFIG.WITHDRAWALS.STALE_PROCESSING_MS) {
+        logWarn(`[Withdrawal] #${row.id} has been processing since ${row.processing_started_at} - check ${row.destination_address} on-chain before retrying or reversing`);
+        summary.stale++;
+      }
+    } catch (err) {
+      logError(`[Withdrawal] Error polling withdrawal #${row.id}`, err);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * List a user's withdrawals, newest first
+ * @param {string} userId - User identifier
+ * @param {string} userToken - JWT token from authenticated user
+ * @returns {Promise<Array>} Withdrawals
+ */
+export async function getUserWithdrawals(userId, userToken) {
+  const rows = await getWithdrawalRequests(userId, userToken);
+  return rows.map(toWithdrawal);
+}
@@ -0,0 +1,79 @@
+/**
+ * Fake Kalshi WebSocket feed
+ * Drop-in transport for startMarketFeed, so the feed can be driven without Kalshi:
+ *
+ *   const feed = createFakeKalshiFeed();
+ *   startMarketFeed({ transport: feed.transport, url: 'ws://fake/trade-api/ws/v2', refreshTickers: false });
+ *   feed.snapshot('KXTEST-1', { yes: [[40, 100]], no: [[55, 50]] });
+ */
+
+import { EventEmitter } from 'events';
+
+export function createFakeKalshiFeed() {
+  const commands = [];
+  const seqBySid = new Map();
+  let socket = null;
+  let nextSid = 1;
+  const sidByTicker = new Map();
+
+  const emit = (message) => socket?.emit('message', Buffer.from(JSON.stringify(message)));
+
+  const nextSeq = (sid) => {
+    const seq = (seqBySid.get(sid) || 0) + 1;
+    seqBySid.set(sid, seq);
+    return seq;
+  };
+
+  const transport = (url, headers) => {
+    socket = new EventEmitter();
+    socket.url = url;
+    socket.headers = headers;
+    socket.send = (data) => {
+      const command = JSON.parse(data);
+      commands.push(command);
+      if (command.cmd === 'subscribe') {
+        const sid = nextSid++;
+        command.params.market_tickers.forEach(ticker => sidByTicker.set(ticker, sid));
+        emit({ id: command.id, type: 'subscribed', msg: { channel: 'orderbook_delta', sid } });
+      }
+    };
+    socket.close = () => {
+      const closing = socket;
+      socket = null;
+      setImmediate(() => closing.emit('close'));
+    };
+    setImmediate(() => socket?.emit('open'));
+    return socket;
+  };
+
+  return {
+    transport,
+    commands,
+
+    /** Send an orderbook snapshot ({ yes: [[price, qty]], no: [[price, qty]] }) */
+    snapshot(ticker, { yes = [], no = [] }) {
+      const sid = sidByTicker.get(ticker) || 0;
+      emit({ type: 'orderbook_snapshot', sid, seq: nextSeq(sid), msg: { market_ticker: ticker, yes, no } });
+    },
+
+    /** Send an orderbook delta; pass seq to simulate a gap */
+    delta(ticker, side, price, delta, seq = undefined) {
+      const sid = sidByTicker.get(ticker) || 0;
+      emit({ type: 'orderbook_delta', sid, seq: seq ?? nextSeq(sid), msg: { market_ticker: ticker, side, price, delta } });
+    },
+
+    /** Send a ticker channel update */
+    ticker(ticker, fields) {
+      emit({ type: 'ticker', sid: 999, msg: { market_ticker: ticker, ...fields } });
+    },
+
+    /** Drop the connection as Kalshi would */
+    disconnect() {
+      socket?.close();
+    },
+
+    isConnected() {
+      return socket !== null;
+    }
+  };
+}
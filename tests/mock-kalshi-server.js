@@ -0,0 +1,361 @@
+/**
+ * Mock Kalshi API Server
+ * Offline stand-in for the Kalshi trade API, served from tests/fixtures/kalshi
+ *
+ *   npm run mock:kalshi            (PORT via MOCK_KALSHI_PORT, default 4100)
+ *   KALSHI_API_BASE_URL=http://localhost:4100/trade-api/v2 npm start
+ *
+ * Serves /markets, /markets/:ticker, /markets/:ticker/orderbook, /events and
+ * /portfolio/orders (+ positions and balance). Signed requests are verified like Kalshi
+ * does (RSA-PSS over timestamp + method + path); /portfolio routes require a signature.
+ * The public key is derived from KALSHI_DEMO_PRIVATE_KEY, or a key pair is generated and
+ * printed on startup. Markets close and settle on the schedule in settlements.json, and
+ * /__mock routes settle markets or reset state on demand.
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { normalizePrivateKey } from '../server/kalshiTransport.js';
+
+dotenv.config();
+
+const API_PREFIX = '/trade-api/v2';
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'kalshi');
+
+function readFixture(dir, name, fallback) {
+  const file = path.join(dir, name);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+}
+
+function kalshiError(res, status, code, message) {
+  return res.status(status).json({ error: { code, message } });
+}
+
+/**
+ * Create the mock server app
+ * @param {Object} options
+ * @param {string} options.fixturesDir - Directory with markets/events/orderbooks/settlements JSON
+ * @param {crypto.KeyObject} options.publicKey - Key that signatures are verified against
+ * @param {Array} options.settlements - Overrides settlements.json
+ * @param {number} options.balance - Starting balance in cents
+ * @returns {Object} { app, state, settle, reset }
+ */
+export function createMockKalshiServer({ fixturesDir = DEFAULT_FIXTURES_DIR, publicKey, settlements, balance = 1000000 } = {}) {
+  const state = {};
+
+  const reset = () => {
+    state.startedAt = Date.now();
+    state.markets = new Map(readFixture(fixturesDir, 'markets.json', []).map(m => [m.ticker, m]));
+    state.events = readFixture(fixturesDir, 'events.json', []);
+    state.orderbooks = readFixture(fixturesDir, 'orderbooks.json', {});
+    state.settlements = settlements || readFixture(fixturesDir, 'settlements.json', []);
+    state.orders = new Map();
+    state.positions = new Map();
+    state.costBasis = new Map();
+    state.balance = balance;
+    state.nextOrderId = 1;
+  };
+  reset();
+
+  /**
+   * Settle a market now
+   * @param {string} ticker - Market ticker
+   * @param {string} result - 'yes', 'no', 'void' (cancelled market) or 'scalar'
+   * @param {number} settlementValue - Cents paid per YES contract for 'scalar' results (0-100)
+   */
+  const settle = (ticker, result, settlementValue = null) => {
+    const market = state.markets.get(ticker);
+    if (!market) return false;
+    market.status = 'settled';
+    market.result = result;
+    market.settlement_value = result === 'void' ? null
+      : result === 'scalar' ? settlementValue
+      : result === 'yes' ? 100 : 0;
+    state.orderbooks[ticker] = { yes: [], no: [] };
+    // Cancel resting orders and pay out held contracts (void markets refund what they cost)
+    state.orders.forEach(order => {
+      if (order.ticker === ticker && order.status === 'resting') order.status = 'canceled';
+    });
+    const position = state.positions.get(ticker) || 0;
+    if (result === 'void') {
+      state.balance += Math.max(0, state.costBasis.get(ticker) || 0);
+    } else if (position !== 0) {
+      state.balance += position > 0 ? position * market.settlement_value : -position * (100 - market.settlement_value);
+    }
+    state.positions.delete(ticker);
+    state.costBasis.delete(ticker);
+    return true;
+  };
+
+  // Apply scripted transitions whose time has come
+  const applySettlementSchedule = () => {
+    const elapsed = Date.now() - state.startedAt;
+    state.settlements.forEach(step => {
+      const market = state.markets.get(step.ticker);
+      if (!market || market.status === 'settled') return;
+      if (step.settleAfterMs !== undefined && elapsed >= step.settleAfterMs) {
+        settle(step.ticker, step.result, step.settlementValue);
+      } else if (step.closeAfterMs !== undefined && elapsed >= step.closeAfterMs && market.status === 'active') {
+        market.status = 'closed';
+      }
+    });
+  };
+
+  const verifySignature = (req) => {
+    const key = req.get('KALSHI-ACCESS-KEY');
+    const timestamp = req.get('KALSHI-ACCESS-TIMESTAMP');
+    const signature = req.get('KALSHI-ACCESS-SIGNATURE');
+    if (!key && !timestamp && !signature) return { signed: false };
+    if (!key || !timestamp || !signature) return { signed: true, error: 'Missing KALSHI-ACCESS-* header' };
+    if (Math.abs(Date.now() - Number(timestamp)) > MAX_CLOCK_SKEW_MS) {
+      return { signed: true, error: 'Timestamp outside allowed clock skew' };
+    }
+    const message = timestamp + req.method + req.originalUrl.split('?')[0];
+    const valid = crypto.verify('sha256', Buffer.from(message, 'utf8'), {
+      key: publicKey,
+      padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+    }, Buffer.from(signature, 'base64'));
+    return valid ? { signed: true } : { signed: true, error: 'Invalid signature' };
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  // Signatures are checked on every request that carries them and required for /portfolio
+  app.use(API_PREFIX, (req, res, next) => {
+    applySettlementSchedule();
+    const auth = verifySignature(req);
+    if (auth.error) return kalshiError(res, 401, 'authentication_error', auth.error);
+    if (!auth.signed && req.path.startsWith('/portfolio')) {
+      return kalshiError(res, 401, 'authentication_error', 'Signed request required');
+    }
+    next();
+  });
+
+  const router = express.Router();
+
+  router.get('/markets', (req, res) => {
+    const { series_ticker, event_ticker, status, tickers } = req.query;
+    const wanted = tickers ? new Set(String(tickers).split(',')) : null;
+    const markets = [...state.markets.values()].filter(m =>
+      (!series_ticker || m.series_ticker === series_ticker) &&
+      (!event_ticker || m.event_ticker === event_ticker) &&
+      (!status || m.status === status || (status === 'open' && m.status === 'active')) &&
+      (!wanted || wanted.has(m.ticker))
+    );
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const offset = parseInt(req.query.cursor, 10) || 0;
+    const page = markets.slice(offset, offset + limit);
+    const nextOffset = offset + page.length;
+    res.json({ markets: page, cursor: nextOffset < markets.length ? String(nextOffset) : '' });
+  });
+
+  router.get('/markets/:ticker', (req, res) => {
+    const market = state.markets.get(req.params.ticker.toUpperCase());
+    if (!market) return kalshiError(res, 404, 'not_found', `Market ${req.params.ticker} not found`);
+    res.json({ market });
+  });
+
+  router.get('/markets/:ticker/orderbook', (req, res) => {
+    const ticker = req.params.ticker.toUpperCase();
+    if (!state.markets.has(ticker)) return kalshiError(res, 404, 'not_found', `Market ${ticker} not found`);
+    res.json({ orderbook: state.orderbooks[ticker] || { yes: [], no: [] } });
+  });
+
+  router.get('/events', (req, res) => {
+    const { series_ticker } = req.query;
+    const events = state.events
+      .filter(e => !series_ticker || e.series_ticker === series_ticker)
+      .map(e => {
+        if (req.query.with_nested_markets !== 'true') return e;
+        return { ...e, markets: [...state.markets.values()].filter(m => m.event_ticker === e.event_ticker) };
+      });
+    res.json({ events, cursor: '' });
+  });
+
+  router.get('/events/:eventTicker', (req, res) => {
+    const event = state.events.find(e => e.event_ticker === req.params.eventTicker.toUpperCase());
+    if (!event) return kalshiError(res, 404, 'not_found', `Event ${req.params.eventTicker} not found`);
+    const markets = [...state.markets.values()].filter(m => m.event_ticker === event.event_ticker);
+    res.json({ event, markets });
+  });
+
+  const fillOrder = (order) => {
+    const book = state.orderbooks[order.ticker] || { yes: [], no: [] };
+    state.orderbooks[order.ticker] = book;
+    const buying = order.action === 'buy';
+    // Buys lift asks (bids on the other side at 100 - price); sells hit bids on the same side
+    const levels = buying ? book[order.side === 'yes' ? 'no' : 'yes'] : book[order.side];
+    const limit = order.type === 'market' ? (buying ? 99 : 1) : (order.side === 'yes' ? order.yes_price : order.no_price);
+
+    levels.sort((a, b) => b[0] - a[0]);
+    let remaining = order.remaining_count;
+    for (const level of levels) {
+      if (remaining <= 0) break;
+      const price = buying ? 100 - level[0] : level[0];
+      if (buying ? price > limit : price < limit) break;
+      const take = Math.min(remaining, level[1]);
+      level[1] -= take;
+      remaining -= take;
+      order.taker_fill_count += take;
+      order.taker_fill_cost += take * price;
+    }
+    const filled = order.remaining_count - remaining;
+    const emptied = levels.filter(level => level[1] <= 0);
+    emptied.forEach(level => levels.splice(levels.indexOf(level), 1));
+
+    order.remaining_count = remaining;
+    order.fill_count = order.taker_fill_count;
+
+    const signed = (order.side === 'yes' ? 1 : -1) * (buying ? 1 : -1) * filled;
+    state.positions.set(order.ticker, (state.positions.get(order.ticker) || 0) + signed);
+    state.balance += (buying ? -1 : 1) * order.taker_fill_cost;
+    state.costBasis.set(order.ticker, (state.costBasis.get(order.ticker) || 0) + (buying ? 1 : -1) * order.taker_fill_cost);
+
+    if (remaining === 0) order.status = 'executed';
+    else order.status = order.type === 'market' ? 'canceled' : 'resting';
+  };
+
+  router.post('/portfolio/orders', (req, res) => {
+    const { ticker, side, action, count, type = 'limit', yes_price, no_price, client_order_id } = req.body || {};
+    const market = state.markets.get(String(ticker || '').toUpperCase());
+    if (!market) return kalshiError(res, 404, 'market_not_found', `Market ${ticker} not found`);
+    if (market.status !== 'active') return kalshiError(res, 400, 'market_closed', `Market ${ticker} is ${market.status}`);
+    if (!['yes', 'no'].includes(side) || !['buy', 'sell'].includes(action) || !(count > 0)) {
+      return kalshiError(res, 400, 'invalid_parameters', 'side, action and count are required');
+    }
+    const limitPrice = side === 'yes' ? yes_price : no_price;
+    if (type === 'limit' && !(limitPrice >= 1 && limitPrice <= 99)) {
+      return kalshiError(res, 400, 'invalid_parameters', `${side}_price must be 1-99 for limit orders`);
+    }
+    if (client_order_id && [...state.orders.values()].some(o => o.client_order_id === client_order_id)) {
+      return kalshiError(res, 409, 'order_already_exists', `client_order_id ${client_order_id} already used`);
+    }
+
+    const order = {
+      order_id: `mock-${state.nextOrderId++}`,
+      client_order_id: client_order_id || null,
+      ticker: market.ticker,
+      side,
+      action,
+      type,
+      yes_price: limitPrice ? (side === 'yes' ? limitPrice : 100 - limitPrice) : null,
+      no_price: limitPrice ? (side === 'no' ? limitPrice : 100 - limitPrice) : null,
+      initial_count: count,
+      remaining_count: count,
+      fill_count: 0,
+      taker_fill_count: 0,
+      taker_fill_cost: 0,
+      maker_fill_count: 0,
+      maker_fill_cost: 0,
+      status: 'pending',
+      created_time: new Date().toISOString()
+    };
+    fillOrder(order);
+    state.orders.set(order.order_id, order);
+    res.status(201).json({ order });
+  });
+
+  router.get('/portfolio/orders', (req, res) => {
+    const { status, ticker } = req.query;
+    const orders = [...state.orders.values()].filter(o =>
+      (!status || o.status === status) && (!ticker || o.ticker === ticker)
+    );
+    res.json({ orders, cursor: '' });
+  });
+
+  router.get('/portfolio/orders/:orderId', (req, res) => {
+    const order = state.orders.get(req.params.orderId);
+    if (!order) return kalshiError(res, 404, 'not_found', `Order ${req.params.orderId} not found`);
+    res.json({ order });
+  });
+
+  router.delete('/portfolio/orders/:orderId', (req, res) => {
+    const order = state.orders.get(req.params.orderId);
+    if (!order) return kalshiError(res, 404, 'not_found', `Order ${req.params.orderId} not found`);
+    if (order.status !== 'resting') return kalshiError(res, 400, 'order_not_cancelable', `Order is ${order.status}`);
+    order.status = 'canceled';
+    res.json({ order, reduced_by: order.remaining_count });
+  });
+
+  router.get('/portfolio/positions', (req, res) => {
+    const market_positions = [...state.positions.entries()]
+      .filter(([, position]) => position !== 0)
+      .map(([ticker, position]) => ({ ticker, position }));
+    res.json({ market_positions, event_positions: [], cursor: '' });
+  });
+
+  router.get('/portfolio/balance', (req, res) => {
+    res.json({ balance: state.balance });
+  });
+
+  app.use(API_PREFIX, router);
+
+  // Test controls (unsigned, not part of the Kalshi API)
+  app.post('/__mock/settle', (req, res) => {
+    const { ticker, result, settlementValue } = req.body || {};
+    if (!['yes', 'no', 'void', 'scalar'].includes(result)) return kalshiError(res, 400, 'invalid_parameters', 'result must be yes, no, void or scalar');
+    if (result === 'scalar' && !(settlementValue >= 0 && settlementValue <= 100)) {
+      return kalshiError(res, 400, 'invalid_parameters', 'scalar results need a settlementValue between 0 and 100');
+    }
+    if (!settle(String(ticker || '').toUpperCase(), result, settlementValue)) return kalshiError(res, 404, 'not_found', `Market ${ticker} not found`);
+    res.json({ market: state.markets.get(ticker.toUpperCase()) });
+  });
+
+  app.post('/__mock/close', (req, res) => {
+    const market = state.markets.get(String(req.body?.ticker || '').toUpperCase());
+    if (!market) return kalshiError(res, 404, 'not_found', `Market ${req.body?.ticker} not found`);
+    market.status = 'closed';
+    res.json({ market });
+  });
+
+  app.post('/__mock/settlements', (req, res) => {
+    state.settlements = Array.isArray(req.body) ? req.body : [];
+    state.startedAt = Date.now();
+    res.json({ settlements: state.settlements });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    reset();
+    res.json({ reset: true });
+  });
+
+  return { app, state, settle, reset };
+}
+
+/**
+ * Resolve the key signatures are verified against
+ * Uses the private key the backend signs with so both sides agree without extra setup.
+ * @returns {crypto.KeyObject} Public key
+ */
+function resolvePublicKey() {
+  if (process.env.MOCK_KALSHI_PUBLIC_KEY) {
+    return crypto.createPublicKey(process.env.MOCK_KALSHI_PUBLIC_KEY.replace(/\\n/g, '\n'));
+  }
+  const privateKey = process.env.KALSHI_DEMO_PRIVATE_KEY || process.env.KALSHI_PRIVATE_KEY;
+  if (privateKey) {
+    return crypto.createPublicKey(normalizePrivateKey(privateKey));
+  }
+
+  const pair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const pem = pair.privateKey.export({ type: 'pkcs1', format: 'pem' });
+  console.log('No KALSHI_DEMO_PRIVATE_KEY set - generated a key pair for this run. Start the backend with:');
+  console.log(`  KALSHI_DEMO_API_KEY=mock-key KALSHI_DEMO_PRIVATE_KEY="${pem.trim().replace(/\n/g, '\\n')}"`);
+  return pair.publicKey;
+}
+
+// Run as a standalone server
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = parseInt(process.env.MOCK_KALSHI_PORT || '4100', 10);
+  const { app } = createMockKalshiServer({ publicKey: resolvePublicKey() });
+  app.listen(port, () => {
+    console.log(`🧪 Mock Kalshi API listening on http://localhost:${port}${API_PREFIX}`);
+    console.log(`   Point the backend at it with KALSHI_API_BASE_URL=http://localhost:${port}${API_PREFIX}`);
+  });
+}
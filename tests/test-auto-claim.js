@@ -0,0 +1,120 @@
+/**
+ * Manual and auto-claim checks against the in-memory repository
+ * Run: node tests/test-auto-claim.js
+ */
+
+import assert from 'assert';
+
+process.env.DATA_BACKEND = 'memory';
+process.env.AUTO_CLAIM_MAX_AMOUNT = '100';
+
+const { setRepository, createMemoryRepository } = await import('../server/repositories/index.js');
+const { claimWinnings, autoClaimWinnings, ClaimError } = await import('../server/claimService.js');
+const { TransferNotSentError } = await import('../server/coinbaseCdpService.js');
+
+const ALICE = '11111111-1111-4111-8111-111111111111';
+const BOB = '22222222-2222-4222-8222-222222222222';
+
+const repo = createMemoryRepository({
+  seed: {
+    user_wallet: [
+      { user_uuid: ALICE, user_id: ALICE, balance: 0 },
+      { user_uuid: BOB, user_id: BOB, balance: 0 }
+    ]
+  },
+  poolBalance: 1000
+});
+setRepository(repo);
+const balance = async userId => (await repo.getUserWallet(userId, userId)).balance;
+const purchase = sessionId => repo.getCompletedPurchase(sessionId);
+const won = async (sessionId, userId, amount) => {
+  await repo.saveCompletedPurchase(sessionId, userId, 10, amount, [], null, null, null);
+  await repo.updateParlayStatus(sessionId, 'won', amount);
+};
+
+const sent = [];
+const okTransfer = async (userId, amount) => {
+  sent.push([userId, amount]);
+  return { transactionSignature: `sig-${sent.length}` };
+};
+const failingTransfer = async () => { throw new TransferNotSentError('RPC unavailable'); };
+const timedOutTransfer = async (userId, amount) => {
+  sent.push([userId, amount]);
+  throw new Error('Request timed out');
+};
+
+await won('alice-win', ALICE, 40);
+await won('alice-big', ALICE, 500);
+await won('bob-win', BOB, 25);
+
+// Only users who opted in are auto-claimed
+assert.deepStrictEqual(await autoClaimWinnings({ transfer: okTransfer }), { claimed: 0, failed: 0, skipped: 0, stale: 0, blocked: false });
+await repo.updateUserSettings(ALICE, { auto_claim: true }, ALICE);
+assert.strictEqual((await repo.getUserSettings(ALICE, ALICE)).auto_claim, true);
+assert.strictEqual((await repo.getUserSettings(BOB, BOB)).auto_claim, false);
+
+// A failed transfer leaves the claim open with a retry scheduled; wins over the limit are left alone
+const failed = await autoClaimWinnings({ transfer: failingTransfer });
+assert.strictEqual(failed.failed, 1);
+assert.strictEqual(failed.skipped, 1);
+let row = await purchase('alice-win');
+assert.strictEqual(row.claimed_at ?? null, null, 'a failed transfer never marks the claim complete');
+assert.strictEqual(row.claim_attempts, 1);
+assert.strictEqual(row.claim_status, 'requested');
+assert.strictEqual(row.claim_processing_at, null);
+assert.strictEqual(row.claim_last_error, 'RPC unavailable');
+assert.ok(row.claim_next_attempt_at > new Date().toISOString());
+assert.strictEqual(await balance(ALICE), 0);
+
+// Not retried before the backoff is up
+assert.strictEqual((await autoClaimWinnings({ transfer: okTransfer })).claimed, 0);
+assert.strictEqual(sent.length, 0);
+
+// Once due, the retry transfers and pays out
+await repo.advanceClaim('alice-win', 'requested', { claim_next_attempt_at: new Date(Date.now() - 1000).toISOString() });
+assert.strictEqual((await autoClaimWinnings({ transfer: okTransfer })).claimed, 1);
+row = await purchase('alice-win');
+assert.ok(row.claimed_at);
+assert.strictEqual(row.claim_status, 'credited');
+assert.strictEqual(row.claim_tx_signature, 'sig-1');
+assert.strictEqual(row.claim_attempts, 2);
+assert.strictEqual(await balance(ALICE), 40);
+
+// Running again does nothing, and a manual claim of the same parlay is refused
+assert.strictEqual((await autoClaimWinnings({ transfer: okTransfer })).claimed, 0);
+await assert.rejects(claimWinnings('alice-win', { userToken: ALICE, transfer: okTransfer }), err => err instanceof ClaimError && err.status === 400);
+assert.strictEqual(sent.length, 1);
+assert.strictEqual(await balance(ALICE), 40);
+
+// A transfer in flight blocks a second one
+await repo.beginClaimTransfer('alice-big');
+await assert.rejects(claimWinnings('alice-big', { userToken: ALICE, transfer: okTransfer }), err => err.status === 409);
+assert.strictEqual((await autoClaimWinnings({ transfer: okTransfer })).stale, 0);
+await repo.advanceClaim('alice-big', 'transferring', { claim_processing_at: new Date(Date.now() - 60 * 60 * 1000).toISOString() });
+assert.strictEqual((await autoClaimWinnings({ transfer: okTransfer })).stale, 1, 'transfers stuck in flight are flagged');
+
+// A claim whose transfer went through but wasn't finished completes without sending again
+await repo.advanceClaim('bob-win', null, { claim_status: 'transferred', claim_tx_signature: 'sig-earlier' });
+const manual = await claimWinnings('bob-win', { userToken: BOB, transfer: okTransfer });
+assert.strictEqual(manual.transactionSignature, 'sig-earlier');
+assert.strictEqual(sent.length, 1);
+assert.strictEqual(await balance(BOB), 25);
+assert.ok((await purchase('bob-win')).claimed_at);
+
+// A transfer that may have gone out is never retried: it stays locked for review
+await won('alice-timeout', ALICE, 30);
+assert.strictEqual((await autoClaimWinnings({ transfer: timedOutTransfer })).failed, 1);
+row = await purchase('alice-timeout');
+assert.deepStrictEqual([row.claim_status, row.claim_last_error, row.claimed_at ?? null], ['transferring', 'Request timed out', null]);
+assert.strictEqual(row.claim_next_attempt_at ?? null, null);
+const sentBeforeRetry = sent.length;
+assert.strictEqual((await autoClaimWinnings({ transfer: okTransfer })).claimed, 0);
+await assert.rejects(claimWinnings('alice-timeout', { userToken: ALICE, transfer: okTransfer }), err => err.status === 409);
+assert.strictEqual(sent.length, sentBeforeRetry);
+assert.strictEqual(await balance(ALICE), 40);
+
+// Users can only claim their own parlays
+await won('bob-second', BOB, 5);
+await assert.rejects(claimWinnings('bob-second', { userToken: ALICE, transfer: okTransfer }), err => err.status === 404);
+
+console.log('✅ Auto-claim checks passed');
@@ -0,0 +1,109 @@
+/**
+ * Cash-out offer checks against the mock Kalshi API and the in-memory repository
+ * Run: node tests/test-cash-out.js
+ */
+
+import assert from 'assert';
+import net from 'net';
+
+// Pick a free port first: config is read when the mock and server modules load
+const port = await new Promise(resolve => {
+  const probe = net.createServer().listen(0, () => {
+    const { port: free } = probe.address();
+    probe.close(() => resolve(free));
+  });
+});
+
+process.env.DATA_BACKEND = 'memory';
+process.env.KALSHI_MARKET_FEED = 'false';
+process.env.KALSHI_API_BASE_URL = `http://127.0.0.1:${port}/trade-api/v2`;
+
+const { createMockKalshiServer } = await import('./mock-kalshi-server.js');
+const mock = createMockKalshiServer();
+const server = mock.app.listen(port);
+await new Promise(resolve => server.once('listening', resolve));
+
+const { setRepository, createMemoryRepository } = await import('../server/repositories/index.js');
+const { createCashOutOffer, acceptCashOutOffer, CashOutError } = await import('../server/cashOutService.js');
+const { checkParlayStatus } = await import('../server/parlayStatusService.js');
+const { recordStake } = await import('../server/ledgerService.js');
+const { runReconciliation } = await import('../server/reconciliationService.js');
+const { invalidateTicker } = await import('../server/cache/index.js');
+
+const ALICE = '11111111-1111-4111-8111-111111111111';
+const BOB = '22222222-2222-4222-8222-222222222222';
+const repo = createMemoryRepository({
+  seed: {
+    user_wallet: [
+      { user_uuid: ALICE, user_id: ALICE, balance: 10 },
+      { user_uuid: BOB, user_id: BOB, balance: 0 }
+    ]
+  },
+  poolBalance: 1000
+});
+setRepository(repo);
+const balance = async () => (await repo.getUserWallet(ALICE, ALICE)).balance;
+const rejectsWith = status => err => err instanceof CashOutError && err.status === status;
+const settle = async (ticker, result) => {
+  mock.settle(ticker, result);
+  await invalidateTicker(ticker);
+};
+
+const leg = (ticker, prob, side = 'yes') => ({ ticker, optionId: ticker, prob, side, marketTitle: ticker, optionLabel: side });
+await repo.saveCompletedPurchase('open', ALICE, 10, 40, [leg('KXNFLGAME-25NOV27GBDET-DET', 58), leg('KXSENATEMED-26-GRA', 37, 'no')], null, null, null);
+await recordStake(ALICE, 'open', 10);
+
+// Both legs open: 40 × 0.58 (DET YES mid 58¢) × 0.37 (GRA NO mid 37¢), less the 5% margin
+const first = await createCashOutOffer('open', { userToken: ALICE });
+assert.strictEqual(first.fairValue, 8.58);
+assert.strictEqual(first.amount, 8.15);
+assert.deepStrictEqual(first.legs.map(l => l.probability), [0.58, 0.37]);
+
+// Only the owner can price or accept
+await assert.rejects(createCashOutOffer('open', { userToken: BOB }), rejectsWith(404));
+await assert.rejects(acceptCashOutOffer('open', first.offerId, { userToken: BOB }), rejectsWith(404));
+
+// A leg settling voids earlier offers; a new one prices the won leg in at full value
+await settle('KXNFLGAME-25NOV27GBDET-DET', 'yes');
+await assert.rejects(acceptCashOutOffer('open', first.offerId, { userToken: ALICE }), rejectsWith(409));
+const offer = await createCashOutOffer('open', { userToken: ALICE });
+assert.strictEqual(offer.fairValue, 14.8);
+assert.strictEqual(offer.amount, 14.06);
+assert.deepStrictEqual(offer.legs.map(l => l.settled), [true, false]);
+
+// Expired offers are refused
+await repo.saveCashOutOffer({
+  id: 'cashout_expired', session_id: 'open', user_uuid: ALICE, amount: 14, fair_value: 14.8, margin: 0.05,
+  settled_legs: [1], leg_prices: [], expires_at: new Date(Date.now() - 1000).toISOString()
+});
+await assert.rejects(acceptCashOutOffer('open', 'cashout_expired', { userToken: ALICE }), rejectsWith(410));
+await assert.rejects(acceptCashOutOffer('open', null, { userToken: ALICE }), rejectsWith(400));
+
+// Accepting settles the parlay and credits the wallet; a retry of the same offer pays nothing more
+const accepted = await acceptCashOutOffer('open', offer.offerId, { userToken: ALICE });
+assert.strictEqual(accepted.amount, 14.06);
+assert.strictEqual(await balance(), 14.06);
+let row = await repo.getCompletedPurchase('open');
+assert.deepStrictEqual([row.parlay_status, row.cash_out_amount, row.cash_out_offer_id], ['cashed_out', 14.06, offer.offerId]);
+assert.ok(row.hedge_unwound_at, 'hedges are unwound');
+assert.ok((await repo.getCashOutOffer(offer.offerId)).accepted_at);
+
+await acceptCashOutOffer('open', offer.offerId, { userToken: ALICE });
+assert.strictEqual(await balance(), 14.06);
+await assert.rejects(createCashOutOffer('open', { userToken: ALICE }), rejectsWith(409));
+
+// Settlement never overrides a cash-out
+await settle('KXSENATEMED-26-GRA', 'no');
+assert.strictEqual((await checkParlayStatus('open')).status, 'cashed_out');
+await repo.updateParlayStatus('open', 'won', 40);
+row = await repo.getCompletedPurchase('open');
+assert.deepStrictEqual([row.parlay_status, parseFloat(row.claimable_amount || 0)], ['cashed_out', 0]);
+
+// The cash-out shows up in the ledger and in reconciliation's expected balances
+const entries = (await repo.getLedgerEntries(ALICE, {}, ALICE)).filter(e => e.entry_type === 'cash_out');
+assert.deepStrictEqual(entries.map(e => e.amount), [14.06]);
+const report = await runReconciliation({ getPlatformAddress: async () => null, getKalshiCash: async () => null });
+assert.deepStrictEqual(report.discrepancies, []);
+
+server.close();
+console.log('✅ Cash-out checks passed');
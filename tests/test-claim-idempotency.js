@@ -0,0 +1,104 @@
+/**
+ * Claim state machine checks: concurrent claims and Idempotency-Key retries
+ * Run: node tests/test-claim-idempotency.js
+ */
+
+import assert from 'assert';
+
+process.env.DATA_BACKEND = 'memory';
+
+const { setRepository, createMemoryRepository } = await import('../server/repositories/index.js');
+const { claimWinnings } = await import('../server/claimService.js');
+const { TransferNotSentError } = await import('../server/coinbaseCdpService.js');
+
+const ALICE = '11111111-1111-4111-8111-111111111111';
+
+const repo = createMemoryRepository({
+  seed: { user_wallet: [{ user_uuid: ALICE, user_id: ALICE, balance: 0 }] },
+  poolBalance: 1000
+});
+setRepository(repo);
+const balance = async () => (await repo.getUserWallet(ALICE, ALICE)).balance;
+const claimStatus = async sessionId => (await repo.getCompletedPurchase(sessionId)).claim_status;
+const won = async (sessionId, amount) => {
+  await repo.saveCompletedPurchase(sessionId, ALICE, 10, amount, [], null, null, null);
+  await repo.updateParlayStatus(sessionId, 'won', amount);
+};
+
+// A transfer that waits until released, to hold a claim in 'transferring'
+const sent = [];
+let release = null;
+const slowTransfer = async (userId, amount) => {
+  sent.push([userId, amount]);
+  await new Promise(resolve => { release = resolve; });
+  return { transactionSignature: `sig-${sent.length}` };
+};
+const okTransfer = async (userId, amount) => {
+  sent.push([userId, amount]);
+  return { transactionSignature: `sig-${sent.length}` };
+};
+const failingTransfer = async () => { throw new TransferNotSentError('Could not build the transfer'); };
+
+// Two requests at once: one takes the claim lock, the other is refused before any transfer
+await won('race', 20);
+const first = claimWinnings('race', { userToken: ALICE, idempotencyKey: 'key-1', transfer: slowTransfer });
+await new Promise(resolve => setImmediate(resolve));
+assert.strictEqual(await claimStatus('race'), 'transferring');
+await assert.rejects(claimWinnings('race', { userToken: ALICE, idempotencyKey: 'key-2', transfer: okTransfer }), err => err.status === 409);
+
+// A retry with the same key while the transfer is in flight reports progress instead of starting another
+const inFlight = await claimWinnings('race', { userToken: ALICE, idempotencyKey: 'key-1', transfer: okTransfer });
+assert.strictEqual(inFlight.status, 'transferring');
+assert.strictEqual(sent.length, 1);
+
+release();
+const done = await first;
+assert.strictEqual(done.status, 'credited');
+assert.strictEqual(done.transactionSignature, 'sig-1');
+assert.strictEqual(await balance(), 20);
+
+// Once credited, the same key gets the original result; a new key is told it's already claimed
+const replay = await claimWinnings('race', { userToken: ALICE, idempotencyKey: 'key-1', transfer: okTransfer });
+assert.deepStrictEqual([replay.status, replay.transactionSignature, replay.replayed], ['credited', 'sig-1', true]);
+await assert.rejects(claimWinnings('race', { userToken: ALICE, idempotencyKey: 'key-3', transfer: okTransfer }), err => err.status === 400);
+assert.strictEqual(sent.length, 1);
+assert.strictEqual(await balance(), 20);
+
+// A transfer that never went out goes back to 'requested'; the retry with the same key resumes that claim
+await won('retry', 15);
+await assert.rejects(claimWinnings('retry', { userToken: ALICE, idempotencyKey: 'key-4', transfer: failingTransfer }), err => err.status === 500);
+assert.strictEqual(await claimStatus('retry'), 'requested');
+assert.strictEqual((await repo.getCompletedPurchase('retry')).claimed_at, null);
+const retried = await claimWinnings('retry', { userToken: ALICE, idempotencyKey: 'key-4', transfer: okTransfer });
+assert.strictEqual(retried.status, 'credited');
+assert.strictEqual((await repo.getCompletedPurchase('retry')).claim_attempts, 2);
+assert.strictEqual(await balance(), 35);
+
+// Stopped after the transfer was recorded: the retry credits without sending USDC again
+await won('interrupted', 5);
+await repo.beginClaimTransfer('interrupted', 'key-5');
+await repo.advanceClaim('interrupted', 'transferring', { claim_status: 'transferred', claim_tx_signature: 'sig-before-crash', claim_processing_at: null });
+const sentBefore = sent.length;
+const resumed = await claimWinnings('interrupted', { userToken: ALICE, idempotencyKey: 'key-5', transfer: okTransfer });
+assert.deepStrictEqual([resumed.status, resumed.transactionSignature], ['credited', 'sig-before-crash']);
+assert.strictEqual(sent.length, sentBefore);
+assert.strictEqual(await balance(), 40);
+
+// The amount sent is the one on the locked row, even if it changed after the claim was read
+await won('regraded', 12);
+const beginClaimTransfer = repo.beginClaimTransfer;
+repo.beginClaimTransfer = async (...args) => {
+  await repo.updateParlayStatus('regraded', 'won', 18);
+  return beginClaimTransfer(...args);
+};
+const regraded = await claimWinnings('regraded', { userToken: ALICE, transfer: okTransfer });
+repo.beginClaimTransfer = beginClaimTransfer;
+assert.strictEqual(regraded.amount, 18);
+assert.deepStrictEqual(sent[sent.length - 1], [ALICE, 18]);
+assert.strictEqual(await balance(), 58);
+
+// Moves only happen from the expected state
+assert.strictEqual(await repo.advanceClaim('interrupted', 'transferring', { claim_status: 'requested' }), false);
+assert.strictEqual(await repo.beginClaimTransfer('interrupted'), null);
+
+console.log('✅ Claim idempotency checks passed');
@@ -0,0 +1,128 @@
+/**
+ * Deposit watcher checks with a stub Solana RPC and the in-memory repository
+ * Run: node tests/test-deposit-watcher.js
+ *
+ * To run against a local validator instead, start solana-test-validator, create a mint and
+ * set SOLANA_RPC_URL / SOLANA_USDC_MINT before starting the server.
+ */
+
+import assert from 'assert';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { getAssociatedTokenAddressSync } from '@solana/spl-token';
+
+const MINT = Keypair.generate().publicKey;
+process.env.DATA_BACKEND = 'memory';
+process.env.SOLANA_USDC_MINT = MINT.toBase58();
+process.env.DEPOSIT_SWEEP = 'true';
+
+const { setRepository, createMemoryRepository } = await import('../server/repositories/index.js');
+const { pollDeposits, getTokenBalanceChange } = await import('../server/depositWatcher.js');
+const { CONFIG } = await import('../config/constants.js');
+
+const ALICE = '11111111-1111-4111-8111-111111111111';
+const OWNER = Keypair.generate().publicKey.toBase58();
+const PLATFORM = Keypair.generate().publicKey.toBase58();
+const SENDER = Keypair.generate().publicKey.toBase58();
+const TOKEN_ACCOUNT = getAssociatedTokenAddressSync(MINT, new PublicKey(OWNER));
+
+const repo = createMemoryRepository({
+  seed: { user_wallet: [{ user_uuid: ALICE, user_id: ALICE, balance: 0, crypto_wallet_address: OWNER }] }
+});
+setRepository(repo);
+
+const usdc = dollars => String(Math.round(dollars * 1e6));
+const balance = (owner, dollars) => ({ owner, mint: MINT.toBase58(), uiTokenAmount: { amount: usdc(dollars) } });
+
+/**
+ * Minimal RPC: signatures are kept oldest first and served newest first, like the real node
+ */
+function createStubRpc() {
+  const signatures = [];
+  const transactions = new Map();
+  let held = new Set();
+  return {
+    addTransfer(signature, { from, to = OWNER, fromBefore, toBefore, amount, err = null }) {
+      signatures.push({ signature, slot: signatures.length + 1, err, blockTime: 1700000000 + signatures.length });
+      transactions.set(signature, {
+        slot: signatures.length,
+        blockTime: 1700000000 + signatures.length,
+        meta: {
+          err,
+          preTokenBalances: [balance(from, fromBefore), balance(to, toBefore)],
+          postTokenBalances: [balance(from, fromBefore - amount), balance(to, toBefore + amount)]
+        }
+      });
+    },
+    hold(signature) { held.add(signature); },
+    release() { held = new Set(); },
+    async getSignaturesForAddress(address, { before, until, limit }) {
+      assert.strictEqual(address.toBase58(), TOKEN_ACCOUNT.toBase58(), 'watcher queries the USDC token account');
+      let newestFirst = [...signatures].reverse();
+      if (before) newestFirst = newestFirst.slice(newestFirst.findIndex(s => s.signature === before) + 1);
+      if (until) newestFirst = newestFirst.slice(0, newestFirst.findIndex(s => s.signature === until));
+      return newestFirst.slice(0, limit);
+    },
+    async getParsedTransaction(signature) {
+      return held.has(signature) ? null : transactions.get(signature);
+    }
+  };
+}
+
+const rpc = createStubRpc();
+const sweeps = [];
+const sweep = async (userId, amount) => {
+  sweeps.push([userId, amount]);
+  if (sweeps.length === 1) throw new Error('not enough SOL for fees');
+  return { transactionSignature: `sweep-${sweeps.length}` };
+};
+const wallet = async () => (await repo.getUserWallet(ALICE, ALICE)).balance;
+const poll = () => pollDeposits({ rpc, platformAddress: PLATFORM, sweep });
+
+assert.strictEqual(getTokenBalanceChange({ meta: { preTokenBalances: [balance(OWNER, 1)], postTokenBalances: [balance(OWNER, 3.5)] } }, OWNER, MINT.toBase58()), 2.5);
+
+// Onramp deposit is credited once, however often it is seen
+rpc.addTransfer('sig-1', { from: SENDER, fromBefore: 100, toBefore: 0, amount: 25 });
+assert.strictEqual((await poll()).credited, 1);
+assert.strictEqual(await wallet(), 25);
+assert.strictEqual((await poll()).credited, 0, 'cursor skips processed signatures');
+await repo.updateDepositCursor(ALICE, null);
+assert.strictEqual((await poll()).credited, 0, 'rescanning does not credit twice');
+assert.strictEqual(await wallet(), 25);
+
+// Claimed winnings from the platform wallet, failed transactions and outgoing transfers are not deposits
+rpc.addTransfer('sig-2', { from: PLATFORM, fromBefore: 1000, toBefore: 25, amount: 40 });
+rpc.addTransfer('sig-3', { from: SENDER, fromBefore: 75, toBefore: 65, amount: 10, err: { InstructionError: [0, 'Custom'] } });
+rpc.addTransfer('sig-4', { from: OWNER, to: SENDER, fromBefore: 65, toBefore: 75, amount: 10 });
+assert.strictEqual((await poll()).credited, 0);
+assert.strictEqual(await wallet(), 25);
+
+// A transaction the node can't return yet holds the cursor; later ones wait for it
+rpc.addTransfer('sig-5', { from: SENDER, fromBefore: 85, toBefore: 55, amount: 10 });
+rpc.addTransfer('sig-6', { from: SENDER, fromBefore: 75, toBefore: 65, amount: 5.25 });
+rpc.hold('sig-5');
+assert.strictEqual((await poll()).credited, 0);
+rpc.release();
+const summary = await poll();
+assert.strictEqual(summary.credited, 2);
+assert.strictEqual(await wallet(), 40.25);
+
+// Sweeps: the first attempt failed and is retried on the next poll
+assert.deepStrictEqual(await repo.getChainDepositsToSweep(), []);
+assert.deepStrictEqual(sweeps.map(([, amount]) => amount), [25, 25, 10, 5.25]);
+
+const entries = (await repo.getLedgerEntries(ALICE, {}, ALICE)).map(e => [e.entry_type, e.amount, e.reference_id]);
+assert.deepStrictEqual(entries, [['deposit', 5.25, 'sig-6'], ['deposit', 10, 'sig-5'], ['deposit', 25, 'sig-1']]);
+
+// More new signatures than one poll reads (small limits stand in for the real ones):
+// the oldest are read first and the cursor never skips past unread ones
+CONFIG.DEPOSITS.SIGNATURE_PAGE_SIZE = 3;
+CONFIG.DEPOSITS.MAX_SIGNATURES_PER_SCAN = 5;
+for (let i = 7; i <= 18; i++) {
+  rpc.addTransfer(`sig-${i}`, { from: SENDER, fromBefore: 100, toBefore: 0, amount: 1 });
+}
+assert.deepStrictEqual([(await poll()).credited, (await poll()).credited, (await poll()).credited, (await poll()).credited], [5, 5, 2, 0]);
+assert.strictEqual(await wallet(), 52.25);
+const backlog = (await repo.getLedgerEntries(ALICE, { limit: 100 }, ALICE)).map(e => e.reference_id).reverse();
+assert.deepStrictEqual(backlog.slice(3), Array.from({ length: 12 }, (_, i) => `sig-${i + 7}`), 'every deposit credited, oldest first');
+
+console.log('✅ Deposit watcher checks passed');
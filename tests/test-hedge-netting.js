@@ -0,0 +1,98 @@
+/**
+ * Hedge netting checks: netting orders are recorded, polled and posted to the ledger
+ * Run: node tests/test-hedge-netting.js
+ */
+
+import assert from 'assert';
+import crypto from 'crypto';
+import net from 'net';
+
+// Pick a free port first: config is read when the mock and server modules load
+const port = await new Promise(resolve => {
+  const probe = net.createServer().listen(0, () => {
+    const { port: free } = probe.address();
+    probe.close(() => resolve(free));
+  });
+});
+
+// Netting places real (signed) orders, so sign with a throwaway key the mock trusts
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+process.env.DATA_BACKEND = 'memory';
+process.env.KALSHI_MARKET_FEED = 'false';
+process.env.KALSHI_DRY_RUN = 'false';
+process.env.KALSHI_DEMO_API_KEY = 'mock-key';
+process.env.KALSHI_DEMO_PRIVATE_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+process.env.KALSHI_API_BASE_URL = `http://127.0.0.1:${port}/trade-api/v2`;
+
+const { createMockKalshiServer } = await import('./mock-kalshi-server.js');
+const mock = createMockKalshiServer({ publicKey });
+const server = mock.app.listen(port);
+await new Promise(resolve => server.once('listening', resolve));
+
+const { setRepository, createMemoryRepository } = await import('../server/repositories/index.js');
+const { runHedgeNetting } = await import('../server/hedgeNettingService.js');
+const { pollHedgeOrders } = await import('../server/hedgeOrderService.js');
+const { checkParlayStatus } = await import('../server/parlayStatusService.js');
+const { invalidateTicker } = await import('../server/cache/index.js');
+
+const ALICE = '11111111-1111-4111-8111-111111111111';
+const GB = 'KXNFLGAME-25NOV27GBDET-GB';
+const DET = 'KXNFLGAME-25NOV27GBDET-DET';
+const repo = createMemoryRepository({ poolBalance: 1000 });
+setRepository(repo);
+
+const leg = (ticker, prob) => ({ ticker, optionId: ticker, prob, side: 'yes', marketTitle: ticker, optionLabel: 'yes' });
+const strategy = { needsHedging: true, hedgeBets: [{ leg: 2, ticker: DET, side: 'yes', contracts: 10 }] };
+const setBook = async (ticker, book) => {
+  mock.state.orderbooks[ticker] = book;
+  await invalidateTicker(ticker);
+};
+const nettingOrders = async () => repo.getNettingHedgeOrders(DET);
+const kalshiLedger = async () => (await repo.getLedgerAccountBalances()).find(a => a.account === 'kalshi')?.balance || 0;
+
+// Two parlays want 10 DET YES each; only 8 are offered, so the netting order rests
+await repo.saveCompletedPurchase('p1', ALICE, 10, 40, [leg(GB, 43), leg(DET, 59)], null, strategy, null);
+await repo.saveCompletedPurchase('p2', ALICE, 10, 40, [leg(GB, 43), leg(DET, 59)], null, strategy, null);
+await setBook(DET, { yes: [[40, 100]], no: [[41, 8]] });
+
+let summary = await runHedgeNetting();
+assert.deepStrictEqual([summary.orders, summary.placed], [1, 1]);
+let [first] = await nettingOrders();
+assert.deepStrictEqual(
+  [first.purchase_session_id, first.leg_number, first.side, first.requested_count, first.filled_count, first.status],
+  [null, null, 'yes', 20, 8, 'partially_filled']
+);
+assert.strictEqual(await kalshiLedger(), 4.72, '8 contracts at 59¢ reached the ledger');
+
+// The next run cancels the resting order and buys the 12 still missing
+await setBook(DET, { yes: [[40, 100]], no: [[41, 100]] });
+summary = await runHedgeNetting();
+assert.deepStrictEqual([summary.orders, summary.placed], [1, 1]);
+assert.deepStrictEqual((await nettingOrders()).map(o => [o.requested_count, o.filled_count]), [[20, 8], [12, 12]]);
+assert.strictEqual(await kalshiLedger(), 11.8);
+
+// The poller records the cancel but leaves the remainder to netting
+assert.deepStrictEqual(await pollHedgeOrders(), { polled: 1, purchases: 0 });
+[first] = await nettingOrders();
+assert.deepStrictEqual([first.status, first.filled_count], ['canceled', 8]);
+assert.strictEqual((await nettingOrders()).length, 2, 'no retry row');
+assert.strictEqual((await runHedgeNetting()).orders, 0);
+
+// A parlay unwound elsewhere drops out of the target: 10 NO net it off
+await repo.updatePurchaseHedgeUnwind('p2', { unwoundAt: new Date().toISOString() });
+summary = await runHedgeNetting();
+assert.deepStrictEqual([summary.orders, summary.placed], [1, 1]);
+const offset = (await nettingOrders()).at(-1);
+assert.deepStrictEqual([offset.side, offset.filled_count, offset.avg_fill_price], ['no', 10, 60]);
+assert.strictEqual(await kalshiLedger(), 17.8);
+
+// Settlement pays the YES held and nothing on the NO, once however many parlays see it
+mock.settle(DET, 'yes');
+await invalidateTicker(DET);
+await checkParlayStatus('p1');
+await checkParlayStatus('p2');
+assert.strictEqual(await kalshiLedger(), -2.2, '20 YES paid $20');
+assert.deepStrictEqual(mock.state.positions.get(DET), undefined);
+
+server.close();
+console.log('✅ Hedge netting checks passed');
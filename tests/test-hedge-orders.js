@@ -0,0 +1,106 @@
+/**
+ * Hedge order lifecycle checks: recording, polling, cancel after the timeout and retry
+ * Run: node tests/test-hedge-orders.js
+ */
+
+import assert from 'assert';
+import crypto from 'crypto';
+import net from 'net';
+
+// Pick a free port first: config is read when the mock and server modules load
+const port = await new Promise(resolve => {
+  const probe = net.createServer().listen(0, () => {
+    const { port: free } = probe.address();
+    probe.close(() => resolve(free));
+  });
+});
+
+// Hedges are real (signed) orders, so sign with a throwaway key the mock trusts
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+process.env.DATA_BACKEND = 'memory';
+process.env.KALSHI_MARKET_FEED = 'false';
+process.env.KALSHI_DRY_RUN = 'false';
+process.env.KALSHI_DEMO_API_KEY = 'mock-key';
+process.env.KALSHI_DEMO_PRIVATE_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+process.env.KALSHI_API_BASE_URL = `http://127.0.0.1:${port}/trade-api/v2`;
+process.env.HEDGE_ORDER_TIMEOUT_MS = '60000';
+
+const { createMockKalshiServer } = await import('./mock-kalshi-server.js');
+const mock = createMockKalshiServer({ publicKey });
+const server = mock.app.listen(port);
+await new Promise(resolve => server.once('listening', resolve));
+
+const { ENV } = await import('../config/env.js');
+const { setRepository, createMemoryRepository } = await import('../server/repositories/index.js');
+const { executeHedgingStrategy } = await import('../server/kalshiTradeClient.js');
+const { recordHedgeOrders, deriveHedgeStatus, pollHedgeOrders } = await import('../server/hedgeOrderService.js');
+
+const ALICE = '11111111-1111-4111-8111-111111111111';
+const GB = 'KXNFLGAME-25NOV27GBDET-GB';
+const DET = 'KXNFLGAME-25NOV27GBDET-DET';
+const repo = createMemoryRepository({ poolBalance: 1000 });
+setRepository(repo);
+
+const row = (leg_number, status, requested_count, filled_count, attempt = 1, action = 'buy') =>
+  ({ leg_number, status, requested_count, filled_count, attempt, action });
+
+// Hedge buys move pool cash to Kalshi through the ledger
+const hedgeSpend = async () => Math.round((1000 - (await repo.getLiquidityPoolBalance()).balance) * 100) / 100;
+const hedgeStatus = async () => (await repo.getCompletedPurchase('p1')).hedge_status;
+
+// Status rollup: retries top up their leg's original quantity, sells don't count
+assert.strictEqual(deriveHedgeStatus([]), 'none');
+assert.strictEqual(deriveHedgeStatus([row(1, 'filled', 5, 5, 1, 'sell')]), 'none');
+assert.strictEqual(deriveHedgeStatus([row(1, 'dry_run', 5, 0), row(2, 'dry_run', 5, 0)]), 'dry_run');
+assert.strictEqual(deriveHedgeStatus([row(1, 'filled', 5, 5), row(2, 'resting', 5, 0)]), 'pending');
+assert.strictEqual(deriveHedgeStatus([row(1, 'filled', 5, 5), row(2, 'canceled', 5, 2), row(2, 'filled', 3, 3, 2)]), 'filled');
+assert.strictEqual(deriveHedgeStatus([row(1, 'filled', 5, 5), row(2, 'canceled', 5, 2), row(2, 'canceled', 3, 1, 2)]), 'partial');
+assert.strictEqual(deriveHedgeStatus([row(1, 'failed', 5, 0), row(2, 'canceled', 5, 0)]), 'failed');
+
+// GB fills at 40¢; DET only has 4 contracts at 50¢, the next 6 are at 52¢
+const leg = (ticker, prob) => ({ ticker, optionId: ticker, prob, side: 'yes', marketTitle: ticker, optionLabel: 'yes' });
+await repo.saveCompletedPurchase('p1', ALICE, 10, 40, [leg(GB, 40), leg(DET, 50)], null, { needsHedging: true }, null);
+mock.state.orderbooks[GB] = { yes: [[38, 100]], no: [[60, 10]] };
+mock.state.orderbooks[DET] = { yes: [[48, 100]], no: [[50, 4], [48, 6]] };
+
+const hedge = (legNumber, ticker, probability) =>
+  ({ leg: legNumber, market: ticker, option: 'yes', ticker, probability, hedgeAmount: 4, potentialWin: 6, contracts: 10 });
+const hedgeResult = await executeHedgingStrategy([hedge(1, GB, 40), hedge(2, DET, 50)], { sessionId: 'p1' });
+assert.strictEqual(await recordHedgeOrders('p1', hedgeResult), 'pending');
+
+let orders = await repo.getHedgeOrdersForPurchase('p1');
+assert.deepStrictEqual(orders.map(o => [o.leg_number, o.status, o.filled_count, o.limit_price]), [
+  [1, 'filled', 10, 40],
+  [2, 'partially_filled', 4, 50]
+]);
+assert.strictEqual(await hedgeSpend(), 6, '10 at 40¢ and 4 at 50¢');
+
+// Inside the timeout the resting order is only polled
+assert.deepStrictEqual(await pollHedgeOrders(), { polled: 1, purchases: 1 });
+orders = await repo.getHedgeOrdersForPurchase('p1');
+assert.deepStrictEqual([orders.length, orders[1].status, orders[1].canceled_at], [2, 'partially_filled', null]);
+assert.ok(orders[1].last_polled_at);
+assert.strictEqual(await hedgeStatus(), 'pending');
+assert.strictEqual(await hedgeSpend(), 6, 'a poll without new fills posts nothing');
+
+// Past the timeout: canceled, and the 6 missing are retried up to 2¢ higher
+ENV.HEDGE_ORDER_TIMEOUT_MS = 0;
+assert.deepStrictEqual(await pollHedgeOrders(), { polled: 1, purchases: 1 });
+orders = await repo.getHedgeOrdersForPurchase('p1');
+assert.deepStrictEqual(orders.map(o => [o.leg_number, o.status, o.requested_count, o.filled_count, o.limit_price, o.attempt]), [
+  [1, 'filled', 10, 10, 40, 1],
+  [2, 'canceled', 10, 4, 50, 1],
+  [2, 'filled', 6, 6, 52, 2]
+]);
+assert.strictEqual(orders[2].parent_order_id, orders[1].id);
+assert.ok(orders[1].canceled_at);
+assert.strictEqual(mock.state.orders.get(orders[1].kalshi_order_id).status, 'canceled');
+assert.strictEqual(await hedgeStatus(), 'filled');
+assert.strictEqual(await hedgeSpend(), 9.12, 'the retry fill reached the ledger');
+
+// Nothing left open
+assert.deepStrictEqual(await pollHedgeOrders(), { polled: 0, purchases: 0 });
+assert.strictEqual(await hedgeSpend(), 9.12);
+
+server.close();
+console.log('✅ Hedge order checks passed');
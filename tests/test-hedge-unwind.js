@@ -0,0 +1,136 @@
+/**
+ * Hedge unwind checks: signed orders against the mock Kalshi API and the in-memory repository
+ * Run: node tests/test-hedge-unwind.js
+ */
+
+import assert from 'assert';
+import crypto from 'crypto';
+import net from 'net';
+
+// Pick a free port first: config is read when the mock and server modules load
+const port = await new Promise(resolve => {
+  const probe = net.createServer().listen(0, () => {
+    const { port: free } = probe.address();
+    probe.close(() => resolve(free));
+  });
+});
+
+// Unwinds place real (signed) orders, so sign with a throwaway key the mock trusts
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+process.env.DATA_BACKEND = 'memory';
+process.env.KALSHI_MARKET_FEED = 'false';
+process.env.KALSHI_DRY_RUN = 'false';
+process.env.KALSHI_DEMO_API_KEY = 'mock-key';
+process.env.KALSHI_DEMO_PRIVATE_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+process.env.KALSHI_API_BASE_URL = `http://127.0.0.1:${port}/trade-api/v2`;
+
+const { createMockKalshiServer } = await import('./mock-kalshi-server.js');
+const mock = createMockKalshiServer({ publicKey });
+const server = mock.app.listen(port);
+await new Promise(resolve => server.once('listening', resolve));
+
+const { setRepository, createMemoryRepository } = await import('../server/repositories/index.js');
+const { unwindParlayHedges } = await import('../server/hedgeUnwindService.js');
+const { checkParlayStatus } = await import('../server/parlayStatusService.js');
+const { invalidateTicker } = await import('../server/cache/index.js');
+const { CONFIG } = await import('../config/constants.js');
+
+const ALICE = '11111111-1111-4111-8111-111111111111';
+const GB = 'KXNFLGAME-25NOV27GBDET-GB';
+const DET = 'KXNFLGAME-25NOV27GBDET-DET';
+const GRA = 'KXSENATEMED-26-GRA';
+const repo = createMemoryRepository({ poolBalance: 1000 });
+setRepository(repo);
+
+const leg = (ticker, prob, side = 'yes') => ({ ticker, optionId: ticker, prob, side, marketTitle: ticker, optionLabel: side });
+const setBook = async (ticker, book) => {
+  mock.state.orderbooks[ticker] = book;
+  await invalidateTicker(ticker);
+};
+const sellOrders = () => [...mock.state.orders.values()].filter(o => o.action === 'sell');
+
+/**
+ * A purchase whose leg 1 lost, holding filled hedge buys on legs 2 (DET YES) and 3 (GRA NO)
+ */
+async function lostParlay(sessionId) {
+  await repo.saveCompletedPurchase(sessionId, ALICE, 10, 40, [leg(GB, 43), leg(DET, 59), leg(GRA, 37, 'no')], null, null, null);
+  await repo.insertHedgeOrders([
+    { purchase_session_id: sessionId, leg_number: 2, ticker: DET, side: 'yes', status: 'filled', requested_count: 10, filled_count: 10, avg_fill_price: 59, limit_price: 59 },
+    { purchase_session_id: sessionId, leg_number: 3, ticker: GRA, side: 'no', status: 'filled', requested_count: 5, filled_count: 5, avg_fill_price: 37, limit_price: 37 }
+  ]);
+  return repo.getCompletedPurchase(sessionId);
+}
+const outcomes = [
+  { legNumber: 1, settled: true, outcome: 'loss', value: 0 },
+  { legNumber: 2, settled: false, outcome: 'pending' },
+  { legNumber: 3, settled: false, outcome: 'pending' }
+];
+
+// Nothing to sell without hedge orders; an unwound purchase is skipped
+await repo.saveCompletedPurchase('unhedged', ALICE, 10, 40, [leg(GB, 43)], null, null, null);
+const unhedged = await unwindParlayHedges(await repo.getCompletedPurchase('unhedged'), outcomes.slice(0, 1));
+assert.deepStrictEqual(unhedged, { unwound: true, sells: 0, realizedPnl: 0, openContracts: 0 });
+const skipped = await unwindParlayHedges(await repo.getCompletedPurchase('unhedged'), outcomes.slice(0, 1));
+assert.deepStrictEqual(skipped, { unwound: false, reason: 'already_unwound' });
+
+// Concurrent status checks: only the one holding the lock sells
+let purchase = await lostParlay('race');
+const [first, second] = await Promise.all([unwindParlayHedges(purchase, outcomes), unwindParlayHedges(purchase, outcomes)]);
+assert.deepStrictEqual([first.unwound, second.unwound].sort(), [false, true]);
+assert.strictEqual([first, second].find(r => !r.unwound).reason, 'in_progress');
+assert.deepStrictEqual(sellOrders().map(o => [o.ticker, o.side, o.initial_count]), [[DET, 'yes', 10], [GRA, 'no', 5]]);
+let row = await repo.getCompletedPurchase('race');
+assert.ok(row.hedge_unwound_at);
+assert.deepStrictEqual([row.hedge_unwinding_at, row.hedge_open_contracts], [null, 0]);
+
+// A lock left by an unwind that died is taken over once it is stale
+purchase = await lostParlay('stale');
+await repo.beginHedgeUnwind('stale', new Date().toISOString());
+assert.strictEqual((await unwindParlayHedges(purchase, outcomes)).reason, 'in_progress');
+await repo.updatePurchaseHedgeUnwind('stale', { unwindingAt: new Date(Date.now() - CONFIG.HEDGE_ORDERS.UNWIND_LOCK_MS - 1000).toISOString() });
+assert.strictEqual((await unwindParlayHedges(purchase, outcomes)).unwound, true);
+
+// No bid: the leg stays open, the purchase isn't marked unwound and the next check sells it
+mock.reset();
+await setBook(DET, { yes: [], no: [[41, 100]] });
+purchase = await lostParlay('no-bid');
+let result = await unwindParlayHedges(purchase, outcomes);
+assert.deepStrictEqual([result.unwound, result.sells, result.openContracts], [false, 1, 10]);
+row = await repo.getCompletedPurchase('no-bid');
+assert.deepStrictEqual([row.hedge_unwound_at, row.hedge_unwinding_at, row.hedge_open_contracts], [null, null, 10]);
+assert.ok((await repo.getParlaysDueForStatusCheck()).some(p => p.session_id === 'no-bid'), 'still due for a status check');
+
+await setBook(DET, { yes: [[57, 100]], no: [[41, 100]] });
+result = await unwindParlayHedges(row, outcomes);
+assert.deepStrictEqual([result.unwound, result.sells, result.openContracts], [true, 1, 0]);
+assert.deepStrictEqual(sellOrders().map(o => [o.ticker, o.initial_count]), [[GRA, 5], [DET, 10]], 'GRA is not sold twice');
+
+// A rejected sell is retried; a resting one is left working, not sold again
+mock.reset();
+await setBook(DET, { yes: [[57, 4]], no: [[41, 100]] });
+mock.state.markets.get(GRA).status = 'closed';
+purchase = await lostParlay('retry');
+result = await unwindParlayHedges(purchase, outcomes);
+assert.deepStrictEqual([result.unwound, result.sells, result.openContracts], [false, 1, 11]);
+const failed = (await repo.getHedgeOrdersForPurchase('retry')).filter(o => o.action === 'sell' && o.status === 'failed');
+assert.strictEqual(failed.length, 1);
+
+mock.state.markets.get(GRA).status = 'active';
+result = await unwindParlayHedges(await repo.getCompletedPurchase('retry'), outcomes);
+assert.deepStrictEqual([result.unwound, result.sells, result.openContracts], [false, 1, 6], 'only GRA is sold; DET has 6 resting');
+assert.deepStrictEqual(sellOrders().map(o => [o.ticker, o.initial_count, o.status]), [[DET, 10, 'resting'], [GRA, 5, 'executed']]);
+assert.strictEqual((await repo.getCompletedPurchase('retry')).hedge_unwound_at, null);
+
+// Settlement: a lost parlay unwinds from its status check
+mock.reset();
+purchase = await lostParlay('settled');
+mock.settle(GB, 'no');
+await invalidateTicker(GB);
+const status = await checkParlayStatus('settled');
+assert.strictEqual(status.status, 'lost');
+row = await repo.getCompletedPurchase('settled');
+assert.ok(row.hedge_unwound_at);
+assert.ok(!(await repo.getParlaysDueForStatusCheck()).some(p => p.session_id === 'settled'), 'unwound lost parlays are no longer due');
+
+server.close();
+console.log('✅ Hedge unwind checks passed');
@@ -0,0 +1,55 @@
+/**
+ * Hedging strategy checks: itemized scenarios agree with the scenario engine, delta sizing and residual exposure
+ * Run: node tests/test-hedging-scenarios.js
+ */
+
+import assert from 'assert';
+
+process.env.DATA_BACKEND = 'memory';
+process.env.KALSHI_MARKET_FEED = 'false';
+
+const { calculateHedgingStrategy } = await import('../server/hedgingService.js');
+
+// Independent legs (no shared series or event), so both enumerate the same 8 outcomes
+const bets = [
+  { marketTitle: 'A', optionLabel: 'Yes', prob: 70, ticker: 'KXA-1-X' },
+  { marketTitle: 'B', optionLabel: 'Yes', prob: 60, ticker: 'KXB-2-Y' },
+  { marketTitle: 'C', optionLabel: 'Yes', prob: 30, ticker: 'KXC-3-Z' }
+];
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 0.005, `${message}: ${actual} vs ${expected}`);
+
+for (const strategy of ['variance_reduction', 'delta']) {
+  const result = calculateHedgingStrategy(bets, 10, 70, 0.126, {}, strategy);
+  assert.strictEqual(result.needsHedging, true);
+  assert.strictEqual(result.riskMetrics.method, 'exact');
+  assert.strictEqual(result.scenarios.length, 8);
+
+  // A winning hedge returns potentialWin on top of its cost, which was paid either way.
+  // Counting the gross return overstated EV by P(leg wins) × cost for every hedge.
+  const ev = result.scenarios.reduce((sum, s) => sum + s.probability * s.net, 0);
+  close(ev, result.hedged.ev, `${strategy} scenario EV`);
+
+  const allWin = result.scenarios.find(s => s.description.includes('WINS'));
+  const hedgeNet = result.hedgeBets.reduce((sum, hedge) => sum + hedge.potentialWin - hedge.cost, 0);
+  close(allWin.net, 10 - 70 + hedgeNet, `${strategy} net when every leg wins`);
+}
+
+// variance_reduction: $4 on A at 70% returns $5.71, so the hedge wins $1.71 net
+const varianceReduction = calculateHedgingStrategy(bets, 10, 70, 0.126, {}, 'variance_reduction');
+const allWin = varianceReduction.scenarios.find(s => s.description.includes('WINS'));
+assert.ok(allWin.breakdown.includes('Win A hedge: +$1.71'), allWin.breakdown.join('; '));
+
+// delta: each leg's delta is payout × the other legs' probabilities; 35% of it is bought, rounded down
+const delta = calculateHedgingStrategy(bets, 10, 70, 0.126, {}, 'delta');
+assert.strictEqual(delta.hedgeRatio, 0.35);
+assert.deepStrictEqual(delta.hedgingDecisions.map(d => [d.delta, d.contracts]), [[12.6, 4], [14.7, 5], [29.4, 10]]);
+assert.deepStrictEqual(delta.hedgeBets.map(h => [h.leg, h.contracts, h.potentialWin]), [[1, 4, 4], [2, 5, 5], [3, 10, 10]]);
+close(delta.totalHedgeCost, 8.8, 'delta hedge cost');
+assert.deepStrictEqual(delta.residualExposure.legs.map(l => l.residualDelta), [8.6, 9.7, 19.4]);
+assert.deepStrictEqual([delta.residualExposure.totalResidualDelta, delta.residualExposure.lossIfParlayWins], [37.7, 49.8]);
+
+// Deltas under one contract: nothing to hedge
+const small = calculateHedgingStrategy(bets, 1, 2, 0.126, {}, 'delta');
+assert.deepStrictEqual([small.strategy, small.needsHedging, small.residualExposure.lossIfParlayWins], ['delta', false, 1]);
+
+console.log('✅ Hedging scenario checks passed');
@@ -0,0 +1,120 @@
+/**
+ * Job scheduler leases, retries and run history, and settlement scheduling by close_time
+ * Run: node tests/test-job-scheduler.js
+ */
+
+import assert from 'assert';
+import net from 'net';
+
+// Pick a free port first: config is read when the mock and server modules load
+const port = await new Promise(resolve => {
+  const probe = net.createServer().listen(0, () => {
+    const { port: free } = probe.address();
+    probe.close(() => resolve(free));
+  });
+});
+
+process.env.DATA_BACKEND = 'memory';
+process.env.KALSHI_MARKET_FEED = 'false';
+process.env.KALSHI_API_BASE_URL = `http://127.0.0.1:${port}/trade-api/v2`;
+
+const { createMockKalshiServer } = await import('./mock-kalshi-server.js');
+const mock = createMockKalshiServer();
+const server = mock.app.listen(port);
+await new Promise(resolve => server.once('listening', resolve));
+
+const { setRepository, createMemoryRepository } = await import('../server/repositories/index.js');
+const { registerJob, runJobNow, retryDelay, mapWithConcurrency } = await import('../server/jobScheduler.js');
+const { nextStatusCheckAt, checkDueParlays } = await import('../server/parlayStatusService.js');
+const { CONFIG } = await import('../config/constants.js');
+
+const ALICE = '11111111-1111-4111-8111-111111111111';
+const repo = createMemoryRepository({
+  seed: { user_wallet: [{ user_uuid: ALICE, user_id: ALICE, balance: 100 }] },
+  poolBalance: 1000
+});
+setRepository(repo);
+const lease = async name => (await repo.getJobLeases()).find(l => l.job_name === name);
+
+// Retries: a failing job backs off and keeps count until it succeeds
+let calls = 0;
+registerJob({
+  name: 'flaky',
+  intervalMs: 60 * 1000,
+  handler: async () => {
+    calls++;
+    if (calls < 3) throw new Error(`boom ${calls}`);
+    return { calls };
+  }
+});
+assert.deepStrictEqual(await runJobNow('flaky'), { status: 'failed', attempt: 1, error: 'boom 1' });
+assert.strictEqual((await lease('flaky')).attempt, 1);
+assert.strictEqual((await lease('flaky')).owner, null, 'lease released after the run');
+assert.strictEqual(await repo.acquireJobLease('flaky', 'other', 1000), null, 'not due again until the backoff passes');
+assert.strictEqual((await runJobNow('flaky')).attempt, 2);
+assert.deepStrictEqual(await runJobNow('flaky'), { status: 'succeeded', attempt: 3, result: { calls: 3 } });
+assert.strictEqual((await lease('flaky')).attempt, 0);
+assert.deepStrictEqual((await repo.getJobRuns({ jobName: 'flaky' })).map(r => [r.attempt, r.status]), [[3, 'succeeded'], [2, 'failed'], [1, 'failed']]);
+assert.strictEqual(retryDelay(1, 1000), 1000);
+assert.strictEqual(retryDelay(3, 1000), 4000);
+assert.strictEqual(retryDelay(30, 1000), CONFIG.JOBS.MAX_BACKOFF_MS);
+
+// Out of attempts: wait for the regular interval and start counting again
+registerJob({ name: 'broken', intervalMs: 60 * 1000, maxAttempts: 2, handler: async () => { throw new Error('down'); } });
+await runJobNow('broken');
+await runJobNow('broken');
+const exhausted = await lease('broken');
+assert.strictEqual(exhausted.attempt, 0);
+assert.strictEqual(exhausted.last_error, 'down');
+assert.ok(Date.parse(exhausted.next_run_at) - Date.now() > 50 * 1000);
+
+// Leases: a job held by another instance doesn't run here, and a job never overlaps itself
+let release;
+registerJob({ name: 'slow', intervalMs: 1000, handler: () => new Promise(resolve => { release = resolve; }) });
+const first = runJobNow('slow');
+await new Promise(resolve => setTimeout(resolve, 10));
+assert.strictEqual(await runJobNow('slow'), null);
+release('done');
+assert.strictEqual((await first).status, 'succeeded');
+assert.ok(await repo.acquireJobLease('slow', 'other-instance', 60 * 1000, { force: true }));
+assert.strictEqual(await runJobNow('slow'), null, 'held by another instance');
+
+// Per-job concurrency: never more than N in flight, one failure doesn't stop the rest
+let inFlight = 0;
+let peak = 0;
+const results = await mapWithConcurrency([1, 2, 3, 4, 5], 2, async n => {
+  inFlight++;
+  peak = Math.max(peak, inFlight);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  inFlight--;
+  if (n === 3) throw new Error('three');
+  return n * 10;
+});
+assert.strictEqual(peak, 2);
+assert.deepStrictEqual(results.map(r => r.value ?? r.reason.message), [10, 20, 'three', 40, 50]);
+
+// close_time priority: closed legs are checked soonest, then legs closing soon
+const now = Date.parse('2026-01-10T00:00:00Z');
+const hours = h => new Date(now + h * 60 * 60 * 1000).toISOString();
+const delay = outcomes => nextStatusCheckAt(outcomes, now).getTime() - now;
+assert.strictEqual(delay([{ settled: false, closeTime: hours(-1) }, { settled: false, closeTime: hours(48) }]), CONFIG.SETTLEMENT.CLOSED_INTERVAL_MS);
+assert.strictEqual(delay([{ settled: false, closeTime: hours(2) }]), CONFIG.SETTLEMENT.CLOSING_SOON_INTERVAL_MS);
+assert.strictEqual(delay([{ settled: false, closeTime: hours(48) }]), CONFIG.SETTLEMENT.DEFAULT_INTERVAL_MS);
+assert.strictEqual(delay([{ settled: false, closeTime: hours(6.1) }]), 6 * 60 * 1000, 'wakes up when the closing-soon window starts');
+assert.strictEqual(delay([{ settled: true, closeTime: hours(-1) }]), CONFIG.SETTLEMENT.DEFAULT_INTERVAL_MS);
+
+// Settlement job: each parlay gets its own next check and isn't checked again until then
+const leg = ticker => ({ ticker, optionId: ticker, prob: 50, side: 'yes', marketTitle: ticker, optionLabel: 'yes' });
+await repo.saveCompletedPurchase('closing', ALICE, 10, 20, [leg('KXNFLGAME-25NOV27GBDET-GB')], null, null, null);
+await repo.saveCompletedPurchase('far-off', ALICE, 10, 20, [leg('KXSENATEMED-26-GRA')], null, null, null);
+mock.state.markets.get('KXNFLGAME-25NOV27GBDET-GB').close_time = new Date(Date.now() - 60 * 1000).toISOString();
+mock.state.markets.get('KXSENATEMED-26-GRA').close_time = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+
+assert.deepStrictEqual(await checkDueParlays({ concurrency: 2 }), { due: 2, checked: 2, resolved: 0, failed: 0 });
+const nextCheck = async sessionId => Date.parse((await repo.getCompletedPurchase(sessionId)).next_status_check_at) - Date.now();
+assert.ok(await nextCheck('closing') <= CONFIG.SETTLEMENT.CLOSED_INTERVAL_MS);
+assert.ok(await nextCheck('far-off') > CONFIG.SETTLEMENT.CLOSING_SOON_INTERVAL_MS);
+assert.strictEqual((await checkDueParlays()).due, 0);
+
+server.close();
+console.log('✅ Job scheduler checks passed');
@@ -9,7 +9,8 @@ dotenv.config();
 
 const API_KEY = process.env.KALSHI_DEMO_API_KEY;
 const PRIVATE_KEY = process.env.KALSHI_DEMO_PRIVATE_KEY;
-const API_BASE = 'https://demo-api.kalshi.co/trade-api/v2';
+// Set KALSHI_API_BASE_URL to run against the mock server (npm run mock:kalshi)
+const API_BASE = process.env.KALSHI_API_BASE_URL || 'https://demo-api.kalshi.co/trade-api/v2';
 
 if (!API_KEY || !PRIVATE_KEY) {
   console.error('❌ Missing KALSHI_DEMO_API_KEY or KALSHI_DEMO_PRIVATE_KEY in .env');
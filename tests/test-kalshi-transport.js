@@ -0,0 +1,122 @@
+/**
+ * Kalshi transport checks: signing, error mapping, retries, timeouts and rate limiting
+ * Run: node tests/test-kalshi-transport.js
+ */
+
+import assert from 'assert';
+import crypto from 'crypto';
+import express from 'express';
+import net from 'net';
+
+// Pick a free port first: config is read when the transport loads
+const port = await new Promise(resolve => {
+  const probe = net.createServer().listen(0, () => {
+    const { port: free } = probe.address();
+    probe.close(() => resolve(free));
+  });
+});
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+process.env.KALSHI_MARKET_FEED = 'false';
+process.env.KALSHI_DEMO_API_KEY = 'test-key';
+// Stored the way some hosts mangle it: quoted, with escaped newlines
+process.env.KALSHI_DEMO_PRIVATE_KEY = `"${privateKey.export({ type: 'pkcs1', format: 'pem' }).replace(/\n/g, '\\n')}"`;
+process.env.KALSHI_API_BASE_URL = `http://127.0.0.1:${port}/trade-api/v2`;
+process.env.KALSHI_MAX_RETRIES = '2';
+
+// Every request is counted by path, so retries can be checked
+const hits = {};
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  hits[req.path] = (hits[req.path] || 0) + 1;
+  next();
+});
+const api = express.Router();
+api.get('/signed', (req, res) => {
+  const timestamp = req.get('KALSHI-ACCESS-TIMESTAMP');
+  const valid = crypto.verify('sha256', Buffer.from(timestamp + req.method + req.baseUrl + req.path), {
+    key: publicKey,
+    padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+    saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+  }, Buffer.from(req.get('KALSHI-ACCESS-SIGNATURE') || '', 'base64'));
+  res.json({ key: req.get('KALSHI-ACCESS-KEY'), valid, query: req.query });
+});
+api.all('/flaky', (req, res) => {
+  if (hits['/trade-api/v2/flaky'] <= 2) return res.status(503).json({ error: { code: 'unavailable', message: 'try later' } });
+  res.json({ ok: true, body: req.body });
+});
+api.all('/unavailable', (req, res) => res.status(503).send('Service Unavailable'));
+api.get('/limited', (req, res) => res.status(429).set('Retry-After', '0.1').json({ error: { code: 'too_many_requests', message: 'slow down' } }));
+api.get('/missing', (req, res) => res.status(404).json({ error: { code: 'not_found', message: 'no such market' } }));
+api.get('/forbidden', (req, res) => res.status(403).json({ error: { code: 'forbidden', message: 'bad key' } }));
+api.get('/slow', (req, res) => setTimeout(() => res.json({ ok: true }), 200));
+api.get('/hangup', (req) => req.socket.destroy());
+app.use('/trade-api/v2', api);
+const server = app.listen(port);
+await new Promise(resolve => server.once('listening', resolve));
+
+const { ENV } = await import('../config/env.js');
+const {
+  kalshiFetch,
+  TokenBucket,
+  KalshiError,
+  KalshiAuthError,
+  KalshiNotFoundError,
+  KalshiRateLimitError,
+  KalshiTimeoutError,
+  KalshiNetworkError
+} = await import('../server/kalshiTransport.js');
+
+const hitsOn = (path) => hits[`/trade-api/v2${path}`] || 0;
+
+// Signed over the full path without the query string, with a key normalized from its stored form
+assert.deepStrictEqual(await kalshiFetch('GET', '/signed?limit=5'), { key: 'test-key', valid: true, query: { limit: '5' } });
+
+// Error mapping, without retrying what can't succeed
+await assert.rejects(kalshiFetch('GET', '/missing'), err =>
+  err instanceof KalshiNotFoundError && err.status === 404 && err.code === 'not_found' && /no such market/.test(err.message));
+await assert.rejects(kalshiFetch('GET', '/forbidden'), KalshiAuthError);
+assert.deepStrictEqual([hitsOn('/missing'), hitsOn('/forbidden')], [1, 1]);
+
+// 5xx on a GET: retried until it works
+assert.deepStrictEqual(await kalshiFetch('GET', '/flaky'), { ok: true, body: {} });
+assert.strictEqual(hitsOn('/flaky'), 3);
+
+// A POST is never retried unless the caller says it is idempotent
+await assert.rejects(kalshiFetch('POST', '/unavailable', { body: { count: 1 } }), err =>
+  err.constructor === KalshiError && err.status === 503 && err.retryable && err.method === 'POST' && err.path === '/unavailable');
+assert.strictEqual(hitsOn('/unavailable'), 1);
+await assert.rejects(kalshiFetch('POST', '/unavailable', { body: { count: 1 }, idempotent: true }), KalshiError);
+assert.strictEqual(hitsOn('/unavailable'), 4, 'first try plus KALSHI_MAX_RETRIES');
+
+// 429: waits at least Retry-After between attempts, then gives up
+let started = Date.now();
+await assert.rejects(kalshiFetch('GET', '/limited'), err => err instanceof KalshiRateLimitError && err.retryAfterMs === 100);
+assert.strictEqual(hitsOn('/limited'), 3);
+assert.ok(Date.now() - started >= 200, 'two Retry-After waits');
+
+// Timeouts and dropped connections are retryable too
+await assert.rejects(kalshiFetch('GET', '/slow', { timeoutMs: 50 }), KalshiTimeoutError);
+assert.strictEqual(hitsOn('/slow'), 3);
+await assert.rejects(kalshiFetch('GET', '/hangup'), KalshiNetworkError);
+assert.strictEqual(hitsOn('/hangup'), 3);
+
+// Without credentials public reads go out unsigned; authenticated calls fail before sending
+ENV.KALSHI_DEMO_API_KEY = null;
+ENV.KALSHI_API_KEY = null;
+assert.deepStrictEqual(await kalshiFetch('GET', '/signed'), { valid: false, query: {} });
+const signedHits = hitsOn('/signed');
+await assert.rejects(kalshiFetch('GET', '/signed', { auth: true }), KalshiAuthError);
+assert.strictEqual(hitsOn('/signed'), signedHits);
+
+// Token bucket: a burst of 2, then one token every 50ms, served in arrival order
+const bucket = new TokenBucket(20, 2);
+const served = [];
+started = Date.now();
+await Promise.all([0, 1, 2, 3, 4, 5].map(i => bucket.take().then(() => served.push(i))));
+assert.deepStrictEqual(served, [0, 1, 2, 3, 4, 5]);
+assert.ok(Date.now() - started >= 190, `4 refills take 200ms, took ${Date.now() - started}ms`);
+
+server.close();
+console.log('✅ Kalshi transport checks passed');
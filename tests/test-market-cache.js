@@ -0,0 +1,97 @@
+/**
+ * Market data cache checks: TTLs, coalescing, invalidation and the in-memory backend
+ * Run: node tests/test-market-cache.js
+ */
+
+import assert from 'assert';
+
+process.env.KALSHI_MARKET_FEED = 'false';
+process.env.MARKET_CACHE_BACKEND = 'redis';
+delete process.env.REDIS_URL;
+
+const { cached, invalidateTicker, clearCache, getCacheStats, setCacheBackend } = await import('../server/cache/index.js');
+const { createMemoryBackend } = await import('../server/cache/memoryBackend.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Redis requested without REDIS_URL: falls back to memory
+assert.strictEqual((await getCacheStats()).backend, 'memory');
+
+// Record the TTL of every write
+const memory = createMemoryBackend();
+const ttls = {};
+setCacheBackend({ ...memory, async set(key, value, ttlMs) { ttls[key] = ttlMs; return memory.set(key, value, ttlMs); } });
+
+let loads = 0;
+const loader = (value) => async () => { loads++; return value; };
+
+// Keys are case-insensitive; a hit skips the loader and returns a copy
+const market = { market: { ticker: 'KXA-1-X', status: 'active', yes_ask: 40 } };
+assert.deepStrictEqual(await cached('market', 'kxa-1-x', loader(market)), market);
+const hit = await cached('market', 'KXA-1-X', loader(null));
+assert.deepStrictEqual([hit, loads], [market, 1]);
+hit.market.yes_ask = 99;
+assert.strictEqual((await cached('market', 'KXA-1-X', loader(null))).market.yes_ask, 40);
+
+// Each type has its own TTL; settled markets are kept for an hour
+await cached('market', 'KXB-2-Y', loader({ market: { ticker: 'KXB-2-Y', status: 'settled' } }));
+await cached('orderbook', 'KXA-1-X', loader({ orderbook: { yes: [[40, 10]] } }));
+await cached('event', 'KXA-1', loader({ event: { event_ticker: 'KXA-1' } }));
+assert.deepStrictEqual(ttls, {
+  'market:KXA-1-X': 30000,
+  'market:KXB-2-Y': 3600000,
+  'orderbook:KXA-1-X': 2000,
+  'event:KXA-1': 60000
+});
+await assert.rejects(cached('trades', 'KXA-1-X', loader({})), /Unknown cache type "trades"/);
+
+// Concurrent misses share one request; empty results and errors are not cached
+loads = 0;
+const slow = async () => { loads++; await sleep(20); return { series: { ticker: 'KXA' } }; };
+const [first, second] = await Promise.all([cached('series', 'KXA', slow), cached('series', 'KXA', slow)]);
+assert.deepStrictEqual([first, second, loads], [{ series: { ticker: 'KXA' } }, { series: { ticker: 'KXA' } }, 1]);
+assert.strictEqual((await getCacheStats()).coalesced, 1);
+
+await cached('market', 'KXNOPE-1-X', loader(null));
+const failing = async () => { loads++; throw new Error('upstream down'); };
+await Promise.all([
+  assert.rejects(cached('market', 'KXC-3-Z', failing), /upstream down/),
+  assert.rejects(cached('market', 'KXC-3-Z', failing), /upstream down/)
+]);
+loads = 0;
+await cached('market', 'KXNOPE-1-X', loader(null));
+await cached('market', 'KXC-3-Z', loader({ market: { ticker: 'KXC-3-Z' } }));
+assert.strictEqual(loads, 2);
+
+// invalidateTicker drops the market and its orderbook, nothing else
+await invalidateTicker('kxa-1-x');
+loads = 0;
+await cached('market', 'KXA-1-X', loader(market));
+await cached('orderbook', 'KXA-1-X', loader({ orderbook: { yes: [] } }));
+await cached('event', 'KXA-1', loader(null));
+await cached('market', 'KXB-2-Y', loader(null));
+assert.strictEqual(loads, 2);
+
+// clearCache drops one type, or everything
+await clearCache('orderbook');
+loads = 0;
+await cached('orderbook', 'KXA-1-X', loader({ orderbook: { yes: [] } }));
+await cached('market', 'KXA-1-X', loader(null));
+assert.strictEqual(loads, 1);
+await clearCache();
+assert.strictEqual(memory.size(), 0);
+
+// The memory backend expires entries and evicts the least recently used
+const small = createMemoryBackend({ maxEntries: 2 });
+await small.set('a', 1, 1000);
+await small.set('b', 2, 1000);
+await small.get('a');
+await small.set('c', 3, 1000);
+assert.deepStrictEqual([await small.get('a'), await small.get('b'), await small.get('c')], [1, undefined, 3]);
+await small.set('short', 4, 10);
+await sleep(20);
+assert.strictEqual(await small.get('short'), undefined);
+await small.delPrefix('a');
+assert.deepStrictEqual([await small.get('a'), small.size()], [undefined, 1]);
+
+console.log('✅ Market cache checks passed');
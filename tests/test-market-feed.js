@@ -0,0 +1,47 @@
+/**
+ * Market feed check against the fake feed (no Kalshi connection needed)
+ * Run: node tests/test-market-feed.js
+ */
+
+import assert from 'assert';
+import { createFakeKalshiFeed } from './fakeKalshiFeed.js';
+import {
+  startMarketFeed,
+  stopMarketFeed,
+  trackTickers,
+  getLivePrice,
+  getLiveOrderbook,
+  applyLivePrices
+} from '../server/kalshiMarketFeed.js';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+const TICKER = 'KXTEST-25DEC01-A';
+
+const feed = createFakeKalshiFeed();
+startMarketFeed({ transport: feed.transport, url: 'ws://fake/trade-api/ws/v2', refreshTickers: false });
+trackTickers([TICKER]);
+await tick();
+
+assert.ok(feed.commands.some(c => c.cmd === 'subscribe' && c.params.market_tickers.includes(TICKER)), 'subscribes to tracked ticker');
+
+// YES bids 40, NO bids 55 → YES ask 45, mid 42.5
+feed.snapshot(TICKER, { yes: [[38, 10], [40, 100]], no: [[55, 50]] });
+assert.deepStrictEqual(getLivePrice(TICKER, 'yes'), { bid: 40, ask: 45, mid: 42.5, updatedAt: getLivePrice(TICKER).updatedAt });
+assert.strictEqual(getLivePrice(TICKER, 'no').ask, 60);
+
+// Pulling the 40 bid leaves 38 as best
+feed.delta(TICKER, 'yes', 40, -100);
+assert.strictEqual(getLivePrice(TICKER).bid, 38);
+assert.deepStrictEqual(getLiveOrderbook(TICKER), { yes: [[38, 10]], no: [[55, 50]] });
+
+const [bet] = applyLivePrices([{ ticker: TICKER, side: 'yes', prob: 70 }]);
+assert.strictEqual(bet.slipProb, 70);
+assert.strictEqual(bet.prob, 41.5);
+
+// A sequence gap drops the books and reconnects
+feed.delta(TICKER, 'yes', 38, 5, 99);
+await tick();
+assert.strictEqual(getLivePrice(TICKER), null, 'books dropped after gap');
+
+stopMarketFeed();
+console.log('✅ Market feed checks passed');
@@ -0,0 +1,91 @@
+/**
+ * In-memory repository checks: placement, settlement and claim flow plus ownership rules
+ * Run: node tests/test-memory-repository.js
+ */
+
+import assert from 'assert';
+import { createMemoryRepository } from '../server/repositories/memoryRepository.js';
+
+const ALICE = '11111111-1111-4111-8111-111111111111';
+const BOB = '22222222-2222-4222-8222-222222222222';
+// Unsigned JWT: the memory backend only reads the sub claim
+const jwtFor = (sub) => ['e30', Buffer.from(JSON.stringify({ sub, email: 'a@example.com' })).toString('base64url'), 'sig'].join('.');
+
+const repo = createMemoryRepository({ poolBalance: 500 });
+
+// Slips are scoped to their owner
+await repo.addParlayBet(ALICE, { marketId: 'M1', marketTitle: 'Game', optionId: 'o1', optionLabel: 'Yes', prob: 55, ticker: 'KX-A' }, ALICE);
+assert.strictEqual((await repo.getParlayBets(ALICE, null, jwtFor(ALICE))).length, 1);
+assert.strictEqual((await repo.getParlayBets(ALICE, null, BOB)).length, 0, 'Bob cannot read Alice\'s slip');
+await assert.rejects(
+  repo.addParlayBet(ALICE, { marketId: 'M2', marketTitle: 'Game', optionId: 'o2', optionLabel: 'No', prob: 40 }, BOB),
+  err => err.code === '42501',
+  'Bob cannot insert into Alice\'s slip'
+);
+await repo.removeParlayBet(ALICE, 1, BOB);
+assert.strictEqual((await repo.getParlayBets(ALICE, null, ALICE)).length, 1, 'Bob cannot delete Alice\'s bet');
+await assert.rejects(repo.getParlayBets(ALICE, null, null), /User token is required/);
+assert.deepStrictEqual(await repo.getTrackedTickers(), ['KX-A']);
+
+// Ledger postings move wallet and pool balances together
+const deposit = [{ account: 'external', entryType: 'deposit', amount: -25 }, { account: 'user', userId: ALICE, entryType: 'deposit', amount: 25 }];
+assert.strictEqual((await repo.postLedgerTransaction({ idempotencyKey: 'deposit:test:1', entries: deposit })).applied, true);
+assert.strictEqual((await repo.postLedgerTransaction({ idempotencyKey: 'deposit:test:1', entries: deposit })).applied, false, 'same key posts once');
+await repo.postLedgerTransaction({
+  idempotencyKey: 'stake:s0',
+  entries: [{ account: 'user', userId: ALICE, entryType: 'stake_debit', amount: -10 }, { account: 'pool', entryType: 'pool_credit', amount: 10 }]
+});
+assert.strictEqual((await repo.getUserWallet(ALICE, ALICE)).balance, 15);
+assert.deepStrictEqual(await repo.getLiquidityPoolBalance(), { balance: 510 });
+await assert.rejects(repo.postLedgerTransaction({
+  idempotencyKey: 'stake:s-big',
+  entries: [{ account: 'user', userId: ALICE, entryType: 'stake_debit', amount: -100 }, { account: 'pool', entryType: 'pool_credit', amount: 100 }]
+}), /insufficient_funds/);
+await assert.rejects(repo.postLedgerTransaction({
+  idempotencyKey: 'bad',
+  entries: [{ account: 'pool', entryType: 'payout', amount: -1 }, { account: 'user', userId: ALICE, entryType: 'payout', amount: 2 }]
+}), /unbalanced/);
+assert.deepStrictEqual(await repo.getLiquidityPoolBalance(), { balance: 510 }, 'rejected postings change nothing');
+assert.deepStrictEqual((await repo.getLedgerEntries(ALICE, {}, ALICE)).map(e => [e.entry_type, e.amount, e.balance_after]), [
+  ['stake_debit', -10, 15],
+  ['deposit', 25, 25]
+]);
+assert.strictEqual((await repo.getLedgerEntries(ALICE, {}, BOB)).length, 0);
+
+// Placement, settlement, claim
+const purchase = await repo.saveCompletedPurchase('s1', ALICE, 10, 30, [{ ticker: 'KX-A' }], {}, null, 10, ALICE);
+await assert.rejects(repo.saveCompletedPurchase('s1', ALICE, 10, 30, [], {}, null, 10), err => err.code === '23505');
+assert.strictEqual((await repo.getCompletedPurchase('s1', BOB)), null);
+assert.strictEqual((await repo.getOpenParlayExposure()).length, 1);
+
+await repo.updateParlayBetOutcome(purchase.id, 1, 'KX-A', 'o1', 'settled', 'win', 100);
+await repo.updateParlayBetOutcome(purchase.id, 1, 'KX-A', 'o1', 'settled', 'win', 100);
+assert.strictEqual((await repo.getParlayBetOutcomes(purchase.id)).length, 1, 'outcomes upsert per leg');
+assert.strictEqual((await repo.getParlayBetOutcomes(purchase.id, BOB)).length, 0);
+
+await repo.updateParlayStatus('s1', 'won', 30);
+await repo.claimParlayWinnings('s1', BOB);
+assert.strictEqual((await repo.getCompletedPurchase('s1')).claimed_at, null, 'Bob cannot claim Alice\'s winnings');
+await repo.claimParlayWinnings('s1', ALICE);
+assert.ok((await repo.getCompletedPurchase('s1')).claimed_at);
+assert.strictEqual((await repo.getUserPurchaseHistory(ALICE, ALICE))[0].parlay_status, 'won');
+
+// Quotes redeem once
+await repo.saveParlayQuote({ id: 'q1', user_uuid: ALICE, stake: 10 });
+assert.strictEqual(await repo.markParlayQuoteUsed('q1', 's1'), true);
+assert.strictEqual(await repo.markParlayQuoteUsed('q1', 's2'), false);
+
+// Withdrawals
+const withdrawal = await repo.createWithdrawalRequest(ALICE, 5, 'usdc', null, null, ALICE);
+await repo.updateWithdrawalStatus(withdrawal.id, 'completed');
+assert.strictEqual((await repo.getWithdrawalRequests(ALICE, ALICE))[0].status, 'completed');
+assert.strictEqual((await repo.getWithdrawalRequests(ALICE, BOB)).length, 0);
+
+// Auth client mirrors supabase.auth.getUser
+const { data: { user } } = await repo.getAuthClient().auth.getUser(jwtFor(BOB));
+assert.strictEqual(user.id, BOB);
+assert.ok((await repo.getAuthClient().auth.getUser('not-a-token')).error);
+
+repo.reset();
+assert.strictEqual((await repo.getActiveParlays()).length, 0);
+console.log('✅ Memory repository checks passed');
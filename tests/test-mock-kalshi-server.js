@@ -0,0 +1,67 @@
+/**
+ * Mock Kalshi server checks: signature verification and scripted settlement, through the real transport
+ * Run: node tests/test-mock-kalshi-server.js
+ */
+
+import assert from 'assert';
+import crypto from 'crypto';
+import net from 'net';
+
+// Pick a free port first: config is read when the mock and server modules load
+const port = await new Promise(resolve => {
+  const probe = net.createServer().listen(0, () => {
+    const { port: free } = probe.address();
+    probe.close(() => resolve(free));
+  });
+});
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const trustedKey = privateKey.export({ type: 'pkcs8', format: 'pem' });
+process.env.KALSHI_MARKET_FEED = 'false';
+process.env.KALSHI_DEMO_API_KEY = 'mock-key';
+process.env.KALSHI_DEMO_PRIVATE_KEY = trustedKey;
+process.env.KALSHI_API_BASE_URL = `http://127.0.0.1:${port}/trade-api/v2`;
+process.env.KALSHI_MAX_RETRIES = '0';
+
+const DET = 'KXNFLGAME-25NOV27GBDET-DET';
+const { createMockKalshiServer } = await import('./mock-kalshi-server.js');
+const mock = createMockKalshiServer({
+  publicKey,
+  settlements: [{ ticker: DET, closeAfterMs: 500, settleAfterMs: 1000, result: 'yes' }]
+});
+const server = mock.app.listen(port);
+await new Promise(resolve => server.once('listening', resolve));
+
+const { ENV } = await import('../config/env.js');
+const { kalshiFetch, KalshiAuthError } = await import('../server/kalshiTransport.js');
+const { getMarketDetails } = await import('../server/kalshiClient.js');
+const { invalidateTicker } = await import('../server/cache/index.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const marketStatus = async () => {
+  await invalidateTicker(DET);
+  const market = await getMarketDetails(DET);
+  return [market?.status, market?.result || null];
+};
+
+// A signed portfolio request is accepted
+assert.deepStrictEqual(await kalshiFetch('GET', '/portfolio/balance', { auth: true }), { balance: 1000000 });
+
+// Signed with a key the mock doesn't trust: rejected like Kalshi does
+ENV.KALSHI_DEMO_PRIVATE_KEY = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  .privateKey.export({ type: 'pkcs8', format: 'pem' });
+await assert.rejects(kalshiFetch('GET', '/portfolio/balance', { auth: true }), err =>
+  err instanceof KalshiAuthError && err.status === 401 && err.code === 'authentication_error' && /Invalid signature/.test(err.message));
+ENV.KALSHI_DEMO_PRIVATE_KEY = trustedKey;
+
+// The scripted transition, timed from a reset: active, then closed, then settled YES
+mock.reset();
+assert.deepStrictEqual(await marketStatus(), ['active', null]);
+await sleep(600);
+assert.deepStrictEqual(await marketStatus(), ['closed', null]);
+await sleep(500);
+assert.deepStrictEqual(await marketStatus(), ['settled', 'yes']);
+assert.strictEqual((await getMarketDetails(DET)).settlement_value, 100);
+
+server.close();
+console.log('✅ Mock Kalshi server checks passed');
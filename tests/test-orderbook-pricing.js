@@ -0,0 +1,103 @@
+/**
+ * Orderbook pricing checks: fill prices, leg repricing and liquidity margin against stub orderbooks
+ * Run: node tests/test-orderbook-pricing.js
+ */
+
+import assert from 'assert';
+import express from 'express';
+import net from 'net';
+
+// Pick a free port first: config is read when the server modules load
+const port = await new Promise(resolve => {
+  const probe = net.createServer().listen(0, () => {
+    const { port: free } = probe.address();
+    probe.close(() => resolve(free));
+  });
+});
+
+process.env.DATA_BACKEND = 'memory';
+process.env.KALSHI_MARKET_FEED = 'false';
+process.env.KALSHI_API_BASE_URL = `http://127.0.0.1:${port}/trade-api/v2`;
+
+// Kalshi's orderbook endpoint, serving whatever books the test sets; unknown tickers are 404s
+const books = {};
+const app = express();
+app.get('/trade-api/v2/markets/:ticker/orderbook', (req, res) => {
+  const orderbook = books[req.params.ticker];
+  if (!orderbook) return res.status(404).json({ error: { code: 'not_found', message: 'market not found' } });
+  res.json({ orderbook });
+});
+const server = app.listen(port);
+await new Promise(resolve => server.once('listening', resolve));
+
+const { computeFillPrice, estimateHedgeContracts, priceLegsFromOrderbooks, applyLiquidityMargin } = await import('../server/orderbookPricing.js');
+
+const GB = 'KXNFLGAME-25NOV27GBDET-GB';
+const DET = 'KXNFLGAME-25NOV27GBDET-DET';
+const GRA = 'KXSENATEMED-26-GRA';
+const leg = (ticker, prob, side = 'yes') => ({ ticker, optionId: ticker, prob, side, marketTitle: ticker || 'Untracked', optionLabel: side });
+
+// YES asks come from NO bids (100 - bid), best first; levels may arrive in any order
+const book = { yes: [[41, 40], [39, 150], [40, 80]], no: [[55, 150], [57, 40], [56, 80]] };
+let fill = computeFillPrice(book, 'yes', 100);
+assert.deepStrictEqual(fill, { bestAsk: 43, bestBid: 41, spread: 2, depth: 270, filled: 100, fillPrice: 43.6, fullyFillable: true });
+
+fill = computeFillPrice(book, 'NO', 10);
+assert.deepStrictEqual([fill.bestAsk, fill.bestBid, fill.fillPrice, fill.fullyFillable], [59, 57, 59, true]);
+
+// More than the book holds: fills what it can, averaged over every level
+fill = computeFillPrice(book, 'yes', 300);
+assert.deepStrictEqual([fill.filled, fill.fullyFillable], [270, false]);
+assert.strictEqual(fill.fillPrice.toFixed(3), '44.407');
+
+// Empty and zero-quantity levels
+fill = computeFillPrice({ yes: [[40, 10]], no: [[60, 0]] }, 'yes', 5);
+assert.deepStrictEqual([fill.bestAsk, fill.bestBid, fill.spread, fill.depth, fill.filled, fill.fillPrice, fill.fullyFillable], [null, 40, null, 0, 0, null, false]);
+assert.strictEqual(computeFillPrice(null, 'yes', 5).fillPrice, null);
+
+// Hedge size: 40% of the stake at the leg's price, at least one contract
+assert.strictEqual(estimateHedgeContracts(10, 40), 10);
+assert.strictEqual(estimateHedgeContracts(10, 0), 400);
+assert.strictEqual(estimateHedgeContracts(0.01, 90), 1);
+
+// Repricing: GB fills above its displayed price; DET's spread is wide; GRA's book is thin;
+// a leg without a ticker and one Kalshi doesn't know keep their displayed price
+books[GB] = { yes: [[39, 150], [40, 80], [41, 40]], no: [[55, 150], [56, 80], [57, 40]] };
+books[DET] = { yes: [[30, 100]], no: [[60, 100]] };
+books[GRA] = { yes: [[50, 2]], no: [[48, 2]] };
+const { pricedBets, liquidity } = await priceLegsFromOrderbooks([
+  leg(GB, 40),
+  leg(DET, 50),
+  leg(GRA, 50),
+  leg(null, 30),
+  leg('KXNOPE-25-X', 30)
+], 10);
+
+assert.deepStrictEqual(pricedBets.map(b => [b.displayedProb, b.prob]), [[40, 43], [50, 50], [50, 52], [30, 30], [30, 30]], 'never priced below what was displayed');
+assert.deepStrictEqual(liquidity.legs.map(l => [l.flags, l.penalty]), [
+  [[], 0],
+  [['wide_spread'], 3.5],
+  [['thin_book'], 3],
+  [['missing_book'], 2],
+  [['missing_book'], 2]
+]);
+assert.deepStrictEqual(
+  [liquidity.legs[2].hedgeContracts, liquidity.legs[2].filledContracts, liquidity.legs[2].depth],
+  [8, 2, 2]
+);
+assert.strictEqual(liquidity.marginAdjustment, 10.5);
+
+// The margin is capped however many legs are penalized
+const capped = await priceLegsFromOrderbooks(Array.from({ length: 8 }, () => leg(null, 30)), 10);
+assert.strictEqual(capped.liquidity.marginAdjustment, 15);
+
+// The margin comes off the payout percentage
+const quote = applyLiquidityMargin({ stake: 10, payout: { naivePayout: '100.00', recommendedPayoutPercentage: 90 } }, liquidity);
+assert.deepStrictEqual(
+  [quote.payout.recommendedPayoutPercentage, quote.payout.adjustedPayout, quote.payout.potentialProfit, quote.payout.effectiveOdds],
+  [79.5, '79.50', '69.50', '7.95']
+);
+assert.strictEqual(quote.liquidity, liquidity);
+
+server.close();
+console.log('✅ Orderbook pricing checks passed');
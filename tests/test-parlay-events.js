@@ -0,0 +1,79 @@
+/**
+ * Early loss detection and parlay event publishing against the mock Kalshi API
+ * Run: node tests/test-parlay-events.js
+ */
+
+import assert from 'assert';
+import net from 'net';
+
+// Pick a free port first: config is read when the mock and server modules load
+const port = await new Promise(resolve => {
+  const probe = net.createServer().listen(0, () => {
+    const { port: free } = probe.address();
+    probe.close(() => resolve(free));
+  });
+});
+
+process.env.DATA_BACKEND = 'memory';
+process.env.KALSHI_MARKET_FEED = 'false';
+process.env.KALSHI_API_BASE_URL = `http://127.0.0.1:${port}/trade-api/v2`;
+
+const { createMockKalshiServer } = await import('./mock-kalshi-server.js');
+const mock = createMockKalshiServer();
+const server = mock.app.listen(port);
+await new Promise(resolve => server.once('listening', resolve));
+
+const { setRepository, createMemoryRepository } = await import('../server/repositories/index.js');
+const { settleParlay, checkParlayStatus } = await import('../server/parlayStatusService.js');
+const { subscribeToParlayEvents, formatServerSentEvent } = await import('../server/parlayEvents.js');
+const { invalidateTicker } = await import('../server/cache/index.js');
+
+const ALICE = '11111111-1111-4111-8111-111111111111';
+const BOB = '22222222-2222-4222-8222-222222222222';
+const repo = createMemoryRepository({
+  seed: { user_wallet: [{ user_uuid: ALICE, user_id: ALICE, balance: 100 }] },
+  poolBalance: 1000
+});
+setRepository(repo);
+
+// One lost leg decides the parlay even with the others still open
+assert.deepStrictEqual(
+  settleParlay({ payout: '100' }, [{}, {}], [{ legNumber: 1, settled: true, outcome: 'loss' }, { legNumber: 2, settled: false, outcome: 'pending' }]),
+  { status: 'lost', claimableAmount: 0 }
+);
+
+const leg = (ticker, prob) => ({ ticker, optionId: ticker, prob, side: 'yes', marketTitle: ticker, optionLabel: 'yes' });
+await repo.saveCompletedPurchase('early-loss', ALICE, 10, 60, [leg('KXNFLGAME-25NOV27GBDET-GB', 43), leg('KXSENATEMED-26-GRA', 36)], null, null, null);
+
+const events = [];
+const unsubscribe = subscribeToParlayEvents(ALICE, event => events.push(event));
+subscribeToParlayEvents(BOB, () => assert.fail('events only go to the parlay owner'));
+
+mock.settle('KXNFLGAME-25NOV27GBDET-GB', 'no');
+
+const lost = await checkParlayStatus('early-loss');
+assert.strictEqual(lost.status, 'lost');
+assert.strictEqual(lost.allSettled, false, 'second leg is still open');
+assert.deepStrictEqual(events.map(e => [e.type, e.legNumber ?? e.status]), [['leg', 1], ['status', 'lost']]);
+assert.strictEqual(events[0].outcome, 'loss');
+assert.strictEqual((await repo.getCompletedPurchase('early-loss')).parlay_status, 'lost');
+
+// Re-checking without changes publishes nothing; the open leg settling later does
+await checkParlayStatus('early-loss');
+assert.strictEqual(events.length, 2);
+mock.settle('KXSENATEMED-26-GRA', 'yes');
+await invalidateTicker('KXSENATEMED-26-GRA');
+await checkParlayStatus('early-loss');
+assert.deepStrictEqual(events.slice(2).map(e => [e.type, e.legNumber, e.outcome]), [['leg', 2, 'win']]);
+
+unsubscribe();
+await checkParlayStatus('early-loss');
+assert.strictEqual(events.length, 3);
+
+assert.strictEqual(
+  formatServerSentEvent({ type: 'status', sessionId: 's', status: 'lost' }),
+  'event: status\ndata: {"sessionId":"s","status":"lost"}\n\n'
+);
+
+server.close();
+console.log('✅ Parlay event checks passed');
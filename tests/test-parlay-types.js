@@ -0,0 +1,124 @@
+/**
+ * Round-robin and flex parlay checks: pricing, grading and settlement against the mock Kalshi API
+ * Run: node tests/test-parlay-types.js
+ */
+
+import assert from 'assert';
+import net from 'net';
+
+// Pick a free port first: config is read when the mock and server modules load
+const port = await new Promise(resolve => {
+  const probe = net.createServer().listen(0, () => {
+    const { port: free } = probe.address();
+    probe.close(() => resolve(free));
+  });
+});
+
+process.env.DATA_BACKEND = 'memory';
+process.env.KALSHI_MARKET_FEED = 'false';
+process.env.KALSHI_API_BASE_URL = `http://127.0.0.1:${port}/trade-api/v2`;
+
+const { createMockKalshiServer } = await import('./mock-kalshi-server.js');
+const mock = createMockKalshiServer();
+const server = mock.app.listen(port);
+await new Promise(resolve => server.once('listening', resolve));
+
+const { setRepository, createMemoryRepository } = await import('../server/repositories/index.js');
+const { parseParlayType, buildPayoutTable, applyParlayType } = await import('../server/parlayTypes.js');
+const { settleParlay, checkParlayStatus } = await import('../server/parlayStatusService.js');
+const { createCashOutOffer } = await import('../server/cashOutService.js');
+const { invalidateTicker } = await import('../server/cache/index.js');
+
+const ALICE = '11111111-1111-4111-8111-111111111111';
+const repo = createMemoryRepository({
+  seed: { user_wallet: [{ user_uuid: ALICE, user_id: ALICE, balance: 0 }] },
+  poolBalance: 1000
+});
+setRepository(repo);
+
+// Validation
+assert.deepStrictEqual(parseParlayType(undefined, 2).parlayType, { type: 'standard' });
+assert.deepStrictEqual(parseParlayType({ type: 'round_robin', size: 2 }, 3).parlayType, { type: 'round_robin', size: 2 });
+assert.deepStrictEqual(parseParlayType({ type: 'flex', minHits: 2 }, 3).parlayType, { type: 'flex', minHits: 2 });
+assert.strictEqual(parseParlayType('teaser', 3).valid, false);
+assert.strictEqual(parseParlayType({ type: 'round_robin', size: 3 }, 3).valid, false, 'a full-size round robin is a standard parlay');
+assert.strictEqual(parseParlayType({ type: 'flex', minHits: 1 }, 4).valid, false);
+assert.strictEqual(parseParlayType({ type: 'flex', minHits: 2 }, 2).valid, false);
+assert.strictEqual(parseParlayType({ type: 'round_robin', size: 2 }, 9).valid, false);
+
+// Pricing: at 100% of fair value every table's expected payout is the stake
+const coinFlips = [{ prob: 50 }, { prob: 50 }, { prob: 50 }];
+const expectedPayout = table => table.rows.reduce((sum, row) => sum + row.probability * row.payout, 0);
+
+const roundRobin = buildPayoutTable(coinFlips, 30, { type: 'round_robin', size: 2 }, 90);
+assert.deepStrictEqual(roundRobin.rows.map(row => [row.legs, row.stake, row.payout]), [[[1, 2], 10, 36], [[1, 3], 10, 36], [[2, 3], 10, 36]]);
+assert.strictEqual(roundRobin.maxPayout, 108);
+assert.strictEqual(expectedPayout(buildPayoutTable(coinFlips, 30, { type: 'round_robin', size: 2 }, 100)), 30);
+
+// Flex 2 of 3: the 2-hit tier pays half the 3-hit tier
+const flex = buildPayoutTable(coinFlips, 10, { type: 'flex', minHits: 2 }, 90);
+assert.deepStrictEqual(flex.rows.map(row => [row.hits, row.payout, row.probability]), [[3, 28.8, 0.125], [2, 14.4, 0.375]]);
+assert.strictEqual(flex.maxPayout, 28.8);
+assert.strictEqual(expectedPayout(buildPayoutTable(coinFlips, 10, { type: 'flex', minHits: 2 }, 100)), 10);
+
+// The quote's adjustedPayout becomes the most the ticket can pay; standard quotes keep theirs
+const quote = () => ({ stake: 30, payout: { naivePayout: '240.00', recommendedPayoutPercentage: 90, adjustedPayout: '216.00', potentialProfit: '186.00', effectiveOdds: '7.20' } });
+const rrQuote = applyParlayType(quote(), coinFlips, { type: 'round_robin', size: 2 });
+assert.deepStrictEqual([rrQuote.payout.adjustedPayout, rrQuote.payout.potentialProfit, rrQuote.parlayType.type], ['108.00', '78.00', 'round_robin']);
+const standardQuote = applyParlayType(quote(), coinFlips, { type: 'standard' });
+assert.deepStrictEqual([standardQuote.payout.adjustedPayout, standardQuote.payoutTable.maxPayout], ['216.00', 216]);
+
+// Grading
+const purchase = table => ({ session_id: 's', payout: table.maxPayout, parlay_type: table.type, payout_table: table, quote_data: null });
+const legs = coinFlips;
+const graded = (table, results) => settleParlay(purchase(table), legs, results.map((outcome, i) => (
+  outcome === 'open'
+    ? { legNumber: i + 1, settled: false, outcome: 'pending' }
+    : { legNumber: i + 1, settled: true, outcome, value: outcome === 'win' ? 1 : 0 }
+)));
+
+// Round robin: each combination is its own parlay; all-void combinations return their stake
+assert.deepStrictEqual(graded(roundRobin, ['win', 'win', 'loss']), { status: 'won', claimableAmount: 36 });
+assert.deepStrictEqual(graded(roundRobin, ['loss', 'open', 'open']), { status: 'pending', claimableAmount: 0 });
+assert.deepStrictEqual(graded(roundRobin, ['loss', 'loss', 'open']), { status: 'lost', claimableAmount: 0 });
+assert.deepStrictEqual(graded(roundRobin, ['void', 'void', 'loss']), { status: 'won', claimableAmount: 10 });
+assert.deepStrictEqual(graded(roundRobin, ['win', 'win', 'win']), { status: 'won', claimableAmount: 108 });
+assert.deepStrictEqual(graded(roundRobin, ['void', 'void', 'void']), { status: 'void', claimableAmount: 0 });
+
+// Flex: paid by hits; lost once the minimum is out of reach; void legs count as hits at their odds
+assert.deepStrictEqual(graded(flex, ['win', 'loss', 'win']), { status: 'won', claimableAmount: 14.4 });
+assert.deepStrictEqual(graded(flex, ['win', 'loss', 'open']), { status: 'pending', claimableAmount: 0 });
+assert.deepStrictEqual(graded(flex, ['loss', 'loss', 'open']), { status: 'lost', claimableAmount: 0 });
+assert.deepStrictEqual(graded(flex, ['void', 'win', 'loss']), { status: 'won', claimableAmount: 7.2 });
+
+// End to end: a flex parlay survives a lost leg, can be cashed out and settles on the 2-hit tier
+const slip = [
+  { ticker: 'KXNFLGAME-25NOV27GBDET-GB', prob: 43, side: 'yes' },
+  { ticker: 'KXNFLGAME-25NOV27GBDET-DET', prob: 59, side: 'yes' },
+  { ticker: 'KXSENATEMED-26-GRA', prob: 36, side: 'no' }
+].map(leg => ({ ...leg, optionId: leg.ticker, marketTitle: leg.ticker, optionLabel: leg.side }));
+const flexQuote = applyParlayType({ stake: 10, payout: { recommendedPayoutPercentage: 90, adjustedPayout: '0' } }, slip, { type: 'flex', minHits: 2 });
+await repo.saveCompletedPurchase('flex', ALICE, 10, parseFloat(flexQuote.payout.adjustedPayout), slip, flexQuote, null, 10);
+const stored = await repo.getCompletedPurchase('flex');
+assert.deepStrictEqual([stored.parlay_type, stored.payout_table.minHits], ['flex', 2]);
+const twoHits = flexQuote.payoutTable.rows.find(row => row.hits === 2).payout;
+
+mock.settle('KXNFLGAME-25NOV27GBDET-GB', 'no');
+await invalidateTicker('KXNFLGAME-25NOV27GBDET-GB');
+const afterLoss = await checkParlayStatus('flex');
+assert.strictEqual(afterLoss.status, 'pending');
+assert.strictEqual((await repo.getCompletedPurchase('flex')).hedge_unwound_at ?? null, null, 'hedges stay on while the ticket can still pay');
+
+// Both open legs must now win: DET YES at 58¢ and GRA NO at 37¢
+const offer = await createCashOutOffer('flex', { userToken: ALICE });
+assert.strictEqual(offer.fairValue, Math.round(twoHits * 0.58 * 0.37 * 100) / 100);
+
+mock.settle('KXNFLGAME-25NOV27GBDET-DET', 'yes');
+mock.settle('KXSENATEMED-26-GRA', 'no');
+await invalidateTicker('KXNFLGAME-25NOV27GBDET-DET');
+await invalidateTicker('KXSENATEMED-26-GRA');
+const settled = await checkParlayStatus('flex');
+assert.deepStrictEqual([settled.status, settled.claimableAmount], ['won', twoHits]);
+
+server.close();
+console.log('✅ Parlay type checks passed');
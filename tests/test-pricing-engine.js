@@ -0,0 +1,73 @@
+/**
+ * Rule-based pricing checks: ticker correlation, margin tiers and the OpenAI fallback
+ * Run: node tests/test-pricing-engine.js
+ */
+
+import assert from 'assert';
+
+process.env.DATA_BACKEND = 'memory';
+process.env.KALSHI_MARKET_FEED = 'false';
+delete process.env.OPENAI_API_KEY;
+
+const { parseTickerPrefixes, detectCorrelatedLegs, generateRuleBasedQuote } = await import('../server/pricingEngine.js');
+const { generateParlayQuoteWithFallback } = await import('../server/aiQuoteService.js');
+
+const GB = 'KXNFLGAME-25NOV27GBDET-GB';
+const DET = 'KXNFLGAME-25NOV27GBDET-DET';
+const KC = 'KXNFLGAME-25NOV30KCLV-KC';
+const GRA = 'KXSENATEMED-26-GRA';
+const MIL = 'KXSENATEMED-26-MIL';
+const leg = (ticker, prob) => ({ ticker, prob, side: 'yes', marketTitle: ticker, optionLabel: 'Yes' });
+
+assert.deepStrictEqual(parseTickerPrefixes('kxnflgame-25nov27gbdet-gb'), { series: 'KXNFLGAME', event: 'KXNFLGAME-25NOV27GBDET' });
+assert.deepStrictEqual(parseTickerPrefixes('KXSOLO'), { series: 'KXSOLO', event: null });
+assert.deepStrictEqual(parseTickerPrefixes(null), { series: null, event: null });
+
+// An event pair counts once towards its series
+assert.deepStrictEqual(detectCorrelatedLegs([leg(GB, 50), leg(DET, 50), leg(GRA, 50), leg(MIL, 50), leg(KC, 50)]), {
+  eventGroups: [[0, 1], [2, 3]],
+  seriesGroups: [[0, 4]]
+});
+assert.deepStrictEqual(detectCorrelatedLegs([leg(GB, 50), leg(GRA, 50), leg(null, 50)]), { eventGroups: [], seriesGroups: [] });
+
+// Independent legs: the margin tier alone
+let { quote } = generateRuleBasedQuote([leg(GB, 50), leg(GRA, 50)], 10);
+assert.strictEqual(quote.pricingEngine, 'rule_based');
+assert.deepStrictEqual(
+  [quote.payout.naivePayout, quote.payout.recommendedPayoutPercentage, quote.payout.adjustedPayout, quote.analysis.correlationFactor],
+  ['40.00', 92, '36.80', 1]
+);
+assert.strictEqual(quote.analysis.riskAssessment, 'low');
+// Stamped with separate clock reads, so allow a few milliseconds
+assert.ok(Math.abs(Date.parse(quote.expiresAt) - Date.parse(quote.timestamp) - 5 * 60 * 1000) < 100, 'quotes last 5 minutes');
+
+// Same event: the joint probability goes up 25% and the correlated tier takes 2 more points
+({ quote } = generateRuleBasedQuote([leg(GB, 50), leg(DET, 50)], 10));
+assert.deepStrictEqual(
+  [quote.analysis.adjustedProbability, quote.payout.recommendedPayoutPercentage, quote.payout.adjustedPayout, quote.analysis.riskAssessment],
+  ['31.25%', 72, '28.80', 'high']
+);
+
+// Same series only, four legs: the 90% tier, less the correlation penalty and the 8% uplift
+({ quote } = generateRuleBasedQuote([leg(GB, 60), leg(KC, 60), leg(GRA, 60), leg('KXINXU-25DEC05H1400-T6849.99', 60)], 10));
+assert.deepStrictEqual([quote.analysis.correlationFactor, quote.payout.recommendedPayoutPercentage], [1.08, 81.48]);
+assert.strictEqual(quote.analysis.riskAssessment, 'medium');
+
+// The joint probability never exceeds the least likely leg
+({ quote } = generateRuleBasedQuote([leg(GB, 90), leg(DET, 90)], 10));
+assert.deepStrictEqual([quote.analysis.adjustedProbability, quote.payout.adjustedPayout], ['90.00%', '10.00']);
+
+// Deterministic: the same legs always price the same
+const again = generateRuleBasedQuote([leg(GB, 90), leg(DET, 90)], 10).quote;
+assert.deepStrictEqual({ ...again, timestamp: null, expiresAt: null }, { ...quote, timestamp: null, expiresAt: null });
+
+assert.throws(() => generateRuleBasedQuote([], 10), /No bets provided/);
+
+// Without an OpenAI key the quote still comes back, from the rule-based engine
+const fallback = await generateParlayQuoteWithFallback([leg(GB, 50), leg(DET, 50)], 10);
+assert.strictEqual(fallback.success, true);
+assert.strictEqual(fallback.quote.pricingEngine, 'rule_based');
+assert.match(fallback.quote.fallbackReason, /OPENAI_API_KEY is not set/);
+assert.strictEqual(fallback.quote.payout.adjustedPayout, '28.80');
+
+console.log('✅ Pricing engine checks passed');
@@ -0,0 +1,79 @@
+/**
+ * Quote redemption checks against the in-memory repository
+ * Run: node tests/test-quotes.js
+ */
+
+import assert from 'assert';
+
+process.env.DATA_BACKEND = 'memory';
+process.env.KALSHI_MARKET_FEED = 'false';
+
+const { setRepository, createMemoryRepository } = await import('../server/repositories/index.js');
+const { issueQuote, redeemQuote, releaseQuote } = await import('../server/quoteService.js');
+const { ERROR_MESSAGES, HTTP_STATUS } = await import('../config/constants.js');
+
+const ALICE = '11111111-1111-4111-8111-111111111111';
+const BOB = '22222222-2222-4222-8222-222222222222';
+const GB = 'KXNFLGAME-25NOV27GBDET-GB';
+const GRA = 'KXSENATEMED-26-GRA';
+const repo = createMemoryRepository({ poolBalance: 1000 });
+setRepository(repo);
+
+const legs = [
+  { ticker: GB, optionId: GB, side: 'yes', prob: 43 },
+  { ticker: GRA, optionId: GRA, side: 'no', prob: 37 }
+];
+const issue = (overrides = {}) => issueQuote(ALICE, legs, 10, {
+  payout: 40,
+  pricingEngine: 'rule_based',
+  bets: [{ ticker: GB, side: 'yes', probability: 45 }, { ticker: GRA, side: 'no', probability: 36 }],
+  expiresAt: new Date(Date.now() + 60000).toISOString(),
+  ...overrides
+});
+const rejected = (result, status, error) => {
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual([result.status, result.error], [status, error]);
+};
+
+// Missing and unknown quote IDs
+rejected(await redeemQuote(undefined, ALICE, legs, 10, 's0'), HTTP_STATUS.BAD_REQUEST, ERROR_MESSAGES.QUOTE.QUOTE_ID_REQUIRED);
+rejected(await redeemQuote('quote_missing', ALICE, legs, 10, 's0'), HTTP_STATUS.NOT_FOUND, ERROR_MESSAGES.QUOTE.NOT_FOUND);
+
+// A stored quote whose payout was changed no longer matches its signature
+const tampered = await issue();
+const stored = await repo.getParlayQuote(tampered.quoteId);
+await repo.saveParlayQuote({ ...stored, id: 'quote_tampered', quote_data: { ...stored.quote_data, payout: 400 } });
+rejected(await redeemQuote('quote_tampered', ALICE, legs, 10, 's0'), HTTP_STATUS.BAD_REQUEST, ERROR_MESSAGES.QUOTE.INVALID_SIGNATURE);
+
+// Ownership, expiry, legs and stake are checked before anything is consumed
+const quote = await issue();
+rejected(await redeemQuote(quote.quoteId, BOB, legs, 10, 's1'), HTTP_STATUS.FORBIDDEN, ERROR_MESSAGES.QUOTE.USER_MISMATCH);
+rejected(await redeemQuote(quote.quoteId, ALICE, legs.slice(0, 1), 10, 's1'), HTTP_STATUS.BAD_REQUEST, ERROR_MESSAGES.QUOTE.LEGS_MISMATCH);
+rejected(await redeemQuote(quote.quoteId, ALICE, [legs[0], { ...legs[1], side: 'yes' }], 10, 's1'), HTTP_STATUS.BAD_REQUEST, ERROR_MESSAGES.QUOTE.LEGS_MISMATCH);
+rejected(await redeemQuote(quote.quoteId, ALICE, legs, 25, 's1'), HTTP_STATUS.BAD_REQUEST, ERROR_MESSAGES.QUOTE.STAKE_MISMATCH);
+assert.strictEqual((await repo.getParlayQuote(quote.quoteId)).used_at, null);
+
+const expired = await issue({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+rejected(await redeemQuote(expired.quoteId, ALICE, legs, 10, 's1'), HTTP_STATUS.GONE, ERROR_MESSAGES.QUOTE.EXPIRED);
+
+// Legs are matched regardless of order; the stake is optional
+const redeemed = await redeemQuote(quote.quoteId, ALICE, [...legs].reverse(), undefined, 's1');
+assert.deepStrictEqual([redeemed.valid, redeemed.stake, redeemed.quote.payout], [true, 10, 40]);
+assert.strictEqual((await repo.getParlayQuote(quote.quoteId)).purchase_session_id, 's1');
+rejected(await redeemQuote(quote.quoteId, ALICE, legs, 10, 's2'), HTTP_STATUS.CONFLICT, ERROR_MESSAGES.QUOTE.ALREADY_USED);
+
+// Concurrent placements: exactly one redeems
+const contested = await issue();
+const attempts = await Promise.all(['a', 'b', 'c'].map(s => redeemQuote(contested.quoteId, ALICE, legs, 10, s)));
+assert.strictEqual(attempts.filter(r => r.valid).length, 1);
+assert.ok(attempts.filter(r => !r.valid).every(r => r.status === HTTP_STATUS.CONFLICT));
+
+// A rejected placement hands the quote back; only the session that redeemed it can
+await releaseQuote(quote.quoteId, 's2');
+assert.strictEqual((await repo.getParlayQuote(quote.quoteId)).purchase_session_id, 's1', 'another session cannot release it');
+await releaseQuote(quote.quoteId, 's1');
+const released = await repo.getParlayQuote(quote.quoteId);
+assert.deepStrictEqual([released.used_at, released.purchase_session_id], [null, null]);
+assert.strictEqual((await redeemQuote(quote.quoteId, ALICE, legs, 10, 's3')).valid, true);
+
+console.log('✅ Quote checks passed');
@@ -0,0 +1,103 @@
+/**
+ * Reconciliation checks against the in-memory repository with stubbed on-chain and Kalshi balances
+ * Run: node tests/test-reconciliation.js
+ */
+
+import assert from 'assert';
+
+process.env.DATA_BACKEND = 'memory';
+process.env.RECONCILIATION_BLOCK_CLAIMS = 'true';
+
+const { setRepository, createMemoryRepository } = await import('../server/repositories/index.js');
+const { runReconciliation, runScheduledReconciliation, getClaimBlockReason, RECONCILIATION_JOB } = await import('../server/reconciliationService.js');
+const { registerJob, runJobNow } = await import('../server/jobScheduler.js');
+const { recordStake, recordPayout, recordDeposit } = await import('../server/ledgerService.js');
+
+const ALICE = '11111111-1111-4111-8111-111111111111';
+const LEDGER_START = '2026-01-01T00:00:00.000Z';
+const opening = (account, userId, amount) => ({
+  transaction_id: `opening-${account}`, idempotency_key: `opening:${account}:${userId}`, account,
+  user_uuid: userId, amount, entry_type: 'opening_balance', created_at: LEDGER_START
+});
+const purchase = (sessionId, stake, changes = {}) => ({
+  session_id: sessionId, user_uuid: ALICE, user_id: ALICE, stake, parlay_status: 'pending',
+  claimable_amount: null, claimed_at: null, completed_at: new Date().toISOString(), ...changes
+});
+
+const repo = createMemoryRepository({
+  seed: {
+    user_wallet: [{ user_uuid: ALICE, user_id: ALICE, balance: 50 }],
+    ledger_entries: [opening('user', ALICE, 50), opening('pool', null, 1000)],
+    chain_deposits: [{ signature: 'sig-1', user_uuid: ALICE, wallet_address: 'wallet', amount: 25, sweep_status: 'not_required' }],
+    completed_purchases: [
+      purchase('before-ledger', 20, { completed_at: '2025-12-01T00:00:00.000Z' }),
+      purchase('lost', 10, { parlay_status: 'lost' }),
+      purchase('claimed', 5, { parlay_status: 'won', claimable_amount: 15, claimed_at: new Date().toISOString() }),
+      purchase('unclaimed', 10, { parlay_status: 'won', claimable_amount: 30 })
+    ]
+  },
+  poolBalance: 1000
+});
+setRepository(repo);
+
+await recordDeposit(ALICE, 25, { type: 'solana', id: 'sig-1' });
+await recordStake(ALICE, 'lost', 10);
+await recordStake(ALICE, 'claimed', 5);
+await recordPayout(ALICE, 'claimed', 15);
+await recordStake(ALICE, 'unclaimed', 10);
+
+const stubs = platformBalance => ({
+  getPlatformAddress: async () => 'platform',
+  getOnChainBalance: async address => (address === 'platform' ? platformBalance : 0),
+  getKalshiCash: async () => 40
+});
+
+// The scheduled job, as the instance holding its lease runs it
+let sources = stubs(1075);
+registerJob({ name: RECONCILIATION_JOB, intervalMs: 60000, handler: () => runScheduledReconciliation(sources) });
+
+// Everything agrees: wallet 65 = 50 opening + 25 deposit - 25 stakes + 15 payout (the pre-ledger stake is in the opening)
+const clean = await runReconciliation(stubs(1075));
+assert.deepStrictEqual(clean.discrepancies, []);
+assert.deepStrictEqual(clean.users.map(u => [u.balance, u.ledgerBalance, u.expectedBalance]), [[65, 65, 65]]);
+assert.strictEqual(clean.totals.pool, 1010);
+assert.strictEqual(clean.totals.unclaimedWinnings, 30);
+assert.deepStrictEqual(clean.collateral, { assets: 1115, liabilities: 95, surplus: 1020, underCollateralized: false });
+assert.strictEqual(await getClaimBlockReason(), null);
+
+// A purchase whose stake never reached the ledger, and USDC missing from the platform wallet
+await repo.saveCompletedPurchase('unbilled', ALICE, 7, 20, {}, {}, null, null);
+const drifted = await runReconciliation(stubs(20));
+assert.deepStrictEqual(drifted.discrepancies.map(d => [d.check, d.difference]), [
+  ['records_vs_ledger', 7],
+  ['custody', -1055]
+]);
+assert.strictEqual(drifted.collateral.underCollateralized, true, '$20 on-chain + $40 at Kalshi < $95 owed');
+assert.strictEqual(await getClaimBlockReason(), null, 'only the scheduled run feeds the claim block');
+
+// The scheduled run stores its collateral result in job_runs, where every instance reads it
+sources = stubs(20);
+const { result } = await runJobNow(RECONCILIATION_JOB);
+assert.deepStrictEqual([result.discrepancies, result.underCollateralized, result.surplus], [2, true, -35]);
+assert.match(await getClaimBlockReason(), /under-collateralized/);
+const [stored] = await repo.getJobRuns({ jobName: RECONCILIATION_JOB, status: 'succeeded', limit: 1 });
+assert.strictEqual(stored.result.generatedAt, result.generatedAt);
+
+// A failed run leaves the last result in force; a run from another instance lifts it
+const failed = await repo.startJobRun(RECONCILIATION_JOB, 'other-host:1:abcdef', 1);
+await repo.finishJobRun(failed.id, { status: 'failed', durationMs: 5, error: 'RPC down' });
+assert.ok(await getClaimBlockReason(), 'still blocked after a failed run');
+const elsewhere = await repo.startJobRun(RECONCILIATION_JOB, 'other-host:1:abcdef', 1);
+await repo.finishJobRun(elsewhere.id, { status: 'succeeded', durationMs: 5, result: { generatedAt: new Date().toISOString(), underCollateralized: false } });
+assert.strictEqual(await getClaimBlockReason(), null);
+
+// Without CDP the on-chain checks are skipped and claims aren't blocked on unknown collateral
+const offline = await runReconciliation({ getPlatformAddress: async () => null, getKalshiCash: async () => null });
+assert.strictEqual(offline.totals.onChain, null);
+assert.strictEqual(offline.collateral.underCollateralized, null);
+assert.strictEqual(offline.warnings.length, 2);
+sources = { getPlatformAddress: async () => null, getKalshiCash: async () => null };
+assert.strictEqual((await runJobNow(RECONCILIATION_JOB)).result.underCollateralized, null);
+assert.strictEqual(await getClaimBlockReason(), null);
+
+console.log('✅ Reconciliation checks passed');
@@ -0,0 +1,157 @@
+/**
+ * Risk limit checks: exposure limits and concurrent placements against the in-memory repository
+ * Run: node tests/test-risk-limits.js
+ */
+
+import assert from 'assert';
+import net from 'net';
+
+// Pick a free port first: config is read when the server modules load
+const port = await new Promise(resolve => {
+  const probe = net.createServer().listen(0, () => {
+    const { port: free } = probe.address();
+    probe.close(() => resolve(free));
+  });
+});
+
+process.env.DATA_BACKEND = 'memory';
+process.env.KALSHI_MARKET_FEED = 'false';
+process.env.JOB_SCHEDULER = 'false';
+process.env.PORT = String(port);
+process.env.RISK_MAX_MARKET_LIABILITY = '100';
+process.env.RISK_MAX_EVENT_LIABILITY = '100';
+process.env.RISK_MAX_PARLAY_LIABILITY = '80';
+process.env.RISK_MAX_POOL_DRAWDOWN_PCT = '50';
+
+const { setRepository, createMemoryRepository } = await import('../server/repositories/index.js');
+const { evaluateParlayRisk, acquireExposureLock } = await import('../server/riskEngine.js');
+const { issueQuote } = await import('../server/quoteService.js');
+const { ERROR_MESSAGES, HTTP_STATUS } = await import('../config/constants.js');
+await import('../server/index.js');
+
+const ALICE = '11111111-1111-4111-8111-111111111111';
+const BOB = '22222222-2222-4222-8222-222222222222';
+const GB = 'KXNFLGAME-25NOV27GBDET-GB';
+const DET = 'KXNFLGAME-25NOV27GBDET-DET';
+const GRA = 'KXSENATEMED-26-GRA';
+const PHI = 'KXNBAGAME-25DEC01PHIBOS-PHI';
+
+const leg = (ticker, side = 'yes') => ({ ticker, optionId: ticker, side, prob: 50, marketTitle: ticker, optionLabel: side });
+const breachKeys = risk => risk.breaches.map(b => b.key ? `${b.limit}:${b.key}` : b.limit).sort();
+
+// Limits: $40 of liability is already open on GB and GRA (and their events)
+let repo = createMemoryRepository({ poolBalance: 1000 });
+setRepository(repo);
+await repo.saveCompletedPurchase('open', ALICE, 10, 50, [leg(GB), leg(GRA, 'no')], null, null, null);
+
+let risk = await evaluateParlayRisk([leg(PHI)], 10, 50);
+assert.deepStrictEqual([risk.withinLimits, risk.liability, risk.maxAllowedStake], [true, 40, 20]);
+assert.deepStrictEqual(risk.exposure, { totalOpenLiability: 40, poolBalance: 1000 });
+
+risk = await evaluateParlayRisk([leg(PHI)], 10, 100);
+assert.deepStrictEqual(breachKeys(risk), ['parlay']);
+assert.strictEqual(risk.maxAllowedStake, 8.88, 'rounded down to the cent');
+
+risk = await evaluateParlayRisk([leg(DET)], 10, 80);
+assert.deepStrictEqual(breachKeys(risk), ['event:KXNFLGAME-25NOV27GBDET'], 'DET shares the GB event');
+assert.strictEqual(risk.maxAllowedStake, 8.57);
+
+risk = await evaluateParlayRisk([leg(GRA), leg(GRA, 'no')], 10, 80);
+assert.deepStrictEqual(breachKeys(risk), ['event:KXSENATEMED-26', 'market:KXSENATEMED-26-GRA'], 'a ticker is counted once per parlay');
+assert.deepStrictEqual(risk.breaches.find(b => b.limit === 'market'), {
+  limit: 'market', key: GRA, currentLiability: 40, newLiability: 70, maxLiability: 100
+});
+
+// Settled parlays no longer count
+await repo.updateParlayStatus('open', 'lost');
+assert.strictEqual((await evaluateParlayRisk([leg(GRA)], 10, 80)).withinLimits, true);
+
+// Pool drawdown: 50% of a $100 pool
+repo = createMemoryRepository({ poolBalance: 100 });
+setRepository(repo);
+await repo.saveCompletedPurchase('open', ALICE, 10, 40, [leg(GB)], null, null, null);
+risk = await evaluateParlayRisk([leg(PHI)], 10, 40);
+assert.deepStrictEqual(breachKeys(risk), ['pool_drawdown']);
+assert.strictEqual(risk.maxAllowedStake, 6.66);
+
+// Exposure locks: all or nothing per market and event
+let held = await acquireExposureLock([leg(GB)]);
+assert.deepStrictEqual(held.keys, ['event:KXNFLGAME-25NOV27GBDET', `market:${GB}`]);
+const other = await acquireExposureLock([leg(GRA)]);
+await other.release();
+const waiting = acquireExposureLock([leg(DET)]);
+await held.release();
+await held.release();
+const next = await waiting;
+assert.ok(next.keys.includes(`market:${DET}`), 'taken once the shared event is released');
+await next.release();
+
+// Concurrent placements on a market with room for one parlay: exactly one is accepted
+repo = createMemoryRepository({
+  poolBalance: 10000,
+  seed: {
+    user_wallet: [
+      { user_uuid: ALICE, user_id: ALICE, balance: 100 },
+      { user_uuid: BOB, user_id: BOB, balance: 100 }
+    ]
+  }
+});
+setRepository(repo);
+
+// A slow save leaves both placements between their limit check and the save at once
+const saveCompletedPurchase = repo.saveCompletedPurchase;
+repo.saveCompletedPurchase = async (...args) => {
+  await new Promise(resolve => setTimeout(resolve, 100));
+  return saveCompletedPurchase(...args);
+};
+
+const quoteFor = (userId, bets, stake, payout) => issueQuote(userId, bets, stake, {
+  payout: { adjustedPayout: payout },
+  pricingEngine: 'rule_based',
+  bets: bets.map(bet => ({ ticker: bet.ticker, side: bet.side, probability: 50 })),
+  expiresAt: new Date(Date.now() + 60000).toISOString()
+});
+const place = async (userId, quote, bets, stake) => {
+  const response = await fetch(`http://127.0.0.1:${port}/api/place-parlay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${userId}` },
+    body: JSON.stringify({ userId, quoteId: quote.quoteId, parlayBets: bets, stake })
+  });
+  return { status: response.status, body: await response.json() };
+};
+const balance = async userId => parseFloat((await repo.getUserWallet(userId)).balance);
+
+const aliceQuote = await quoteFor(ALICE, [leg(GB)], 10, 70);
+const bobQuote = await quoteFor(BOB, [leg(GB)], 10, 70);
+const placements = await Promise.all([
+  place(ALICE, aliceQuote, [leg(GB)], 10),
+  place(BOB, bobQuote, [leg(GB)], 10)
+]);
+assert.deepStrictEqual(placements.map(p => p.status).sort(), [HTTP_STATUS.OK, HTTP_STATUS.UNPROCESSABLE_ENTITY]);
+const refused = placements.find(p => p.status === HTTP_STATUS.UNPROCESSABLE_ENTITY);
+assert.strictEqual(refused.body.error, ERROR_MESSAGES.RISK.LIMIT_EXCEEDED);
+assert.strictEqual(refused.body.maxAllowedStake, 6.66);
+assert.strictEqual((await repo.getOpenParlayExposure()).length, 1);
+assert.strictEqual(await balance(ALICE) + await balance(BOB), 190, 'only one stake was taken');
+
+// The refused quote was handed back
+const refusedUser = placements[0].status === HTTP_STATUS.OK ? BOB : ALICE;
+const refusedQuote = await repo.getParlayQuote(refusedUser === BOB ? bobQuote.quoteId : aliceQuote.quoteId);
+assert.strictEqual(refusedQuote.used_at, null);
+
+// A placement waits for a lock held elsewhere, then gives up; other markets aren't blocked
+held = await acquireExposureLock([leg(GRA)]);
+const busyQuote = await quoteFor(ALICE, [leg(GRA)], 10, 20);
+const phiQuote = await quoteFor(BOB, [leg(PHI)], 10, 20);
+const [busy, free] = await Promise.all([
+  place(ALICE, busyQuote, [leg(GRA)], 10),
+  place(BOB, phiQuote, [leg(PHI)], 10)
+]);
+assert.deepStrictEqual([busy.status, busy.body.error], [HTTP_STATUS.SERVICE_UNAVAILABLE, ERROR_MESSAGES.RISK.BUSY]);
+assert.strictEqual(free.status, HTTP_STATUS.OK);
+assert.strictEqual((await repo.getParlayQuote(busyQuote.quoteId)).used_at, null);
+await held.release();
+assert.strictEqual((await place(ALICE, busyQuote, [leg(GRA)], 10)).status, HTTP_STATUS.OK);
+
+console.log('✅ Risk limit checks passed');
+process.exit(0);
@@ -0,0 +1,70 @@
+/**
+ * Scenario engine checks: exact enumeration, Monte Carlo and leg correlation
+ * Run: node tests/test-scenario-engine.js
+ */
+
+import assert from 'assert';
+
+process.env.DATA_BACKEND = 'memory';
+process.env.KALSHI_MARKET_FEED = 'false';
+
+const { analyzeScenarios, buildCorrelationMatrix, calibrateUniformRho, inverseNormalCdf } = await import('../server/scenarioEngine.js');
+
+const close = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} vs ${expected}`);
+const leg = (ticker, prob) => ({ ticker, prob });
+
+close(inverseNormalCdf(0.5), 0, 1e-9, 'median');
+close(inverseNormalCdf(0.975), 1.959964, 1e-5, '97.5th percentile');
+close(inverseNormalCdf(0.01), -inverseNormalCdf(0.99), 1e-9, 'symmetry');
+
+// Two independent coin flips paying 4x: the house keeps $10 three times in four and pays $30 once
+let result = analyzeScenarios({ bets: [leg('A', 50), leg('B', 50)], stake: 10, payout: 40 });
+assert.deepStrictEqual([result.method, result.simulations, result.parlayWinProbability], ['exact', null, 0.25]);
+assert.deepStrictEqual(result.unhedged, { ev: 0, stdDev: 17.32, var: 30, cvar: 30, worstCase: 30 });
+
+// A $4 hedge on leg 1 returning $8: EV unchanged, the loss when the parlay hits shrinks by $4
+result = analyzeScenarios({
+  bets: [leg('A', 50), leg('B', 50)],
+  stake: 10,
+  payout: 40,
+  hedgeBets: [{ leg: 1, cost: 4, potentialWin: 8 }]
+});
+assert.deepStrictEqual([result.hedged.ev, result.hedged.worstCase], [0, 26]);
+assert.ok(result.hedged.stdDev < result.unhedged.stdDev);
+
+// More legs than can be enumerated: simulated, reproducibly
+const twelve = Array.from({ length: 12 }, (_, i) => leg(`KXLEG${i}-EV${i}-X`, 90));
+result = analyzeScenarios({ bets: twelve, stake: 10, payout: 30 });
+assert.deepStrictEqual([result.method, result.simulations], ['monte_carlo', 20000]);
+close(result.parlayWinProbability, Math.pow(0.9, 12), 0.01, 'simulated win probability');
+assert.deepStrictEqual(analyzeScenarios({ bets: twelve, stake: 10, payout: 30 }), result, 'same seed, same result');
+
+// Ticker grouping: same event 0.6, same series 0.2; correlated legs win together more often
+const grouped = [leg('KXNFLGAME-25NOV27GBDET-GB', 50), leg('KXNFLGAME-25NOV27GBDET-DET', 50), leg('KXNFLGAME-25NOV30KCLV-KC', 50), leg('KXSENATEMED-26-GRA', 50)];
+const { matrix, source } = buildCorrelationMatrix(grouped);
+assert.strictEqual(source, 'ticker_grouping');
+assert.deepStrictEqual(matrix, [
+  [1, 0.6, 0.2, 0],
+  [0.6, 1, 0.2, 0],
+  [0.2, 0.2, 1, 0],
+  [0, 0, 0, 1]
+]);
+result = analyzeScenarios({ bets: grouped, stake: 10, payout: 160, correlation: matrix });
+assert.strictEqual(result.method, 'monte_carlo');
+assert.ok(result.parlayWinProbability > 0.0625 + 0.01, `correlated win probability ${result.parlayWinProbability}`);
+assert.ok(result.unhedged.ev < 0, 'a fair independent payout loses money on correlated legs');
+
+// Without groupings, a correlationFactor above 1 is matched with a uniform correlation
+const untracked = [leg(null, 60), leg(null, 60), leg(null, 60)];
+assert.strictEqual(buildCorrelationMatrix(untracked, { correlationFactor: 1 }).source, 'independent');
+const calibrated = buildCorrelationMatrix(untracked, { correlationFactor: 1.3 });
+assert.strictEqual(calibrated.source, 'correlation_factor');
+const rho = calibrated.matrix[0][1];
+assert.ok(rho > 0 && rho < 0.95, `rho ${rho}`);
+assert.strictEqual(calibrateUniformRho([0.6, 0.6, 0.6], 1.3), rho);
+assert.ok(calibrateUniformRho([0.6, 0.6, 0.6], 1.6) > rho, 'a larger uplift needs more correlation');
+result = analyzeScenarios({ bets: untracked, stake: 10, payout: 40, correlation: calibrated.matrix });
+close(result.parlayWinProbability, 0.216 * 1.3, 0.015, 'calibrated joint probability');
+
+console.log('✅ Scenario engine checks passed');
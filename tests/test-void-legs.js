@@ -0,0 +1,103 @@
+/**
+ * Settlement checks for voided, partial and NO-side legs against the mock Kalshi API
+ * Run: node tests/test-void-legs.js
+ */
+
+import assert from 'assert';
+import net from 'net';
+
+// Pick a free port first: config is read when the mock and server modules load
+const port = await new Promise(resolve => {
+  const probe = net.createServer().listen(0, () => {
+    const { port: free } = probe.address();
+    probe.close(() => resolve(free));
+  });
+});
+
+process.env.DATA_BACKEND = 'memory';
+process.env.KALSHI_MARKET_FEED = 'false';
+process.env.KALSHI_API_BASE_URL = `http://127.0.0.1:${port}/trade-api/v2`;
+
+const { createMockKalshiServer } = await import('./mock-kalshi-server.js');
+const mock = createMockKalshiServer();
+const server = mock.app.listen(port);
+await new Promise(resolve => server.once('listening', resolve));
+
+const { setRepository, createMemoryRepository } = await import('../server/repositories/index.js');
+const { parseMarketSettlement, gradeLeg, settleParlay, checkParlayStatus } = await import('../server/parlayStatusService.js');
+const { settledContractValue } = await import('../server/hedgeOrderService.js');
+
+const ALICE = '11111111-1111-4111-8111-111111111111';
+const repo = createMemoryRepository({
+  seed: { user_wallet: [{ user_uuid: ALICE, user_id: ALICE, balance: 100 }] },
+  poolBalance: 1000
+});
+setRepository(repo);
+const balance = async () => (await repo.getUserWallet(ALICE, ALICE)).balance;
+
+// Settlement parsing: "closed" is not settled, void and scalar results are recognized
+assert.strictEqual(parseMarketSettlement({ status: 'closed', result: '', settlement_value: null }).settled, false);
+assert.strictEqual(parseMarketSettlement({ status: 'active', settlement_value: 0 }).settled, false);
+assert.deepStrictEqual(parseMarketSettlement({ status: 'settled', result: 'void' }), { settled: true, voided: true, yesValue: null, status: 'settled' });
+assert.strictEqual(parseMarketSettlement({ status: 'finalized', result: 'no' }).yesValue, 0);
+assert.deepStrictEqual(gradeLeg({ settled: true, yesValue: 0 }, 'no'), { outcome: 'win', value: 1 });
+assert.deepStrictEqual(gradeLeg({ settled: true, yesValue: 30 }, 'yes'), { outcome: 'partial', value: 0.3 });
+assert.deepStrictEqual(gradeLeg({ settled: true, yesValue: 30 }, 'NO'), { outcome: 'partial', value: 0.7 });
+
+// Hedge contracts: void markets return their cost, partial ones pay the held side's value
+const hedge = { side: 'no', bought: 10, buyCost: 4.5 };
+assert.strictEqual(settledContractValue(hedge, 'void'), 0.45);
+assert.strictEqual(settledContractValue(hedge, 'partial', 30), 0.7);
+assert.strictEqual(settledContractValue(hedge, 'loss', 0), 0);
+
+// Re-pricing: a void leg takes its odds out of the payout
+const twoLegs = { session_id: 's', payout: '100', quote_data: null };
+assert.deepStrictEqual(
+  settleParlay(twoLegs, [{ prob: 50 }, { prob: 40 }], [{ legNumber: 1, settled: true, outcome: 'void' }, { legNumber: 2, settled: true, outcome: 'win' }]),
+  { status: 'won', claimableAmount: 50 }
+);
+assert.throws(() => settleParlay(twoLegs, [{}, {}], [{ legNumber: 1, settled: true, outcome: 'void' }, { legNumber: 2, settled: true, outcome: 'win' }]));
+
+const leg = (ticker, prob, side = 'yes') => ({ ticker, optionId: ticker, prob, side, marketTitle: ticker, optionLabel: side });
+const place = (sessionId, stake, payout, legs) => repo.saveCompletedPurchase(sessionId, ALICE, stake, payout, legs, null, null, null);
+
+await place('pushed', 10, 60, [leg('KXNFLGAME-25NOV27GBDET-GB', 43), leg('KXSENATEMED-26-GRA', 36, 'no')]);
+await place('all-void', 10, 35, [leg('KXSENATEMED-26-MIL', 37), leg('KXINXU-25DEC05H1400-T6849.99', 51)]);
+await place('partial', 10, 40, [leg('KXINXU-25DEC05H1400-T6899.99', 25)]);
+await place('closed', 10, 17, [leg('KXNFLGAME-25NOV27GBDET-DET', 59)]);
+
+mock.settle('KXNFLGAME-25NOV27GBDET-GB', 'void');
+mock.settle('KXSENATEMED-26-GRA', 'no');
+mock.settle('KXSENATEMED-26-MIL', 'void');
+mock.settle('KXINXU-25DEC05H1400-T6849.99', 'void');
+mock.settle('KXINXU-25DEC05H1400-T6899.99', 'scalar', 30);
+mock.state.markets.get('KXNFLGAME-25NOV27GBDET-DET').status = 'closed';
+
+// Void leg pushed, NO leg won: paid at the remaining leg's odds
+const pushed = await checkParlayStatus('pushed');
+assert.deepStrictEqual(pushed.outcomes.map(o => o.outcome), ['void', 'win']);
+assert.strictEqual(pushed.status, 'won');
+assert.strictEqual(pushed.claimableAmount, 25.8);
+
+// Every leg void: stake refunded once, however often the parlay is checked
+const voided = await checkParlayStatus('all-void');
+assert.strictEqual(voided.status, 'void');
+assert.strictEqual(await balance(), 110);
+await checkParlayStatus('all-void');
+assert.strictEqual(await balance(), 110);
+
+// Scalar settlement at 30¢ pays 30% of the leg
+const partial = await checkParlayStatus('partial');
+assert.strictEqual(partial.outcomes[0].outcome, 'partial');
+assert.strictEqual(partial.claimableAmount, 12);
+
+// A closed market without a result is still pending
+assert.strictEqual((await checkParlayStatus('closed')).status, 'pending');
+
+// Stored outcomes are re-graded the same way without asking Kalshi again
+const rechecked = await checkParlayStatus('pushed');
+assert.strictEqual(rechecked.claimableAmount, 25.8);
+assert.strictEqual((await repo.getParlayBetOutcomes((await repo.getCompletedPurchase('pushed')).id))[0].settlement_price, null);
+
+server.close();
+console.log('✅ Void leg checks passed');
@@ -0,0 +1,101 @@
+/**
+ * Withdrawal lifecycle checks against the in-memory repository
+ * Run: node tests/test-withdrawals.js
+ */
+
+import assert from 'assert';
+import { Keypair } from '@solana/web3.js';
+
+process.env.DATA_BACKEND = 'memory';
+process.env.WITHDRAWAL_MAX_ATTEMPTS = '2';
+
+const { setRepository, createMemoryRepository } = await import('../server/repositories/index.js');
+const { validateWithdrawal, requestWithdrawal, processWithdrawal, pollWithdrawals, getUserWithdrawals } = await import('../server/withdrawalService.js');
+const { getUserTransactions } = await import('../server/ledgerService.js');
+const { TransferNotSentError } = await import('../server/coinbaseCdpService.js');
+
+const ALICE = '11111111-1111-4111-8111-111111111111';
+const ADDRESS = Keypair.generate().publicKey.toBase58();
+
+const repo = createMemoryRepository({
+  seed: { user_wallet: [{ user_uuid: ALICE, user_id: ALICE, balance: 50 }] },
+  poolBalance: 1000
+});
+setRepository(repo);
+const balance = async () => (await repo.getUserWallet(ALICE, ALICE)).balance;
+const sent = [];
+const okTransfer = async (address, amount) => {
+  sent.push([address, amount]);
+  return { transactionSignature: `sig-${sent.length}` };
+};
+const failingTransfer = async () => { throw new TransferNotSentError('RPC unavailable'); };
+const unconfirmedTransfer = async () => { throw new Error('sendTransaction timed out'); };
+
+// Validation
+assert.strictEqual(validateWithdrawal(10, ADDRESS).valid, true);
+assert.strictEqual(validateWithdrawal(0, ADDRESS).valid, false);
+assert.strictEqual(validateWithdrawal(10.005, ADDRESS).valid, false, 'sub-cent amounts are rejected');
+assert.strictEqual(validateWithdrawal(0.1 + 1.2, ADDRESS).valid, true, 'float noise is not sub-cent');
+assert.strictEqual(validateWithdrawal(10, 'not-an-address').valid, false);
+
+// No CDP in tests: the first attempt fails, the hold stays and a retry is scheduled
+const first = await requestWithdrawal(ALICE, 20, ADDRESS, ALICE);
+assert.strictEqual(first.status, 'pending');
+assert.strictEqual(first.attempts, 1);
+assert.ok(first.nextAttemptAt && first.lastError);
+assert.strictEqual(await balance(), 30, 'amount is held while the transfer is retried');
+
+// Not due yet: nothing happens
+assert.strictEqual((await processWithdrawal(first.id, { transfer: okTransfer })).status, 'pending');
+assert.strictEqual(sent.length, 0);
+
+// Due: the retry succeeds and stores the signature
+await repo.updateWithdrawalStatus(first.id, 'pending', null, null, { changes: { next_attempt_at: new Date(0).toISOString() } });
+const completed = await processWithdrawal(first.id, { transfer: okTransfer });
+assert.strictEqual(completed.status, 'completed');
+assert.strictEqual(completed.txSignature, 'sig-1');
+assert.deepStrictEqual(sent, [[ADDRESS, 20]]);
+assert.strictEqual((await processWithdrawal(first.id, { transfer: okTransfer })).status, 'completed', 'completed withdrawals are not sent twice');
+assert.strictEqual(sent.length, 1);
+assert.strictEqual(await balance(), 30);
+
+// Out of attempts: failed, then reversed with the hold credited back
+const second = await requestWithdrawal(ALICE, 10, ADDRESS, ALICE);
+assert.strictEqual(await balance(), 20);
+await repo.updateWithdrawalStatus(second.id, 'pending', null, null, { changes: { next_attempt_at: null } });
+const reversed = await processWithdrawal(second.id, { transfer: failingTransfer });
+assert.strictEqual(reversed.status, 'reversed');
+assert.strictEqual(reversed.attempts, 2);
+assert.strictEqual(await balance(), 30, 'reversal returns the held amount');
+
+// A failed reversal is finished by the poller, exactly once
+const third = await requestWithdrawal(ALICE, 5, ADDRESS, ALICE);
+await repo.updateWithdrawalStatus(third.id, 'failed', null, null, { changes: { failed_at: new Date().toISOString() } });
+assert.strictEqual(await balance(), 25);
+assert.strictEqual((await pollWithdrawals()).reversed, 1);
+assert.strictEqual((await pollWithdrawals()).reversed, 0);
+assert.strictEqual(await balance(), 30);
+
+// An error after the transaction may have been broadcast: never retried or reversed, flagged for review
+const fourth = await requestWithdrawal(ALICE, 4, ADDRESS, ALICE);
+await repo.updateWithdrawalStatus(fourth.id, 'pending', null, null, { changes: { next_attempt_at: null } });
+const unconfirmed = await processWithdrawal(fourth.id, { transfer: unconfirmedTransfer });
+assert.deepStrictEqual([unconfirmed.status, unconfirmed.attempts, unconfirmed.lastError], ['processing', 2, 'sendTransaction timed out']);
+assert.strictEqual(await balance(), 26, 'the hold is kept');
+assert.strictEqual((await processWithdrawal(fourth.id, { transfer: okTransfer })).status, 'processing');
+assert.deepStrictEqual(await pollWithdrawals(), { processed: 0, reversed: 0, stale: 0 });
+await repo.updateWithdrawalStatus(fourth.id, 'processing', null, null, { changes: { processing_started_at: new Date(0).toISOString() } });
+assert.deepStrictEqual(await pollWithdrawals(), { processed: 0, reversed: 0, stale: 1 });
+assert.strictEqual(sent.length, 1, 'nothing sent again');
+assert.strictEqual(await balance(), 26);
+
+// Insufficient balance: nothing held, request marked failed
+await assert.rejects(requestWithdrawal(ALICE, 500, ADDRESS, ALICE), err => err.name === 'InsufficientFundsError');
+assert.strictEqual(await balance(), 26);
+
+const history = await getUserWithdrawals(ALICE, ALICE);
+assert.deepStrictEqual(history.map(w => w.status), ['failed', 'processing', 'reversed', 'reversed', 'completed']);
+const types = (await getUserTransactions(ALICE, ALICE)).map(t => t.type);
+assert.deepStrictEqual(types.filter(t => t === 'withdrawal_reversal').length, 2);
+
+console.log('✅ Withdrawal checks passed');